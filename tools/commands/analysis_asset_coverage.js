@@ -0,0 +1,166 @@
+/**
+ * Asset Coverage Analysis (focused list)
+ *
+ * Reads:
+ *  - inventory/inventory.csv
+ *  - price inputs read by tools/lib/pricing.js (overrides, basis, CoinGecko mapping, cache)
+ *
+ * Writes:
+ *  - analysis/asset_coverage.csv
+ *  - analysis/asset_coverage_top_wallets.json
+ *  - analysis/prices_used_for_coverage.json
+ */
+
+const fs=require("fs");
+const path=require("path");
+
+const {readCsvSync}=require("../lib/csv");
+const {resolvePrices,pricingOptionsFromEnv,describePricing}=require("../lib/pricing");
+
+const ROOT=process.cwd();
+const INV=path.join(ROOT,"inventory","inventory.csv");
+const EXEC_DIR=path.join(ROOT,"execute");
+
+if(!fs.existsSync(INV)) throw new Error("Missing inventory/inventory.csv");
+
+const ASSETS = (process.env.ASSET_LIST || "").split(",").map(s=>s.trim()).filter(Boolean);
+if(ASSETS.length===0){
+  console.error("ERROR: Provide ASSET_LIST env var (comma-separated Fireblocks assetIds).");
+  process.exit(2);
+}
+const wanted=new Set(ASSETS);
+
+function num(x){
+  if(x===null||x===undefined) return 0;
+  const s=String(x).trim();
+  if(!s) return 0;
+  const n=Number(s);
+  return Number.isFinite(n)?n:0;
+}
+
+function getIdx(header, candidates){
+  for(const c of candidates){
+    const i=header.indexOf(c);
+    if(i>=0) return i;
+  }
+  return -1;
+}
+
+(async()=>{
+  // Read inventory CSV
+  const inv=readCsvSync(INV);
+  const header=inv.header;
+
+  const I={
+    vaultId: getIdx(header, ["vaultAccountId","vaultId","id"]),
+    vaultName: getIdx(header, ["vaultAccountName","name","vaultName"]),
+    assetId: getIdx(header, ["assetId","asset"]),
+    available: getIdx(header, ["available"]),
+    total: getIdx(header, ["total","balance"])
+  };
+  if(I.vaultId<0) throw new Error("inventory.csv missing vault id column (vaultAccountId/vaultId/id)");
+  if(I.assetId<0) throw new Error("inventory.csv missing assetId column");
+  if(I.available<0 && I.total<0) throw new Error("inventory.csv missing available/total columns");
+
+  const pr=await resolvePrices(wanted,{...pricingOptionsFromEnv(),execDir:EXEC_DIR});
+  if(pr.provider.error) console.error("WARN: price provider failed; will rely on cache / stable heuristics. Error:", pr.provider.error);
+  const priceUsed=pr.provenance; // assetId -> {source, usd, ref}
+  const priceUsdFor=(assetId)=>pr.priceOf(assetId);
+
+  // Aggregate
+  const agg={}; // assetId -> {vaultSet, rowCount, sumAvail, sumTotal, usdKnown, usdUnknownRows, top:[]}
+  for(const a of wanted){
+    agg[a]={vaultSet:new Set(), rowCount:0, sumAvail:0, sumTotal:0, usdKnown:0, usdUnknownRows:0, topMap:new Map()};
+  }
+
+  for(const r of inv.rows){
+    const asset=r[I.assetId];
+    if(!wanted.has(asset)) continue;
+
+    const vaultId=r[I.vaultId];
+    const vaultName=(I.vaultName>=0 ? (r[I.vaultName]||"") : "");
+    const available=I.available>=0 ? num(r[I.available]) : 0;
+    const total=I.total>=0 ? num(r[I.total]) : available;
+
+    const a=agg[asset];
+    a.rowCount++;
+    a.vaultSet.add(vaultId);
+    a.sumAvail += available;
+    a.sumTotal += total;
+
+    // top wallet totals by asset
+    const key = vaultId;
+    a.topMap.set(key, (a.topMap.get(key)||0) + total);
+    // store name separately (best effort)
+    // we'll join names in output later using a map
+  }
+
+  // vaultId->name map (for top wallets output)
+  const vaultNameById=new Map();
+  if(I.vaultName>=0){
+    for(const r of inv.rows){
+      const vid=r[I.vaultId];
+      const vn=r[I.vaultName]||"";
+      if(vn && !vaultNameById.has(vid)) vaultNameById.set(vid,vn);
+    }
+  }
+
+  // Finalize USD
+  const topWalletsOut={}; // assetId -> [{vaultId,name,amountTotal,usdValue?}]
+  for(const asset of wanted){
+    const a=agg[asset];
+    const p=priceUsdFor(asset);
+
+    if(typeof p==="number"){
+      a.usdKnown = a.sumTotal * p;
+    }else{
+      a.usdUnknownRows = a.rowCount;
+    }
+
+    // compute top 10 wallets
+    const top=[...a.topMap.entries()]
+      .map(([vaultId,amt])=>({
+        vaultId,
+        vaultName: vaultNameById.get(vaultId)||"",
+        amountTotal: amt,
+        usdValue: (typeof p==="number") ? (amt*p) : null
+      }))
+      .sort((x,y)=> (y.amountTotal-x.amountTotal))
+      .slice(0,10);
+
+    topWalletsOut[asset]=top;
+  }
+
+  // Write CSV
+  const outCsv=["assetId,vaultCount,rowCount,sumAvailable,sumTotal,priceUsdMethod,priceUsd,usdTotalKnownPrices,unknownPriceRows"];
+  const assetsSorted=[...wanted].sort((a,b)=>a.localeCompare(b));
+  for(const asset of assetsSorted){
+    const a=agg[asset];
+    const pu=priceUsed[asset] || {source:"unknown", usd:null};
+    outCsv.push([
+      asset,
+      a.vaultSet.size,
+      a.rowCount,
+      a.sumAvail,
+      a.sumTotal,
+      pu.source,
+      (pu.usd===null ? "" : pu.usd),
+      (typeof pu.usd==="number" ? a.usdKnown : ""),
+      (pu.usd===null ? a.rowCount : 0)
+    ].join(","));
+  }
+
+  fs.writeFileSync(path.join(ROOT,"analysis","asset_coverage.csv"), outCsv.join("\n"));
+  fs.writeFileSync(path.join(ROOT,"analysis","asset_coverage_top_wallets.json"), JSON.stringify(topWalletsOut,null,2));
+  fs.writeFileSync(path.join(ROOT,"analysis","prices_used_for_coverage.json"), JSON.stringify({
+    asOf: new Date().toISOString(),
+    priceUsed,
+    pricing: describePricing(pr),
+    provider: pr.provider
+  },null,2));
+
+  console.log("✅ Wrote:");
+  console.log("- analysis/asset_coverage.csv");
+  console.log("- analysis/asset_coverage_top_wallets.json");
+  console.log("- analysis/prices_used_for_coverage.json");
+})();
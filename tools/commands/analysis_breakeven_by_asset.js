@@ -0,0 +1,249 @@
+const fs=require("fs");
+const path=require("path");
+
+const {readCsvSync,csvEscape}=require("../lib/csv");
+const {resolvePrices,pricingOptionsFromEnv,describePricing}=require("../lib/pricing");
+const {createFeeModel,describeFees,gasFeeFileFromEnv,FEE_SNAPSHOT_FILE}=require("../lib/fees");
+
+const ROOT=process.cwd();
+const INV=path.join(ROOT,"inventory","inventory.csv");
+const PLAN=path.join(ROOT,"plan","plan.csv");
+const GAS_FEE=gasFeeFileFromEnv(path.join(ROOT,"execute")); // GAS_FEE_FILE=execute/gas_fee_observed.json (--fee-file) puts observed costs first
+
+if(!fs.existsSync(INV)) throw new Error("Missing inventory/inventory.csv");
+if(!fs.existsSync(PLAN)) throw new Error("Missing plan/plan.csv");
+if(!fs.existsSync(GAS_FEE) && !fs.existsSync(path.join(ROOT,"execute",FEE_SNAPSHOT_FILE))) throw new Error(`Missing execute/${FEE_SNAPSHOT_FILE} (tools/fb_estimate_fees.js) and ${path.relative(ROOT,GAS_FEE)}`);
+
+// live estimates first, gas_fee_native.json / estimatedFeeUsdByGasAsset for assets without one
+const fees = createFeeModel({execDir:path.join(ROOT,"execute")});
+
+const OUT_DIR=path.join(ROOT,"analysis");
+fs.mkdirSync(OUT_DIR,{recursive:true});
+
+const PRICING = pricingOptionsFromEnv(); // USE_LIVE_PRICES=0 stays offline, STRICT_PRICING=1 drops the stable fallback
+const FEE_MULT = Number(process.env.FEE_MULT||"1.0");           // safety factor on gas fee
+const MIN_NET_USD = Number(process.env.MIN_NET_USD||"0.00");    // require (value - feeUSD) >= this
+const MIN_GROSS_USD = Number(process.env.MIN_GROSS_USD||"0.00"); // require value >= this regardless of fee
+const MIN_TX_POLICY_USD = Number(process.env.MIN_TX_POLICY_USD||"0.00"); // optional hard floor (e.g. 0.01)
+
+function num(x){ const n=Number(String(x??"").trim()); return Number.isFinite(n)?n:0; }
+
+function getIdx(h,cands){ for(const c of cands){ const i=h.indexOf(c); if(i>=0) return i; } return -1; }
+
+function parsePlanGasMap(){
+  const csv=readCsvSync(PLAN);
+  const h=csv.header;
+  const I={
+    asset:getIdx(h,["assetId"]),
+    req:getIdx(h,["requiresGas"]),
+    gas:getIdx(h,["gasAssetId"])
+  };
+  for(const k of Object.keys(I)) if(I[k]<0) throw new Error(`plan.csv missing column: ${k}`);
+  const m=new Map(); // assetId -> gasAssetId (if requiresGas)
+  for(const r of csv.rows){
+    const asset=r[I.asset];
+    const req=String(r[I.req]).toLowerCase()==="true";
+    const gas=r[I.gas]||"";
+    if(req && gas) m.set(asset,gas);
+  }
+  return m;
+}
+
+function parseInventory(){
+  const csv=readCsvSync(INV);
+  const h=csv.header;
+  const I={
+    vault:getIdx(h,["vaultAccountId","vaultId","id"]),
+    asset:getIdx(h,["assetId","asset"]),
+    total:getIdx(h,["total","balance"]),
+    avail:getIdx(h,["available"])
+  };
+  if(I.vault<0) throw new Error("inventory missing vaultAccountId/vaultId");
+  if(I.asset<0) throw new Error("inventory missing assetId");
+  if(I.total<0 && I.avail<0) throw new Error("inventory missing total/balance/available");
+  const out=[];
+  for(const r of csv.rows){
+    const vault=r[I.vault];
+    const asset=r[I.asset];
+    const total= I.total>=0 ? num(r[I.total]) : num(r[I.avail]);
+    if(!(total>0)) continue;
+    out.push({vault,asset,total});
+  }
+  return out;
+}
+
+function percentile(sorted, p){
+  if(sorted.length===0) return 0;
+  const idx = (sorted.length-1)*p;
+  const lo=Math.floor(idx), hi=Math.ceil(idx);
+  if(lo===hi) return sorted[lo];
+  const w=idx-lo;
+  return sorted[lo]*(1-w)+sorted[hi]*w;
+}
+
+(async()=>{
+  const gasMap=parsePlanGasMap();
+  const inv=parseInventory();
+
+  // Determine which assets we need prices for (assets + gas assets)
+  const assets=new Set(inv.map(r=>r.asset));
+  for(const [a,g] of gasMap) assets.add(fees.feeNative(a,g).feeAssetId);
+
+  const pr=await resolvePrices(assets,{...PRICING,execDir:path.join(ROOT,"execute")});
+  if(pr.provider.error) console.error("WARN: price provider failed; using cache / fallback:",pr.provider.error);
+  const priceUsed=pr.provenance;
+  const priceUsd=(assetId)=>pr.priceOf(assetId);
+
+  // Group per asset: list of per-vault USD values
+  const perAsset=new Map(); // asset -> {vaults:Set, usdVals:number[], totalNative:number, totalUsdKnown:number, unknownRows:number}
+  for(const r of inv){
+    if(!perAsset.has(r.asset)){
+      perAsset.set(r.asset,{vaults:new Set(), usdVals:[], totalNative:0, totalUsdKnown:0, unknownRows:0});
+    }
+    const g=perAsset.get(r.asset);
+    g.vaults.add(r.vault);
+    g.totalNative += r.total;
+    const p=priceUsd(r.asset);
+    if(typeof p==="number"){
+      const usd=r.total*p;
+      g.usdVals.push(usd);
+      g.totalUsdKnown += usd;
+    }else{
+      g.unknownRows++;
+    }
+  }
+
+  // compute feeUSD by asset using gasMap + fee model
+  function feeUsdForAsset(assetId){
+    const gasAsset = gasMap.get(assetId) || null;
+    if(!gasAsset) return {gasAsset:null, feeUsd:null, feeSource:""};
+    const f = fees.feeUsd(assetId, priceUsd, gasAsset);
+    if(!(typeof f.usd==="number")) return {gasAsset, feeUsd:null, feeSource:f.source};
+    return {gasAsset, feeUsd:f.usd*FEE_MULT, feeSource:f.source};
+  }
+
+  // output
+  const outLines=[];
+  outLines.push([
+    "assetId","vaultCount","rowCount",
+    "totalUsdKnown","avgUsd","medianUsd","p90Usd","maxUsd",
+    "requiresGas","gasAssetId","feeUsdAssumed","feeSource","breakevenUsd",
+    "countAboveBreakeven","usdAboveBreakeven","unknownPriceRows",
+    "recommendation"
+  ].join(","));
+
+  // helpers: breakeven rule
+  // eligible if (usd >= max(MIN_GROSS_USD, MIN_TX_POLICY_USD, feeUsd + MIN_NET_USD)) when feeUsd known
+  // if feeUsd unknown but requiresGas => we cannot compute breakeven -> recommendation "NEEDS_FEE_ASSUMPTION"
+  const rows=[];
+  for(const [asset,g] of perAsset.entries()){
+    const vals=g.usdVals.slice().sort((a,b)=>a-b);
+    const vaultCount=g.vaults.size;
+    const rowCount = (g.usdVals.length + g.unknownRows);
+    const totalUsd=g.totalUsdKnown;
+    const avg = vals.length? (totalUsd/vals.length) : 0;
+    const med = percentile(vals,0.5);
+    const p90 = percentile(vals,0.9);
+    const max = vals.length? vals[vals.length-1] : 0;
+
+    const {gasAsset, feeUsd, feeSource} = feeUsdForAsset(asset);
+    const requiresGas = !!gasAsset;
+
+    let breakevenUsd=null;
+    let countAbove=0;
+    let usdAbove=0;
+    let rec="";
+
+    if(requiresGas){
+      if(typeof feeUsd==="number"){
+        breakevenUsd = Math.max(MIN_GROSS_USD, MIN_TX_POLICY_USD, feeUsd + MIN_NET_USD);
+        for(const u of vals){
+          if(u >= breakevenUsd){
+            countAbove++;
+            usdAbove += u;
+          }
+        }
+        // recommendation heuristic
+        const ratio = (vaultCount>0) ? (totalUsd/vaultCount) : 0;
+        if(totalUsd===0) rec="SKIP";
+        else if(countAbove===0) rec="SKIP_ALL_BELOW_BREAKEVEN";
+        else if(ratio<=1) rec="REVIEW_DISTRIBUTION_LOW_AVG";
+        else rec="EXECUTE_TOP_DOWN";
+      } else {
+        rec="NEEDS_FEE_ASSUMPTION_OR_PRICE";
+      }
+    } else {
+      // non-gas asset: still apply policy floors if desired
+      breakevenUsd = Math.max(MIN_GROSS_USD, MIN_TX_POLICY_USD);
+      for(const u of vals){
+        if(u >= breakevenUsd){
+          countAbove++;
+          usdAbove += u;
+        }
+      }
+      rec = (countAbove>0) ? "EXECUTE" : "SKIP_ALL_BELOW_POLICY";
+    }
+
+    rows.push({
+      asset,
+      vaultCount,
+      rowCount,
+      totalUsdKnown: totalUsd,
+      avgUsd: avg,
+      medianUsd: med,
+      p90Usd: p90,
+      maxUsd: max,
+      requiresGas,
+      gasAssetId: gasAsset || "",
+      feeUsdAssumed: (typeof feeUsd==="number") ? feeUsd : "",
+      feeSource,
+      breakevenUsd: (typeof breakevenUsd==="number") ? breakevenUsd : "",
+      countAbove,
+      usdAbove,
+      unknownPriceRows: g.unknownRows,
+      recommendation: rec
+    });
+  }
+
+  // prioritize “avg <= $1” assets first (your ask), then by totalUsd desc
+  rows.sort((a,b)=>{
+    const aAvg = a.vaultCount? (a.totalUsdKnown/a.vaultCount):0;
+    const bAvg = b.vaultCount? (b.totalUsdKnown/b.vaultCount):0;
+    const aLow = (aAvg<=1)?0:1;
+    const bLow = (bAvg<=1)?0:1;
+    if(aLow!==bLow) return aLow-bLow;
+    return (b.totalUsdKnown-a.totalUsdKnown);
+  });
+
+  for(const r of rows){
+    outLines.push([
+      r.asset,
+      r.vaultCount,
+      r.rowCount,
+      r.totalUsdKnown.toFixed(6),
+      r.avgUsd.toFixed(6),
+      r.medianUsd.toFixed(6),
+      r.p90Usd.toFixed(6),
+      r.maxUsd.toFixed(6),
+      r.requiresGas ? "true":"false",
+      r.gasAssetId,
+      (r.feeUsdAssumed===""?"":Number(r.feeUsdAssumed).toFixed(6)),
+      r.feeSource,
+      (r.breakevenUsd===""?"":Number(r.breakevenUsd).toFixed(6)),
+      r.countAbove,
+      r.usdAbove.toFixed(6),
+      r.unknownPriceRows,
+      r.recommendation
+    ].map(csvEscape).join(","));
+  }
+
+  fs.writeFileSync(path.join(OUT_DIR,"breakeven_by_asset.csv"), outLines.join("\n"));
+  fs.writeFileSync(path.join(OUT_DIR,"prices_used_breakeven.json"), JSON.stringify({asOf:new Date().toISOString(), pricing:describePricing(pr), fees:describeFees(fees), priceUsed},null,2));
+
+  console.log("✅ Wrote:");
+  console.log("- analysis/breakeven_by_asset.csv");
+  console.log("- analysis/prices_used_breakeven.json");
+  console.log("");
+  console.log("Tip: view the ‘low avg USD’ assets first:");
+  console.log("  column -s, -t analysis/breakeven_by_asset.csv | sed -n '1,80p'");
+})();
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { readCsvSync } = require("../lib/csv");
+const { amountOr, subAmount, roundAmount, isPositiveAmount } = require("../lib/amount");
+const { loadAssetRegistry } = require("../lib/asset_registry");
+const { loadConfig } = require("../lib/config");
+
+// arguments, else FROM_CSV and vaults.destination (DEST_VAULT_ID), as `fb.js plan from-csv` sets them
+const [,, argCsv, argDest] = process.argv;
+const csvPath = argCsv || process.env.FROM_CSV;
+const destVaultId = argDest || loadConfig().get("vaults.destination");
+if (!csvPath || !destVaultId) {
+  console.error("ERROR: Usage: node tools/fb.js plan from-csv --csv <CSV_PATH> --dest-vault <DEST_VAULT_ID>");
+  process.exit(2);
+}
+
+// Leave reserves.leaveOne behind for these assets (per source vault; 1 DOT/XRP/XLM by default)
+const LEAVE_ONE = loadConfig().get("reserves.leaveOne");
+
+// Amounts are truncated to each asset's decimals from the asset registry, when known
+const REGISTRY = loadAssetRegistry({ execDir: path.join(process.cwd(), "execute") });
+
+const csv = readCsvSync(csvPath, { required: ["Account ID", "Asset ID", "Total Balance"] });
+if (!csv.rows.length) throw new Error("CSV appears empty");
+
+const iAccountId = csv.idx("Account ID");
+const iAssetId   = csv.idx("Asset ID");
+const iTotal     = csv.idx("Total Balance");
+
+const outDir = "plan";
+fs.mkdirSync(outDir, { recursive: true });
+const outPath = `${outDir}/plan_from_csv_to_${destVaultId}.jsonl`;
+
+let written = 0;
+let skippedZero = 0;
+let skippedSelf = 0;
+let reservedApplied = 0;
+
+const ws = fs.createWriteStream(outPath, { flags: "w", encoding: "utf8" });
+
+for (const cols of csv.rows) {
+
+  const sourceVaultId = (cols[iAccountId] || "").trim();
+  const assetId = (cols[iAssetId] || "").trim();
+  const amountRaw = (cols[iTotal] || "").trim();
+
+  if (!sourceVaultId || !assetId || !amountRaw) continue;
+  if (String(sourceVaultId) === String(destVaultId)) { skippedSelf++; continue; }
+
+  const bal = amountOr(amountRaw, null);
+  if (bal === null || !isPositiveAmount(bal)) { skippedZero++; continue; }
+
+  // Apply reserve rule: keep reserves.leaveOne in each wallet (exact decimal subtraction)
+  let moveStr = bal;
+  if (LEAVE_ONE[assetId] !== undefined) {
+    moveStr = subAmount(bal, LEAVE_ONE[assetId]);
+    reservedApplied++;
+  }
+  const decimals = REGISTRY.decimalsOf(assetId);
+  if (decimals !== undefined) moveStr = roundAmount(moveStr, decimals);
+
+  if (!isPositiveAmount(moveStr)) { skippedZero++; continue; }
+
+  const obj = {
+    assetId,
+    sourceVaultId,
+    destinationVaultId: String(destVaultId),
+    amount: moveStr,
+    reserveRule: LEAVE_ONE[assetId] !== undefined ? "leave_1" : "none"
+  };
+
+  ws.write(JSON.stringify(obj) + "\n");
+  written++;
+}
+
+ws.end();
+
+console.log(`Wrote ${written} moves to ${outPath}`);
+console.log(`Skipped zero/non-numeric (or <= reserve): ${skippedZero}`);
+console.log(`Skipped source==dest: ${skippedSelf}`);
+console.log(`Reserve rule applied rows (DOT/XRP/XLM): ${reservedApplied}`);
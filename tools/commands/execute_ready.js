@@ -0,0 +1,13 @@
+/**
+ * Submit the READY_TO_EXECUTE rows of analysis/remaining_rows_v2.csv (fireblocks_analysis_v2.js),
+ * largest estUSD first. Dry run unless EXECUTE=1; BATCH=50 rows per run.
+ *
+ * Journal, completed ledger (execute/completed_transfers.txt), externalTxId, skips and
+ * failure handling are the shared engine's: see tools/lib/executor.js.
+ */
+const {runAdapter}=require("../lib/executor");
+
+runAdapter("ready").catch(e=>{
+  console.error("ERROR:", e&&e.stack?e.stack:String(e));
+  process.exit(1);
+});
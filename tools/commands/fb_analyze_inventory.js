@@ -0,0 +1,292 @@
+const fs = require("fs");
+const path = require("path");
+const { readCsvSync, csvEscape } = require("../lib/csv");
+const { resolvePrices, pricingOptionsFromEnv, describePricing, CACHE_FILE } = require("../lib/pricing");
+const { loadAssetRegistry, describeRegistry, OVERRIDES_FILE } = require("../lib/asset_registry");
+const { loadConfig } = require("../lib/config");
+
+const ROOT = process.cwd();
+const INV = path.join(ROOT, "inventory", "inventory.csv");
+const VAULTS_JSON = path.join(ROOT, "inventory", "vaults.json");
+const POLICY = path.join(ROOT, "policy.json");
+
+if (!fs.existsSync(INV)) throw new Error("Missing inventory/inventory.csv");
+if (!fs.existsSync(VAULTS_JSON)) throw new Error("Missing inventory/vaults.json");
+
+const vaultMap = JSON.parse(fs.readFileSync(VAULTS_JSON, "utf8"));
+// policy.json is only read for a leftover tokenGasMap; everything else comes from tools/lib/config.js
+const policy = fs.existsSync(POLICY) ? JSON.parse(fs.readFileSync(POLICY, "utf8")) : {};
+const CONFIG = loadConfig({ root: ROOT });
+
+const ANALYSIS_DIR = path.join(ROOT, "analysis");
+fs.mkdirSync(ANALYSIS_DIR, { recursive: true });
+fs.mkdirSync(path.join(ROOT, "execute"), { recursive: true });
+
+/**
+ * Prices come from tools/lib/pricing.js (override -> basis -> provider -> cache -> stable
+ * fallback); see that module for the input files and PRICE_SOURCE / STRICT_PRICING.
+ *
+ * Thresholds (tools/lib/config.js; env overrides):
+ *   thresholds.materialWalletUsd   MATERIAL_WALLET_USD   (default 1.00)
+ *   thresholds.minUsdPerTx         MIN_USD_PER_TX        (default 0.01)
+ *   thresholds.stablecoinMinUsd    STABLECOIN_MIN_USD    (default 0.25)
+ */
+const MATERIAL_WALLET_USD = CONFIG.get("thresholds.materialWalletUsd");
+const MIN_USD_PER_TX = CONFIG.get("thresholds.minUsdPerTx");
+const STABLECOIN_MIN_USD = CONFIG.get("thresholds.stablecoinMinUsd");
+
+const CACHE_PATH = path.join(ROOT, "execute", CACHE_FILE);
+
+// Gas dependency (token -> native asset) comes from the asset registry (tools/fb_sync_assets.js).
+// A tokenGasMap left in policy.json still applies, under execute/asset_registry_overrides.json;
+// "" or null there means no gas.
+if (policy?.tokenGasMap) console.warn(`WARN: tokenGasMap in policy.json is deprecated; gas assets come from the asset registry (exceptions go in execute/${OVERRIDES_FILE})`);
+const PRICING = pricingOptionsFromEnv();
+const REGISTRY = loadAssetRegistry({ execDir: path.join(ROOT, "execute"), stableSymbols: PRICING.stableSymbols, tokenGasMap: policy?.tokenGasMap });
+// Per-gas-asset minimum reserve to consider “gas ready” (gas.minGasBalance)
+const gasReserveMin = CONFIG.get("gas.minGasBalance");
+
+function num(s) {
+  const n = Number(String(s ?? "").trim());
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Read inventory.csv
+const inv = readCsvSync(INV, { required: ["vaultId", "assetId", "available", "total"] });
+const I = {
+  v: inv.idx("vaultId"),
+  n: inv.find("vaultName"),
+  a: inv.idx("assetId"),
+  av: inv.idx("available"),
+  t: inv.idx("total"),
+  // columns may exist, but not required for this analysis:
+};
+
+const perAsset = new Map();  // assetId -> {rowCount, vaultSet, sumAvail, sumTotal, totals[]}
+const perVault = new Map();  // vaultId -> {name, hidden, assets: Map(assetId -> {avail,total}), usdKnown, usdUnknownAssets: Set}
+const assetSet = new Set();
+
+for (const row of inv.rows) {
+  const vaultId = row[I.v];
+  const vaultName = row[I.n] || (vaultMap[vaultId]?.name ?? "");
+  const assetId = row[I.a];
+  const avail = num(row[I.av]);
+  const total = num(row[I.t]);
+
+  if (!(total > 0 || avail > 0)) continue;
+
+  assetSet.add(assetId);
+
+  // per-asset aggregation
+  if (!perAsset.has(assetId)) perAsset.set(assetId, { rowCount: 0, vaultSet: new Set(), sumAvail: 0, sumTotal: 0, totals: [] });
+  const A = perAsset.get(assetId);
+  A.rowCount++;
+  A.vaultSet.add(vaultId);
+  A.sumAvail += avail;
+  A.sumTotal += total;
+  A.totals.push(total);
+
+  // per-vault aggregation
+  if (!perVault.has(vaultId)) {
+    perVault.set(vaultId, {
+      vaultId,
+      name: vaultName,
+      hiddenOnUI: vaultMap[vaultId]?.hiddenOnUI === true,
+      assets: new Map(),
+      usdKnown: 0,
+      usdUnknownAssets: new Set()
+    });
+  }
+  const V = perVault.get(vaultId);
+  V.name = V.name || vaultName;
+  const prev = V.assets.get(assetId) || { avail: 0, total: 0 };
+  V.assets.set(assetId, { avail: prev.avail + avail, total: prev.total + total });
+}
+
+function percentile(arr, p) {
+  if (!arr.length) return 0;
+  const a = Array.from(arr).sort((x, y) => x - y);
+  const idx = (a.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  if (lo === hi) return a[lo];
+  const w = idx - lo;
+  return a[lo] * (1 - w) + a[hi] * w;
+}
+
+(async () => {
+  const assets = Array.from(assetSet);
+  const pr = await resolvePrices(assets, { ...PRICING, execDir: path.join(ROOT, "execute"), registry: REGISTRY, updateCache: true });
+  if (pr.provider.error) console.error("WARN: price provider failed; using cache / fallback:", pr.provider.error);
+  const prices = pr.prices;
+
+  // Asset coverage output
+  const assetCoveragePath = path.join(ANALYSIS_DIR, "asset_coverage.csv");
+  const assetCoverage = fs.createWriteStream(assetCoveragePath, { encoding: "utf8" });
+  assetCoverage.write([
+    "assetId","vaultCount","rowCount",
+    "sumAvailable","sumTotal",
+    "priceUsd","priceUsdMethod",
+    "usdTotalKnownPrices","unknownPriceRows",
+    "medianTotal","p90Total","maxTotal"
+  ].join(",") + "\n");
+
+  // Wallet summary output
+  const walletSummaryPath = path.join(ANALYSIS_DIR, "wallet_summary.csv");
+  const walletSummary = fs.createWriteStream(walletSummaryPath, { encoding: "utf8" });
+  walletSummary.write([
+    "vaultId","vaultName","hiddenOnUI",
+    "assetCount","usdKnown","unknownAssetCount",
+    "classification","notes"
+  ].join(",") + "\n");
+
+  // Gas needs output
+  const gasNeedsPath = path.join(ANALYSIS_DIR, "wallets_needing_gas.csv");
+  const gasNeeds = fs.createWriteStream(gasNeedsPath, { encoding: "utf8" });
+  gasNeeds.write([
+    "vaultId","vaultName","hiddenOnUI",
+    "gasAsset","gasAvailable","gasReserveMin",
+    "blockedAssets","blockedUsdKnown"
+  ].join(",") + "\n");
+
+  // Compute per-asset stats
+  for (const [assetId, A] of perAsset.entries()) {
+    const price = prices[assetId];
+    const hasPrice = Number.isFinite(price);
+    const usdTotal = hasPrice ? A.sumTotal * price : 0;
+    const method = pr.provenance[assetId].source;
+    const unknownRows = hasPrice ? 0 : A.rowCount;
+
+    assetCoverage.write([
+      assetId,
+      A.vaultSet.size,
+      A.rowCount,
+      A.sumAvail,
+      A.sumTotal,
+      hasPrice ? price : "",
+      method,
+      hasPrice ? usdTotal : "",
+      unknownRows,
+      percentile(A.totals, 0.5),
+      percentile(A.totals, 0.9),
+      Math.max(...A.totals)
+    ].map(csvEscape).join(",") + "\n");
+  }
+  assetCoverage.end();
+
+  // Compute per-vault USD totals and classifications + gas needs
+  let materialWallets = 0, immaterialWallets = 0;
+  let materialUsd = 0, immaterialUsd = 0;
+  let unknownPriceWallets = 0;
+
+  for (const V of perVault.values()) {
+    let usdKnown = 0;
+    let unknown = 0;
+
+    // gas check: determine blocked assets by missing reserve
+    const blockedByGas = new Map(); // gasAsset -> [{assetId, usd}]
+    const gasAvailByAsset = new Map();
+
+    for (const [assetId, bal] of V.assets.entries()) {
+      const price = prices[assetId];
+      if (Number.isFinite(price)) usdKnown += bal.total * price;
+      else unknown++;
+
+      // Track gas balances available in wallet
+      gasAvailByAsset.set(assetId, (gasAvailByAsset.get(assetId) || 0) + bal.available);
+    }
+
+    // Identify gas-blocked assets (token whose gas asset is below reserve)
+    let blockedUsdKnown = 0;
+    for (const [assetId, bal] of V.assets.entries()) {
+      const gasAsset = REGISTRY.gasAssetFor(assetId);
+      if (!gasAsset) continue; // no gas dependency defined
+
+      const requiredReserve = Number(gasReserveMin[gasAsset] ?? 0);
+      const gasAvail = Number(gasAvailByAsset.get(gasAsset) ?? 0);
+
+      // If gas not present or under reserve, treat as blocked
+      if (gasAvail < requiredReserve) {
+        const price = prices[assetId];
+        const usd = Number.isFinite(price) ? bal.total * price : 0;
+        blockedUsdKnown += usd;
+
+        if (!blockedByGas.has(gasAsset)) blockedByGas.set(gasAsset, []);
+        blockedByGas.get(gasAsset).push({ assetId, usd });
+      }
+    }
+
+    const classification = usdKnown >= MATERIAL_WALLET_USD ? "MATERIAL" : "IMMATERIAL";
+    const notes = [];
+    if (unknown > 0) { unknownPriceWallets++; notes.push(`unknown_assets=${unknown}`); }
+    if (blockedByGas.size > 0) notes.push(`needs_gas=${blockedByGas.size}`);
+
+    walletSummary.write([
+      V.vaultId,
+      V.name || "",
+      V.hiddenOnUI ? "true" : "false",
+      V.assets.size,
+      usdKnown,
+      unknown,
+      classification,
+      notes.join(";")
+    ].map(csvEscape).join(",") + "\n");
+
+    if (classification === "MATERIAL") { materialWallets++; materialUsd += usdKnown; }
+    else { immaterialWallets++; immaterialUsd += usdKnown; }
+
+    // write gas-needs rows
+    for (const [gasAsset, items] of blockedByGas.entries()) {
+      const gasAvail = Number(gasAvailByAsset.get(gasAsset) ?? 0);
+      const reserve = Number(gasReserveMin[gasAsset] ?? 0);
+      const blockedAssets = items
+        .sort((a,b) => (b.usd - a.usd))
+        .slice(0, 25)
+        .map(x => `${x.assetId}${Number.isFinite(x.usd) && x.usd>0 ? `($${x.usd.toFixed(2)})` : ""}`)
+        .join(" | ");
+      gasNeeds.write([
+        V.vaultId,
+        V.name || "",
+        V.hiddenOnUI ? "true" : "false",
+        gasAsset,
+        gasAvail,
+        reserve,
+        blockedAssets,
+        blockedUsdKnown
+      ].map(csvEscape).join(",") + "\n");
+    }
+  }
+
+  walletSummary.end();
+  gasNeeds.end();
+
+  // High-level rollup
+  const rollupPath = path.join(ANALYSIS_DIR, "inventory_rollup.txt");
+  const rollup = [
+    "Fireblocks Inventory Rollup (Refreshed)",
+    "======================================",
+    `Inventory file: ${INV}`,
+    `Vault map:       ${VAULTS_JSON}`,
+    "",
+    `Pricing: ${describePricing(pr)}`,
+    `Asset registry: ${describeRegistry(REGISTRY)}`,
+    `Material wallet threshold (USD): ${MATERIAL_WALLET_USD}`,
+    `Per-tx floors: MIN_USD_PER_TX=${MIN_USD_PER_TX} STABLECOIN_MIN_USD=${STABLECOIN_MIN_USD}`,
+    "",
+    `Wallets with any nonzero assets: ${perVault.size}`,
+    `Material wallets (>= threshold): ${materialWallets}  (usdKnown=$${materialUsd.toFixed(2)})`,
+    `Immaterial wallets (< threshold): ${immaterialWallets} (usdKnown=$${immaterialUsd.toFixed(2)})`,
+    `Wallets containing unknown-priced assets: ${unknownPriceWallets}`,
+    "",
+    "Outputs:",
+    `- ${assetCoveragePath}`,
+    `- ${walletSummaryPath}`,
+    `- ${gasNeedsPath}`,
+    `- ${CACHE_PATH} (price cache)`
+  ].join("\n");
+  fs.writeFileSync(rollupPath, rollup);
+  console.log(rollup);
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
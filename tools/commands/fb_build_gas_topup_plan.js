@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Gas top-up plan for the wallets fb_build_move_plan.js left as NEEDS_GAS.
+ *
+ * For each (wallet, gas asset) in move_plan/needs_gas_rows.csv:
+ *   target   = gas.minGasBalance[gas] (tools/lib/config.js)
+ *              + one sweep fee per token waiting on that gas asset
+ *   top-up   = target - the wallet's available gas, rounded up to the gas asset's decimals
+ *   funded   only when the USD value of the waiting tokens exceeds
+ *              funding cost (fee of the top-up transfer) + sweep cost (fees of the token transfers)
+ *
+ * Top-ups come from the gas treasury vault (vaults.gasTreasury in fb_config.json, or
+ * GAS_TREASURY_VAULT_ID). Wallets are funded best-first until the treasury's available
+ * balance, minus its own minGasBalance, runs out.
+ *
+ * Fee per transfer, in gas-asset units: the live estimate for the transferred asset
+ * (execute/fee_snapshot.json, see tools/fb_estimate_fees.js), else execute/gas_fee_native.json,
+ * else fees.estimatedFeeUsdByGasAsset / gas price. A wallet whose top-up fee or any token's
+ * fee is unknown (feeBasis "none") is skipped as NO_FEE: with no fee there is neither a
+ * top-up size nor a cost to weigh the tokens against.
+ *
+ * Outputs:
+ *   move_plan/gas_topup_plan.csv     funded top-ups
+ *   move_plan/gas_topup_plan.jsonl   same rows in plan/plan.jsonl form (sourceVaultId, assetId,
+ *                                    destinationVaultId, amount) plus the tokens each unlocks
+ *   move_plan/gas_topup_skipped.csv  NO_FEE, NOT_WORTH, NO_GAS_PRICE, TREASURY_SHORT, ALREADY_FUNDED
+ *   move_plan/gas_topup_summary.txt
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { readCsvSync, writeCsvSync } = require("../lib/csv");
+const { loadPriceSnapshot } = require("../lib/price_snapshot");
+const { loadAssetRegistry } = require("../lib/asset_registry");
+const { createFeeModel } = require("../lib/fees");
+const { loadConfig } = require("../lib/config");
+const {
+  amountOr, addAmounts, subAmount, cmpAmount, maxAmount, roundAmount, isPositiveAmount, amountToNumber
+} = require("../lib/amount");
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const INV = path.join(ROOT, "inventory", "inventory.csv");
+const NEEDS = path.join(ROOT, "move_plan", "needs_gas_rows.csv");
+const PRICES = path.join(EXEC_DIR, "last_prices_usd.json");
+const OUTDIR = path.join(ROOT, "move_plan");
+
+for (const f of [INV, NEEDS, PRICES]) {
+  if (!fs.existsSync(f)) throw new Error(`Missing ${path.relative(ROOT, f)}. Run fb_refresh_inventory.js, fb_update_prices.js and fb_build_move_plan.js first.`);
+}
+
+const config = loadConfig({ root: ROOT });
+const prices = loadPriceSnapshot(PRICES).pricesUsdByAssetId;
+const registry = loadAssetRegistry({ execDir: EXEC_DIR });
+const fees = createFeeModel({ execDir: EXEC_DIR, registry });
+
+const TREASURY = config.get("vaults.gasTreasury");
+if (!TREASURY) throw new Error("Set vaults.gasTreasury in fb_config.json (or GAS_TREASURY_VAULT_ID)");
+
+const minGasBalance = config.get("gas.minGasBalance");
+const feeUsdByGas = config.get("fees.estimatedFeeUsdByGasAsset");
+
+function priceOf(assetId) {
+  const p = prices[assetId];
+  return typeof p === "number" && Number.isFinite(p) && p > 0 ? p : null;
+}
+
+/** Fee of one transfer of assetId, paid in gasAsset: { native, basis }; native is null when unknown. */
+function feeNative(assetId, gasAsset) {
+  const f = fees.feeNative(assetId, gasAsset);
+  if (f.native !== null) return { native: f.native, basis: f.source };
+  const usd = Number(feeUsdByGas[gasAsset]);
+  const px = priceOf(gasAsset);
+  if (Number.isFinite(usd) && usd >= 0 && px) return { native: amountOr(usd / px), basis: "estimatedFeeUsdByGasAsset" };
+  return { native: null, basis: "none" };
+}
+
+// available balance per vault|asset
+const inv = readCsvSync(INV, { required: ["vaultId", "assetId", "available"] });
+const available = new Map();
+for (const r of inv.rows) {
+  const k = `${inv.get(r, "vaultId")}|${inv.get(r, "assetId")}`;
+  available.set(k, addAmounts(available.get(k) || "0", amountOr(inv.get(r, "available"))));
+}
+const availableOf = (vaultId, assetId) => available.get(`${vaultId}|${assetId}`) || "0";
+
+// group waiting tokens by wallet + gas asset
+const needs = readCsvSync(NEEDS, { required: ["vaultId", "assetId", "amount", "usdValue", "gasAssetId"] });
+const groups = new Map();
+for (const r of needs.records()) {
+  if (!r.gasAssetId || String(r.vaultId) === TREASURY) continue;
+  const k = `${r.vaultId}|${r.gasAssetId}`;
+  if (!groups.has(k)) groups.set(k, { vaultId: String(r.vaultId), vaultName: r.vaultName || "", gasAssetId: r.gasAssetId, tokens: [], unlockedUsd: 0 });
+  const g = groups.get(k);
+  g.tokens.push(r.assetId);
+  g.unlockedUsd += Number(r.usdValue) || 0;
+}
+
+const candidates = [];
+const skipped = [];
+for (const g of groups.values()) {
+  const fee = feeNative(g.gasAssetId, g.gasAssetId);
+  const tokenFees = g.tokens.map(token => feeNative(token, g.gasAssetId));
+  const feeKnown = [fee, ...tokenFees].every(f => f.native !== null);
+  const current = availableOf(g.vaultId, g.gasAssetId);
+  const minGas = amountOr(minGasBalance[g.gasAssetId] ?? 0);
+  const sweepFees = feeKnown ? tokenFees.reduce((sum, f) => addAmounts(sum, f.native), "0") : "0";
+  const bases = new Set([fee, ...tokenFees].map(f => f.basis));
+  const target = addAmounts(minGas, sweepFees);
+  let topUp = maxAmount("0", subAmount(target, current));
+  const decimals = registry.decimalsOf(g.gasAssetId);
+  if (decimals !== undefined) topUp = roundAmount(topUp, decimals, "up");
+
+  const px = priceOf(g.gasAssetId);
+  const row = {
+    sourceVaultId: TREASURY,
+    vaultId: g.vaultId,
+    vaultName: g.vaultName,
+    gasAssetId: g.gasAssetId,
+    currentGas: current,
+    targetGas: target,
+    amount: topUp,
+    tokensWaiting: g.tokens.length,
+    tokens: g.tokens.join("|"),
+    unlockedUsd: g.unlockedUsd,
+    fundingCostUsd: px && feeKnown ? amountToNumber(fee.native) * px : null,
+    sweepCostUsd: px && feeKnown ? amountToNumber(sweepFees) * px : null,
+    feeBasis: [...bases].join("|"),
+    netUsd: null,
+    reason: ""
+  };
+
+  if (!feeKnown) {
+    skipped.push({ ...row, amount: "", targetGas: "", reason: "NO_FEE" });
+    continue;
+  }
+  if (!isPositiveAmount(topUp)) { skipped.push({ ...row, reason: "ALREADY_FUNDED" }); continue; }
+  if (!px) { skipped.push({ ...row, reason: "NO_GAS_PRICE" }); continue; }
+  row.netUsd = row.unlockedUsd - row.fundingCostUsd - row.sweepCostUsd;
+  if (!(row.netUsd > 0)) { skipped.push({ ...row, reason: "NOT_WORTH" }); continue; }
+  candidates.push(row);
+}
+
+// Fund best-first while the treasury lasts (it keeps its own minimum and pays the transfer fee).
+candidates.sort((a, b) => (b.netUsd - a.netUsd) || a.vaultId.localeCompare(b.vaultId));
+const treasuryLeft = new Map();
+const funded = [];
+for (const row of candidates) {
+  const gas = row.gasAssetId;
+  if (!treasuryLeft.has(gas)) {
+    treasuryLeft.set(gas, maxAmount("0", subAmount(availableOf(TREASURY, gas), amountOr(minGasBalance[gas] ?? 0))));
+  }
+  const cost = addAmounts(row.amount, feeNative(gas, gas).native);
+  if (cmpAmount(treasuryLeft.get(gas), cost) < 0) { skipped.push({ ...row, reason: "TREASURY_SHORT" }); continue; }
+  treasuryLeft.set(gas, subAmount(treasuryLeft.get(gas), cost));
+  funded.push(row);
+}
+
+fs.mkdirSync(OUTDIR, { recursive: true });
+const header = [
+  "sourceVaultId", "vaultId", "vaultName", "gasAssetId", "amount", "currentGas", "targetGas",
+  "tokensWaiting", "tokens", "unlockedUsd", "fundingCostUsd", "sweepCostUsd", "netUsd", "feeBasis"
+];
+writeCsvSync(path.join(OUTDIR, "gas_topup_plan.csv"), header, funded);
+writeCsvSync(path.join(OUTDIR, "gas_topup_skipped.csv"), [...header, "reason"], skipped);
+fs.writeFileSync(path.join(OUTDIR, "gas_topup_plan.jsonl"), funded.map(r => JSON.stringify({
+  kind: "gas_topup",
+  sourceVaultId: TREASURY,
+  assetId: r.gasAssetId,
+  destinationVaultId: r.vaultId,
+  amount: r.amount,
+  unlocks: r.tokens.split("|")
+}) + "\n").join(""));
+
+const byReason = (name) => skipped.filter(r => r.reason === name).length;
+const sumUsd = (rows, k) => rows.reduce((s, r) => s + (Number(r[k]) || 0), 0);
+const totalsByGas = new Map();
+for (const r of funded) totalsByGas.set(r.gasAssetId, addAmounts(totalsByGas.get(r.gasAssetId) || "0", r.amount));
+
+fs.writeFileSync(path.join(OUTDIR, "gas_topup_summary.txt"),
+`Gas Top-up Plan
+===============
+Treasury vault: ${TREASURY}
+Wallet/gas pairs needing gas: ${groups.size}
+
+Funded: ${funded.length}
+Token value unlocked (USD): $${sumUsd(funded, "unlockedUsd").toFixed(2)}
+Funding + sweep cost (USD): $${(sumUsd(funded, "fundingCostUsd") + sumUsd(funded, "sweepCostUsd")).toFixed(2)}
+Gas sent from treasury: ${[...totalsByGas].map(([g, a]) => `${a} ${g}`).join(", ") || "(none)"}
+
+Skipped, no fee known: ${byReason("NO_FEE")}
+Skipped, not worth funding: ${byReason("NOT_WORTH")}
+Skipped, no gas price: ${byReason("NO_GAS_PRICE")}
+Skipped, treasury short: ${byReason("TREASURY_SHORT")}
+Skipped, already funded: ${byReason("ALREADY_FUNDED")}
+`);
+
+console.log("✅ Gas top-up plan generated:");
+console.log(`- ${OUTDIR}/gas_topup_summary.txt`);
+console.log(`- ${OUTDIR}/gas_topup_plan.csv (${funded.length} top-ups)`);
+console.log(`- ${OUTDIR}/gas_topup_plan.jsonl`);
+console.log(`- ${OUTDIR}/gas_topup_skipped.csv (${skipped.length})`);
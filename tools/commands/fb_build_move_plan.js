@@ -0,0 +1,374 @@
+const fs = require("fs");
+
+const { readCsvSync, writeCsvSync } = require("../lib/csv");
+const { loadPriceSnapshot } = require("../lib/price_snapshot");
+const {
+  amountOr, subAmount, cmpAmount, maxAmount, roundAmount, isPositiveAmount, amountToNumber
+} = require("../lib/amount");
+const { loadAssetRegistry, checkGasCoverage, OVERRIDES_FILE } = require("../lib/asset_registry");
+const { createFeeModel, describeFees } = require("../lib/fees");
+const { loadRouter, describeRouting } = require("../lib/routing");
+const { loadDestinations } = require("../lib/destinations");
+const { loadConfig } = require("../lib/config");
+const { TRACE_FILES, createTrace } = require("../lib/decision_trace");
+const { feeVsValue } = require("../lib/transfer_rules");
+
+const INV = "inventory/inventory.csv";
+const VAULTS = "inventory/vaults.json";
+const PRICES = "execute/last_prices_usd.json";
+const POLICY = "execute/gas_policy.json";
+
+if (![INV, VAULTS, PRICES].every(fs.existsSync)) {
+  throw new Error("Missing required files. Need inventory/inventory.csv, inventory/vaults.json, execute/last_prices_usd.json");
+}
+
+const vaultMap = JSON.parse(fs.readFileSync(VAULTS, "utf8"));
+const prices = loadPriceSnapshot(PRICES).pricesUsdByAssetId;
+// Policy from fb_config.json (tools/lib/config.js); gas_policy.json is still read for tokenGasMap.
+const config = loadConfig();
+const policy = fs.existsSync(POLICY) ? JSON.parse(fs.readFileSync(POLICY, "utf8")) : {};
+
+const OUTDIR = "move_plan";
+fs.mkdirSync(OUTDIR, { recursive: true });
+
+const skipVaults = new Set(config.get("vaults.skip"));
+const consolidationVaults = new Set(config.get("vaults.consolidation"));
+const destVaultId = config.get("vaults.destination");
+
+const minGasBalance = config.get("gas.minGasBalance");
+const minTxAmountByAsset = config.get("plan.minTxAmountByAsset");
+const retainMinByAsset = config.get("reserves.retainMinByAsset");
+
+const MATERIAL_WALLET_USD = config.get("thresholds.materialWalletUsd");
+const MIN_USD_NON_STABLE = config.get("thresholds.minUsdPerTx");
+const MIN_USD_STABLE = config.get("thresholds.stablecoinMinUsd");
+const SINGLE_ASSET_MOVE_ANYWAY = config.get("plan.singleAssetWalletMoveAnyway");
+
+// Stablecoins, gas assets and decimals come from the asset registry (tools/fb_sync_assets.js).
+// A tokenGasMap left in gas_policy.json still applies, under execute/asset_registry_overrides.json.
+if (policy.tokenGasMap) console.warn(`WARN: tokenGasMap in ${POLICY} is deprecated; gas assets come from the asset registry (exceptions go in execute/${OVERRIDES_FILE})`);
+const registry = loadAssetRegistry({
+  execDir: "execute",
+  stableSymbols: config.get("assets.stablecoinSymbols"),
+  tokenGasMap: policy.tokenGasMap
+});
+const isStable = registry.isStable;
+// Fees: live estimates (tools/fb_estimate_fees.js), else gas_fee_native.json, else fees.estimatedFeeUsdByGasAsset.
+const fees = createFeeModel({ execDir: "execute", registry });
+// Destination per row from execute/routing_rules.json; vaults.destination is the default route.
+const approved = loadDestinations({ execDir: "execute", registry });
+const router = loadRouter({ execDir: "execute", registry, defaultDestinationVaultId: destVaultId, approved });
+const destVaults = new Set(router.destinations());
+// Balances, retains and minimums stay decimal strings (tools/lib/amount.js); Number is for USD only.
+function amt(x){
+  return amountOr(x, "0");
+}
+
+const inv = readCsvSync(INV, { required: ["vaultId","vaultName","assetId","available","total"] });
+const idx = Object.fromEntries(inv.header.map((h,i)=>[h,i]));
+
+const wallets = new Map(); // vaultId -> {vaultId,name,hidden,assets,totalUsd}
+for (const r of inv.rows){
+  const vaultId = String(r[idx.vaultId] || "");
+  if (!vaultId) continue;
+
+  const assetId = String(r[idx.assetId] || "");
+  if (!assetId) continue;
+
+  const total = amt(r[idx.total]);
+  const avail = amt(r[idx.available]);
+  if (!(isPositiveAmount(total) || isPositiveAmount(avail))) continue;
+
+  const px = prices[assetId];
+  const usd = (typeof px === "number" && Number.isFinite(px)) ? amountToNumber(total) * px : 0;
+
+  if (!wallets.has(vaultId)) {
+    wallets.set(vaultId, {
+      vaultId,
+      vaultName: String(r[idx.vaultName] || (vaultMap[vaultId]?.name ?? "")),
+      hiddenOnUI: Boolean(vaultMap[vaultId]?.hiddenOnUI === true),
+      assets: [],
+      totalUsd: 0
+    });
+  }
+  const w = wallets.get(vaultId);
+  w.assets.push({assetId, total, avail, usd});
+  w.totalUsd += usd;
+}
+
+// refuses with an unsynced registry: its tokens would be planned as needing no gas
+const coverage = checkGasCoverage(registry, [...wallets.values()].flatMap(w => w.assets.filter(a => isPositiveAmount(a.avail)).map(a => a.assetId)), {
+  allowUnsynced: config.get("assets.allowUnsyncedRegistry")
+});
+if (coverage.message) console.warn(`WARN: ${coverage.message}`);
+
+function gasForWallet(w, gasAsset){
+  const min = amt(minGasBalance[gasAsset] ?? 0);
+  const gasRow = w.assets.find(a => a.assetId === gasAsset);
+  const available = gasRow ? gasRow.avail : "0";
+  return { ready: cmpAmount(available, min) >= 0, available, min };
+}
+
+function getGasAsset(assetId){
+  return registry.gasAssetFor(assetId);
+}
+
+const materialWallets = [];
+const moveRows = [];
+const needsGasRows = [];
+const skippedFeeGtValue = [];
+const skippedMinTx = [];
+const skippedRetainAll = [];
+
+// One decision_trace.jsonl entry per (vault, asset): every rule below with its inputs.
+const trace = createTrace("move");
+const usdText = (n) => `$${Number(n).toFixed(2)}`;
+// override: the check failed but singleAssetWalletMoveAnyway lets the row through
+const verdict = (ok, override) => (ok ? "pass" : override ? "waived" : "fail");
+
+for (const w of wallets.values()){
+  const skipWhy = skipVaults.has(w.vaultId) ? ["SKIP_VAULT", "in vaults.skip"]
+    : consolidationVaults.has(w.vaultId) ? ["CONSOLIDATION_VAULT", "in vaults.consolidation"]
+    : destVaults.has(w.vaultId) ? ["DESTINATION_VAULT", "a destination vault"] : null;
+  const material = w.totalUsd >= MATERIAL_WALLET_USD;
+  if (skipWhy || !material){
+    for (const a of w.assets){
+      if (!isPositiveAmount(a.avail)) continue;
+      const t = trace.begin({ vaultId: w.vaultId, vaultName: w.vaultName, assetId: a.assetId, available: a.avail });
+      t.check("skip_list", skipWhy ? "fail" : "pass", { note: skipWhy ? skipWhy[1] : "not in vaults.skip or vaults.consolidation, not a destination" });
+      if (skipWhy) { t.decide("SKIPPED", skipWhy[0]); continue; }
+      t.check("material_wallet", "fail", {
+        walletUsd: w.totalUsd, materialWalletUsd: MATERIAL_WALLET_USD,
+        note: `wallet ${usdText(w.totalUsd)} < ${usdText(MATERIAL_WALLET_USD)} (thresholds.materialWalletUsd)`
+      });
+      t.decide("SKIPPED", "BELOW_MATERIAL_WALLET");
+    }
+    continue;
+  }
+
+  materialWallets.push({
+    vaultId: w.vaultId,
+    vaultName: w.vaultName,
+    hiddenOnUI: w.hiddenOnUI,
+    totalUsdValue: w.totalUsd
+  });
+
+  const singleAsset = w.assets.length === 1;
+
+  for (const a of w.assets){
+    const stable = isStable(a.assetId);
+    const minUsd = stable ? MIN_USD_STABLE : MIN_USD_NON_STABLE;
+    const override = SINGLE_ASSET_MOVE_ANYWAY && singleAsset;
+
+    const px = prices[a.assetId];
+    const priceKnown = (typeof px === "number" && Number.isFinite(px));
+
+    const t = isPositiveAmount(a.avail) ? trace.begin({ vaultId: w.vaultId, vaultName: w.vaultName, assetId: a.assetId, available: a.avail }) : null;
+    t?.check("skip_list", "pass", { note: "not in vaults.skip or vaults.consolidation, not a destination" });
+    t?.check("material_wallet", "pass", {
+      walletUsd: w.totalUsd, materialWalletUsd: MATERIAL_WALLET_USD,
+      note: `wallet ${usdText(w.totalUsd)} >= ${usdText(MATERIAL_WALLET_USD)} (thresholds.materialWalletUsd)`
+    });
+
+    // retain logic
+    const retain = amt(retainMinByAsset[a.assetId] ?? 0);
+    let sendable = maxAmount("0", subAmount(a.avail, retain));
+    const decimals = registry.decimalsOf(a.assetId);
+    if (decimals !== undefined) sendable = roundAmount(sendable, decimals);
+    t?.check("retain_min", isPositiveAmount(sendable) ? "pass" : "fail", {
+      available: a.avail, retain, sendable, decimals: decimals ?? null,
+      note: isPositiveAmount(sendable) ? `${a.avail} - ${retain} = ${sendable} (reserves.retainMinByAsset)` : `retain ${retain} takes all of ${a.avail}`
+    });
+
+    if (!isPositiveAmount(sendable)){
+      skippedRetainAll.push({
+        vaultId:w.vaultId, vaultName:w.vaultName, assetId:a.assetId,
+        available:a.avail, retain, reason:"RETAIN_ALL"
+      });
+      t?.decide("SKIPPED", "RETAIN_ALL", { amount: sendable });
+      continue;
+    }
+
+    // chain min tx amount logic
+    const minTx = amt(minTxAmountByAsset[a.assetId] ?? 0);
+    const aboveMinTx = !isPositiveAmount(minTx) || cmpAmount(sendable, minTx) >= 0;
+    t?.check("chain_min", verdict(aboveMinTx, override), {
+      amount: sendable, minTx, singleAssetWallet: singleAsset,
+      note: !isPositiveAmount(minTx) ? "no plan.minTxAmountByAsset entry" : `${sendable} ${aboveMinTx ? ">=" : "<"} ${minTx} (plan.minTxAmountByAsset)`
+    });
+    if (!aboveMinTx && !override){
+      skippedMinTx.push({
+        vaultId:w.vaultId, vaultName:w.vaultName, assetId:a.assetId,
+        sendable, minTx, reason:"BELOW_CHAIN_MIN_TX"
+      });
+      t?.decide("SKIPPED", "BELOW_CHAIN_MIN_TX", { amount: sendable });
+      continue;
+    }
+
+    // USD value for the *sendable* portion (not total)
+    const usdVal = priceKnown ? (amountToNumber(sendable) * px) : 0;
+
+    // gas requirement
+    const gasAsset = getGasAsset(a.assetId);
+    const requiresGas = Boolean(gasAsset);
+    const gas = requiresGas ? gasForWallet(w, gasAsset) : null;
+    const readyGas = gas ? gas.ready : true;
+    const fee = requiresGas ? fees.feeUsd(a.assetId, id => prices[id], gasAsset) : null;
+    const feeUsd = fee?.usd ?? 0;
+    const routed = router.route({ vaultId: w.vaultId, vaultName: w.vaultName, assetId: a.assetId, usd: priceKnown ? usdVal : null });
+
+    // eligibility rules, in order; the first failure is the reason
+    let eligible = true;
+    let reason = "";
+    const fail = (r) => { eligible = false; reason = r; };
+    const minUsdKey = stable ? "thresholds.stablecoinMinUsd" : "thresholds.minUsdPerTx";
+
+    t?.check("price", priceKnown ? "pass" : "fail", { priceUsd: priceKnown ? px : null, note: priceKnown ? `$${px} (${PRICES})` : `no price in ${PRICES}` });
+    if (!priceKnown) fail("UNKNOWN_PRICE");
+    if (eligible) {
+      t?.check("usd_min", verdict(usdVal >= minUsd, override), {
+        usdValue: usdVal, minUsd, stable, singleAssetWallet: singleAsset,
+        note: `${usdText(usdVal)} ${usdVal >= minUsd ? ">=" : "<"} ${usdText(minUsd)} (${minUsdKey})`
+      });
+      if (usdVal < minUsd && !override) fail("BELOW_MIN_USD");
+    }
+    if (eligible && requiresGas) {
+      // an unknown fee holds nothing back (the plan trace says "none" for it too)
+      const feeCheck = feeVsValue(fee.usd, usdVal);
+      t?.check("fee_vs_value", feeCheck === "unknown" ? "none" : verdict(feeCheck === "pass", override), {
+        feeUsd: fee.usd, feeSource: fee.source, usdValue: usdVal, gasAssetId: gasAsset, singleAssetWallet: singleAsset,
+        note: feeCheck === "unknown" ? `fee unknown (fee source ${fee.source})`
+          : `fee ${usdText(feeUsd)} ${feeCheck === "pass" ? "<=" : ">"} value ${usdText(usdVal)} (fee source ${fee.source})`
+      });
+      if (feeCheck === "fail" && !override) fail("FEE_GT_VALUE");
+    }
+    if (eligible && requiresGas) {
+      t?.check("gas_ready", readyGas ? "pass" : "fail", {
+        gasAssetId: gasAsset, gasAvailable: gas.available, minGasBalance: gas.min,
+        note: `${gasAsset} ${gas.available} ${readyGas ? ">=" : "<"} ${gas.min} (gas.minGasBalance)`
+      });
+      if (!readyGas) fail("NEEDS_GAS");
+    }
+    if (t) {
+      const to = eligible || reason === "NEEDS_GAS" ? { destinationVaultId: routed.destinationVaultId, destination: routed.destination, route: routed.route } : {};
+      t.decide(eligible ? "PLANNED" : reason === "NEEDS_GAS" ? "NEEDS_GAS" : "SKIPPED", reason, { amount: sendable, usdValue: usdVal, ...to });
+    }
+
+    const row = {
+      vaultId: w.vaultId,
+      vaultName: w.vaultName,
+      hiddenOnUI: w.hiddenOnUI,
+      assetId: a.assetId,
+      amount: sendable,
+      usdValue: usdVal,
+      destinationVaultId: routed.destinationVaultId,
+      destination: routed.destination,
+      route: routed.route,
+      requiresGas,
+      gasAssetId: requiresGas ? gasAsset : "",
+      gasReady: readyGas,
+      estimatedFeeUsd: feeUsd,
+      feeSource: fee ? fee.source : "",
+      retainMinApplied: retain,
+      minTxAmountApplied: minTx,
+      singleAssetWallet: singleAsset,
+      eligible,
+      ineligibleReason: reason
+    };
+
+    if (eligible) moveRows.push(row);
+    else if (reason === "NEEDS_GAS") needsGasRows.push(row);
+    else if (reason === "FEE_GT_VALUE") skippedFeeGtValue.push(row);
+  }
+}
+
+moveRows.sort((a,b)=> (b.usdValue - a.usdValue) || (String(a.vaultId).localeCompare(String(b.vaultId))) );
+
+function writeCsv(file, rows, header){
+  writeCsvSync(file, header, rows);
+}
+
+writeCsv(`${OUTDIR}/material_wallets.csv`, materialWallets, ["vaultId","vaultName","hiddenOnUI","totalUsdValue"]);
+
+writeCsv(`${OUTDIR}/move_plan.csv`, moveRows, [
+  "vaultId","vaultName","hiddenOnUI","assetId","amount","usdValue",
+  "destinationVaultId","destination","route","requiresGas","gasAssetId","gasReady","estimatedFeeUsd","feeSource",
+  "retainMinApplied","minTxAmountApplied","singleAssetWallet"
+]);
+
+const walletGasNeed = new Map();
+for (const r of needsGasRows){
+  if (!walletGasNeed.has(r.vaultId)){
+    walletGasNeed.set(r.vaultId, {vaultId:r.vaultId, vaultName:r.vaultName, hiddenOnUI:r.hiddenOnUI, gas:new Set()});
+  }
+  if (r.gasAssetId) walletGasNeed.get(r.vaultId).gas.add(r.gasAssetId);
+}
+const needsGasWallets = [...walletGasNeed.values()].map(x=>({
+  vaultId:x.vaultId,
+  vaultName:x.vaultName,
+  hiddenOnUI:x.hiddenOnUI,
+  gasAssetsNeeded:[...x.gas].join("|")
+}));
+needsGasWallets.sort((a,b)=> a.gasAssetsNeeded.localeCompare(b.gasAssetsNeeded) || (Number(a.vaultId)-Number(b.vaultId)));
+
+writeCsv(`${OUTDIR}/needs_gas_wallets.csv`, needsGasWallets, ["vaultId","vaultName","hiddenOnUI","gasAssetsNeeded"]);
+
+// Per-token detail for fb_build_gas_topup_plan.js
+writeCsv(`${OUTDIR}/needs_gas_rows.csv`, needsGasRows, [
+  "vaultId","vaultName","hiddenOnUI","assetId","amount","usdValue","gasAssetId","estimatedFeeUsd","feeSource"
+]);
+
+writeCsv(`${OUTDIR}/skip_fee_gt_value.csv`, skippedFeeGtValue.sort((a,b)=>b.usdValue-a.usdValue), [
+  "vaultId","vaultName","assetId","amount","usdValue","gasAssetId","estimatedFeeUsd","feeSource","retainMinApplied","minTxAmountApplied","singleAssetWallet"
+]);
+
+writeCsv(`${OUTDIR}/skip_below_chain_min_tx.csv`, skippedMinTx, [
+  "vaultId","vaultName","assetId","sendable","minTx","reason"
+]);
+
+writeCsv(`${OUTDIR}/skip_retain_all.csv`, skippedRetainAll, [
+  "vaultId","vaultName","assetId","available","retain","reason"
+]);
+
+trace.write(TRACE_FILES.move);
+
+const totalMoveUsd = moveRows.reduce((s,r)=>s+Number(r.usdValue||0),0);
+const totalMaterialUsd = materialWallets.reduce((s,r)=>s+Number(r.totalUsdValue||0),0);
+
+fs.writeFileSync(`${OUTDIR}/summary.txt`,
+`Move Plan Summary (with chain minimums + retain minimums)
+=========================================================
+Material wallets (>= $${MATERIAL_WALLET_USD}): ${materialWallets.length}
+Material USD total (known prices): $${totalMaterialUsd.toFixed(2)}
+
+Eligible transfers (ready now): ${moveRows.length}
+Eligible USD total (known prices): $${totalMoveUsd.toFixed(2)}
+
+Wallets needing gas (material): ${needsGasWallets.length}
+Skipped because fee > value: ${skippedFeeGtValue.length}
+Skipped because below chain min tx: ${skippedMinTx.length}
+Skipped because retain consumes all available: ${skippedRetainAll.length}
+Skipped because the price is unknown or below the USD minimum: ${trace.entries.filter(e => e.reason === "UNKNOWN_PRICE" || e.reason === "BELOW_MIN_USD").length}
+Decision trace: ${TRACE_FILES.move} (${trace.entries.length} vault/asset entries)
+
+Fees: ${describeFees(fees)}
+Routing: ${describeRouting(router)}
+Unknown to the asset registry (planned as needing no gas): ${coverage.unknown.join(", ") || "(none)"}
+Skipped vaults: ${[...skipVaults, ...consolidationVaults].join(", ")}
+Outputs:
+- ${OUTDIR}/move_plan.csv
+- ${OUTDIR}/needs_gas_wallets.csv
+- ${OUTDIR}/needs_gas_rows.csv
+- ${OUTDIR}/skip_fee_gt_value.csv
+- ${OUTDIR}/skip_below_chain_min_tx.csv
+- ${OUTDIR}/skip_retain_all.csv
+- ${TRACE_FILES.move}
+`);
+
+console.log("✅ move_plan generated with minimums/retain:");
+console.log(`- ${OUTDIR}/summary.txt`);
+console.log(`- ${OUTDIR}/move_plan.csv`);
+console.log(`- ${OUTDIR}/needs_gas_wallets.csv`);
+console.log(`- ${OUTDIR}/skip_below_chain_min_tx.csv`);
+console.log(`- ${OUTDIR}/skip_retain_all.csv`);
+console.log(`- ${TRACE_FILES.move} (${trace.entries.length}); why a vault/asset was not planned: node tools/fb_explain_decisions.js`);
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Build plan/plan.csv and plan/plan.jsonl from inventory/inventory.csv.
+ *
+ * One row per (source vault, asset) with a positive available balance, moving it to the
+ * vault execute/routing_rules.json picks (tools/lib/routing.js; destinationVaultId when
+ * there are no rules), or to the approved external destination it names (tools/lib/destinations.js), less the reserve tools/lib/planner.js works out (leave_1, retain_min,
+ * gas_reserve, fee). Rows carry requiresGas / gasAssetId / gasReady from the asset registry
+ * and fee model, which is what fireblocks_analysis*.js, re_eval.js,
+ * analysis_material_immaterial.js, fb_receivership_report.js, generate_min_by_asset.js and
+ * fb_execute_plan_all.js read. No USD filtering happens here: the analyses apply their own
+ * thresholds to the plan.
+ *
+ * USD values (and value-band routes) use execute/last_prices_usd.json when present.
+ *
+ * Policy: fb_config.json through tools/lib/config.js (vaults.destination, vaults.skip, vaults.consolidation,
+ * gas.minGasBalance, reserves.*, plan.minTxAmountByAsset); `node tools/fb.js config explain`
+ * shows the effective values.
+ *
+ * Env:
+ *   DEST_VAULT_ID=94797   overrides vaults.destination (the default route)
+ *   SKIP_VAULTS="a,b"     overrides vaults.skip
+ *
+ * Output: plan/plan.csv, plan/plan.jsonl, plan/plan_skipped.csv, plan/plan_summary.txt,
+ *         plan/decision_trace.jsonl (every rule checked per vault/asset; query it with
+ *         fb_explain_decisions.js)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { readCsvSync, writeCsvSync } = require("../lib/csv");
+const { loadAssetRegistry, checkGasCoverage, describeRegistry } = require("../lib/asset_registry");
+const { amountOr, isPositiveAmount } = require("../lib/amount");
+const { createFeeModel, describeFees } = require("../lib/fees");
+const { loadRouter, describeRouting } = require("../lib/routing");
+const { loadDestinations, describeDestinations } = require("../lib/destinations");
+const { loadPriceSnapshot } = require("../lib/price_snapshot");
+const { PLAN_COLUMNS, SKIPPED_COLUMNS, planPolicyFromFiles, buildPlan, planJsonLine } = require("../lib/planner");
+const { TRACE_FILES, createTrace } = require("../lib/decision_trace");
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const INV = path.join(ROOT, "inventory", "inventory.csv");
+const PRICES = path.join(EXEC_DIR, "last_prices_usd.json");
+const OUT_DIR = path.join(ROOT, "plan");
+
+if (!fs.existsSync(INV)) throw new Error("Missing inventory/inventory.csv. Run fb_refresh_inventory.js first.");
+
+const policy = planPolicyFromFiles(ROOT);
+
+const registry = loadAssetRegistry({ execDir: EXEC_DIR, tokenGasMap: policy.tokenGasMap });
+const fees = createFeeModel({ execDir: EXEC_DIR, registry });
+const approved = loadDestinations({ execDir: EXEC_DIR, registry });
+const router = loadRouter({ execDir: EXEC_DIR, registry, defaultDestinationVaultId: policy.destinationVaultId, approved });
+const prices = fs.existsSync(PRICES) ? loadPriceSnapshot(PRICES).pricesUsdByAssetId : {};
+const priceOf = (assetId) => (typeof prices[assetId] === "number" && Number.isFinite(prices[assetId]) ? prices[assetId] : null);
+
+const inv = readCsvSync(INV, { required: ["vaultId", "assetId", "available"] });
+const balances = inv.records();
+// refuses with an unsynced registry: its tokens would be planned as needing no gas
+const coverage = checkGasCoverage(registry, balances.filter(b => isPositiveAmount(amountOr(b.available))).map(b => b.assetId), {
+  allowUnsynced: policy.allowUnsyncedRegistry
+});
+if (coverage.message) console.warn(`WARN: ${coverage.message}`);
+const trace = createTrace("plan");
+const { rows, skipped } = buildPlan({ balances, registry, fees, policy, router, priceOf, trace });
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+writeCsvSync(path.join(OUT_DIR, "plan.csv"), PLAN_COLUMNS, rows);
+fs.writeFileSync(path.join(OUT_DIR, "plan.jsonl"), rows.map(r => planJsonLine(r) + "\n").join(""));
+writeCsvSync(path.join(OUT_DIR, "plan_skipped.csv"), SKIPPED_COLUMNS, skipped);
+trace.write(path.join(ROOT, TRACE_FILES.plan));
+
+const count = (list, pred) => list.filter(pred).length;
+const rules = new Map();
+for (const r of rows) for (const rule of r.reserveRule.split("+")) rules.set(rule, (rules.get(rule) || 0) + 1);
+const routes = new Map();
+for (const r of rows) {
+  const k = `${r.route} -> ${r.destination || r.destinationVaultId}`;
+  if (!routes.has(k)) routes.set(k, { rows: 0, usd: 0 });
+  routes.get(k).rows++;
+  routes.get(k).usd += Number(r.usdValue) || 0;
+}
+
+fs.writeFileSync(path.join(OUT_DIR, "plan_summary.txt"),
+`Plan Summary
+============
+Routing: ${describeRouting(router)}
+Approved destinations: ${describeDestinations(approved)}
+Skipped source vaults: ${[...new Set([...policy.skipVaultIds, ...policy.consolidationVaultIds, ...router.destinations()])].join(", ")}
+Asset registry: ${describeRegistry(registry)}${coverage.unknown.length ? ` (unknown, planned as needing no gas: ${coverage.unknown.join(", ")})` : ""}
+Fees: ${describeFees(fees)}
+
+Rows: ${rows.length}
+Source wallets: ${new Set(rows.map(r => r.sourceVaultId)).size}
+Assets: ${new Set(rows.map(r => r.assetId)).size}
+Requires gas: ${count(rows, r => r.requiresGas)} (gas ready: ${count(rows, r => r.requiresGas && r.gasReady)})
+Reserve rules: ${[...rules].sort().map(([k, n]) => `${k}=${n}`).join(" ")}
+
+Routes (rows, USD at known prices):
+${[...routes].map(([k, v]) => `- ${k}: ${v.rows} rows, $${v.usd.toFixed(2)}`).join("\n") || "- (none)"}
+
+Not planned, reserve takes everything: ${count(skipped, r => r.reason === "RESERVE_ALL")}
+Not planned, below chain min tx: ${count(skipped, r => r.reason === "BELOW_CHAIN_MIN_TX")}
+Not planned, skipped, consolidation or destination vault: ${count(trace.entries, e => ["SKIP_VAULT", "CONSOLIDATION_VAULT", "DESTINATION_VAULT"].includes(e.reason))}
+Decision trace: ${TRACE_FILES.plan} (${trace.entries.length} vault/asset entries)
+`);
+
+console.log("✅ Plan generated:");
+console.log(`- ${OUT_DIR}/plan.csv (${rows.length} rows)`);
+console.log(`- ${OUT_DIR}/plan.jsonl`);
+console.log(`- ${OUT_DIR}/plan_skipped.csv (${skipped.length})`);
+console.log(`- ${OUT_DIR}/plan_summary.txt`);
+console.log(`- ${TRACE_FILES.plan} (${trace.entries.length})`);
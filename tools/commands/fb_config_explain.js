@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Print every policy setting with its effective value and where it came from
+ * (--set, env, fb_config.json, a legacy policy file, or the schema default).
+ *
+ * Env:
+ *   CONFIG_KEY=gas.minGasBalance   only keys starting with this
+ *
+ * Exits 1 with the ConfigError message when a value does not validate.
+ */
+
+const { loadConfig, ConfigError, CONFIG_FILE } = require("../lib/config");
+
+const PREFIX = String(process.env.CONFIG_KEY || "").trim();
+
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  if (!(e instanceof ConfigError)) throw e;
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const rows = config.explain().filter(r => !PREFIX || r.key === PREFIX || r.key.startsWith(PREFIX + "."));
+if (!rows.length) {
+  console.error(`No config key matches ${PREFIX}. Keys: ${config.keys.join(", ")}`);
+  process.exit(1);
+}
+
+const fmt = (v) => (typeof v === "string" ? v : JSON.stringify(v));
+const keyWidth = Math.max(...rows.map(r => r.key.length));
+const valueWidth = Math.min(40, Math.max(...rows.map(r => fmt(r.value).length)));
+
+console.log(`Config file: ${config.file || `none (${CONFIG_FILE} not found; defaults, legacy files and env only)`}`);
+console.log("");
+for (const r of rows) console.log(`${r.key.padEnd(keyWidth)}  ${fmt(r.value).padEnd(valueWidth)}  ${r.source}`);
+
+const legacy = [...new Set(rows.filter(r => /\.json /.test(r.source)).map(r => r.source.split(" ")[0]))];
+if (legacy.length) {
+  console.log("");
+  console.log(`Legacy files still in use: ${legacy.join(", ")}. Move these settings into ${CONFIG_FILE}.`);
+}
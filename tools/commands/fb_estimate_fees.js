@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Live network fee estimates, one representative transfer per asset.
+ *
+ * For every asset in inventory/inventory.csv with an available balance, picks the vault
+ * holding the most of it and asks POST /v1/transactions/estimate_fee what sending that
+ * balance to the consolidation vault would cost at LOW / MEDIUM / HIGH. The answers go to
+ * execute/fee_snapshot.json (and a dated copy under execute/fee_history/), which
+ * tools/lib/fees.js serves to the planners and reports. Assets whose estimate fails are
+ * listed under "errors" and fall back to the static gas_fee_native.json /
+ * fees.estimatedFeeUsdByGasAsset tables.
+ *
+ * Env:
+ *   FEE_DEST_VAULT_ID=94797   destination of the sample transfer (default: vaults.destination,
+ *                             tools/lib/config.js)
+ *   ASSETS=USDC,ETH           only estimate these assets
+ *
+ * Output: execute/fee_snapshot.json, execute/fee_history/fee_snapshot_<asOf>.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { clientFromEnv, describeError } = require("../lib/fb_client");
+const { readCsvSync } = require("../lib/csv");
+const { loadAssetRegistry } = require("../lib/asset_registry");
+const { networkFeesFromEstimate, writeFeeSnapshot } = require("../lib/fees");
+const { amountOr, cmpAmount, isPositiveAmount } = require("../lib/amount");
+const { loadConfig } = require("../lib/config");
+
+const fb = clientFromEnv({
+  onAttempt: (a) => {
+    if (a.ok) return;
+    console.error(`retry: ${a.method} ${a.uri} attempt=${a.attempt} ${a.error.slice(0, 200)}${a.willRetry ? ` (waiting ${a.delayMs}ms)` : " (giving up)"}`);
+  }
+});
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const INV = path.join(ROOT, "inventory", "inventory.csv");
+
+if (!fs.existsSync(INV)) throw new Error("Missing inventory/inventory.csv. Run fb_refresh_inventory.js first.");
+
+const DEST = String(process.env.FEE_DEST_VAULT_ID || loadConfig({ root: ROOT }).get("vaults.destination"));
+if (!DEST) throw new Error("Set vaults.destination in fb_config.json (or FEE_DEST_VAULT_ID)");
+const ONLY = new Set(String(process.env.ASSETS || "").split(",").map(s => s.trim()).filter(Boolean));
+
+(async () => {
+  const registry = loadAssetRegistry({ execDir: EXEC_DIR });
+
+  // largest available balance per asset, outside the destination vault
+  const inv = readCsvSync(INV, { required: ["vaultId", "assetId", "available"] });
+  const sample = new Map();
+  for (const r of inv.records()) {
+    const vaultId = String(r.vaultId);
+    const available = amountOr(r.available);
+    if (vaultId === DEST || !isPositiveAmount(available)) continue;
+    if (ONLY.size && !ONLY.has(r.assetId)) continue;
+    const cur = sample.get(r.assetId);
+    if (!cur || cmpAmount(available, cur.amount) > 0) sample.set(r.assetId, { vaultId, amount: available });
+  }
+
+  const asOfIso = new Date().toISOString();
+  const byAssetId = {};
+  const errors = {};
+  for (const assetId of [...sample.keys()].sort()) {
+    const s = sample.get(assetId);
+    try {
+      const resp = await fb.post("/v1/transactions/estimate_fee", {
+        operation: "TRANSFER",
+        assetId,
+        source: { type: "VAULT_ACCOUNT", id: s.vaultId },
+        destination: { type: "VAULT_ACCOUNT", id: DEST },
+        amount: s.amount
+      }, { context: { assetId } });
+      const networkFee = networkFeesFromEstimate(resp);
+      if (!Object.keys(networkFee).length) throw new Error("estimate_fee returned no networkFee");
+      byAssetId[assetId] = {
+        feeAssetId: registry.gasAssetFor(assetId) || assetId,
+        networkFee,
+        sourceVaultId: s.vaultId,
+        destinationVaultId: DEST,
+        amount: s.amount
+      };
+    } catch (e) {
+      errors[assetId] = describeError(e).slice(0, 500);
+      console.error(`ESTIMATE_FAIL: ${assetId} (vault ${s.vaultId}) :: ${errors[assetId]}`);
+    }
+  }
+
+  const { file, historyFile } = writeFeeSnapshot(EXEC_DIR, { asOfIso, byAssetId, errors });
+
+  console.log("✅ Fee snapshot written");
+  console.log(`- File: ${file}`);
+  console.log(`- Dated copy: ${historyFile}`);
+  console.log(`- Estimated: ${Object.keys(byAssetId).length}  failed: ${Object.keys(errors).length}${Object.keys(errors).length ? ` (${Object.keys(errors).join(", ")}; static tables apply)` : ""}`);
+  console.log(`- API retries used: ${fb.retryStats().retriesUsed}`);
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
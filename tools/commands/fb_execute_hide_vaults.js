@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Hide (or unhide) vault accounts in the Fireblocks console.
+ *
+ * Reads analysis/zero_wallets_to_hide.csv (or analysis/wallets_to_unhide.csv with
+ * ACTION=unhide), both from fb_rebuild_wallets_and_plan.js, and calls
+ * POST /v1/vault/accounts/{id}/hide or /unhide per vault. Dry run unless EXECUTE=1.
+ *
+ * The lists can be older than the vaults, so each vault is read first
+ * (GET /v1/vault/accounts/{id}) and skipped when it no longer fits: a vault to hide that
+ * holds a positive balance again, a vault to unhide that no longer does, or one that is
+ * already hidden / visible (that one counts as done).
+ *
+ * Every call is journaled in execute/journal_<RUN_ID>.jsonl in the transfer executors'
+ * shape ({ ts, event, executor, runId, ... }, executor hide_vaults or unhide_vaults):
+ * HIDE_OK / HIDE_FAIL / HIDE_SKIPPED (or UNHIDE_*) by action and vaultId. The lines carry
+ * no rowId, so the transfer tools that read the same journals pass over them. Done vaults
+ * go to execute/vault_visibility.txt as "<action>|<vaultId>"; the last line per vault
+ * wins, so a vault that was hidden, unhidden and listed again is hidden again. The ledger
+ * is not a completed_*.txt file: these are not transfers.
+ *
+ * Env:
+ *   ACTION=hide|unhide   default hide
+ *   EXECUTE=1            call Fireblocks
+ *   BATCH=50             vaults per run
+ *   SKIP_VAULTS=a,b      vaults.skip; these and vaults.consolidation are never touched
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+
+const { clientFromEnv, describeError } = require("../lib/fb_client");
+const { readCsvSync } = require("../lib/csv");
+const { loadConfig } = require("../lib/config");
+const { amountOr, isPositiveAmount } = require("../lib/amount");
+
+const fb = clientFromEnv({ onAttempt: recordAttempt });
+
+const ACTION = String(process.env.ACTION || "hide").toLowerCase();
+if (ACTION !== "hide" && ACTION !== "unhide") throw new Error(`ACTION must be hide or unhide, got ${ACTION}`);
+const EVENT = ACTION.toUpperCase();
+const EXECUTOR = `${ACTION}_vaults`;
+const EXECUTE = process.env.EXECUTE === "1"; // set to 1 for live
+const BATCH = Math.max(1, Math.min(500, Number(process.env.BATCH || "50") || 50));
+const CONFIG = loadConfig();
+const SKIP_VAULTS = new Set([...CONFIG.get("vaults.consolidation"), ...CONFIG.get("vaults.skip")]);
+
+const LIST = ACTION === "hide" ? "analysis/zero_wallets_to_hide.csv" : "analysis/wallets_to_unhide.csv";
+if (!fs.existsSync(LIST)) throw new Error(`Missing ${LIST}. Run fb_refresh_inventory.js and fb_rebuild_wallets_and_plan.js first.`);
+
+const EXEC_DIR = "execute";
+fs.mkdirSync(EXEC_DIR, { recursive: true });
+
+const RUN_ID = process.env.RUN_ID || `${EXECUTOR}_${Date.now()}_${crypto.randomUUID()}`;
+const JOURNAL = path.join(EXEC_DIR, `journal_${RUN_ID}.jsonl`);
+const LEDGER = path.join(EXEC_DIR, "vault_visibility.txt");
+
+const list = readCsvSync(LIST, { required: ["vaultId"] });
+
+// vaultId -> last action done
+const lastAction = new Map();
+if (fs.existsSync(LEDGER)){
+  for (const l of fs.readFileSync(LEDGER,"utf8").split(/\r?\n/)) {
+    const [action, vaultId] = l.trim().split("|");
+    if (action && vaultId) lastAction.set(vaultId, action);
+  }
+}
+
+function journal(event, fields = {}){
+  fs.appendFileSync(JOURNAL, JSON.stringify({ts:new Date().toISOString(),event,executor:EXECUTOR,runId:RUN_ID,...fields})+"\n");
+}
+
+// Every API attempt (including retries after 429/5xx) goes into the journal.
+function recordAttempt(a){
+  const { context, ...rest } = a;
+  journal("ATTEMPT", {action:ACTION,vaultId:context?.vaultId ?? null,...rest});
+}
+
+/** Why the vault no longer needs ACTION ("HAS_BALANCE", "ALREADY_HIDDEN", ...), or null. */
+function skipReason(v){
+  const funded = (Array.isArray(v?.assets) ? v.assets : []).some(a => isPositiveAmount(amountOr(a?.total ?? a?.balance)));
+  if (ACTION === "hide") return v?.hiddenOnUI === true ? "ALREADY_HIDDEN" : funded ? "HAS_BALANCE" : null;
+  return v?.hiddenOnUI !== true ? "ALREADY_VISIBLE" : !funded ? "NO_BALANCE" : null;
+}
+
+let attempted = 0, ok = 0, fail = 0, skippedDone = 0, skippedVault = 0, skippedState = 0;
+
+console.log(`Mode: ${EXECUTE ? "EXECUTE (live)" : "DRY RUN"}`);
+console.log(`Action: ${ACTION} (${LIST})`);
+console.log(`Batch size: ${BATCH}`);
+console.log(`Journal: ${JOURNAL}`);
+console.log(`Ledger: ${LEDGER}`);
+console.log(`Vaults listed: ${list.rows.length}`);
+
+(async()=>{
+  for (const r of list.records()){
+    const vaultId = String(r.vaultId || "").trim();
+    if (!vaultId || SKIP_VAULTS.has(vaultId)) { skippedVault++; continue; }
+
+    if (lastAction.get(vaultId) === ACTION) { skippedDone++; continue; }
+
+    attempted++;
+    const uri = `/v1/vault/accounts/${encodeURIComponent(vaultId)}/${ACTION}`;
+    const preview = { action: ACTION, vaultId, vaultName: r.vaultName || "", state: r.state || "" };
+
+    let step = "check";
+    try{
+      // the list may be stale: look at the vault as it is now
+      const reason = skipReason(await fb.request("GET", `/v1/vault/accounts/${encodeURIComponent(vaultId)}`, undefined, { context: { vaultId } }));
+      if (reason){
+        skippedState++;
+        journal(`${EVENT}_SKIPPED`, {...preview,reason});
+        console.log(`${EVENT}_SKIPPED: ${vaultId} ${preview.vaultName} (${reason})`);
+        // already in the wanted state: nothing left to do for it
+        if (EXECUTE && reason.startsWith("ALREADY_")){
+          fs.appendFileSync(LEDGER, `${ACTION}|${vaultId}\n`);
+          lastAction.set(vaultId, ACTION);
+        }
+      } else if (!EXECUTE){
+        journal("DRYRUN", {...preview,uri});
+        ok++;
+      } else {
+        step = "submit";
+        await fb.post(uri, undefined, { context: { vaultId } });
+        journal(`${EVENT}_OK`, {...preview,ledger:path.basename(LEDGER)});
+        fs.appendFileSync(LEDGER, `${ACTION}|${vaultId}\n`);
+        lastAction.set(vaultId, ACTION);
+        ok++;
+        console.log(`${EVENT}_OK ${ok}/${attempted}: ${vaultId} ${preview.vaultName}`);
+      }
+    } catch(e){
+      fail++;
+      journal(`${EVENT}_FAIL`, {...preview,step,status:e.status??null,code:e.code??null,attempts:e.attempts??1,error:describeError(e)});
+      console.log(`${EVENT}_FAIL (${step}): ${vaultId} :: ${describeError(e).slice(0,500)}`);
+    }
+
+    if (attempted >= BATCH) break;
+  }
+
+  console.log("\n✅ Batch complete");
+  console.log(`attempted_this_batch=${attempted}`);
+  console.log(`ok_this_batch=${ok}`);
+  console.log(`failed_this_batch=${fail}`);
+  console.log(`skipped_already_done=${skippedDone}`);
+  console.log(`skipped_vault=${skippedVault}`);
+  console.log(`skipped_state_changed=${skippedState}`);
+  console.log(`api_retries_used=${fb.retryStats().retriesUsed}`);
+  console.log("\nNext: re-run the same command for the next batch; re-run fb_refresh_inventory.js to confirm hiddenOnUI.");
+})().catch(e=>{
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
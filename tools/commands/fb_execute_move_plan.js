@@ -0,0 +1,13 @@
+/**
+ * Submit move_plan/move_plan.csv (fb_build_move_plan.js), which only holds eligible rows.
+ * Dry run unless EXECUTE=1; BATCH=20 rows per run.
+ *
+ * Journal, completed ledger (execute/completed_transfers.txt), externalTxId, skips and
+ * failure handling are the shared engine's: see tools/lib/executor.js.
+ */
+const { runAdapter } = require("../lib/executor");
+
+runAdapter("move").catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Execute plan/plan.jsonl in batches (dry run unless EXECUTE=1).
+ *
+ * FUEL_THEN_SWEEP=1 runs the gas workflow instead, for the wallets in
+ * move_plan/gas_topup_plan.jsonl (fb_build_gas_topup_plan.js):
+ *   1. fuel   send each gas top-up from the treasury and wait for it to reach COMPLETED
+ *   2. sweep  release the plan.jsonl token transfers from the funded wallets that the
+ *             top-up unlocks, and wait for them
+ *   3. gas    once every token transfer from a wallet completed, send its remaining gas
+ *             balance, less what the planner would keep (reserves.retainMinByAsset, else
+ *             reserves.leaveOne, plus gas.minGasBalance), to the same destination
+ *             (treatAsGrossAmount, so the fee comes out of it), and wait for it. The sweep
+ *             has its own row id, <wallet>|<gasAsset>|<destination>@gas_sweep, so it is
+ *             never mistaken for a planned transfer of the gas asset
+ * Every phase applies the engine's skip rules (SKIP_SOURCE_VAULTS, source == destination,
+ * approved destinations, rows that failed with 1402); only gasReady is waived for the
+ * tokens a confirmed top-up funded. Every submission is journaled as SUBMIT_OK (with its
+ * phase) and added to the completed ledger, so re-running picks up where the last run
+ * stopped, waiting again on what it sent before; final statuses go to tx_status.json.
+ * BATCH counts the wallets still open: a wallet whose top-up, token transfers and gas
+ * sweep are all done (or can no longer be sent) is left out before the batch is taken.
+ *
+ * Journal, completed ledger (execute/completed_transfers.txt), externalTxId, skips,
+ * destination checks and failure handling are the shared engine's: see
+ * tools/lib/executor.js.
+ *
+ * Env:
+ *   BATCH=20                 rows per run (FUEL_THEN_SWEEP: wallets per run)
+ *   SKIP_SOURCE_VAULTS="a,b" never send from these vaults
+ *   TOPUP_PLAN=move_plan/gas_topup_plan.jsonl
+ *   POLL_INTERVAL_MS=5000, FUEL_TIMEOUT_SEC=900   how long to wait for each phase
+ *   SWEEP_LEFTOVER_GAS=0     stop after phase 2
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { describeError } = require("../lib/fb_client");
+const tracker = require("../lib/tx_tracker");
+const { loadStatusStore } = tracker;
+const { amountOr, addAmounts, subAmount, isPositiveAmount } = require("../lib/amount");
+const { loadConfig } = require("../lib/config");
+const { DESTINATION_FIELDS } = require("../lib/destinations");
+const { ADAPTERS, createEngine } = require("../lib/executor");
+
+const FUEL_THEN_SWEEP = process.env.FUEL_THEN_SWEEP === "1";
+const SWEEP_LEFTOVER_GAS = process.env.SWEEP_LEFTOVER_GAS !== "0";
+const POLL_INTERVAL_MS = Math.max(200, Number(process.env.POLL_INTERVAL_MS || "5000") || 5000);
+const FUEL_TIMEOUT_SEC = Math.max(1, Number(process.env.FUEL_TIMEOUT_SEC || "900") || 900);
+
+const ROOT = process.cwd();
+const PLAN_JSONL = path.join(ROOT, ADAPTERS.plan.input);
+if (!fs.existsSync(PLAN_JSONL)) throw new Error(`Missing ${PLAN_JSONL}. Re-run plan.`);
+const TOPUP_PLAN = path.resolve(ROOT, process.env.TOPUP_PLAN || path.join("move_plan", "gas_topup_plan.jsonl"));
+
+const engine = createEngine({ executor: FUEL_THEN_SWEEP ? "fuel" : "plan", defaultBatch: ADAPTERS.plan.batch, root: ROOT });
+const { fb, approved, done, rowIdOf, skipReason, submit } = engine;
+const config = loadConfig({ root: ROOT });
+// final statuses that count as through (DRYRUN: nothing was sent)
+const OK = ["COMPLETED", "DRYRUN"];
+const EXECUTE = engine.execute;
+const BATCH = engine.batch;
+const EXEC_DIR = engine.execDir;
+
+/** What a gas sweep leaves in the wallet: the planner's retain (or leave-one) reserve plus gas.minGasBalance. */
+function gasReserve(assetId) {
+  const retain = config.get("reserves.retainMinByAsset")[assetId] ?? config.get("reserves.leaveOne")[assetId] ?? 0;
+  return addAmounts(amountOr(retain), amountOr(config.get("gas.minGasBalance")[assetId] ?? 0));
+}
+
+function readJsonl(file) {
+  return fs.readFileSync(file, "utf8").split(/\r?\n/).filter(l => l.trim()).map(l => JSON.parse(l));
+}
+
+/**
+ * Wait for every { rid, txId } to reach a final status; records the outcome in the journal
+ * and tx_status.json. Returns Map rid -> status ("DRYRUN" in dry-run, "UNKNOWN" on timeout).
+ */
+async function waitAll(pending, phase, store) {
+  const out = new Map();
+  const deadline = Date.now() + FUEL_TIMEOUT_SEC * 1000;
+  for (const p of pending) {
+    if (!EXECUTE) { out.set(p.rid, "DRYRUN"); continue; }
+    if (!p.txId) { out.set(p.rid, "UNKNOWN"); continue; }
+    let tx = null;
+    try {
+      tx = await tracker.waitForFinal(fb, p.txId, { intervalMs: POLL_INTERVAL_MS, timeoutMs: Math.max(0, deadline - Date.now()) });
+    } catch (e) {
+      console.log(`WAIT_FAIL: ${p.rid} txId=${p.txId} :: ${describeError(e).slice(0, 200)}`);
+    }
+    const status = tracker.isFinalStatus(tx?.status) ? String(tx.status).toUpperCase() : "UNKNOWN";
+    out.set(p.rid, status);
+    if (tx) {
+      const rec = store.transactions[p.txId] || {
+        rowId: p.rid, ledger: tracker.LEDGER, journal: path.basename(engine.journalFile), submittedAt: p.submittedAt || Date.now()
+      };
+      store.transactions[p.txId] = tracker.applyTransaction(rec, tx);
+    }
+    if (tracker.isFailedStatus(status)) engine.failedNow.add(p.rid);
+    engine.journal("TX_FINAL", { rowId: p.rid, phase, txId: p.txId, status, subStatus: tx?.subStatus || "" });
+    console.log(`${phase}: ${p.rid} txId=${p.txId} -> ${status}${tx?.subStatus ? ` (${tx.subStatus})` : ""}`);
+  }
+  return out;
+}
+
+/** The gas sweep of wallet's gasAssetId to the destination of plan row `to`. */
+function gasSweepItem(wallet, gasAssetId, to) {
+  const item = { sourceVaultId: wallet, assetId: gasAssetId, rowKind: "gas_sweep" };
+  for (const k of DESTINATION_FIELDS) if (to[k] !== undefined) item[k] = to[k];
+  return item;
+}
+
+async function runFuelThenSweep() {
+  if (!fs.existsSync(TOPUP_PLAN)) throw new Error(`Missing ${TOPUP_PLAN}. Run fb_build_gas_topup_plan.js first.`);
+  const planItems = ADAPTERS.plan.read(PLAN_JSONL);
+  const unlockedBy = (t) => {
+    const unlocks = new Set(t.unlocks || []);
+    return planItems.filter(item => String(item.sourceVaultId) === String(t.destinationVaultId) && unlocks.has(item.assetId));
+  };
+
+  // Finished: nothing of the wallet is left to send. A top-up that cannot be sent (1402,
+  // invalid, ...) finishes it too, since its tokens wait on it.
+  const finished = (t) => {
+    const fuelWhy = skipReason({ ...t, amount: amountOr(t.amount, "") });
+    if (fuelWhy !== "already_done") return fuelWhy !== null;
+    const items = unlockedBy(t);
+    if (items.some(item => skipReason(item, { gasFunded: true }) === null)) return false;
+    if (items.some(item => !done.has(rowIdOf(item)))) return true; // a token transfer can no longer go: the sweep is held
+    const destinations = new Map(items.map(item => [approved.keyOf(item), item]));
+    if (!SWEEP_LEFTOVER_GAS || destinations.size !== 1) return true;
+    return done.has(rowIdOf(gasSweepItem(String(t.destinationVaultId), t.assetId, [...destinations.values()][0])));
+  };
+  const open = readJsonl(TOPUP_PLAN).filter(t => !engine.skipSourceVaults.has(String(t.destinationVaultId)));
+  const remaining = open.filter(t => !finished(t));
+  const topups = remaining.slice(0, BATCH);
+  const store = loadStatusStore(EXEC_DIR);
+
+  // txIds of earlier submissions, so a re-run can wait on a transfer it sent before
+  const lastTxId = new Map();
+  for (const s of tracker.collectSubmissions(EXEC_DIR)) lastTxId.set(s.rowId, s);
+
+  /**
+   * Submit item in phase, or pick up the transfer an earlier run sent. Returns the
+   * { rid, txId, submittedAt } to wait on, { rid, skipped: reason }, or null when the
+   * submit failed.
+   */
+  async function send(item, amount, phase, opts = {}) {
+    const rid = rowIdOf(item);
+    const why = skipReason({ ...item, amount }, opts);
+    if (why === "already_done") {
+      const prev = lastTxId.get(rid);
+      return { rid, txId: prev?.txId || null, submittedAt: prev?.submittedAt };
+    }
+    if (why) {
+      console.log(`${phase}: ${rid} skipped (${why})`);
+      return { rid, skipped: why };
+    }
+    const res = await submit(item, amount, { phase, extraBody: opts.extraBody });
+    return res.ok ? { rid, txId: res.txId } : null;
+  }
+
+  console.log(`Fuel-then-sweep: ${topups.length} wallet(s) from ${TOPUP_PLAN} (${open.length - remaining.length} finished earlier, ${remaining.length - topups.length} left for later runs)\n`);
+
+  // Phase 1: gas top-ups
+  const fuelPending = [];
+  let fuelFailed = 0, fuelSkipped = 0;
+  for (const t of topups) {
+    const p = await send(t, amountOr(t.amount, ""), "fuel");
+    if (!p) fuelFailed++;
+    else if (p.skipped) fuelSkipped++;
+    else fuelPending.push({ ...p, topup: t });
+  }
+  const fuelStatus = await waitAll(fuelPending, "fuel", store);
+  const fueled = fuelPending.filter(p => OK.includes(fuelStatus.get(p.rid))).map(p => p.topup);
+
+  // Phase 2: token transfers the top-ups unlock
+  const sweepPending = [];
+  const byWallet = new Map(); // wallet -> { topup, rids, destinations: Map key -> plan row, failed }
+  for (const t of fueled) {
+    const wallet = String(t.destinationVaultId);
+    const w = { topup: t, rids: [], destinations: new Map(), failed: 0 };
+    byWallet.set(wallet, w);
+    for (const item of unlockedBy(t)) {
+      w.rids.push(rowIdOf(item));
+      w.destinations.set(approved.keyOf(item), item);
+      const p = await send(item, amountOr(item.amount, ""), "sweep", { gasFunded: true });
+      if (p && !p.skipped) sweepPending.push(p);
+      else w.failed++;
+    }
+  }
+  const sweepStatus = await waitAll(sweepPending, "sweep", store);
+
+  // Phase 3: leftover gas, only from wallets whose token transfers all went through
+  const gasPending = [];
+  let gasHeld = 0;
+  if (SWEEP_LEFTOVER_GAS) {
+    for (const [wallet, w] of byWallet) {
+      const allDone = !w.failed && w.rids.every(r => OK.includes(sweepStatus.get(r)));
+      if (!allDone || w.destinations.size !== 1) {
+        gasHeld++;
+        console.log(`gas_sweep: ${wallet} ${w.topup.assetId} kept (${!allDone ? "token transfers not all completed" : "no single destination"})`);
+        continue;
+      }
+      const gasItem = gasSweepItem(wallet, w.topup.assetId, [...w.destinations.values()][0]);
+
+      let amount = null;
+      if (!done.has(rowIdOf(gasItem))) {
+        let available = null;
+        try {
+          const bal = await fb.get(`/v1/vault/accounts/${encodeURIComponent(wallet)}/${encodeURIComponent(gasItem.assetId)}`);
+          available = amountOr(bal?.available, null);
+        } catch (e) {
+          console.log(`gas_sweep: ${wallet} ${gasItem.assetId} balance lookup failed :: ${describeError(e).slice(0, 200)}`);
+        }
+        // dry run: the top-up was never sent, so count it as if it had arrived
+        if (!EXECUTE) available = addAmounts(available ?? "0", w.topup.amount);
+        if (available !== null) {
+          const reserve = gasReserve(gasItem.assetId);
+          amount = subAmount(available, reserve);
+          if (!isPositiveAmount(amount)) {
+            gasHeld++;
+            console.log(`gas_sweep: ${wallet} ${gasItem.assetId} kept (balance ${available} within reserve ${reserve})`);
+            continue;
+          }
+        }
+      }
+      const p = await send(gasItem, amount ?? "", "gas_sweep", { extraBody: { treatAsGrossAmount: true } });
+      if (p && !p.skipped) gasPending.push(p);
+      else gasHeld++;
+    }
+  }
+  const gasStatus = await waitAll(gasPending, "gas_sweep", store);
+
+  if (EXECUTE) tracker.saveStatusStore(EXEC_DIR, store);
+
+  const confirmed = m => [...m.values()].filter(s => OK.includes(s)).length;
+  console.log(`\n✅ Fuel-then-sweep complete
+topups_planned=${topups.length}
+wallets_finished_earlier=${open.length - remaining.length}
+wallets_left=${remaining.length - topups.length}
+topups_confirmed=${fueled.length}
+topups_failed=${fuelFailed + fuelPending.length - fueled.length}
+topups_skipped=${fuelSkipped}
+token_transfers_confirmed=${confirmed(sweepStatus)}
+token_transfers_not_confirmed=${sweepStatus.size - confirmed(sweepStatus)}
+gas_sweeps_confirmed=${confirmed(gasStatus)}
+gas_sweeps_not_confirmed=${gasStatus.size - confirmed(gasStatus)}
+gas_sweeps_held=${gasHeld}
+api_retries_used=${fb.retryStats().retriesUsed}`);
+}
+
+(async () => {
+  engine.printHeader(FUEL_THEN_SWEEP ? `${TOPUP_PLAN} (fuel-then-sweep) + ${PLAN_JSONL}` : PLAN_JSONL);
+
+  if (FUEL_THEN_SWEEP) await runFuelThenSweep();
+  else await engine.runBatch(ADAPTERS.plan.read(PLAN_JSONL));
+
+  engine.finish();
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Why a vault's asset was or was not planned.
+ *
+ * Reads the decision traces the planners write (plan/decision_trace.jsonl from
+ * fb_build_plan.js, move_plan/decision_trace.jsonl from fb_build_move_plan.js) and prints
+ * each matching vault/asset: the outcome, then every rule checked with the inputs and
+ * thresholds used. Without VAULT_ID or ASSET_ID it prints the count per outcome and reason.
+ *
+ * Env:
+ *   VAULT_ID=1001        only this source vault
+ *   ASSET_ID=USDC        only this asset
+ *   OUTCOME=SKIPPED      PLANNED, NEEDS_GAS or SKIPPED
+ *   REASON=FEE_GT_VALUE  only this reason
+ *   TRACE=plan|move|all  which planner's trace (default all)
+ *   LIMIT=50             entries printed per trace (0 = all)
+ *   JSON=1               print the matching entries as JSON lines instead
+ *
+ * Exits 1 when no trace file exists.
+ */
+
+const path = require("path");
+
+const { TRACE_FILES, OUTCOMES, readTrace, filterTrace, formatEntry } = require("../lib/decision_trace");
+
+const ROOT = process.cwd();
+const TRACE = String(process.env.TRACE || "all").toLowerCase();
+if (TRACE !== "all" && !TRACE_FILES[TRACE]) throw new Error(`TRACE must be ${Object.keys(TRACE_FILES).join(", ")} or all, got ${TRACE}`);
+const OUTCOME = String(process.env.OUTCOME || "").trim().toUpperCase();
+if (OUTCOME && !OUTCOMES.includes(OUTCOME)) throw new Error(`OUTCOME must be one of ${OUTCOMES.join(", ")}, got ${OUTCOME}`);
+const filter = {
+  vaultId: String(process.env.VAULT_ID || "").trim(),
+  assetId: String(process.env.ASSET_ID || "").trim(),
+  outcome: OUTCOME,
+  reason: String(process.env.REASON || "").trim()
+};
+const LIMIT = Math.max(0, Number(process.env.LIMIT ?? "50") || 0);
+const JSON_OUT = process.env.JSON === "1";
+const detail = Boolean(filter.vaultId || filter.assetId);
+
+const traces = (TRACE === "all" ? Object.keys(TRACE_FILES) : [TRACE])
+  .map(name => ({ name, file: TRACE_FILES[name], entries: readTrace(path.join(ROOT, TRACE_FILES[name])) }));
+
+if (traces.every(t => !t.entries.length)) {
+  console.error(`No decision trace found (${traces.map(t => t.file).join(", ")}). Run fb_build_plan.js or fb_build_move_plan.js first.`);
+  process.exit(1);
+}
+
+let matched = 0;
+for (const t of traces) {
+  if (!t.entries.length) continue;
+  const hits = filterTrace(t.entries, filter);
+  matched += hits.length;
+
+  if (JSON_OUT) {
+    for (const e of hits) process.stdout.write(JSON.stringify(e) + "\n");
+    continue;
+  }
+
+  console.log(`${t.file} (as of ${t.entries[0].asOfIso}): ${hits.length} of ${t.entries.length} entries match`);
+  if (!detail) {
+    // outcome -> reason -> count
+    const counts = new Map();
+    for (const e of hits) {
+      const k = `${e.outcome}${e.reason && e.reason !== e.outcome ? ` ${e.reason}` : ""}`;
+      counts.set(k, (counts.get(k) || 0) + 1);
+    }
+    for (const [k, n] of [...counts].sort((a, b) => b[1] - a[1])) console.log(`  ${k}: ${n}`);
+    console.log("");
+    continue;
+  }
+
+  const shown = LIMIT ? hits.slice(0, LIMIT) : hits;
+  for (const e of shown) {
+    console.log("");
+    for (const line of formatEntry(e)) console.log(line);
+  }
+  if (shown.length < hits.length) console.log(`\n... ${hits.length - shown.length} more (LIMIT=0 for all)`);
+  console.log("");
+}
+
+if (!JSON_OUT && !detail) console.log("Set VAULT_ID and/or ASSET_ID to see the rules behind each decision.");
+if (!JSON_OUT && detail && !matched) console.log("Nothing matches: the vault/asset had no positive balance in the inventory the planners read, or the filter is wrong.");
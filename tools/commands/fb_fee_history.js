@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Empirical fee table from the network fees completed transactions actually paid.
+ *
+ * Reads every SUBMIT_OK txId from execute/journal_*.jsonl, looks up the ones
+ * execute/tx_status.json has no final record (or no fee) for, and keeps the COMPLETED
+ * transactions' networkFee. Fees are grouped by transferred asset, token fees also by fee
+ * asset (median, p90, max; nearest-rank, so every figure is a fee that was really paid).
+ *
+ * execute/gas_fee_observed.json has the shape of gas_fee_native.json, amounts in the fee
+ * asset, with one entry per transferred asset at FEE_STAT: { "ETH": 0.00042,
+ * "USDT_ERC20": 0.0011 } means an ETH transfer paid 0.00042 ETH and a USDT_ERC20 transfer
+ * 0.0011 ETH. Its keys are the assetIds of fee_history_by_asset.csv. Token transfers are
+ * also pooled per fee asset under "_tokenFees" ({ "ETH": 0.0011 }, the assets listed under
+ * "_pooled"), for tokens with no entry of their own; native transfers never enter the
+ * pool, so the entry under a fee asset's own key is only ever what its own transfers paid.
+ * "_statistic" names FEE_STAT. tools/lib/fees.js reads the entry for the transferred asset
+ * first, then (tokens only) the pooled one, so the planners and analyses can run against
+ * observed costs (a table given as GAS_FEE_FILE is read before the fee estimates):
+ *
+ *   node tools/fb.js analyze breakeven --fee-file execute/gas_fee_observed.json
+ *
+ * Lookups are recorded in tx_status.json exactly as fb_track_transactions.js records
+ * them; failed rows are left for that command to take out of the ledgers.
+ *
+ * Env:
+ *   FEE_STAT=median|p90|max   figure written to gas_fee_observed.json (default p90)
+ *   OFFLINE=1                 use tx_status.json as it is; no API calls
+ *
+ * Output: execute/gas_fee_observed.json, analysis/fee_history_by_asset.csv (inTable: the
+ *         row is the entry under its assetId), analysis/fee_history_by_gas_asset.csv
+ *         (token transfers per fee asset: the "_tokenFees" entries)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { clientFromEnv, describeError } = require("../lib/fb_client");
+const tracker = require("../lib/tx_tracker");
+const { writeCsvSync } = require("../lib/csv");
+const { loadAssetRegistry } = require("../lib/asset_registry");
+const { amountOr, cmpAmount, amountToNumber } = require("../lib/amount");
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const OUT_DIR = path.join(ROOT, "analysis");
+const OUT_TABLE = path.join(EXEC_DIR, "gas_fee_observed.json");
+const OFFLINE = process.env.OFFLINE === "1";
+const FEE_STAT = String(process.env.FEE_STAT || "p90").toLowerCase();
+if (!["median", "p90", "max"].includes(FEE_STAT)) throw new Error(`FEE_STAT must be median, p90 or max (got ${process.env.FEE_STAT})`);
+
+/** Nearest-rank percentile of ascending amount strings. */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function stats(fees) {
+  const sorted = fees.slice().sort(cmpAmount);
+  return { count: sorted.length, median: percentile(sorted, 0.5), p90: percentile(sorted, 0.9), max: sorted[sorted.length - 1] };
+}
+
+(async () => {
+  if (!fs.existsSync(EXEC_DIR)) throw new Error(`Missing ${EXEC_DIR}. Nothing has been submitted yet.`);
+
+  const store = tracker.loadStatusStore(EXEC_DIR);
+  const submissions = tracker.collectSubmissions(EXEC_DIR);
+  const added = tracker.addSubmissions(store, submissions);
+
+  let looked = 0, lookupErrors = 0;
+  if (!OFFLINE) {
+    const fb = clientFromEnv();
+    const todo = Object.entries(store.transactions).filter(([, r]) => !r.final || (r.status === "COMPLETED" && r.networkFee == null));
+    for (const [txId, rec] of todo) {
+      try {
+        tracker.applyTransaction(rec, await fb.get(`/v1/transactions/${encodeURIComponent(txId)}`));
+        delete rec.lastError;
+        looked++;
+      } catch (e) {
+        lookupErrors++;
+        rec.lastError = describeError(e);
+        rec.lastCheckedAt = new Date().toISOString();
+        console.log(`  ${txId} ${rec.rowId}: lookup failed :: ${describeError(e).slice(0, 200)}`);
+      }
+    }
+  }
+  if (added || looked || lookupErrors) tracker.saveStatusStore(EXEC_DIR, store);
+
+  const registry = loadAssetRegistry({ execDir: EXEC_DIR });
+  const byAsset = new Map();
+  const tokensByFeeAsset = new Map();
+  let completed = 0, noFee = 0;
+  for (const rec of Object.values(store.transactions)) {
+    if (rec.status !== "COMPLETED") continue;
+    completed++;
+    const fee = amountOr(rec.networkFee, null);
+    if (fee === null || fee.startsWith("-")) { noFee++; continue; }
+    const assetId = String(rec.rowId || "").split("|")[1] || "";
+    if (!assetId) { noFee++; continue; }
+    const feeAssetId = rec.feeCurrency || registry.gasAssetFor(assetId) || assetId;
+
+    const k = `${assetId}|${feeAssetId}`;
+    if (!byAsset.has(k)) byAsset.set(k, { assetId, feeAssetId, fees: [] });
+    byAsset.get(k).fees.push(fee);
+    if (assetId === feeAssetId) continue;
+    if (!tokensByFeeAsset.has(feeAssetId)) tokensByFeeAsset.set(feeAssetId, { feeAssetId, assets: new Set(), fees: [] });
+    tokensByFeeAsset.get(feeAssetId).fees.push(fee);
+    tokensByFeeAsset.get(feeAssetId).assets.add(assetId);
+  }
+
+  const assetRows = [...byAsset.values()]
+    .map(g => ({ assetId: g.assetId, feeAssetId: g.feeAssetId, ...stats(g.fees), inTable: false }))
+    .sort((a, b) => a.assetId.localeCompare(b.assetId) || b.count - a.count);
+  const gasRows = [...tokensByFeeAsset.values()]
+    .map(g => ({ feeAssetId: g.feeAssetId, ...stats(g.fees), assets: [...g.assets].sort().join("|") }))
+    .sort((a, b) => a.feeAssetId.localeCompare(b.feeAssetId));
+
+  // one entry per transferred asset; an asset seen paying in two fee assets keeps the one it used most
+  const table = { _statistic: FEE_STAT, _tokenFees: {}, _pooled: {} };
+  for (const r of assetRows) {
+    if (table[r.assetId] !== undefined) {
+      const kept = assetRows.find(x => x.assetId === r.assetId);
+      console.log(`WARN: ${r.assetId} also paid fees in ${r.feeAssetId} (${r.count}x); its entry is in ${kept.feeAssetId}`);
+      continue;
+    }
+    table[r.assetId] = amountToNumber(r[FEE_STAT]);
+    r.inTable = true;
+  }
+  // token fallback per fee asset; a fee asset's own key is left to its own transfers
+  for (const r of gasRows) {
+    table._tokenFees[r.feeAssetId] = amountToNumber(r[FEE_STAT]);
+    table._pooled[r.feeAssetId] = r.assets.split("|");
+    if (table[r.feeAssetId] === undefined) {
+      console.log(`${r.feeAssetId}: no ${r.feeAssetId} transfers of its own; only its tokens get the figure pooled from ${r.assets.split("|").join(", ")}`);
+    }
+  }
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  writeCsvSync(path.join(OUT_DIR, "fee_history_by_asset.csv"), ["assetId", "feeAssetId", "count", "median", "p90", "max", "inTable"], assetRows);
+  writeCsvSync(path.join(OUT_DIR, "fee_history_by_gas_asset.csv"), ["feeAssetId", "count", "median", "p90", "max", "assets"], gasRows);
+  fs.writeFileSync(OUT_TABLE + ".tmp", JSON.stringify(table, null, 2) + "\n");
+  fs.renameSync(OUT_TABLE + ".tmp", OUT_TABLE);
+
+  console.log("✅ Observed fee table written");
+  console.log(`- ${OUT_TABLE} (${FEE_STAT} per transfer; ${assetRows.filter(r => r.inTable).length} assets, ${gasRows.length} pooled token fee assets)`);
+  console.log(`- ${OUT_DIR}/fee_history_by_asset.csv (${assetRows.length})`);
+  console.log(`- ${OUT_DIR}/fee_history_by_gas_asset.csv`);
+  console.log(`completed_transactions=${completed}`);
+  console.log(`completed_without_fee=${noFee}`);
+  console.log(`still_open=${Object.values(store.transactions).filter(r => !r.final).length}`);
+  console.log(`lookups=${OFFLINE ? "0 (OFFLINE=1)" : looked}`);
+  console.log(`lookup_errors=${lookupErrors}`);
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
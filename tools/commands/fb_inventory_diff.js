@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * What changed between two inventory refreshes, and why.
+ *
+ * Compares two snapshots from inventory/history/ (fb_refresh_inventory.js keeps one per
+ * refresh; default: the last two) and lists every vault/asset row that appeared,
+ * disappeared or changed balance ("total"). Each change is matched against the transfers
+ * the executors journaled (SUBMIT_OK in execute/journal_*.jsonl) between the two scans:
+ * CONSOLIDATION when the journaled amounts in and out, less the network fees the vault
+ * paid (execute/tx_status.json), account for it, UNEXPLAINED otherwise (a deposit, a
+ * transfer made outside these tools, ...). Transfers tx_status.json records as failed
+ * are left out. Run fb_track_transactions.js first so fees and failures are known.
+ *
+ * Env:
+ *   FROM=2024-05-01T12   earlier snapshot: asOf prefix or file (default: second newest)
+ *   TO=2024-05-02        later snapshot, same forms (default: newest); TO=current
+ *                        compares with inventory/inventory.csv as it is now
+ *
+ * Output: analysis/inventory_diff.csv
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const tracker = require("../lib/tx_tracker");
+const { writeCsvSync } = require("../lib/csv");
+const { loadAssetRegistry } = require("../lib/asset_registry");
+const { amountOr, addAmounts, subAmount, maxAmount } = require("../lib/amount");
+const { listSnapshots, loadBalances, diffInventories, attributeChanges } = require("../lib/inventory_history");
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const OUT = path.join(ROOT, "analysis", "inventory_diff.csv");
+
+const COLUMNS = [
+  "vaultId", "vaultName", "assetId", "change", "before", "after", "delta",
+  "transfersIn", "transfersOut", "feesPaid", "expected", "residual", "attribution", "txIds"
+];
+
+function pickSnapshot(snapshots, spec, fallback, label) {
+  if (!spec) {
+    if (!fallback) throw new Error(`Need at least two snapshots in inventory/history/ (found ${snapshots.length}); run fb_refresh_inventory.js again or set ${label}`);
+    return fallback;
+  }
+  if (label === "TO" && spec === "current") {
+    return { file: path.join(ROOT, "inventory", "inventory.csv"), asOfIso: new Date().toISOString() };
+  }
+  if (fs.existsSync(spec)) {
+    const known = snapshots.find(s => path.resolve(s.file) === path.resolve(spec));
+    if (!known) throw new Error(`${label}=${spec} is not a snapshot in inventory/history/`);
+    return known;
+  }
+  const hits = snapshots.filter(s => s.asOfIso.startsWith(spec));
+  if (hits.length !== 1) throw new Error(`${label}=${spec} matches ${hits.length} snapshots (${snapshots.map(s => s.asOfIso).join(", ") || "none"})`);
+  return hits[0];
+}
+
+(async () => {
+  const snapshots = listSnapshots(ROOT);
+  const to = pickSnapshot(snapshots, process.env.TO, snapshots[snapshots.length - 1], "TO");
+  const from = pickSnapshot(snapshots, process.env.FROM, snapshots.filter(s => s.asOfIso < to.asOfIso).pop(), "FROM");
+  if (from.asOfIso >= to.asOfIso) throw new Error(`FROM (${from.asOfIso}) must be older than TO (${to.asOfIso})`);
+
+  const diff = diffInventories(loadBalances(from.file), loadBalances(to.file));
+
+  // journaled transfers submitted between the two scans, minus the ones that failed
+  const t0 = Date.parse(from.asOfIso);
+  const t1 = Date.parse(to.asOfIso);
+  const store = tracker.loadStatusStore(EXEC_DIR);
+  const registry = loadAssetRegistry({ execDir: EXEC_DIR });
+  const transfers = [];
+  const feesPaid = new Map();
+  let failed = 0, noAmount = 0;
+  for (const s of tracker.collectSubmissions(EXEC_DIR)) {
+    if (s.submittedAt < t0 || s.submittedAt >= t1) continue;
+    const rec = store.transactions[s.txId];
+    if (rec?.failed) { failed++; continue; }
+    if (s.amount === null) { noAmount++; continue; }
+    const [sourceVaultId, assetId] = s.rowId.split("|");
+    const fee = amountOr(rec?.networkFee, null);
+    const amount = amountOr(s.amount);
+    // a gross transfer pays its fee out of the amount: the destination gets the rest
+    const received = s.gross && fee !== null ? maxAmount("0", subAmount(amount, fee)) : amount;
+    transfers.push({ txId: s.txId, sourceVaultId, destinationVaultId: s.destinationVaultId, assetId, amount, received });
+    if (fee !== null && !s.gross) {
+      const k = `${sourceVaultId}|${rec.feeCurrency || registry.gasAssetFor(assetId) || assetId}`;
+      feesPaid.set(k, addAmounts(feesPaid.get(k) || "0", fee));
+    }
+  }
+
+  const rows = attributeChanges(diff, transfers, feesPaid);
+  fs.mkdirSync(path.dirname(OUT), { recursive: true });
+  writeCsvSync(OUT, COLUMNS, rows);
+
+  const count = (pred) => rows.filter(pred).length;
+  console.log("✅ Inventory diff written");
+  console.log(`- ${OUT} (${rows.length} changes)`);
+  console.log(`from=${from.asOfIso} (${path.basename(from.file)})`);
+  console.log(`to=${to.asOfIso} (${path.basename(to.file)})`);
+  console.log(`appeared=${count(r => r.change === "APPEARED")}`);
+  console.log(`disappeared=${count(r => r.change === "DISAPPEARED")}`);
+  console.log(`changed=${count(r => r.change === "CHANGED")}`);
+  console.log(`explained_by_consolidation=${count(r => r.attribution === "CONSOLIDATION")}`);
+  console.log(`unexplained=${count(r => r.attribution === "UNEXPLAINED")}`);
+  console.log(`journaled_transfers_in_window=${transfers.length}`);
+  console.log(`failed_transfers_ignored=${failed}`);
+  if (noAmount) console.log(`transfers_without_amount=${noAmount} (older journal lines; not counted)`);
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
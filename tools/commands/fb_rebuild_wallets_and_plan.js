@@ -0,0 +1,132 @@
+const fs=require("fs");
+const path=require("path");
+
+const {readCsvSync,writeCsvSync}=require("../lib/csv");
+const {loadPriceSnapshot}=require("../lib/price_snapshot");
+const {loadAssetRegistry}=require("../lib/asset_registry");
+const {loadConfig}=require("../lib/config");
+
+const ROOT=process.cwd();
+const INV=path.join(ROOT,"inventory","inventory.csv");
+if(!fs.existsSync(INV)) throw new Error("Missing inventory/inventory.csv");
+
+// consolidation vaults and vaults.skip (SKIP_VAULTS) are left out of totals and hide lists
+const CONFIG=loadConfig({root:ROOT});
+const SKIP_VAULTS=new Set([...CONFIG.get("vaults.consolidation"),...CONFIG.get("vaults.skip")]);
+
+function num(x){ const n=Number(x); return Number.isFinite(n)?n:0; }
+
+// prices snapshot
+const PRICES_PATH=path.join(ROOT,"execute","last_prices_usd.json");
+const PRICES=(loadPriceSnapshot(PRICES_PATH)||{}).pricesUsdByAssetId||{};
+const REGISTRY=loadAssetRegistry({execDir:path.join(ROOT,"execute")});
+function priceUsd(assetId){
+  if(PRICES[assetId]!=null){
+    const v=Number(PRICES[assetId]);
+    if(Number.isFinite(v)) return v;
+  }
+  if (REGISTRY.isStable(assetId)) return 1;
+  return null;
+}
+
+const inv=readCsvSync(INV,{required:["vaultId","vaultName","assetId","available","total"]});
+
+const I={
+  vaultId: inv.idx("vaultId"),
+  vaultName: inv.idx("vaultName"),
+  assetId: inv.idx("assetId"),
+  available: inv.idx("available"),
+  total: inv.idx("total"),
+  hiddenOnUI: inv.find("hiddenOnUI"), // may exist in some outputs
+};
+
+// aggregate per wallet
+const wallets=new Map(); // vaultId -> {vaultId,vaultName,assets:[],usdKnown,unknownRows,assetCount,sumAvailableRows,hiddenOnUI?}
+for(const r of inv.rows){
+  const vaultId=r[I.vaultId];
+  if(!vaultId) continue;
+  if(SKIP_VAULTS.has(String(vaultId))) continue;
+
+  const avail=num(r[I.available]);
+  const tot=num(r[I.total]);
+  if(!(avail>0 || tot>0)) continue;
+
+  const assetId=r[I.assetId];
+  if(!wallets.has(vaultId)){
+    wallets.set(vaultId,{
+      vaultId,
+      vaultName:r[I.vaultName]||"",
+      hiddenOnUI: I.hiddenOnUI>=0 ? (r[I.hiddenOnUI]||"") : "",
+      usdKnown:0,
+      unknownRows:0,
+      assetCount:0,
+    });
+  }
+  const w=wallets.get(vaultId);
+  w.assetCount++;
+
+  const p=priceUsd(assetId);
+  if(p==null) w.unknownRows++;
+  else w.usdKnown += avail * p;
+}
+
+// build wallet_totals.csv
+const walletTotals=[...wallets.values()].map(w=>({
+  vaultId:w.vaultId,
+  vaultName:w.vaultName,
+  assetRowCount:w.assetCount,
+  usdKnown: w.usdKnown.toFixed(2),
+  unknownAssetRows:w.unknownRows,
+  hiddenOnUI: w.hiddenOnUI
+}));
+walletTotals.sort((a,b)=>Number(b.usdKnown)-Number(a.usdKnown));
+
+// zero wallets: inventory.csv has no rows for empty vaults, so they come from the refresh's
+// inventory/empty_vaults.csv (EMPTY = no asset wallets, SWEPT = only zero balances).
+// Hidden vaults that hold funds again go to wallets_to_unhide.csv (from vaults.json counts).
+const EMPTY_VAULTS=path.join(ROOT,"inventory","empty_vaults.csv");
+const VAULTS_JSON=path.join(ROOT,"inventory","vaults.json");
+const VIS_HEADER=["vaultId","vaultName","hiddenOnUI","assetCount","state"];
+let zeroWallets=null, unhideWallets=null;
+if(fs.existsSync(EMPTY_VAULTS)){
+  const ev=readCsvSync(EMPTY_VAULTS,{required:["vaultId","hiddenOnUI","state"]});
+  zeroWallets=ev.records()
+    .filter(r=>r.vaultId && !SKIP_VAULTS.has(String(r.vaultId)) && r.hiddenOnUI!=="true")
+    .map(r=>({vaultId:r.vaultId,vaultName:r.vaultName||"",hiddenOnUI:"false",assetCount:r.assetCount||"0",state:r.state}));
+}
+if(fs.existsSync(VAULTS_JSON)){
+  const vaults=JSON.parse(fs.readFileSync(VAULTS_JSON,"utf8"));
+  unhideWallets=Object.entries(vaults)
+    .filter(([,v])=>v.hiddenOnUI===true && v.nonZeroAssets>0)
+    .map(([vaultId,v])=>({vaultId,vaultName:v.name||"",hiddenOnUI:"true",assetCount:v.assetCount,state:"FUNDED"}));
+}
+
+fs.mkdirSync("analysis",{recursive:true});
+function writeCsv(file, rows){
+  if(!rows.length){ fs.writeFileSync(file,"EMPTY\n"); return; }
+  writeCsvSync(file,Object.keys(rows[0]),rows);
+}
+
+writeCsv("analysis/wallet_totals.csv", walletTotals);
+if(zeroWallets) writeCsvSync("analysis/zero_wallets_to_hide.csv", VIS_HEADER, zeroWallets);
+else writeCsv("analysis/zero_wallets_to_hide.csv", []);
+if(unhideWallets) writeCsvSync("analysis/wallets_to_unhide.csv", VIS_HEADER, unhideWallets);
+else writeCsv("analysis/wallets_to_unhide.csv", []);
+
+console.log("✅ Rebuild successful (inventory.csv only)");
+console.log("Wallets with nonzero inventory (excluding skip vaults):", walletTotals.length);
+console.log("Output: analysis/wallet_totals.csv");
+if(zeroWallets){
+  console.log("Empty or swept vaults to hide (excluding skip vaults and hidden ones):", zeroWallets.length);
+  console.log("Output: analysis/zero_wallets_to_hide.csv");
+} else {
+  console.log("Note: zero_wallets_to_hide.csv is EMPTY because inventory/empty_vaults.csv is missing; re-run fb_refresh_inventory.js.");
+}
+if(unhideWallets){
+  console.log("Hidden vaults holding funds:", unhideWallets.length);
+  console.log("Output: analysis/wallets_to_unhide.csv");
+} else {
+  console.log("Note: wallets_to_unhide.csv is EMPTY because inventory/vaults.json is missing; re-run fb_refresh_inventory.js.");
+}
+console.log("Hide/unhide them with tools/fb_execute_hide_vaults.js.");
+console.log("Plan files (plan/plan.csv, plan/plan.jsonl) come from tools/fb_build_plan.js.");
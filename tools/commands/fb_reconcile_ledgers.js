@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Reconcile the completed ledger (execute/completed_transfers.txt, plus any per-executor
+ * ledger not merged into it yet) against Fireblocks transaction history.
+ *
+ * A run that dies between POST /v1/transactions and the ledger append leaves a
+ * submitted transfer the ledger does not know about; a hand-edited or stale ledger can
+ * list rows Fireblocks never saw. This command lists transactions per source vault,
+ * maps their externalTxId back to a ledger row (consolidate_<rowId>[#n], and the older
+ * <RUN_ID>:<rowId> and <rowId>), looks up any remaining ledger rows by externalTxId, and reports:
+ *   - missing_from_ledger   a live or completed transaction whose row is not in the ledger
+ *   - no_transaction        a ledger row with no transaction at all
+ *   - failed_transaction    a ledger row whose transactions all failed / were rejected
+ *
+ * Env:
+ *   SOURCE_VAULTS="1001,1002"  only scan these source vaults (default: every vault in the
+ *                              ledgers and journals)
+ *   SINCE="2024-01-01"         only list transactions created after this date
+ *   REWRITE_LEDGERS=1          merge the per-executor ledgers and rewrite the ledger to
+ *                              match (backup kept as *.bak_<ts>)
+ *
+ * Output: analysis/reconcile_ledgers.csv
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { clientFromEnv, describeError } = require("../lib/fb_client");
+const { LEDGER, isRowId, isFailedStatus, parseExternalTxId, externalTxIdFor, readLedgerRows, migrateLegacyLedgers } = require("../lib/tx_tracker");
+const { writeCsvSync } = require("../lib/csv");
+
+const fb = clientFromEnv();
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const OUT_CSV = path.join(ROOT, "analysis", "reconcile_ledgers.csv");
+const REWRITE = process.env.REWRITE_LEDGERS === "1";
+const SINCE_MS = process.env.SINCE ? Date.parse(process.env.SINCE) : null;
+if (process.env.SINCE && !Number.isFinite(SINCE_MS)) throw new Error(`Bad SINCE date: ${process.env.SINCE}`);
+const ONLY_SOURCES = new Set((process.env.SOURCE_VAULTS || "").split(",").map(s => s.trim()).filter(Boolean));
+
+const keyOf = (ledger, rowId) => `${ledger}\t${rowId}`;
+
+/**
+ * externalTxIds the executors may have used for each rowId, from the journals:
+ * SUBMIT/DRYRUN bodies, plus <RUN_ID>:<rowId> for runs of the old execute_ready.js (the
+ * RUN_ID is in the journal file name, which also covers runs that died mid-POST).
+ */
+function journalExternalIds() {
+  const byRow = new Map();
+  const add = (rowId, id) => {
+    if (!byRow.has(rowId)) byRow.set(rowId, new Set());
+    if (id) byRow.get(rowId).add(id);
+  };
+  for (const f of fs.readdirSync(EXEC_DIR).filter(f => /^journal_.*\.jsonl$/.test(f))) {
+    const runId = f.slice("journal_".length, -".jsonl".length);
+    for (const line of fs.readFileSync(path.join(EXEC_DIR, f), "utf8").split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      let j;
+      try { j = JSON.parse(line); } catch { continue; }
+      const rowId = j.rowId || j.rid;
+      if (!isRowId(rowId)) continue;
+      add(rowId, j.body?.externalTxId);
+      if (j.event && !j.rid && !j.executor) add(rowId, `${runId}:${rowId}`);
+    }
+  }
+  return byRow;
+}
+
+function candidateExternalIds(ledger, rowId, fromJournals) {
+  const ids = new Set();
+  ids.add(externalTxIdFor(rowId));
+  for (const id of fromJournals.get(rowId) || []) {
+    const parsed = parseExternalTxId(id);
+    if (parsed && parsed.ledger === ledger) ids.add(id);
+  }
+  return [...ids];
+}
+
+(async () => {
+  if (!fs.existsSync(EXEC_DIR)) throw new Error(`Missing ${EXEC_DIR}.`);
+
+  // ledger name -> rows (file order kept for rewrites); one ledger since the executors share it
+  if (REWRITE) migrateLegacyLedgers(EXEC_DIR);
+  const ledgers = new Map([[LEDGER, readLedgerRows(EXEC_DIR)]]);
+  const fromJournals = journalExternalIds();
+
+  const sources = new Set(ONLY_SOURCES);
+  if (!ONLY_SOURCES.size) {
+    for (const rows of ledgers.values()) for (const r of rows) sources.add(r.split("|")[0]);
+    for (const r of fromJournals.keys()) sources.add(r.split("|")[0]);
+  }
+
+  console.log(`Ledgers: ${[...ledgers.keys()].join(", ") || "(none)"}`);
+  console.log(`Source vaults to scan: ${sources.size}`);
+
+  // (ledger,rowId) -> transactions seen for it
+  const seen = new Map();
+  const record = (tx) => {
+    const parsed = parseExternalTxId(tx.externalTxId);
+    if (!parsed) return false;
+    const k = keyOf(parsed.ledger, parsed.rowId);
+    if (!seen.has(k)) seen.set(k, new Map());
+    seen.get(k).set(tx.id, tx);
+    return true;
+  };
+
+  let listed = 0, lookupErrors = 0;
+  for (const sourceId of sources) {
+    try {
+      for await (const pg of fb.headerPages("/v1/transactions", {
+        sourceType: "VAULT_ACCOUNT", sourceId, after: SINCE_MS ?? undefined, orderBy: "createdAt", sort: "ASC", limit: 500
+      })) {
+        for (const tx of pg.items) if (record(tx)) listed++;
+      }
+    } catch (e) {
+      lookupErrors++;
+      console.log(`List failed for source vault ${sourceId} :: ${describeError(e).slice(0, 200)}`);
+    }
+  }
+  console.log(`Transactions matched from vault history: ${listed}`);
+
+  // Ledger rows the vault scan did not explain: ask by externalTxId.
+  let lookedUp = 0;
+  for (const [ledger, rows] of ledgers) {
+    for (const rowId of rows) {
+      if (seen.has(keyOf(ledger, rowId))) continue;
+      for (const id of candidateExternalIds(ledger, rowId, fromJournals)) {
+        lookedUp++;
+        try {
+          record(await fb.get(`/v1/transactions/external_tx_id/${encodeURIComponent(id)}`));
+        } catch (e) {
+          if (e.status === 404 || e.code === 1404) continue;
+          lookupErrors++;
+          console.log(`Lookup failed for externalTxId ${id} :: ${describeError(e).slice(0, 200)}`);
+        }
+      }
+    }
+  }
+  console.log(`externalTxId lookups: ${lookedUp}`);
+
+  const issues = [];
+  const keep = new Map([...ledgers.keys()].map(l => [l, []]));
+  const bestTx = (txs) => {
+    const all = [...(txs?.values() || [])].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    return all.find(t => !isFailedStatus(t.status)) || all[0] || null;
+  };
+
+  for (const [ledger, rows] of ledgers) {
+    const inLedger = new Set();
+    for (const rowId of rows) {
+      if (inLedger.has(rowId)) continue;
+      inLedger.add(rowId);
+      const tx = bestTx(seen.get(keyOf(ledger, rowId)));
+      if (tx && !isFailedStatus(tx.status)) { keep.get(ledger).push(rowId); continue; }
+      issues.push({ ledger, rowId, issue: tx ? "failed_transaction" : "no_transaction", tx });
+    }
+  }
+  for (const [k, txs] of seen) {
+    const [ledger, rowId] = k.split("\t");
+    if ((ledgers.get(ledger) || []).includes(rowId)) continue;
+    const tx = bestTx(txs);
+    if (!tx || isFailedStatus(tx.status)) continue;
+    issues.push({ ledger, rowId, issue: "missing_from_ledger", tx });
+    if (!keep.has(ledger)) keep.set(ledger, []);
+    keep.get(ledger).push(rowId);
+  }
+
+  fs.mkdirSync(path.dirname(OUT_CSV), { recursive: true });
+  writeCsvSync(OUT_CSV, ["ledger", "rowId", "issue", "txId", "status", "subStatus", "externalTxId", "createdAt"],
+    issues.map(i => [
+      i.ledger, i.rowId, i.issue, i.tx?.id, i.tx?.status, i.tx?.subStatus, i.tx?.externalTxId,
+      i.tx?.createdAt ? new Date(i.tx.createdAt).toISOString() : ""
+    ]));
+
+  const count = (name) => issues.filter(i => i.issue === name).length;
+  for (const i of issues) console.log(`${i.issue}: ${i.ledger} ${i.rowId}${i.tx ? ` txId=${i.tx.id} ${i.tx.status}` : ""}`);
+
+  let rewritten = 0;
+  if (REWRITE && issues.length) {
+    if (lookupErrors) {
+      throw new Error(`Not rewriting ledgers: ${lookupErrors} lookup(s) failed, so some rows could be dropped wrongly. Re-run once the API calls succeed.`);
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const touched = new Set(issues.map(i => i.ledger));
+    for (const ledger of touched) {
+      const file = path.join(EXEC_DIR, ledger);
+      if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak_${stamp}`);
+      fs.writeFileSync(file + ".tmp", keep.get(ledger).map(r => r + "\n").join(""));
+      fs.renameSync(file + ".tmp", file);
+      rewritten++;
+      console.log(`Rewrote ${ledger} (${keep.get(ledger).length} rows; backup ${ledger}.bak_${stamp})`);
+    }
+  }
+
+  console.log(`\n✅ Reconciliation complete`);
+  console.log(`missing_from_ledger=${count("missing_from_ledger")}`);
+  console.log(`no_transaction=${count("no_transaction")}`);
+  console.log(`failed_transaction=${count("failed_transaction")}`);
+  console.log(`lookup_errors=${lookupErrors}`);
+  console.log(`ledgers_rewritten=${rewritten}${!REWRITE && issues.length ? " (set REWRITE_LEDGERS=1 to apply)" : ""}`);
+  console.log(`- CSV: ${OUT_CSV}`);
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
@@ -0,0 +1,315 @@
+/**
+ * Pull every vault account and balance into inventory/inventory.csv + inventory/vaults.json.
+ *
+ * Full scan (default):
+ * The scan writes to inventory/inventory.csv.partial and inventory/vaults.partial.jsonl and,
+ * after every page, records the next `after` cursor and the bytes written so far in
+ * inventory/refresh_checkpoint.json. If the scan fails, re-running resumes from that page
+ * (anything written after the last checkpoint is cut off first). inventory.csv and
+ * vaults.json are only replaced, atomically, once the whole workspace has been read, so a
+ * failed run never leaves a truncated inventory behind.
+ *
+ * vaults.json also records each vault's assetCount and nonZeroAssets (assets with a
+ * positive total), and inventory/empty_vaults.csv lists the vaults with none: EMPTY (no
+ * asset wallets at all; these never appear in inventory.csv) or SWEPT (only zero
+ * balances). fb_rebuild_wallets_and_plan.js builds the hide list from it.
+ *
+ * Env:
+ *   RESTART=1                          ignore the checkpoint and scan from the first page
+ *   REFRESH_CHECKPOINT_MAX_AGE_HOURS=24  older checkpoints are discarded (balances moved on)
+ *   REFRESH_PAGE_SIZE=200              vaults per accounts_paged request
+ *
+ * Partial refresh (any of the filters below): re-reads only the matching vaults and
+ * merges them into the existing inventory.csv / vaults.json; every other row is kept as
+ * it was. The refreshed vaults' rows are replaced, or with ASSET_ID only their rows for
+ * that asset. No history snapshot is taken (the file now mixes two scan times); compare
+ * with TO=current in fb_inventory_diff.js.
+ *   VAULT_IDS="1001,1002"   GET /v1/vault/accounts/{id} for each
+ *   NAME_PREFIX / NAME_SUFFIX / ASSET_ID / MIN_AMOUNT
+ *                           accounts_paged filters namePrefix, nameSuffix, assetId and
+ *                           minAmountThreshold (MIN_AMOUNT needs ASSET_ID); vaults that
+ *                           drop under MIN_AMOUNT are not returned, so their rows stay
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { clientFromEnv } = require("../lib/fb_client");
+const { csvLine, readCsvSync, writeCsvSync } = require("../lib/csv");
+const { saveSnapshot } = require("../lib/inventory_history");
+const { amountOr, isPositiveAmount } = require("../lib/amount");
+
+const fb = clientFromEnv({
+  onAttempt: (a) => {
+    if (a.ok) return;
+    console.error(`retry: ${a.method} ${a.uri} attempt=${a.attempt} ${a.error.slice(0, 200)}${a.willRetry ? ` (waiting ${a.delayMs}ms)` : " (giving up)"}`);
+  }
+});
+
+const HEADER = [
+  "vaultId","vaultName","hiddenOnUI",
+  "assetId","available","total","pending","frozen","lockedAmount","staked"
+];
+const CHECKPOINT_VERSION = 2;
+const RESTART = process.env.RESTART === "1";
+const MAX_AGE_HOURS = Math.max(0, Number(process.env.REFRESH_CHECKPOINT_MAX_AGE_HOURS || "24") || 24);
+
+const outCsv = path.resolve("inventory/inventory.csv");
+const outVaults = path.resolve("inventory/vaults.json");
+const partialCsv = outCsv + ".partial";
+const partialVaults = path.resolve("inventory/vaults.partial.jsonl");
+const checkpointFile = path.resolve("inventory/refresh_checkpoint.json");
+const outEmpty = path.resolve("inventory/empty_vaults.csv");
+
+const VAULT_IDS = String(process.env.VAULT_IDS || "").split(",").map(s => s.trim()).filter(Boolean);
+const FILTER = {
+  namePrefix: process.env.NAME_PREFIX || "",
+  nameSuffix: process.env.NAME_SUFFIX || "",
+  assetId: process.env.ASSET_ID || "",
+  minAmountThreshold: process.env.MIN_AMOUNT || ""
+};
+const PARTIAL = VAULT_IDS.length > 0 || Object.values(FILTER).some(Boolean);
+
+/** inventory.csv row for one vault asset. */
+function assetRecord(v, a) {
+  return {
+    vaultId: v?.id ?? "",
+    vaultName: v?.name ?? "",
+    hiddenOnUI: v?.hiddenOnUI === true ? "true" : "false",
+    assetId: a?.id ?? "",
+    available: a?.available ?? "",
+    total: a?.total ?? a?.balance ?? "",
+    pending: a?.pending ?? "",
+    frozen: a?.frozen ?? "",
+    lockedAmount: a?.lockedAmount ?? "",
+    staked: a?.staked ?? ""
+  };
+}
+
+/** vaults.json entry; counts come from the vault's inventory.csv rows. */
+function vaultEntry(v, records) {
+  return {
+    name: v?.name ?? "",
+    hiddenOnUI: v?.hiddenOnUI === true,
+    assetCount: records.length,
+    nonZeroAssets: records.filter(r => isPositiveAmount(amountOr(r.total))).length
+  };
+}
+
+/** inventory/empty_vaults.csv from the vault map. Returns the row count. */
+function writeEmptyVaults(vaultMap) {
+  const rows = Object.entries(vaultMap)
+    .filter(([, v]) => v.nonZeroAssets === 0)
+    .map(([vaultId, v]) => ({ vaultId, vaultName: v.name, hiddenOnUI: v.hiddenOnUI ? "true" : "false", assetCount: v.assetCount, state: v.assetCount ? "SWEPT" : "EMPTY" }));
+  writeCsvSync(outEmpty + ".tmp", ["vaultId", "vaultName", "hiddenOnUI", "assetCount", "state"], rows);
+  fs.renameSync(outEmpty + ".tmp", outEmpty);
+  return rows.length;
+}
+
+function writeJsonAtomic(file, obj) {
+  fs.writeFileSync(file + ".tmp", JSON.stringify(obj, null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+function writeCheckpoint(cp) {
+  cp.updatedAtIso = new Date().toISOString();
+  writeJsonAtomic(checkpointFile, cp);
+}
+
+/** The checkpoint to resume from, or null to start over. */
+function loadCheckpoint() {
+  if (!fs.existsSync(checkpointFile)) return null;
+  if (RESTART) { console.error("checkpoint: RESTART=1, starting over"); return null; }
+  let cp;
+  try { cp = JSON.parse(fs.readFileSync(checkpointFile, "utf8")); }
+  catch (e) { console.error(`checkpoint: unreadable (${e.message}), starting over`); return null; }
+  const ageHours = (Date.now() - Date.parse(cp.startedAtIso)) / 3600e3;
+  if (cp.schemaVersion !== CHECKPOINT_VERSION || !Number.isFinite(ageHours)) {
+    console.error("checkpoint: unknown format, starting over");
+    return null;
+  }
+  if (ageHours > MAX_AGE_HOURS) {
+    console.error(`checkpoint: scan started ${ageHours.toFixed(1)}h ago (> REFRESH_CHECKPOINT_MAX_AGE_HOURS=${MAX_AGE_HOURS}), starting over`);
+    return null;
+  }
+  for (const [file, bytes] of [[partialCsv, cp.csvBytes], [partialVaults, cp.vaultsBytes]]) {
+    if (!fs.existsSync(file) || fs.statSync(file).size < bytes) {
+      console.error(`checkpoint: ${path.basename(file)} is missing or shorter than recorded, starting over`);
+      return null;
+    }
+  }
+  return cp;
+}
+
+async function fullScan() {
+  let cp = loadCheckpoint();
+  if (cp) {
+    // drop whatever was written after the last checkpoint
+    fs.truncateSync(partialCsv, cp.csvBytes);
+    fs.truncateSync(partialVaults, cp.vaultsBytes);
+    console.error(`checkpoint: resuming scan started ${cp.startedAtIso} after page ${cp.pages} (vaults=${cp.vaults} rows=${cp.rows})`);
+  } else {
+    const header = csvLine(HEADER) + "\n";
+    fs.writeFileSync(partialCsv, header);
+    fs.writeFileSync(partialVaults, "");
+    cp = {
+      schemaVersion: CHECKPOINT_VERSION,
+      startedAtIso: new Date().toISOString(),
+      pages: 0,
+      vaults: 0,
+      rows: 0,
+      after: null,
+      csvBytes: Buffer.byteLength(header),
+      vaultsBytes: 0,
+      done: false
+    };
+    writeCheckpoint(cp);
+  }
+  const resumedAtPage = cp.pages;
+
+  const csvFd = fs.openSync(partialCsv, "a");
+  const vaultsFd = fs.openSync(partialVaults, "a");
+
+  const limit = Math.max(1, Math.min(500, Number(process.env.REFRESH_PAGE_SIZE || "200") || 200));
+
+  try {
+    if (!cp.done) {
+      for await (const pg of fb.pages("/v1/vault/accounts_paged", {}, { itemsKey: "accounts", limit, after: cp.after })) {
+        const accounts = pg.items;
+        let csvChunk = "";
+        let vaultsChunk = "";
+        let rows = 0;
+
+        for (const v of accounts) {
+          const records = (Array.isArray(v?.assets) ? v.assets : []).map(a => assetRecord(v, a));
+          vaultsChunk += JSON.stringify({ id: v?.id ?? "", ...vaultEntry(v, records) }) + "\n";
+          for (const r of records) csvChunk += csvLine(HEADER.map(h => r[h])) + "\n";
+          rows += records.length;
+        }
+
+        // data first, then the checkpoint that covers it
+        fs.writeSync(csvFd, csvChunk);
+        fs.writeSync(vaultsFd, vaultsChunk);
+        fs.fsyncSync(csvFd);
+        fs.fsyncSync(vaultsFd);
+        cp.pages++;
+        cp.vaults += accounts.length;
+        cp.rows += rows;
+        cp.after = pg.after;
+        cp.csvBytes += Buffer.byteLength(csvChunk);
+        cp.vaultsBytes += Buffer.byteLength(vaultsChunk);
+        cp.done = !pg.after;
+        writeCheckpoint(cp);
+
+        if (cp.pages % 25 === 0) {
+          console.error(`progress: pages=${cp.pages} vaults=${cp.vaults} rows=${cp.rows} next_after=${pg.after ? "yes" : "no"}`);
+        }
+      }
+    }
+  } catch (e) {
+    console.error(`checkpoint: stopped after page ${cp.pages} (vaults=${cp.vaults} rows=${cp.rows}); re-run to resume. inventory.csv was not touched.`);
+    throw e;
+  } finally {
+    fs.closeSync(csvFd);
+    fs.closeSync(vaultsFd);
+  }
+
+  const vaultMap = {}; // vaultId -> {name, hiddenOnUI, assetCount, nonZeroAssets}
+  for (const line of fs.readFileSync(partialVaults, "utf8").split("\n")) {
+    if (!line) continue;
+    const { id, ...entry } = JSON.parse(line);
+    vaultMap[id] = entry;
+  }
+  fs.writeFileSync(outVaults + ".tmp", JSON.stringify(vaultMap, null, 2));
+
+  // the scan is complete: swap both files in, then forget the checkpoint
+  fs.renameSync(partialCsv, outCsv);
+  fs.renameSync(outVaults + ".tmp", outVaults);
+  fs.unlinkSync(partialVaults);
+  fs.unlinkSync(checkpointFile);
+  const empty = writeEmptyVaults(vaultMap);
+
+  // dated copy for fb_inventory_diff.js
+  const snapshot = saveSnapshot(process.cwd(), cp.startedAtIso);
+
+  console.log("✅ Refresh complete");
+  console.log("- CSV:", outCsv);
+  console.log("- Vault map:", outVaults);
+  console.log("- Snapshot:", snapshot.csvFile);
+  console.log("- Vault accounts scanned:", cp.vaults);
+  console.log("- Asset rows written:", cp.rows);
+  console.log(`- Empty or swept vaults: ${empty} (${outEmpty})`);
+  if (resumedAtPage) console.log(`- Resumed after page ${resumedAtPage} of a scan started ${cp.startedAtIso}`);
+}
+
+async function partialRefresh() {
+  if (FILTER.minAmountThreshold && !FILTER.assetId) throw new Error("MIN_AMOUNT needs ASSET_ID");
+  if (VAULT_IDS.length && (FILTER.namePrefix || FILTER.nameSuffix || FILTER.minAmountThreshold)) {
+    throw new Error("VAULT_IDS cannot be combined with NAME_PREFIX, NAME_SUFFIX or MIN_AMOUNT");
+  }
+  if (!fs.existsSync(outCsv)) throw new Error(`Missing ${outCsv}. Run a full refresh (no filters) first.`);
+  if (fs.existsSync(checkpointFile)) console.error(`note: a full scan is in progress (${checkpointFile}); resuming it will overwrite this merge`);
+
+  // re-read the selected vaults
+  const accounts = [];
+  const notFound = [];
+  if (VAULT_IDS.length) {
+    for (const id of VAULT_IDS) {
+      try {
+        accounts.push(await fb.get(`/v1/vault/accounts/${encodeURIComponent(id)}`));
+      } catch (e) {
+        if (e.status !== 404) throw e;
+        notFound.push(id);
+      }
+    }
+  } else {
+    const query = Object.fromEntries(Object.entries(FILTER).filter(([, v]) => v));
+    for await (const pg of fb.pages("/v1/vault/accounts_paged", query, { itemsKey: "accounts", limit: 200 })) accounts.push(...pg.items);
+  }
+
+  // with ASSET_ID only that asset's rows are replaced, otherwise the whole vault's
+  const refreshed = new Set(accounts.map(v => String(v?.id ?? "")));
+  const scope = (vaultId, assetId) => refreshed.has(String(vaultId)) && (!FILTER.assetId || assetId === FILTER.assetId);
+  const fresh = [];
+  for (const v of accounts) {
+    for (const a of Array.isArray(v?.assets) ? v.assets : []) {
+      if (!FILTER.assetId || a?.id === FILTER.assetId) fresh.push(assetRecord(v, a));
+    }
+  }
+
+  const inv = readCsvSync(outCsv, { required: ["vaultId", "assetId"] });
+  const kept = inv.records().filter(r => !scope(r.vaultId, r.assetId));
+  const replaced = inv.rows.length - kept.length;
+  const merged = [...kept, ...fresh];
+  writeCsvSync(outCsv + ".tmp", HEADER, merged);
+
+  // refreshed vaults: counts from the merged rows (with ASSET_ID the other assets are kept rows)
+  const vaultMap = fs.existsSync(outVaults) ? JSON.parse(fs.readFileSync(outVaults, "utf8")) : {};
+  for (const v of accounts) vaultMap[v.id] = vaultEntry(v, merged.filter(r => String(r.vaultId) === String(v.id)));
+
+  fs.renameSync(outCsv + ".tmp", outCsv);
+  writeJsonAtomic(outVaults, vaultMap);
+  const empty = writeEmptyVaults(vaultMap);
+
+  const filterDesc = VAULT_IDS.length
+    ? `VAULT_IDS=${VAULT_IDS.join(",")}${FILTER.assetId ? ` ASSET_ID=${FILTER.assetId}` : ""}`
+    : Object.entries(FILTER).filter(([, v]) => v).map(([k, v]) => `${k}=${v}`).join(" ");
+  console.log("✅ Partial refresh merged");
+  console.log("- CSV:", outCsv);
+  console.log("- Vault map:", outVaults);
+  console.log("- Filter:", filterDesc);
+  console.log("- Vault accounts refreshed:", refreshed.size);
+  console.log("- Asset rows replaced:", replaced, "written:", fresh.length);
+  console.log("- Rows kept as they were:", kept.length);
+  if (notFound.length) console.log("- Vaults not found (rows kept):", notFound.join(","));
+  console.log(`- Empty or swept vaults: ${empty} (${outEmpty})`);
+}
+
+(async () => {
+  fs.mkdirSync(path.dirname(outCsv), { recursive: true });
+  if (PARTIAL) await partialRefresh();
+  else await fullScan();
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
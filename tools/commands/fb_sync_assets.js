@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Sync the asset registry from Fireblocks.
+ *
+ * Reads GET /v1/supported_assets (decimals, native asset, token vs base, blockchain) and
+ * writes execute/asset_registry.json, which tools/lib/asset_registry.js serves to every
+ * script for stablecoin classification, gas assets and decimal rounding. Local fixes go
+ * in execute/asset_registry_overrides.json, which this command never touches.
+ *
+ * Env:
+ *   ONLY_INVENTORY_ASSETS=1   keep only assetIds that appear in inventory/inventory.csv
+ *
+ * Output: execute/asset_registry.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { clientFromEnv } = require("../lib/fb_client");
+const { readCsvSync } = require("../lib/csv");
+const { REGISTRY_FILE, OVERRIDES_FILE, registryFromSupportedAssets, writeRegistry, loadAssetRegistry } = require("../lib/asset_registry");
+
+const fb = clientFromEnv({
+  onAttempt: (a) => {
+    if (a.ok) return;
+    console.error(`retry: ${a.method} ${a.uri} attempt=${a.attempt} ${a.error.slice(0, 200)}${a.willRetry ? ` (waiting ${a.delayMs}ms)` : " (giving up)"}`);
+  }
+});
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const OUT = path.join(EXEC_DIR, REGISTRY_FILE);
+const INV = path.join(ROOT, "inventory", "inventory.csv");
+const ONLY_INVENTORY = process.env.ONLY_INVENTORY_ASSETS === "1";
+
+(async () => {
+  const list = await fb.get("/v1/supported_assets");
+  const doc = registryFromSupportedAssets(list);
+  const fetched = Object.keys(doc.assets).length;
+
+  if (ONLY_INVENTORY) {
+    if (!fs.existsSync(INV)) throw new Error("ONLY_INVENTORY_ASSETS=1 needs inventory/inventory.csv");
+    const inv = readCsvSync(INV, { required: ["assetId"] });
+    const keep = new Set(inv.rows.map(r => inv.get(r, "assetId")));
+    // native assets of kept tokens stay too, so gas lookups still resolve
+    for (const id of [...keep]) if (doc.assets[id]) keep.add(doc.assets[id].nativeAsset);
+    for (const id of Object.keys(doc.assets)) if (!keep.has(id)) delete doc.assets[id];
+  }
+
+  writeRegistry(OUT, doc);
+
+  const reg = loadAssetRegistry({ execDir: EXEC_DIR });
+  const ids = Object.keys(doc.assets);
+  const tokens = ids.filter(id => !doc.assets[id].isBase).length;
+  const stable = ids.filter(id => reg.isStable(id)).length;
+
+  let unknownInInventory = [];
+  if (fs.existsSync(INV)) {
+    const inv = readCsvSync(INV, { required: ["assetId"] });
+    unknownInInventory = [...new Set(inv.rows.map(r => inv.get(r, "assetId")))].filter(id => id && !reg.has(id)).sort();
+  }
+
+  console.log("✅ Asset registry synced");
+  console.log(`- File: ${OUT}`);
+  console.log(`- Supported assets fetched: ${fetched}${ONLY_INVENTORY ? ` (kept ${ids.length} used by inventory)` : ""}`);
+  console.log(`- Base assets: ${ids.length - tokens}  tokens: ${tokens}  stablecoins: ${stable}`);
+  console.log(`- Overrides: ${path.join(EXEC_DIR, OVERRIDES_FILE)}${fs.existsSync(path.join(EXEC_DIR, OVERRIDES_FILE)) ? "" : " (none)"}`);
+  if (unknownInInventory.length) {
+    console.log(`- Inventory assets not in the registry (${unknownInInventory.length}): ${unknownInInventory.slice(0, 20).join(", ")}${unknownInInventory.length > 20 ? ", ..." : ""}`);
+  }
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Follow submitted transactions to a final status.
+ *
+ * Reads every SUBMIT_OK txId from execute/journal_*.jsonl, polls
+ * GET /v1/transactions/{id} for the ones not yet final, and records status, subStatus,
+ * txHash and network fee in execute/tx_status.json. Rows whose latest transaction
+ * ended REJECTED / FAILED / BLOCKED / CANCELLED / TIMEOUT are removed from
+ * execute/completed_transfers.txt (older per-executor ledgers are merged into it first),
+ * so analysis, planning and every executor treat them as outstanding again.
+ *
+ * Env:
+ *   WAIT=1                keep polling until everything is final (default: one pass)
+ *   POLL_INTERVAL_MS=5000 delay between passes when WAIT=1
+ *   TRACK_TIMEOUT_SEC=900 give up waiting after this long
+ *   KEEP_LEDGERS=1        record statuses only; do not touch the ledger files
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { clientFromEnv, describeError } = require("../lib/fb_client");
+const tracker = require("../lib/tx_tracker");
+
+const fb = clientFromEnv();
+
+const EXEC_DIR = path.join(process.cwd(), "execute");
+const WAIT = process.env.WAIT === "1";
+const KEEP_LEDGERS = process.env.KEEP_LEDGERS === "1";
+const POLL_INTERVAL_MS = Math.max(500, Number(process.env.POLL_INTERVAL_MS || "5000") || 5000);
+const TRACK_TIMEOUT_SEC = Math.max(1, Number(process.env.TRACK_TIMEOUT_SEC || "900") || 900);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  if (!fs.existsSync(EXEC_DIR)) throw new Error(`Missing ${EXEC_DIR}. Nothing has been submitted yet.`);
+
+  const migrated = KEEP_LEDGERS ? [] : tracker.migrateLegacyLedgers(EXEC_DIR);
+  if (migrated.length) console.log(`Merged into ${tracker.LEDGER}: ${migrated.join(", ")} (kept as *.bak_<timestamp>)`);
+  const store = tracker.loadStatusStore(EXEC_DIR);
+  const submissions = tracker.collectSubmissions(EXEC_DIR);
+
+  const added = tracker.addSubmissions(store, submissions);
+
+  console.log(`Submissions in journals: ${submissions.length} (new: ${added})`);
+  console.log(`Status store: ${path.join(EXEC_DIR, tracker.STATUS_FILE)}`);
+
+  const deadline = Date.now() + TRACK_TIMEOUT_SEC * 1000;
+  let pass = 0, lookupErrors = 0;
+  while (true) {
+    pass++;
+    const open = Object.entries(store.transactions).filter(([, r]) => !r.final);
+    if (!open.length) break;
+    console.log(`Pass ${pass}: checking ${open.length} open transaction(s)`);
+
+    for (const [txId, rec] of open) {
+      try {
+        const tx = await fb.get(`/v1/transactions/${encodeURIComponent(txId)}`);
+        const before = rec.status;
+        tracker.applyTransaction(rec, tx);
+        delete rec.lastError;
+        if (rec.status !== before) console.log(`  ${txId} ${rec.rowId}: ${before} -> ${rec.status}${rec.subStatus ? ` (${rec.subStatus})` : ""}`);
+      } catch (e) {
+        lookupErrors++;
+        rec.lastError = describeError(e);
+        rec.lastCheckedAt = new Date().toISOString();
+        console.log(`  ${txId} ${rec.rowId}: lookup failed :: ${describeError(e).slice(0, 200)}`);
+      }
+    }
+    tracker.saveStatusStore(EXEC_DIR, store);
+
+    if (!WAIT || Date.now() + POLL_INTERVAL_MS > deadline) break;
+    if (Object.values(store.transactions).every(r => r.final)) break;
+    await sleep(POLL_INTERVAL_MS);
+  }
+  tracker.saveStatusStore(EXEC_DIR, store);
+
+  // Failed rows come back out of the ledger they were recorded in.
+  const failed = tracker.failedRows(store);
+  const byLedger = new Map();
+  for (const [rowId, rec] of failed) {
+    if (!rec.ledger) continue;
+    if (!byLedger.has(rec.ledger)) byLedger.set(rec.ledger, new Set());
+    byLedger.get(rec.ledger).add(rowId);
+  }
+  let removed = 0;
+  if (!KEEP_LEDGERS) {
+    for (const [ledger, rows] of byLedger) {
+      const n = tracker.removeFromLedger(path.join(EXEC_DIR, ledger), rows);
+      if (n) console.log(`Removed ${n} failed row(s) from ${ledger}`);
+      removed += n;
+    }
+  }
+
+  const counts = {};
+  for (const r of Object.values(store.transactions)) counts[r.status] = (counts[r.status] || 0) + 1;
+
+  console.log(`\n✅ Tracking pass complete`);
+  for (const [status, n] of Object.entries(counts).sort()) console.log(`${status.toLowerCase()}=${n}`);
+  console.log(`still_open=${Object.values(store.transactions).filter(r => !r.final).length}`);
+  console.log(`failed_rows=${failed.size}`);
+  console.log(`ledger_rows_removed=${KEEP_LEDGERS ? "0 (KEEP_LEDGERS=1)" : removed}`);
+  console.log(`lookup_errors=${lookupErrors}`);
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+
+const { readCsv, writeCsvSync } = require("../lib/csv");
+const { resolvePrices, pricingOptionsFromEnv, describePricing } = require("../lib/pricing");
+const { snapshotFromPricing, writePriceSnapshot } = require("../lib/price_snapshot");
+const { loadConfig } = require("../lib/config");
+
+const ROOT = process.cwd();
+const EXEC_DIR = path.join(ROOT, "execute");
+const ANALYSIS_DIR = path.join(ROOT, "analysis");
+fs.mkdirSync(EXEC_DIR, { recursive: true });
+fs.mkdirSync(ANALYSIS_DIR, { recursive: true });
+
+const INVENTORY_CSV = path.join(ROOT, "inventory", "inventory.csv");
+if (!fs.existsSync(INVENTORY_CSV)) throw new Error("Missing inventory/inventory.csv. Run fb_refresh_inventory.js first.");
+
+const OUT_PRICES = path.join(EXEC_DIR, "last_prices_usd.json");
+const OUT_ASSUMPTIONS = path.join(ANALYSIS_DIR, "price_assumptions.csv");
+const OUT_UNMAPPED = path.join(ANALYSIS_DIR, "unmapped_assets.txt");
+
+const CONFIG = loadConfig({ root: ROOT });
+const MIN_USD_PER_TX = CONFIG.get("thresholds.minUsdPerTx"); // informational only here
+const STABLECOIN_MIN_USD = CONFIG.get("thresholds.stablecoinMinUsd"); // informational only here
+
+async function uniqueAssetsFromInventory(csvPath) {
+  const set = new Set();
+  for await (const row of readCsv(csvPath, { required: ["assetId"] })) {
+    if (row.assetId) set.add(row.assetId);
+  }
+  return Array.from(set).sort();
+}
+
+(async () => {
+  const assets = await uniqueAssetsFromInventory(INVENTORY_CSV);
+
+  // override -> basis -> provider -> cache -> stable fallback (tools/lib/pricing.js)
+  const pr = await resolvePrices(assets, { ...pricingOptionsFromEnv(), execDir: EXEC_DIR });
+  if (pr.provider.error) console.error("WARN: price provider failed; using cache / fallback:", pr.provider.error);
+
+  const unmapped = pr.missing;
+  fs.writeFileSync(OUT_UNMAPPED, unmapped.join("\n") + (unmapped.length ? "\n" : ""));
+
+  // Versioned snapshot (tools/lib/price_snapshot.js): price, source and missing list per run.
+  const snap = writePriceSnapshot(OUT_PRICES, snapshotFromPricing(pr));
+
+  // Write assumptions CSV (receiver-friendly)
+  const rows = [];
+  for (const a of assets) {
+    const p = pr.provenance[a];
+    const note = p.source === "unknown" ? "Add mapping in execute/asset_to_coingecko.json or override in execute/price_overrides_usd.json" : "";
+    rows.push([a, (p.usd == null ? "" : String(p.usd)), p.source, p.ref, note]);
+  }
+  writeCsvSync(OUT_ASSUMPTIONS, ["assetId","priceUsd","source","ref","note"], rows);
+
+  console.log("✅ Price snapshot written:", OUT_PRICES, `(as of ${snap.asOfIso})`);
+  console.log("✅ Price assumptions written:", OUT_ASSUMPTIONS);
+  console.log("✅ Unmapped/unpriced assets:", unmapped.length, "->", OUT_UNMAPPED);
+  console.log("Pricing:", describePricing(pr));
+  console.log("Policy (info): MIN_USD_PER_TX =", MIN_USD_PER_TX, "STABLECOIN_MIN_USD =", STABLECOIN_MIN_USD);
+})().catch(e => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+const fs=require("fs");
+const path=require("path");
+
+const {loadConfig}=require("../lib/config");
+const {loadAssetRegistry}=require("../lib/asset_registry");
+const {resolvePrices,pricingOptionsFromEnv,describePricing}=require("../lib/pricing");
+
+// minRules.* (fb_config.json, or the legacy execute/min_rules.json); minRules.minUsdPerTx keeps
+// this script's own $0.25 default rather than thresholds.minUsdPerTx. USD minimums are turned into asset units at tools/lib/pricing.js
+// prices; an asset with no price there gets min Infinity, reason "no_price".
+const CONFIG=loadConfig();
+const MIN_USD=CONFIG.get("minRules.minUsdPerTx");
+if(MIN_USD<=0){
+  throw new Error("minRules.minUsdPerTx (MIN_USD_PER_TX) must be a positive number");
+}
+
+const PLAN=path.join(process.cwd(),"plan","plan.jsonl");
+if(!fs.existsSync(PLAN)) throw new Error("Missing plan/plan.jsonl");
+
+const EXEC_DIR=path.join(process.cwd(),"execute");
+const PRICING=pricingOptionsFromEnv(); // overrides, basis and the price cache apply, as in every analysis
+
+const RULES={
+  DEFAULT_MIN_USD:CONFIG.get("minRules.defaultMinUsd"),
+  SELF_GAS_MIN_USD:CONFIG.get("minRules.selfGasMinUsd") ?? CONFIG.get("minRules.defaultMinUsd"),
+  EXPENSIVE_SELF_GAS_MIN_USD:CONFIG.get("minRules.expensiveSelfGasMinUsd") ?? CONFIG.get("minRules.defaultMinUsd"),
+  SELF_GAS_CHEAP:CONFIG.get("minRules.selfGasCheap"),
+  EXPENSIVE_SELF_GAS:CONFIG.get("minRules.expensiveSelfGas"),
+  SELF_GAS_WITH_MINIMUM:CONFIG.get("minRules.selfGasWithMinimum"),
+  FORCE_MIN_USD:CONFIG.get("minRules.forceMinUsd")
+};
+
+// stablecoins: the asset registry (assets.stablecoinSymbols), like every other script
+const isStable=loadAssetRegistry({execDir:EXEC_DIR}).isStable;
+
+const assetIds=new Set();
+for(const line of fs.readFileSync(PLAN,"utf8").split(/\r?\n/)){
+  if(!line.trim()) continue;
+  assetIds.add(JSON.parse(line).assetId);
+}
+
+// assets whose minimum is a USD amount, so need a price
+const priced=new Set();
+for(const a of assetIds){
+  if(isStable(a)) continue;
+  if(RULES.SELF_GAS_WITH_MINIMUM?.[a]) continue;
+  if(RULES.FORCE_MIN_USD?.[a]) continue;
+  priced.add(a);
+}
+
+(async()=>{
+  const pr=await resolvePrices(priced,{...PRICING,execDir:EXEC_DIR});
+  if(pr.provider.error) console.error("WARN: price provider failed; using cache / fallback:",pr.provider.error);
+  const minByAsset={};
+  const reasonByAsset={};
+  const priceSourceByAsset={};
+
+  for(const a of assetIds){
+
+    // Hard minimum assets (ATOM, DOT, XRP, ADA, etc.)
+    if(RULES.SELF_GAS_WITH_MINIMUM?.[a]){
+      minByAsset[a]=RULES.SELF_GAS_WITH_MINIMUM[a];
+      reasonByAsset[a]="self_gas_minimum";
+      continue;
+    }
+
+    // Forced USD minimums (stables, WETH)
+    if(RULES.FORCE_MIN_USD?.[a]){
+      minByAsset[a]=Number((RULES.FORCE_MIN_USD[a]).toFixed(12));
+      reasonByAsset[a]="forced_min_usd";
+      continue;
+    }
+
+    let usdMin=RULES.DEFAULT_MIN_USD;
+
+    if(RULES.SELF_GAS_CHEAP?.includes(a)) usdMin=RULES.SELF_GAS_MIN_USD;
+    if(RULES.EXPENSIVE_SELF_GAS?.includes(a)) usdMin=RULES.EXPENSIVE_SELF_GAS_MIN_USD;
+
+    if(isStable(a)){
+      minByAsset[a]=Number((usdMin).toFixed(12));
+      reasonByAsset[a]="stablecoin";
+      continue;
+    }
+
+    const price=pr.priceOf(a);
+    priceSourceByAsset[a]=pr.provenance[a].source;
+    if(!price){
+      minByAsset[a]=Infinity;
+      reasonByAsset[a]="no_price";
+      continue;
+    }
+
+    minByAsset[a]=Number((usdMin/price).toFixed(12));
+    reasonByAsset[a]="usd_based";
+  }
+
+  const out={
+    generatedAt:new Date().toISOString(),
+    minUsdDefault:MIN_USD,
+    pricing:describePricing(pr),
+    pricingInputHash:pr.inputHash,
+    minByAsset,
+    reasonByAsset,
+    priceSourceByAsset
+  };
+
+  const outPath=path.join(process.cwd(),"execute","min_by_asset.json");
+  fs.writeFileSync(outPath, JSON.stringify(out,null,2));
+  console.log("Wrote:", outPath);
+})();
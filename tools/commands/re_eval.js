@@ -0,0 +1,237 @@
+/**
+ * Re-evaluate Fireblocks vaults:
+ * - price assets through tools/lib/pricing.js (override, basis, CoinGecko, cache, stable fallback)
+ * - compute wallet USD totals from inventory.csv
+ * - classify wallets into MATERIAL vs IMMATERIAL
+ * - compute gas-needs wallets (requiresGas && !gasReady) with vault names
+ *
+ * Inputs:
+ *  - inventory/inventory.csv
+ *  - plan/plan.csv
+ *  - price inputs read by tools/lib/pricing.js (execute/asset_to_coingecko.json etc.)
+ *
+ * Outputs:
+ *  - execute/last_prices_usd.json (provider prices merged into the cache)
+ *  - analysis/re_eval_summary.txt
+ *  - analysis/prices_used.csv
+ *  - analysis/wallets_material.csv
+ *  - analysis/wallets_immaterial.csv
+ *  - analysis/gas_needs_wallets_with_names.csv
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { readCsvSync, writeCsvSync } = require("../lib/csv");
+const { resolvePrices, pricingOptionsFromEnv, describePricing } = require("../lib/pricing");
+const { loadConfig } = require("../lib/config");
+
+const ROOT = process.cwd();
+const INV = path.join(ROOT, "inventory", "inventory.csv");
+const PLAN = path.join(ROOT, "plan", "plan.csv");
+const EXEC_DIR = path.join(ROOT, "execute");
+const OUT_DIR = path.join(ROOT, "analysis");
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+
+// thresholds.* from fb_config.json (tools/lib/config.js); MIN_USD_PER_TX etc. override
+const CONFIG = loadConfig({ root: ROOT });
+const MIN_USD_PER_TX = CONFIG.get("thresholds.minUsdPerTx");            // non-stable
+const STABLECOIN_MIN_USD = CONFIG.get("thresholds.stablecoinMinUsd");   // stablecoins
+// reEval.materialWalletUsd keeps this script's own $0.01 default rather than thresholds.materialWalletUsd
+const MATERIAL_WALLET_USD = CONFIG.get("reEval.materialWalletUsd"); // if wallet total >= this -> material bucket
+
+function num(x) {
+  if (x === null || x === undefined) return 0;
+  const s = String(x).trim();
+  if (!s) return 0;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function getIdx(header, candidates) {
+  for (const c of candidates) {
+    const i = header.indexOf(c);
+    if (i >= 0) return i;
+  }
+  return -1;
+}
+
+(async () => {
+  if (!fs.existsSync(INV)) throw new Error(`Missing ${INV}`);
+  if (!fs.existsSync(PLAN)) throw new Error(`Missing ${PLAN}`);
+
+  // Read inventory
+  const inv = readCsvSync(INV);
+  const I = {
+    vaultId: getIdx(inv.header, ["vaultAccountId", "vaultId", "id"]),
+    vaultName: getIdx(inv.header, ["vaultAccountName", "name", "vaultName"]),
+    assetId: getIdx(inv.header, ["assetId", "asset", "id.asset"]),
+    available: getIdx(inv.header, ["available"]),
+    total: getIdx(inv.header, ["total", "balance"])
+  };
+
+  if (I.vaultId < 0) throw new Error(`inventory.csv missing vault id column (expected vaultAccountId/vaultId/id). Header: ${inv.header.join(",")}`);
+  if (I.assetId < 0) throw new Error(`inventory.csv missing assetId column. Header: ${inv.header.join(",")}`);
+  if (I.total < 0 && I.available < 0) throw new Error(`inventory.csv missing total/balance/available columns. Header: ${inv.header.join(",")}`);
+
+  // Price everything the inventory and plan mention
+  const plan = readCsvSync(PLAN);
+  const planAsset = getIdx(plan.header, ["assetId"]);
+  const assetIds = new Set(inv.rows.map(r => r[I.assetId]));
+  if (planAsset >= 0) for (const r of plan.rows) assetIds.add(r[planAsset]);
+
+  const pr = await resolvePrices(assetIds, { ...pricingOptionsFromEnv(), execDir: EXEC_DIR, updateCache: true });
+  if (pr.provider.error) console.error("WARN: price provider failed; using cache / fallback:", pr.provider.error);
+  const priceByAsset = pr.prices;
+  const asOf = new Date().toISOString();
+
+  // Aggregate per wallet
+  const wallets = new Map(); // vaultId -> {name, totalUsd, assets: Map(assetId -> amountTotal)}
+  const unknownPriceAssets = new Set();
+
+  for (const r of inv.rows) {
+    const vaultId = r[I.vaultId];
+    const vaultName = I.vaultName >= 0 ? (r[I.vaultName] || "") : "";
+    const assetId = r[I.assetId];
+    const totalAmt = I.total >= 0 ? num(r[I.total]) : 0;
+    const availAmt = I.available >= 0 ? num(r[I.available]) : 0;
+
+    const amt = totalAmt > 0 ? totalAmt : availAmt;
+    if (!(amt > 0)) continue;
+
+    if (!wallets.has(vaultId)) wallets.set(vaultId, { vaultId, name: vaultName, totalUsd: 0, assets: new Map() });
+    const w = wallets.get(vaultId);
+
+    w.assets.set(assetId, (w.assets.get(assetId) || 0) + amt);
+
+    const p = priceByAsset[assetId];
+    if (typeof p === "number") {
+      w.totalUsd += amt * p;
+    } else {
+      unknownPriceAssets.add(assetId);
+      // no USD addition for unknown; we will track separately
+    }
+  }
+
+  // Compute gas-needs wallets from the plan (requiresGas && gasReady==false)
+  const P = {
+    source: getIdx(plan.header, ["sourceVaultId"]),
+    asset: getIdx(plan.header, ["assetId"]),
+    amount: getIdx(plan.header, ["amount"]),
+    dest: getIdx(plan.header, ["destinationVaultId"]),
+    requiresGas: getIdx(plan.header, ["requiresGas"]),
+    gasAsset: getIdx(plan.header, ["gasAssetId"]),
+    gasReady: getIdx(plan.header, ["gasReady"])
+  };
+  for (const k of Object.values(P)) if (k < 0) throw new Error(`plan.csv missing columns; header=${plan.header.join(",")}`);
+
+  // Build walletId -> set of required gas assets + dependent assets + dependent USD (where price known)
+  const gasNeeds = new Map(); // vaultId -> {name, gasAssets:Set, deps:Set, depsUsd:number}
+  for (const r of plan.rows) {
+    const source = r[P.source];
+    const assetId = r[P.asset];
+    const amt = num(r[P.amount]);
+    const reqGas = String(r[P.requiresGas]).trim().toLowerCase() === "true";
+    const gasReady = String(r[P.gasReady]).trim().toLowerCase() === "true";
+    const gasAsset = (r[P.gasAsset] || "").trim();
+
+    if (!(reqGas && !gasReady)) continue;
+
+    const w = wallets.get(source);
+    const name = w ? w.name : "";
+
+    if (!gasNeeds.has(source)) gasNeeds.set(source, { vaultId: source, name, gasAssets: new Set(), deps: new Set(), depsUsd: 0 });
+    const g = gasNeeds.get(source);
+    if (gasAsset) g.gasAssets.add(gasAsset);
+    g.deps.add(assetId);
+
+    const p = priceByAsset[assetId];
+    if (typeof p === "number") g.depsUsd += amt * p;
+  }
+
+  // Material vs immaterial wallets
+  const material = [];
+  const immaterial = [];
+
+  for (const w of wallets.values()) {
+    const bucket = (w.totalUsd >= MATERIAL_WALLET_USD) ? material : immaterial;
+    bucket.push(w);
+  }
+
+  // Sort biggest first
+  material.sort((a,b)=> b.totalUsd - a.totalUsd);
+  immaterial.sort((a,b)=> b.totalUsd - a.totalUsd);
+
+  // Summaries
+  const sumUsd = (arr)=> arr.reduce((s,x)=> s + (x.totalUsd||0), 0);
+
+  const summary = [];
+  summary.push("Fireblocks Re-Evaluation Summary");
+  summary.push("================================");
+  summary.push("");
+  summary.push(`Prices as-of: ${asOf}`);
+  summary.push(`Pricing: ${describePricing(pr)}`);
+  summary.push(`Material wallet threshold (USD): ${MATERIAL_WALLET_USD}`);
+  summary.push("");
+  summary.push(`Wallets with ANY nonzero inventory: ${wallets.size}`);
+  summary.push("");
+  summary.push(`Material wallets (>= threshold): ${material.length}`);
+  summary.push(`Material total USD (known prices only): ${sumUsd(material).toFixed(2)}`);
+  summary.push("");
+  summary.push(`Immaterial wallets (< threshold): ${immaterial.length}`);
+  summary.push(`Immaterial total USD (known prices only): ${sumUsd(immaterial).toFixed(2)}`);
+  summary.push("");
+  summary.push(`Wallets needing gas for planned moves: ${gasNeeds.size}`);
+  const gasBreak = {};
+  for (const g of gasNeeds.values()) {
+    for (const a of g.gasAssets) gasBreak[a] = (gasBreak[a]||0) + 1;
+  }
+  summary.push(`Gas needs breakdown (wallet count): ${JSON.stringify(gasBreak)}`);
+  summary.push("");
+  summary.push(`Unknown-price assets encountered in inventory: ${unknownPriceAssets.size}`);
+  summary.push(`Unknown-price assets list (sample up to 100): ${[...unknownPriceAssets].slice(0,100).join(", ")}`);
+
+  fs.writeFileSync(path.join(OUT_DIR, "re_eval_summary.txt"), summary.join("\n"));
+
+  // prices_used.csv
+  const pricesCsv = [];
+  for (const assetId of [...assetIds].sort()) {
+    const p = pr.provenance[assetId];
+    pricesCsv.push([assetId, p.usd === null ? "" : p.usd, p.source, p.ref, asOf]);
+  }
+  writeCsvSync(path.join(OUT_DIR, "prices_used.csv"), ["assetId","priceUsd","source","ref","asOf"], pricesCsv);
+
+  // wallets_material.csv + wallets_immaterial.csv
+  function walletsToCsv(arr, outFile) {
+    const rows = arr.map(w => [w.vaultId, w.name || "", w.totalUsd.toFixed(6), w.assets.size]);
+    writeCsvSync(path.join(OUT_DIR, outFile), ["vaultId","vaultName","totalUsdKnownPrices","assetCount"], rows);
+  }
+  walletsToCsv(material, "wallets_material.csv");
+  walletsToCsv(immaterial, "wallets_immaterial.csv");
+
+  // gas_needs_wallets_with_names.csv
+  const gasLines = [];
+  const gasArr = [...gasNeeds.values()];
+  gasArr.sort((a,b)=> b.depsUsd - a.depsUsd);
+  for (const g of gasArr) {
+    gasLines.push([
+      g.vaultId,
+      g.name || "",
+      [...g.gasAssets].sort().join("|"),
+      g.deps.size,
+      g.depsUsd.toFixed(6)
+    ]);
+  }
+  writeCsvSync(path.join(OUT_DIR, "gas_needs_wallets_with_names.csv"),
+    ["vaultId","vaultName","gasAssetsNeeded","dependentAssetsCount","dependentUsdKnownPrices"], gasLines);
+
+  console.log("✅ Re-evaluation complete");
+  console.log("- analysis/re_eval_summary.txt");
+  console.log("- analysis/wallets_material.csv");
+  console.log("- analysis/wallets_immaterial.csv");
+  console.log("- analysis/gas_needs_wallets_with_names.csv");
+  console.log("- analysis/prices_used.csv");
+  console.log("");
+  console.log("Unknown-price assets encountered:", unknownPriceAssets.size);
+})();
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * One command line for the whole workflow:
+ *
+ *   node tools/fb.js refresh                 # inventory/inventory.csv from Fireblocks
+ *   node tools/fb.js price --offline
+ *   node tools/fb.js analyze wallets
+ *   node tools/fb.js plan all
+ *   node tools/fb.js execute move --batch 50 --execute
+ *   node tools/fb.js track --wait --json
+ *   node tools/fb.js report diff --from 2024-05-01 --to current
+ *
+ * Each action runs the command script(s) in tools/commands/ with the matching env vars and
+ * stops at the first one that fails; see tools/lib/cli.js and `node tools/fb.js --help`.
+ */
+
+const { main } = require("./lib/cli");
+
+main(process.argv.slice(2)).then((code) => { process.exitCode = code; }, (e) => {
+  console.error("ERROR:", e && e.stack ? e.stack : String(e));
+  process.exitCode = 1;
+});
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js plan gas` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_build_gas_topup_plan.js.
+require("./lib/cli").runAsScript("plan", "gas");
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js plan plan` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_build_plan.js.
+require("./lib/cli").runAsScript("plan", "plan");
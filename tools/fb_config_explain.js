@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js config explain` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_config_explain.js.
+require("./lib/cli").runAsScript("config", "explain");
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js refresh fees` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_estimate_fees.js.
+require("./lib/cli").runAsScript("refresh", "fees");
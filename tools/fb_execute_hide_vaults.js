@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js execute hide` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_execute_hide_vaults.js.
+require("./lib/cli").runAsScript("execute", "hide");
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js track fees` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_fee_history.js.
+require("./lib/cli").runAsScript("track", "fees");
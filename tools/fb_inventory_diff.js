@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js report diff` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_inventory_diff.js.
+require("./lib/cli").runAsScript("report", "diff");
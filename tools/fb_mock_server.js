@@ -0,0 +1,584 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Local Fireblocks API stand-in for offline runs.
+ *
+ * Serves a fixture workspace over the same endpoints the scripts use, verifies the
+ * RS256 JWT each request carries, and keeps balances in memory so transfers move
+ * funds between fixture vaults. Point any script at it with FIREBLOCKS_BASE_URL.
+ *
+ * Usage:
+ *   FIREBLOCKS_PRIVATE_KEY=./key.pem node tools/fb_mock_server.js
+ *   FIREBLOCKS_BASE_URL=http://127.0.0.1:8787 node tools/fb_refresh_inventory.js
+ *
+ * Env:
+ *   MOCK_PORT=8787
+ *   MOCK_WORKSPACE=tools/fixtures/mock_workspace.json
+ *   MOCK_PUBLIC_KEY=path/to/public.pem   (default: derived from FIREBLOCKS_PRIVATE_KEY)
+ *   MOCK_API_KEY=...                     (optional; when set, X-API-Key must match)
+ *   MOCK_FAULTS='[{"path":"/v1/transactions","status":429,"times":2,"retryAfter":1}]'
+ *                                        (JSON array, or a path to a JSON file)
+ *   MOCK_TX_OUTCOMES='[{"assetId":"XRP","status":"REJECTED","subStatus":"REJECTED_BY_USER"}]'
+ *                                        (same format as MOCK_FAULTS)
+ *
+ * Fault rules (also accepted by POST /__mock/faults):
+ *   { method, path, status, code, message, times, skip, retryAfter, when }
+ *   - path matches as a prefix of the request path (query string excluded)
+ *   - when:  "before" (default) fails without touching state; "after" processes the
+ *            request first and then replaces the response, like a lost reply
+ *   - skip:  let this many matching requests through before failing
+ *   - times: how many requests to fail (default 1)
+ *   - code:  Fireblocks error code in the JSON body, e.g. 1402
+ *
+ * Transaction outcomes (also accepted by POST /__mock/outcomes):
+ *   { assetId, source, destination, externalTxId, status, subStatus, times }
+ *   - every given field must match the new transaction (externalTxId as a prefix)
+ *   - status is where the transaction ends up: COMPLETED (default), FAILED, REJECTED,
+ *     BLOCKED, CANCELLED or TIMEOUT; anything but COMPLETED leaves balances untouched
+ *   - times: how many transactions to affect (default: unlimited)
+ *
+ * GET /v1/supported_assets returns the fixture's "supportedAssets" list.
+ * GET /v1/vault/accounts/{id} returns one vault account with its assets.
+ * GET /v1/vault/accounts/{id}/{assetId} returns one vault balance.
+ * POST /v1/vault/accounts/{id}/hide and /unhide set the vault's hiddenOnUI.
+ * POST /v1/transactions/estimate_fee returns the fixture's "feeEstimates"[assetId]
+ * ({ low, medium, high } networkFee strings), else MOCK_NETWORK_FEE at every level.
+ *
+ * A transfer with treatAsGrossAmount takes the network fee out of the amount: the source
+ * is debited the full amount and the destination receives the rest.
+ *
+ * GET /v1/transactions filters on sourceType, sourceId, destId, status and after (ms),
+ * and pages with the `next-page` response header like the real API.
+ * GET /v1/transactions/external_tx_id/{externalTxId} returns the newest match.
+ *
+ * Each GET /v1/transactions/{id} moves a transaction one step along
+ * SUBMITTED -> BROADCASTING -> CONFIRMING -> final status.
+ *
+ * Control endpoints (no auth): GET /__mock/state, POST /__mock/faults,
+ * POST /__mock/outcomes, POST /__mock/reset
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+
+const DEFAULT_WORKSPACE = path.join(__dirname, "fixtures", "mock_workspace.json");
+const MAX_JWT_TTL_SECONDS = 30;
+const TX_PROGRESS = ["SUBMITTED", "BROADCASTING", "CONFIRMING"];
+const MOCK_NETWORK_FEE = "0.000021";
+
+// Balances are kept as fixed-point BigInt so transfers never drift.
+const SCALE = 18;
+function toUnits(s) {
+  const str = String(s ?? "0").trim() || "0";
+  const m = str.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (!m) throw new Error("Bad amount: " + str);
+  const frac = (m[3] || "").slice(0, SCALE).padEnd(SCALE, "0");
+  const units = BigInt((m[2] || "0") + frac);
+  return m[1] === "-" ? -units : units;
+}
+function fromUnits(u) {
+  const neg = u < 0n;
+  const digits = (neg ? -u : u).toString().padStart(SCALE + 1, "0");
+  const int = digits.slice(0, -SCALE);
+  const frac = digits.slice(-SCALE).replace(/0+$/, "");
+  return (neg ? "-" : "") + int + (frac ? "." + frac : "");
+}
+
+function b64urlJson(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+function loadJsonArg(v) {
+  if (!v) return [];
+  const text = fs.existsSync(v) ? fs.readFileSync(v, "utf8") : v;
+  const j = JSON.parse(text);
+  return Array.isArray(j) ? j : [j];
+}
+
+function loadWorkspace(file) {
+  const j = JSON.parse(fs.readFileSync(file, "utf8"));
+  const vaults = new Map();
+  for (const v of j.vaults || []) {
+    const assets = new Map();
+    for (const a of v.assets || []) {
+      assets.set(String(a.id), {
+        id: String(a.id),
+        total: toUnits(a.total ?? a.available ?? "0"),
+        available: toUnits(a.available ?? a.total ?? "0"),
+        pending: toUnits(a.pending ?? "0"),
+        frozen: toUnits(a.frozen ?? "0"),
+        lockedAmount: toUnits(a.lockedAmount ?? "0"),
+        staked: toUnits(a.staked ?? "0")
+      });
+    }
+    vaults.set(String(v.id), { id: String(v.id), name: v.name || "", hiddenOnUI: v.hiddenOnUI === true, assets });
+  }
+  return {
+    vaults,
+    supportedAssets: Array.isArray(j.supportedAssets) ? j.supportedAssets : [],
+    feeEstimates: j.feeEstimates && typeof j.feeEstimates === "object" ? j.feeEstimates : {}
+  };
+}
+
+function vaultJson(v, onlyAssetId) {
+  const assets = [];
+  for (const a of v.assets.values()) {
+    if (onlyAssetId && a.id !== onlyAssetId) continue;
+    assets.push({
+      id: a.id,
+      total: fromUnits(a.total),
+      balance: fromUnits(a.total),
+      available: fromUnits(a.available),
+      pending: fromUnits(a.pending),
+      frozen: fromUnits(a.frozen),
+      lockedAmount: fromUnits(a.lockedAmount),
+      staked: fromUnits(a.staked)
+    });
+  }
+  return { id: v.id, name: v.name, hiddenOnUI: v.hiddenOnUI, assets };
+}
+
+function createMockServer(opts = {}) {
+  const workspaceFile = opts.workspace || DEFAULT_WORKSPACE;
+  const publicKey = opts.publicKey || null;
+  const apiKey = opts.apiKey || null;
+
+  let ws = loadWorkspace(workspaceFile);
+  let faults = [];
+  let outcomes = [];
+  const transactions = new Map();       // txId -> tx
+  const idempotent = new Map();         // Idempotency-Key -> { status, body }
+  const requestLog = [];
+
+  function addFaults(list) {
+    for (const f of list) {
+      faults.push({
+        method: f.method ? String(f.method).toUpperCase() : null,
+        path: String(f.path || "/"),
+        status: Number(f.status || 500),
+        code: f.code ?? null,
+        message: f.message || null,
+        times: Number(f.times ?? 1),
+        skip: Number(f.skip ?? 0),
+        retryAfter: f.retryAfter ?? null,
+        when: f.when === "after" ? "after" : "before"
+      });
+    }
+  }
+  addFaults(opts.faults || []);
+
+  function addOutcomes(list) {
+    for (const o of list) {
+      outcomes.push({
+        assetId: o.assetId != null ? String(o.assetId) : null,
+        source: o.source != null ? String(o.source) : null,
+        destination: o.destination != null ? String(o.destination) : null,
+        externalTxId: o.externalTxId != null ? String(o.externalTxId) : null,
+        status: String(o.status || "COMPLETED").toUpperCase(),
+        subStatus: o.subStatus || "",
+        times: o.times != null ? Number(o.times) : Infinity
+      });
+    }
+  }
+  addOutcomes(opts.outcomes || []);
+
+  function takeOutcome(assetId, srcId, dstId, externalTxId) {
+    for (const o of outcomes) {
+      if (o.times <= 0) continue;
+      if (o.assetId && o.assetId !== assetId) continue;
+      if (o.source && o.source !== srcId) continue;
+      if (o.destination && o.destination !== dstId) continue;
+      if (o.externalTxId && !String(externalTxId || "").startsWith(o.externalTxId)) continue;
+      o.times--;
+      return o;
+    }
+    return null;
+  }
+
+  function takeFault(method, pathname) {
+    for (const f of faults) {
+      if (f.method && f.method !== method) continue;
+      if (!pathname.startsWith(f.path)) continue;
+      if (f.times <= 0) continue;
+      if (f.skip > 0) { f.skip--; continue; }
+      f.times--;
+      return f;
+    }
+    return null;
+  }
+
+  function verifyAuth(req, rawUrl, bodyStr) {
+    const key = req.headers["x-api-key"];
+    if (!key) return "missing X-API-Key";
+    if (apiKey && key !== apiKey) return "unknown API key";
+
+    const m = /^Bearer (.+)$/.exec(req.headers["authorization"] || "");
+    if (!m) return "missing bearer token";
+    const parts = m[1].split(".");
+    if (parts.length !== 3) return "malformed JWT";
+
+    let header, payload;
+    try { header = b64urlJson(parts[0]); payload = b64urlJson(parts[1]); }
+    catch { return "malformed JWT"; }
+    if (header.alg !== "RS256") return "unsupported alg " + header.alg;
+
+    if (publicKey) {
+      const ok = crypto.createVerify("RSA-SHA256")
+        .update(`${parts[0]}.${parts[1]}`)
+        .verify(publicKey, Buffer.from(parts[2], "base64url"));
+      if (!ok) return "bad signature";
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.sub !== key) return "sub does not match X-API-Key";
+    if (payload.uri !== rawUrl) return `uri mismatch (token=${payload.uri} request=${rawUrl})`;
+    if (!Number.isFinite(payload.exp) || payload.exp < now) return "token expired";
+    if (!Number.isFinite(payload.iat) || payload.exp - payload.iat > MAX_JWT_TTL_SECONDS) return "token lifetime too long";
+    const bodyHash = crypto.createHash("sha256").update(bodyStr || "").digest("hex");
+    if (payload.bodyHash !== bodyHash) return "bodyHash mismatch";
+    return null;
+  }
+
+  function listAccountsPaged(query) {
+    const limit = Math.max(1, Math.min(500, Number(query.get("limit") || "200") || 200));
+    const start = query.get("after") ? Number(Buffer.from(query.get("after"), "base64url").toString()) : 0;
+    const namePrefix = query.get("namePrefix");
+    const nameSuffix = query.get("nameSuffix");
+    const assetId = query.get("assetId");
+    const minAmount = query.get("minAmountThreshold");
+
+    const matching = [];
+    for (const v of ws.vaults.values()) {
+      if (namePrefix && !v.name.startsWith(namePrefix)) continue;
+      if (nameSuffix && !v.name.endsWith(nameSuffix)) continue;
+      if (assetId) {
+        const a = v.assets.get(assetId);
+        if (!a) continue;
+        if (minAmount && a.total < toUnits(minAmount)) continue;
+      }
+      matching.push(v);
+    }
+
+    const slice = matching.slice(start, start + limit);
+    const next = start + limit < matching.length ? Buffer.from(String(start + limit)).toString("base64url") : undefined;
+    return { accounts: slice.map(v => vaultJson(v)), paging: next ? { after: next } : {} };
+  }
+
+  function getVaultAccount(vaultId) {
+    const v = ws.vaults.get(vaultId);
+    if (!v) return [404, { message: `Vault ${vaultId} not found`, code: 11001 }];
+    return [200, vaultJson(v)];
+  }
+
+  function setHidden(vaultId, hiddenOnUI) {
+    const v = ws.vaults.get(vaultId);
+    if (!v) return [404, { message: `Vault ${vaultId} not found`, code: 11001 }];
+    v.hiddenOnUI = hiddenOnUI;
+    return [200, { success: true }];
+  }
+
+  function getVaultAsset(vaultId, assetId) {
+    const v = ws.vaults.get(vaultId);
+    if (!v) return [404, { message: `Vault ${vaultId} not found`, code: 11001 }];
+    const [a] = vaultJson(v, assetId).assets;
+    return [200, a || { id: assetId, total: "0", balance: "0", available: "0", pending: "0", frozen: "0", lockedAmount: "0", staked: "0" }];
+  }
+
+  function createTransaction(body) {
+    if (body?.operation && body.operation !== "TRANSFER") return [400, { message: "Unsupported operation", code: 1001 }];
+    const assetId = String(body?.assetId || "");
+    const srcId = String(body?.source?.id ?? "");
+    const dstId = String(body?.destination?.id ?? "");
+    if (!assetId || !srcId || !body?.amount) return [400, { message: "Missing assetId, source or amount", code: 1001 }];
+    if (body.source.type !== "VAULT_ACCOUNT") return [400, { message: "Unsupported source type", code: 1001 }];
+    const dstType = String(body?.destination?.type || "");
+    if (dstType === "ONE_TIME_ADDRESS") {
+      if (!body.destination.oneTimeAddress?.address) return [400, { message: "Missing oneTimeAddress.address", code: 1001 }];
+    } else if (!["VAULT_ACCOUNT", "EXTERNAL_WALLET", "INTERNAL_WALLET", "EXCHANGE_ACCOUNT"].includes(dstType) || !dstId) {
+      return [400, { message: "Unsupported or incomplete destination", code: 1001 }];
+    }
+
+    const src = ws.vaults.get(srcId);
+    if (!src) return [400, { message: `Source vault ${srcId} not found`, code: 11001 }];
+
+    let amount;
+    try { amount = toUnits(body.amount); } catch { return [400, { message: "Invalid amount", code: 1001 }]; }
+    if (amount <= 0n) return [400, { message: "Amount must be positive", code: 1001 }];
+
+    const id = crypto.randomUUID();
+    const tx = {
+      id,
+      status: "SUBMITTED",
+      subStatus: "",
+      createdAt: Date.now(),
+      lastUpdated: Date.now(),
+      operation: "TRANSFER",
+      assetId,
+      source: { type: "VAULT_ACCOUNT", id: srcId, name: src.name },
+      destination: { ...body.destination },
+      amount: fromUnits(amount),
+      requestedAmount: fromUnits(amount),
+      externalTxId: body.externalTxId || null,
+      note: body.note || "",
+      txHash: "",
+      networkFee: "0",
+      finalStatus: "COMPLETED",
+      finalSubStatus: ""
+    };
+
+    const outcome = takeOutcome(assetId, srcId, dstId, body.externalTxId);
+    const srcAsset = src.assets.get(assetId);
+    if (!srcAsset || srcAsset.available < amount) {
+      tx.status = "FAILED";
+      tx.subStatus = "INSUFFICIENT_FUNDS";
+      tx.finalStatus = "FAILED";
+      tx.finalSubStatus = "INSUFFICIENT_FUNDS";
+    } else if (outcome && outcome.status !== "COMPLETED") {
+      tx.finalStatus = outcome.status;
+      tx.finalSubStatus = outcome.subStatus;
+    } else {
+      srcAsset.available -= amount;
+      srcAsset.total -= amount;
+      if (body.destination?.type === "VAULT_ACCOUNT") {
+        const dst = ws.vaults.get(dstId);
+        if (dst) {
+          if (!dst.assets.has(assetId)) {
+            dst.assets.set(assetId, { id: assetId, total: 0n, available: 0n, pending: 0n, frozen: 0n, lockedAmount: 0n, staked: 0n });
+          }
+          const d = dst.assets.get(assetId);
+          const received = body.treatAsGrossAmount ? amount - toUnits(MOCK_NETWORK_FEE) : amount;
+          if (received > 0n) {
+            d.total += received;
+            d.available += received;
+          }
+        }
+      }
+      tx.txHash = "0x" + crypto.createHash("sha256").update(id).digest("hex");
+    }
+
+    transactions.set(id, tx);
+    return [200, { id, status: tx.status }];
+  }
+
+  function estimateFee(body) {
+    if (body?.operation && body.operation !== "TRANSFER") return [400, { message: "Unsupported operation", code: 1001 }];
+    const assetId = String(body?.assetId || "");
+    const src = ws.vaults.get(String(body?.source?.id ?? ""));
+    if (!assetId || !src) return [400, { message: "Missing assetId or source", code: 1001 }];
+    let amount;
+    try { amount = toUnits(body.amount); } catch { return [400, { message: "Invalid amount", code: 1001 }]; }
+    const srcAsset = src.assets.get(assetId);
+    if (!srcAsset || srcAsset.available < amount) return [400, { message: "Insufficient funds for the estimated transfer", code: 1410 }];
+    const fees = ws.feeEstimates[assetId] || {};
+    const level = (k) => ({ networkFee: String(fees[k] ?? MOCK_NETWORK_FEE) });
+    return [200, { low: level("low"), medium: level("medium"), high: level("high") }];
+  }
+
+  function getTransaction(id) {
+    const tx = transactions.get(id);
+    if (!tx) return [400, { message: `Transaction ${id} not found`, code: 1404 }];
+    const step = TX_PROGRESS.indexOf(tx.status);
+    if (step >= 0) {
+      if (step + 1 < TX_PROGRESS.length && tx.finalStatus === "COMPLETED") {
+        tx.status = TX_PROGRESS[step + 1];
+      } else {
+        tx.status = tx.finalStatus;
+        tx.subStatus = tx.finalSubStatus;
+        if (tx.status === "COMPLETED") tx.networkFee = MOCK_NETWORK_FEE;
+      }
+      tx.lastUpdated = Date.now();
+    }
+    return [200, txJson(tx)];
+  }
+
+  function txJson(tx) {
+    const { finalStatus, finalSubStatus, ...out } = tx;
+    // fees are paid in the native asset of the chain (ETH for USDC)
+    const supported = ws.supportedAssets.find(x => String(x.id) === tx.assetId);
+    return { ...out, feeCurrency: supported?.nativeAsset || tx.assetId };
+  }
+
+  function listTransactions(query) {
+    const limit = Math.max(1, Math.min(500, Number(query.get("limit") || "200") || 200));
+    const start = query.get("pageCursor") ? Number(Buffer.from(query.get("pageCursor"), "base64url").toString()) : 0;
+    const sourceType = query.get("sourceType");
+    const sourceId = query.get("sourceId");
+    const destId = query.get("destId");
+    const status = query.get("status");
+    const after = Number(query.get("after") || "0") || 0;
+
+    const matching = [...transactions.values()].filter(tx =>
+      (!sourceType || tx.source.type === sourceType) &&
+      (!sourceId || tx.source.id === sourceId) &&
+      (!destId || String(tx.destination?.id ?? "") === destId) &&
+      (!status || status.split(",").includes(tx.status)) &&
+      tx.createdAt > after
+    ).sort((a, b) => a.createdAt - b.createdAt);
+
+    const headers = {};
+    if (start + limit < matching.length) {
+      const next = new URLSearchParams(query);
+      next.set("pageCursor", Buffer.from(String(start + limit)).toString("base64url"));
+      headers["next-page"] = `/v1/transactions?${next.toString()}`;
+    }
+    return [200, matching.slice(start, start + limit).map(txJson), headers];
+  }
+
+  function getByExternalTxId(externalTxId) {
+    const matches = [...transactions.values()].filter(tx => tx.externalTxId === externalTxId);
+    if (!matches.length) return [404, { message: `No transaction with externalTxId ${externalTxId}`, code: 1404 }];
+    return [200, txJson(matches[matches.length - 1])];
+  }
+
+  function route(method, pathname, query, body) {
+    if (method === "GET" && pathname === "/v1/vault/accounts_paged") return [200, listAccountsPaged(query)];
+    if (method === "GET" && pathname === "/v1/supported_assets") return [200, ws.supportedAssets];
+    const acctMatch = /^\/v1\/vault\/accounts\/([^/]+)$/.exec(pathname);
+    if (method === "GET" && acctMatch) return getVaultAccount(decodeURIComponent(acctMatch[1]));
+    const hideMatch = /^\/v1\/vault\/accounts\/([^/]+)\/(hide|unhide)$/.exec(pathname);
+    if (method === "POST" && hideMatch) return setHidden(decodeURIComponent(hideMatch[1]), hideMatch[2] === "hide");
+    const balMatch = /^\/v1\/vault\/accounts\/([^/]+)\/([^/]+)$/.exec(pathname);
+    if (method === "GET" && balMatch) return getVaultAsset(decodeURIComponent(balMatch[1]), decodeURIComponent(balMatch[2]));
+    if (method === "POST" && pathname === "/v1/transactions") return createTransaction(body);
+    if (method === "POST" && pathname === "/v1/transactions/estimate_fee") return estimateFee(body);
+    if (method === "GET" && pathname === "/v1/transactions") return listTransactions(query);
+    const extMatch = /^\/v1\/transactions\/external_tx_id\/([^/]+)$/.exec(pathname);
+    if (method === "GET" && extMatch) return getByExternalTxId(decodeURIComponent(extMatch[1]));
+    const txMatch = /^\/v1\/transactions\/([^/]+)$/.exec(pathname);
+    if (method === "GET" && txMatch) return getTransaction(decodeURIComponent(txMatch[1]));
+    return [404, { message: `Mock has no route for ${method} ${pathname}`, code: 404 }];
+  }
+
+  function send(res, status, obj, headers = {}) {
+    const text = JSON.stringify(obj);
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(text);
+  }
+
+  function stateJson() {
+    return {
+      vaults: [...ws.vaults.values()].map(v => vaultJson(v)),
+      transactions: [...transactions.values()],
+      faults,
+      outcomes,
+      requests: requestLog.slice(-200)
+    };
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", c => chunks.push(c));
+    req.on("end", () => {
+      const bodyStr = Buffer.concat(chunks).toString("utf8");
+      const rawUrl = req.url;
+      const url = new URL(rawUrl, "http://mock");
+      const method = req.method.toUpperCase();
+
+      if (url.pathname.startsWith("/__mock/")) {
+        if (method === "GET" && url.pathname === "/__mock/state") return send(res, 200, stateJson());
+        if (method === "POST" && url.pathname === "/__mock/faults") {
+          try { addFaults(loadJsonArg(bodyStr)); } catch (e) { return send(res, 400, { message: String(e.message || e) }); }
+          return send(res, 200, { faults });
+        }
+        if (method === "POST" && url.pathname === "/__mock/outcomes") {
+          try { addOutcomes(loadJsonArg(bodyStr)); } catch (e) { return send(res, 400, { message: String(e.message || e) }); }
+          return send(res, 200, { outcomes });
+        }
+        if (method === "POST" && url.pathname === "/__mock/reset") {
+          ws = loadWorkspace(workspaceFile);
+          faults = [];
+          outcomes = [];
+          transactions.clear();
+          idempotent.clear();
+          requestLog.length = 0;
+          return send(res, 200, { ok: true });
+        }
+        return send(res, 404, { message: "unknown control endpoint" });
+      }
+
+      const authError = verifyAuth(req, rawUrl, bodyStr);
+      const entry = { ts: new Date().toISOString(), method, url: rawUrl };
+      requestLog.push(entry);
+      if (authError) {
+        entry.status = 401;
+        return send(res, 401, { message: `Unauthorized: ${authError}`, code: -7 });
+      }
+
+      const fault = takeFault(method, url.pathname);
+      const sendFault = () => {
+        entry.status = fault.status;
+        entry.fault = true;
+        const headers = fault.retryAfter != null ? { "Retry-After": String(fault.retryAfter) } : {};
+        const payload = { message: fault.message || `Injected fault ${fault.status}` };
+        if (fault.code != null) payload.code = fault.code;
+        return send(res, fault.status, payload, headers);
+      };
+      if (fault && fault.when === "before") return sendFault();
+
+      const idemKey = method === "POST" ? req.headers["idempotency-key"] : null;
+      if (idemKey && idempotent.has(idemKey)) {
+        const prev = idempotent.get(idemKey);
+        entry.status = prev.status;
+        entry.idempotentReplay = true;
+        return send(res, prev.status, prev.body);
+      }
+
+      let body = null;
+      if (bodyStr) {
+        try { body = JSON.parse(bodyStr); } catch { return send(res, 400, { message: "Body is not JSON", code: 1001 }); }
+      }
+
+      const [status, out, headers] = route(method, url.pathname, url.searchParams, body);
+      entry.status = status;
+      if (idemKey && status < 500) idempotent.set(idemKey, { status, body: out });
+      if (fault) return sendFault();
+      return send(res, status, out, headers);
+    });
+  });
+
+  return {
+    server,
+    transactions,
+    addFaults,
+    addOutcomes,
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise(resolve => server.listen(port, host, () => resolve(server.address())));
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+function publicKeyFromEnv(env) {
+  if (env.MOCK_PUBLIC_KEY) return crypto.createPublicKey(fs.readFileSync(env.MOCK_PUBLIC_KEY, "utf8"));
+  if (env.FIREBLOCKS_PRIVATE_KEY && fs.existsSync(env.FIREBLOCKS_PRIVATE_KEY)) {
+    return crypto.createPublicKey(fs.readFileSync(env.FIREBLOCKS_PRIVATE_KEY, "utf8"));
+  }
+  return null;
+}
+
+if (require.main === module) {
+  const env = process.env;
+  const publicKey = publicKeyFromEnv(env);
+  if (!publicKey) throw new Error("Missing MOCK_PUBLIC_KEY or FIREBLOCKS_PRIVATE_KEY (needed to verify JWT signatures)");
+
+  const mock = createMockServer({
+    workspace: env.MOCK_WORKSPACE ? path.resolve(env.MOCK_WORKSPACE) : DEFAULT_WORKSPACE,
+    publicKey,
+    apiKey: env.MOCK_API_KEY || null,
+    faults: loadJsonArg(env.MOCK_FAULTS),
+    outcomes: loadJsonArg(env.MOCK_TX_OUTCOMES)
+  });
+
+  const port = Number(env.MOCK_PORT || "8787");
+  mock.listen(port).then(addr => {
+    console.log(`✅ Fireblocks mock listening on http://${addr.address}:${addr.port}`);
+    console.log(`   export FIREBLOCKS_BASE_URL=http://${addr.address}:${addr.port}`);
+  });
+}
+
+module.exports = { createMockServer, loadWorkspace, toUnits, fromUnits };
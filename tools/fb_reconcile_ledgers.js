@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js track reconcile` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_reconcile_ledgers.js.
+require("./lib/cli").runAsScript("track", "reconcile");
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js refresh assets` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_sync_assets.js.
+require("./lib/cli").runAsScript("refresh", "assets");
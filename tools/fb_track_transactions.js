@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+"use strict";
+
+// `node tools/fb.js track transactions` with the settings taken from the environment, as before;
+// the implementation is tools/commands/fb_track_transactions.js.
+require("./lib/cli").runAsScript("track", "transactions");
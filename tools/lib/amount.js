@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * Exact decimal amounts for balances and transfer sizes.
+ *
+ * Amounts stay decimal strings ("0.000000000000000001", "123456789.123456789") from the
+ * inventory CSV to the POST /v1/transactions body. Arithmetic runs on BigInt fixed point,
+ * so 18-decimal tokens and large balances keep every digit; JS Number is only used for
+ * USD estimates (amountToNumber).
+ *
+ *   const sendable = subAmount(row.available, "1");            // "41.999999999999999999"
+ *   if (cmpAmount(sendable, minTx) < 0) ...
+ *   body.amount = roundAmount(sendable, decimals);             // truncated, never rounded up
+ *
+ * Inputs may be strings or numbers, with an optional sign and exponent ("1e-7", "2.5E+3").
+ * Anything else throws AmountError. Outputs are canonical: no exponent, no leading "+",
+ * no trailing fractional zeros, "0" for zero.
+ */
+
+class AmountError extends Error {
+  constructor(message, value) {
+    super(message);
+    this.name = "AmountError";
+    this.value = value;
+  }
+}
+
+const AMOUNT_RE = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+/** Parse to { units, scale } where value = units / 10^scale. */
+function parse(x) {
+  if (typeof x === "bigint") return { units: x, scale: 0 };
+  if (typeof x === "number" && !Number.isFinite(x)) throw new AmountError(`Not a finite amount: ${x}`, x);
+  const str = String(x ?? "").trim();
+  const m = str.match(AMOUNT_RE);
+  if (!m || (!m[2] && !m[3])) throw new AmountError(`Not a decimal amount: ${JSON.stringify(x)}`, x);
+  const intPart = m[2] || "";
+  const frac = m[3] || "";
+  const exp = m[4] ? parseInt(m[4], 10) : 0;
+  let units = BigInt((intPart + frac) || "0");
+  let scale = frac.length - exp;
+  if (scale < 0) {
+    units *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { units: m[1] === "-" ? -units : units, scale };
+}
+
+function align(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.units * 10n ** BigInt(scale - a.scale), b.units * 10n ** BigInt(scale - b.scale), scale];
+}
+
+function format(units, scale) {
+  const neg = units < 0n;
+  let digits = (neg ? -units : units).toString();
+  if (scale > 0) {
+    digits = digits.padStart(scale + 1, "0");
+    const int = digits.slice(0, -scale);
+    const frac = digits.slice(-scale).replace(/0+$/, "");
+    digits = int + (frac ? "." + frac : "");
+  }
+  return (neg && digits !== "0" ? "-" : "") + digits;
+}
+
+/** Canonical decimal string. */
+function normalizeAmount(x) {
+  const a = parse(x);
+  return format(a.units, a.scale);
+}
+
+function isAmount(x) {
+  try { parse(x); return true; } catch { return false; }
+}
+
+/** Like normalizeAmount, but returns fallback for blank or malformed input. */
+function amountOr(x, fallback = "0") {
+  try { return normalizeAmount(x); } catch { return fallback; }
+}
+
+function cmpAmount(a, b) {
+  const [x, y] = align(parse(a), parse(b));
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function addAmounts(a, b) {
+  const [x, y, scale] = align(parse(a), parse(b));
+  return format(x + y, scale);
+}
+
+function subAmount(a, b) {
+  const [x, y, scale] = align(parse(a), parse(b));
+  return format(x - y, scale);
+}
+
+function sumAmounts(list) {
+  let total = "0";
+  for (const a of list) total = addAmounts(total, a);
+  return total;
+}
+
+const isZeroAmount = (a) => parse(a).units === 0n;
+const isPositiveAmount = (a) => parse(a).units > 0n;
+const minAmount = (a, b) => (cmpAmount(a, b) <= 0 ? normalizeAmount(a) : normalizeAmount(b));
+const maxAmount = (a, b) => (cmpAmount(a, b) >= 0 ? normalizeAmount(a) : normalizeAmount(b));
+
+/**
+ * Round to `decimals` places. mode "down" (default) truncates toward zero, so a transfer
+ * built from a balance never asks for more than the balance; "up" rounds away from zero;
+ * "half-up" rounds to nearest.
+ */
+function roundAmount(a, decimals, mode = "down") {
+  const d = Number(decimals);
+  if (!Number.isInteger(d) || d < 0) throw new AmountError(`Bad decimals: ${decimals}`, decimals);
+  const { units, scale } = parse(a);
+  if (scale <= d) return format(units, scale);
+  const div = 10n ** BigInt(scale - d);
+  const neg = units < 0n;
+  const abs = neg ? -units : units;
+  let q = abs / div;
+  const r = abs % div;
+  if (r !== 0n) {
+    if (mode === "up") q += 1n;
+    else if (mode === "half-up") { if (r * 2n >= div) q += 1n; }
+    else if (mode !== "down") throw new AmountError(`Bad rounding mode: ${mode}`, mode);
+  }
+  return format(neg ? -q : q, d);
+}
+
+/** Lossy conversion for USD estimates and sorting; never use the result as a transfer amount. */
+function amountToNumber(a) {
+  return Number(normalizeAmount(a));
+}
+
+module.exports = {
+  AmountError,
+  normalizeAmount,
+  isAmount,
+  amountOr,
+  cmpAmount,
+  addAmounts,
+  subAmount,
+  sumAmounts,
+  isZeroAmount,
+  isPositiveAmount,
+  minAmount,
+  maxAmount,
+  roundAmount,
+  amountToNumber
+};
@@ -0,0 +1,212 @@
+"use strict";
+
+/**
+ * Asset registry: what each Fireblocks assetId is, built from GET /v1/supported_assets.
+ *
+ * fb_sync_assets.js writes the cache execute/asset_registry.json:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "syncedAtIso": "2024-05-01T12:00:00.000Z",
+ *     "assets": {
+ *       "USDC_POLYGON": { "name": "USD Coin (Polygon)", "type": "ERC20", "blockchain": "MATIC_POLYGON",
+ *                         "nativeAsset": "MATIC_POLYGON", "isBase": false, "decimals": 6,
+ *                         "contractAddress": "0x..." }
+ *     }
+ *   }
+ *
+ * execute/asset_registry_overrides.json patches or adds entries and wins over the cache:
+ *
+ *   { "USDC_POLYGON": { "stable": true }, "XYZ": { "gasAssetId": "" }, "FOO": { "decimals": 8 } }
+ *
+ * Everything that used to be decided per script comes from here:
+ *   isStable(id)     override "stable", else a token whose symbol (assetId up to the first "_")
+ *                    is one of assets.stablecoinSymbols (config.js, env STABLECOIN_SYMBOLS);
+ *                    base assets are never stable
+ *   gasAssetFor(id)  override "gasAssetId" ("" = none), else the native asset of a token,
+ *                    "" for base assets and unknown assets
+ *   decimalsOf(id)   override "decimals", else Fireblocks decimals, else undefined
+ *
+ * A missing cache is not an error: the registry is then overrides + symbol rules only.
+ * The planners call checkGasCoverage() first, because a token the registry does not know
+ * looks like an asset that pays its own fee.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { loadConfig, SCHEMA } = require("./config");
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_STABLE_SYMBOLS = SCHEMA["assets.stablecoinSymbols"].default;
+const REGISTRY_FILE = "asset_registry.json";
+const OVERRIDES_FILE = "asset_registry_overrides.json";
+
+/**
+ * assets.stablecoinSymbols from config.js for the workspace at root: STABLECOIN_SYMBOLS,
+ * fb_config.json, gas_policy.json, default.
+ */
+function stableSymbolsFromEnv(env = process.env, root = process.cwd()) {
+  return loadConfig({ root, env }).get("assets.stablecoinSymbols");
+}
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { throw new Error(`Bad JSON in ${file}: ${e.message}`); }
+}
+
+const symbolOf = (assetId) => String(assetId || "").toUpperCase().split("_")[0];
+
+function validDecimals(v) {
+  if (v === null || v === undefined || v === "") return undefined;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : undefined;
+}
+
+/** One /v1/supported_assets item -> registry entry. */
+function entryFromSupportedAsset(a) {
+  const id = String(a.id);
+  const nativeAsset = a.nativeAsset ? String(a.nativeAsset) : id;
+  const isBase = a.type === "BASE_ASSET" || nativeAsset === id;
+  return {
+    name: a.name || "",
+    type: a.type || "",
+    blockchain: a.blockchain || nativeAsset,
+    nativeAsset,
+    isBase,
+    decimals: validDecimals(a.decimals),
+    contractAddress: a.contractAddress || ""
+  };
+}
+
+/** Registry document from a /v1/supported_assets response. */
+function registryFromSupportedAssets(list, { syncedAtIso = new Date().toISOString() } = {}) {
+  if (!Array.isArray(list)) throw new Error("supported_assets response is not an array");
+  const assets = {};
+  for (const a of list) {
+    if (a && a.id) assets[String(a.id)] = entryFromSupportedAsset(a);
+  }
+  return { schemaVersion: SCHEMA_VERSION, syncedAtIso, assets };
+}
+
+function writeRegistry(file, doc) {
+  const sorted = {};
+  for (const id of Object.keys(doc.assets).sort()) sorted[id] = doc.assets[id];
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + ".tmp", JSON.stringify({ ...doc, schemaVersion: SCHEMA_VERSION, assets: sorted }, null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+/**
+ * Load the registry for execDir (default ./execute).
+ *
+ * opts:
+ *   stableSymbols  symbols treated as stablecoins (default assets.stablecoinSymbols of the
+ *                  workspace execDir sits in)
+ *   tokenGasMap    legacy { assetId: gasAssetId } from a policy file; applied under the
+ *                  overrides file so existing policies keep working
+ */
+function loadAssetRegistry(opts = {}) {
+  const execDir = opts.execDir || path.join(process.cwd(), "execute");
+  const stableSymbols = opts.stableSymbols || stableSymbolsFromEnv(process.env, path.dirname(execDir));
+  const file = path.join(execDir, REGISTRY_FILE);
+  const doc = readJson(file, null);
+  if (doc && doc.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`${file}: unsupported schemaVersion ${doc.schemaVersion} (this tool reads ${SCHEMA_VERSION})`);
+  }
+  const synced = doc?.assets || {};
+  const overrides = readJson(path.join(execDir, OVERRIDES_FILE), {});
+  const legacyGas = opts.tokenGasMap || {};
+
+  const cache = new Map();
+  function get(assetId) {
+    const id = String(assetId || "");
+    if (cache.has(id)) return cache.get(id);
+    const base = synced[id] || null;
+    const o = overrides[id] || {};
+    const e = {
+      id,
+      known: !!(base || overrides[id]),
+      gasKnown: !!(base || overrides[id]) || legacyGas[id] !== undefined,
+      name: o.name ?? base?.name ?? "",
+      type: o.type ?? base?.type ?? "",
+      nativeAsset: o.nativeAsset ?? base?.nativeAsset ?? null,
+      isBase: o.isBase ?? base?.isBase ?? false,
+      decimals: validDecimals(o.decimals ?? base?.decimals),
+      source: overrides[id] ? (base ? "fireblocks+override" : "override") : (base ? "fireblocks" : "none")
+    };
+    e.blockchain = o.blockchain ?? base?.blockchain ?? e.nativeAsset;
+
+    if (o.gasAssetId !== undefined) e.gasAssetId = o.gasAssetId || "";
+    else if (legacyGas[id] !== undefined) e.gasAssetId = legacyGas[id] || "";
+    else e.gasAssetId = !e.isBase && e.nativeAsset && e.nativeAsset !== id ? e.nativeAsset : "";
+
+    if (o.stable !== undefined) e.stable = o.stable === true;
+    else e.stable = !e.isBase && stableSymbols.includes(symbolOf(id));
+
+    cache.set(id, e);
+    return e;
+  }
+
+  return {
+    file,
+    syncedAtIso: doc?.syncedAtIso || null,
+    size: Object.keys(synced).length,
+    stableSymbols,
+    has: (assetId) => get(assetId).known,
+    get,
+    isStable: (assetId) => get(assetId).stable,
+    gasAssetFor: (assetId) => get(assetId).gasAssetId,
+    decimalsOf: (assetId) => get(assetId).decimals,
+    /** { tokenId: gasAssetId } for every known asset that needs a separate gas asset. */
+    tokenGasMap() {
+      const out = {};
+      for (const id of new Set([...Object.keys(synced), ...Object.keys(overrides), ...Object.keys(legacyGas)])) {
+        const g = get(id).gasAssetId;
+        if (g) out[id] = g;
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * Assets (e.g. a plan's inventory) whose gas asset reg cannot tell: no synced entry, no
+ * override, no tokenGasMap entry. A token among them would be planned with requiresGas
+ * false and gasReady true. Returns { unknown: [assetId], message } (unknown empty when all
+ * are covered); the caller warns with message. With no synced registry at all this throws
+ * instead, unless allowUnsynced (assets.allowUnsyncedRegistry).
+ */
+function checkGasCoverage(reg, assetIds, { allowUnsynced = false } = {}) {
+  const unknown = [...new Set(assetIds)].filter(id => id && !reg.get(id).gasKnown).sort();
+  if (!unknown.length) return { unknown, message: "" };
+  const list = unknown.length > 10 ? `${unknown.slice(0, 10).join(", ")}, ... ${unknown.length - 10} more` : unknown.join(", ");
+  const message = `${unknown.length} asset(s) unknown to the asset registry (${list}); ` +
+    `any token among them would be planned as needing no gas. Run tools/fb_sync_assets.js or add them to execute/${OVERRIDES_FILE}`;
+  if (!reg.syncedAtIso && !allowUnsynced) {
+    throw new Error(`Asset registry not synced: ${message}, or set ALLOW_UNSYNCED_REGISTRY=1 (assets.allowUnsyncedRegistry) to plan anyway.`);
+  }
+  return { unknown, message };
+}
+
+/** One-line summary for script output. */
+function describeRegistry(reg) {
+  return reg.syncedAtIso
+    ? `${reg.size} assets synced ${reg.syncedAtIso}`
+    : `not synced (run tools/fb_sync_assets.js); symbol rules only`;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  REGISTRY_FILE,
+  OVERRIDES_FILE,
+  DEFAULT_STABLE_SYMBOLS,
+  stableSymbolsFromEnv,
+  entryFromSupportedAsset,
+  registryFromSupportedAssets,
+  writeRegistry,
+  loadAssetRegistry,
+  checkGasCoverage,
+  describeRegistry
+};
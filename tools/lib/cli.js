@@ -0,0 +1,570 @@
+"use strict";
+
+/**
+ * Command table and runner behind tools/fb.js.
+ *
+ * Every subcommand action runs one or more command scripts from tools/commands/, in order,
+ * as a child process with the working directory set to --workdir. Each is a top-level
+ * program that reads process.env and exits the process on error; flags are translated into
+ * the env vars it reads.
+ *
+ * The scripts under their old names (tools/fb_refresh_inventory.js, re_eval.js, ...) are
+ * thin wrappers around the CLI: runAsScript() runs their action with the caller's
+ * environment, which wins over whatever the action would set. So `EXECUTE=1 node
+ * tools/fb_execute_move_plan.js` still sends live and `ACTION=unhide` still unhides, while
+ * `node tools/fb.js` sets EXECUTE itself.
+ *
+ * A step that exits non-zero stops the action; the steps after it are reported as skipped.
+ * Each step's output is passed through as it runs, and the error line it printed last
+ * (`ERROR: ...`, or the `Error: ...` line of an uncaught exception) is kept as the step's
+ * error.
+ *
+ * Mode is always explicit: the CLI sets EXECUTE=1 only for --execute and EXECUTE=0
+ * otherwise, so an EXECUTE=1 left in the shell never sends anything by accident.
+ * Ledgers are only rewritten by `track reconcile --execute` (REWRITE_LEDGERS=1); --dry-run
+ * also keeps `track transactions` from touching them (KEEP_LEDGERS=1).
+ *
+ * With --json the scripts' own output goes to stderr and stdout carries one JSON object:
+ * { command, action, workdir, mode, ok, exitCode, failedStep?, error?, skippedSteps?,
+ * steps: [{ script, env, exitCode, signal?, error?, durationMs, outputs: [{ file, bytes }] }] },
+ * where outputs are the step's known output files that it wrote.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const { loadConfig, ConfigError } = require("./config");
+
+const REPO_DIR = path.resolve(__dirname, "..", "..");
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliError";
+  }
+}
+
+// name -> { env, bool?, path?, help }. bool flags set "1"; others take a value, which for
+// path flags is resolved against the current directory (steps run in --workdir).
+const GLOBAL_FLAGS = {
+  "workdir": { help: "directory holding inventory/, execute/, plan/, analysis/ (default: cwd)" },
+  "dry-run": { bool: true, help: "never send anything and leave the completed ledger alone (default mode)" },
+  "execute": { bool: true, help: "send live: transactions, hide/unhide calls, ledger rewrites" },
+  "json": { bool: true, help: "print a JSON summary on stdout; script output goes to stderr" },
+  "offline": { bool: true, help: "cached prices, recorded tx statuses (PRICE_SOURCE=cache, OFFLINE=1)" },
+  "strict-pricing": { env: "STRICT_PRICING", bool: true, help: "no $1 stablecoin fallback" },
+  "fee-level": { env: "FEE_LEVEL", help: "LOW, MEDIUM or HIGH" },
+  "fee-file": { env: "GAS_FEE_FILE", path: true, help: "fee table read before the estimates, e.g. execute/gas_fee_observed.json" },
+  "skip-vaults": { help: "vault ids never used as sources (SKIP_VAULTS and SKIP_SOURCE_VAULTS)" },
+  "config": { env: "FB_CONFIG", help: "config file instead of <workdir>/fb_config.json" },
+  "set": { help: "config key=value, e.g. thresholds.minUsdPerTx=0.05; repeatable (FB_CONFIG_SET)" },
+  "env": { help: "KEY=VALUE passed to the scripts as is; repeatable" },
+  "help": { bool: true, help: "show help" }
+};
+
+const THRESHOLD_FLAGS = {
+  "min-usd-per-tx": { env: "MIN_USD_PER_TX", help: "smallest transfer worth sending, USD" },
+  "stable-min-usd": { env: "STABLECOIN_MIN_USD", help: "smallest stablecoin transfer, USD" },
+  "material-wallet-usd": { env: "MATERIAL_WALLET_USD", help: "wallet total counted as material, USD" }
+};
+
+const EXECUTOR_FLAGS = {
+  "batch": { env: "BATCH", help: "rows submitted per run" },
+  "run-id": { env: "RUN_ID", help: "journal name (execute/journal_<RUN_ID>.jsonl)" }
+};
+
+/**
+ * command -> { help, default, actions: { action -> { help, steps, flags, env } } }
+ * A step is a script path relative to the repo root. `env` is fixed for the action.
+ */
+const COMMANDS = {
+  refresh: {
+    help: "Read Fireblocks into inventory/ and execute/",
+    default: "inventory",
+    actions: {
+      inventory: {
+        help: "vault balances -> inventory/inventory.csv, vaults.json, empty_vaults.csv",
+        steps: ["tools/commands/fb_refresh_inventory.js"],
+        outputs: ["inventory/inventory.csv", "inventory/vaults.json", "inventory/empty_vaults.csv"],
+        flags: {
+          "vault-ids": { env: "VAULT_IDS", help: "only these vaults, merged into inventory.csv" },
+          "name-prefix": { env: "NAME_PREFIX", help: "only vaults whose name starts with this" },
+          "name-suffix": { env: "NAME_SUFFIX", help: "only vaults whose name ends with this" },
+          "asset": { env: "ASSET_ID", help: "only this asset's rows" },
+          "min-amount": { env: "MIN_AMOUNT", help: "with --asset: only balances above this" },
+          "restart": { env: "RESTART", bool: true, help: "ignore the checkpoint" },
+          "page-size": { env: "REFRESH_PAGE_SIZE", help: "vaults per page (200)" }
+        }
+      },
+      assets: {
+        help: "supported assets -> execute/asset_registry.json",
+        steps: ["tools/commands/fb_sync_assets.js"],
+        outputs: ["execute/asset_registry.json"],
+        flags: {
+          "inventory-only": { env: "ONLY_INVENTORY_ASSETS", bool: true, help: "keep only inventory assets" }
+        }
+      },
+      fees: {
+        help: "network fee estimates -> execute/fee_snapshot.json",
+        steps: ["tools/commands/fb_estimate_fees.js"],
+        outputs: ["execute/fee_snapshot.json"],
+        flags: {
+          "assets": { env: "ASSETS", help: "only these assets" },
+          "dest-vault": { env: "FEE_DEST_VAULT_ID", help: "vault the estimated transfer goes to" }
+        }
+      }
+    }
+  },
+  price: {
+    help: "Price inventory assets",
+    default: "prices",
+    actions: {
+      prices: {
+        help: "-> execute/last_prices_usd.json, analysis/price_assumptions.csv",
+        steps: ["tools/commands/fb_update_prices.js"],
+        outputs: ["execute/last_prices_usd.json", "analysis/price_assumptions.csv"],
+        flags: THRESHOLD_FLAGS
+      }
+    }
+  },
+  analyze: {
+    help: "Analyses over inventory, prices and plans",
+    default: "inventory",
+    actions: {
+      inventory: { help: "inventory analysis with materiality", steps: ["tools/commands/fb_analyze_inventory.js"], flags: THRESHOLD_FLAGS },
+      wallets: {
+        help: "wallet totals and the hide / unhide lists",
+        steps: ["tools/commands/fb_rebuild_wallets_and_plan.js"],
+        outputs: ["analysis/wallet_totals.csv", "analysis/zero_wallets_to_hide.csv", "analysis/wallets_to_unhide.csv"]
+      },
+      materiality: {
+        help: "wallet materiality",
+        steps: ["tools/commands/fb_wallet_materiality_v2.js"],
+        flags: { "min-usd-wallet": { env: "MIN_USD_WALLET", help: "material wallet floor, USD" } }
+      },
+      "wallet-materiality": {
+        help: "wallet materiality per asset, with the gas material wallets need",
+        steps: ["tools/commands/fb_wallet_materiality.js"],
+        outputs: ["analysis/wallet_materiality.csv", "analysis/wallets_needing_gas.csv", "analysis/wallets_immaterial.csv"],
+        flags: {
+          "material-wallet-usd": THRESHOLD_FLAGS["material-wallet-usd"],
+          "material-asset-usd": { env: "MATERIAL_ASSET_USD", help: "asset balance counted as material, USD" }
+        }
+      },
+      remaining: {
+        help: "rows still to move -> analysis/remaining_rows_v2.csv",
+        steps: ["tools/commands/fireblocks_analysis_v2.js"],
+        outputs: ["analysis/remaining_rows_v2.csv"],
+        flags: THRESHOLD_FLAGS
+      },
+      material: { help: "material vs immaterial wallets", steps: ["tools/commands/analysis_material_immaterial.js"], flags: THRESHOLD_FLAGS },
+      breakeven: { help: "per-asset breakeven", steps: ["tools/commands/analysis_breakeven_by_asset.js"], outputs: ["analysis/breakeven_by_asset.csv"] },
+      coverage: {
+        help: "coverage of a list of assets",
+        steps: ["tools/commands/analysis_asset_coverage.js"],
+        outputs: ["analysis/asset_coverage.csv"],
+        flags: { "assets": { env: "ASSET_LIST", help: "assets to cover" } }
+      },
+      "re-eval": { help: "wallets at current prices", steps: ["tools/commands/re_eval.js"], outputs: ["analysis/re_eval_summary.txt"], flags: THRESHOLD_FLAGS },
+      legacy: {
+        help: "the first consolidation analysis, against plan/plan.csv",
+        steps: ["tools/commands/fireblocks_analysis.js"],
+        outputs: ["analysis/report_summary.txt", "analysis/remaining_rows.csv", "analysis/by_asset.csv", "analysis/by_reason.csv"],
+        flags: {
+          ...THRESHOLD_FLAGS,
+          "batch": { env: "BATCH", help: "transfers per batch, for the time estimate" },
+          "approvals-per-min": { env: "APPROVALS_PER_MIN", help: "approvals per minute, for the time estimate" }
+        }
+      }
+    }
+  },
+  plan: {
+    help: "Build transfer plans",
+    default: "plan",
+    actions: {
+      plan: {
+        help: "-> plan/plan.csv, plan/plan.jsonl",
+        steps: ["tools/commands/fb_build_plan.js"],
+        outputs: ["plan/plan.csv", "plan/plan.jsonl", "plan/plan_skipped.csv", "plan/decision_trace.jsonl"],
+        flags: { "dest-vault": { env: "DEST_VAULT_ID", help: "consolidation vault" } }
+      },
+      move: { help: "-> move_plan/move_plan.csv", steps: ["tools/commands/fb_build_move_plan.js"], outputs: ["move_plan/move_plan.csv", "move_plan/decision_trace.jsonl"] },
+      "min-by-asset": {
+        help: "minimum transfer per asset -> execute/min_by_asset.json",
+        steps: ["tools/commands/generate_min_by_asset.js"],
+        outputs: ["execute/min_by_asset.json"],
+        flags: { "min-usd-per-tx": THRESHOLD_FLAGS["min-usd-per-tx"] }
+      },
+      "from-csv": {
+        help: "a Fireblocks balance export, all to one vault -> plan/plan_from_csv_to_<vault>.jsonl",
+        steps: ["tools/commands/build_plan_from_csv_to_vault.js"],
+        flags: {
+          "csv": { env: "FROM_CSV", path: true, help: "the export (Account ID, Asset ID, Total Balance columns)" },
+          "dest-vault": { env: "DEST_VAULT_ID", help: "vault everything goes to" }
+        }
+      },
+      gas: {
+        help: "gas top-ups -> move_plan/gas_topup_plan.csv/.jsonl",
+        steps: ["tools/commands/fb_build_gas_topup_plan.js"],
+        outputs: ["move_plan/gas_topup_plan.csv", "move_plan/gas_topup_plan.jsonl"],
+        flags: { "treasury-vault": { env: "GAS_TREASURY_VAULT_ID", help: "vault the gas comes from" } }
+      },
+      all: {
+        help: "plan, move and gas, in that order",
+        steps: ["tools/commands/fb_build_plan.js", "tools/commands/fb_build_move_plan.js", "tools/commands/fb_build_gas_topup_plan.js"],
+        outputs: ["plan/plan.csv", "plan/plan.jsonl", "move_plan/move_plan.csv", "move_plan/gas_topup_plan.jsonl"],
+        flags: {
+          "dest-vault": { env: "DEST_VAULT_ID", help: "consolidation vault" },
+          "treasury-vault": { env: "GAS_TREASURY_VAULT_ID", help: "vault the gas comes from" }
+        }
+      }
+    }
+  },
+  execute: {
+    help: "Submit a plan (dry run unless --execute)",
+    default: "plan",
+    actions: {
+      plan: { help: "plan/plan.jsonl in batches", steps: ["tools/commands/fb_execute_plan_all.js"], flags: EXECUTOR_FLAGS },
+      fuel: {
+        help: "gas top-ups, then the tokens they unlock, then the leftover gas",
+        steps: ["tools/commands/fb_execute_plan_all.js"],
+        env: { FUEL_THEN_SWEEP: "1" },
+        flags: {
+          ...EXECUTOR_FLAGS,
+          "topup-plan": { env: "TOPUP_PLAN", help: "top-up plan (move_plan/gas_topup_plan.jsonl)" },
+          "timeout": { env: "FUEL_TIMEOUT_SEC", help: "seconds to wait for each phase" },
+          "no-sweep": { env: "SWEEP_LEFTOVER_GAS", bool: true, value: "0", help: "leave the leftover gas" }
+        }
+      },
+      move: { help: "move_plan/move_plan.csv", steps: ["tools/commands/fb_execute_move_plan.js"], flags: EXECUTOR_FLAGS },
+      ready: { help: "analysis/remaining_rows_v2.csv ready rows", steps: ["tools/commands/execute_ready.js"], flags: EXECUTOR_FLAGS },
+      hide: { help: "hide analysis/zero_wallets_to_hide.csv", steps: ["tools/commands/fb_execute_hide_vaults.js"], env: { ACTION: "hide" }, flags: EXECUTOR_FLAGS },
+      unhide: { help: "unhide analysis/wallets_to_unhide.csv", steps: ["tools/commands/fb_execute_hide_vaults.js"], env: { ACTION: "unhide" }, flags: EXECUTOR_FLAGS }
+    }
+  },
+  track: {
+    help: "Follow what was submitted",
+    default: "transactions",
+    actions: {
+      transactions: {
+        help: "journal txIds -> execute/tx_status.json; failed rows leave the ledgers",
+        steps: ["tools/commands/fb_track_transactions.js"],
+        outputs: ["execute/tx_status.json"],
+        flags: {
+          "wait": { env: "WAIT", bool: true, help: "poll until everything is final" },
+          "timeout": { env: "TRACK_TIMEOUT_SEC", help: "seconds to wait with --wait" },
+          "keep-ledgers": { env: "KEEP_LEDGERS", bool: true, help: "record statuses only" }
+        }
+      },
+      fees: {
+        help: "observed fee table -> execute/gas_fee_observed.json",
+        steps: ["tools/commands/fb_fee_history.js"],
+        outputs: ["execute/gas_fee_observed.json", "analysis/fee_history_by_asset.csv"],
+        flags: { "fee-stat": { env: "FEE_STAT", help: "median, p90 or max" } }
+      },
+      reconcile: {
+        help: "ledgers vs Fireblocks history -> analysis/reconcile_ledgers.csv",
+        steps: ["tools/commands/fb_reconcile_ledgers.js"],
+        outputs: ["analysis/reconcile_ledgers.csv"],
+        flags: {
+          "since": { env: "SINCE", help: "only transactions after this date" },
+          "source-vaults": { env: "SOURCE_VAULTS", help: "only these source vaults" }
+        }
+      }
+    }
+  },
+  config: {
+    help: "Policy configuration (fb_config.json)",
+    default: "explain",
+    actions: {
+      explain: {
+        help: "effective value and source of every setting",
+        steps: ["tools/commands/fb_config_explain.js"],
+        flags: { "key": { env: "CONFIG_KEY", help: "only this key or section" } }
+      }
+    }
+  },
+  report: {
+    help: "Reports",
+    default: "receivership",
+    actions: {
+      receivership: { help: "receivership report", steps: ["tools/commands/fb_receivership_report.js"], flags: THRESHOLD_FLAGS },
+      why: {
+        help: "why a vault/asset was or was not planned (plan and move_plan decision traces)",
+        steps: ["tools/commands/fb_explain_decisions.js"],
+        flags: {
+          "vault": { env: "VAULT_ID", help: "only this source vault" },
+          "asset": { env: "ASSET_ID", help: "only this asset" },
+          "outcome": { env: "OUTCOME", help: "PLANNED, NEEDS_GAS or SKIPPED" },
+          "reason": { env: "REASON", help: "only this reason, e.g. BELOW_MIN_USD" },
+          "trace": { env: "TRACE", help: "plan, move or all" },
+          "limit": { env: "LIMIT", help: "entries printed per trace (0 = all)" }
+        }
+      },
+      diff: {
+        help: "inventory snapshot diff -> analysis/inventory_diff.csv",
+        steps: ["tools/commands/fb_inventory_diff.js"],
+        outputs: ["analysis/inventory_diff.csv"],
+        flags: {
+          "from": { env: "FROM", help: "older snapshot" },
+          "to": { env: "TO", help: "newer snapshot, or current" }
+        }
+      }
+    }
+  }
+};
+
+// flags that never take a value, in any command
+const BOOL_FLAGS = new Set(
+  [GLOBAL_FLAGS, ...Object.values(COMMANDS).flatMap(c => Object.values(c.actions).map(a => a.flags || {}))]
+    .flatMap(flags => Object.entries(flags).filter(([, f]) => f.bool).map(([n]) => n))
+);
+
+/** argv (after the script name) -> { command, action, flags: { name -> value } }. */
+function parseArgs(argv) {
+  const positional = [];
+  const raw = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h") raw.push(["help", true]);
+    else if (!a.startsWith("--")) positional.push(a);
+    else if (a.includes("=")) raw.push([a.slice(2, a.indexOf("=")), a.slice(a.indexOf("=") + 1)]);
+    else if (BOOL_FLAGS.has(a.slice(2))) raw.push([a.slice(2), true]);
+    else if (i + 1 < argv.length) raw.push([a.slice(2), argv[++i]]);
+    else throw new CliError(`${a} needs a value`);
+  }
+
+  const [command, action, ...rest] = positional;
+  if (rest.length) throw new CliError(`Unexpected argument: ${rest[0]}`);
+  const cmd = command ? COMMANDS[command] : null;
+  if (command && !cmd) throw new CliError(`Unknown command: ${command}`);
+  const actionName = cmd ? (action || cmd.default) : undefined;
+  if (cmd && !cmd.actions[actionName]) throw new CliError(`Unknown ${command} action: ${action}`);
+  const spec = cmd ? { ...GLOBAL_FLAGS, ...(cmd.actions[actionName].flags || {}) } : GLOBAL_FLAGS;
+
+  const flags = {};
+  for (const [name, value] of raw) {
+    const f = spec[name];
+    if (!f) throw new CliError(`Unknown flag --${name}${cmd ? ` for ${command} ${actionName}` : ""}`);
+    if (f.bool && value !== true) throw new CliError(`--${name} takes no value`);
+    if (name === "env" || name === "set") (flags[name] = flags[name] || []).push(value);
+    else flags[name] = value;
+  }
+  return { command, action: actionName, flags };
+}
+
+/** The env each step of the parsed command runs with (only the vars the CLI sets). */
+function envFor(parsed) {
+  const { command, action, flags } = parsed;
+  const spec = COMMANDS[command].actions[action];
+  if (flags["dry-run"] && flags.execute) throw new CliError("--dry-run and --execute exclude each other");
+
+  const env = { ...(spec.env || {}) };
+  env.EXECUTE = flags.execute ? "1" : "0";
+  if (flags["dry-run"]) env.KEEP_LEDGERS = "1";
+  env.REWRITE_LEDGERS = flags.execute && command === "track" && action === "reconcile" ? "1" : "0";
+  if (flags.offline) { env.PRICE_SOURCE = "cache"; env.OFFLINE = "1"; }
+  if (flags["skip-vaults"] !== undefined) {
+    env.SKIP_VAULTS = flags["skip-vaults"];
+    env.SKIP_SOURCE_VAULTS = flags["skip-vaults"];
+  }
+
+  const all = { ...GLOBAL_FLAGS, ...(spec.flags || {}) };
+  for (const [name, value] of Object.entries(flags)) {
+    const f = all[name];
+    if (!f || !f.env) continue;
+    env[f.env] = f.bool ? (f.value || "1") : f.path ? path.resolve(value) : value;
+  }
+  if (flags.config) env.FB_CONFIG = path.resolve(flags.config);
+  if (flags.set) env.FB_CONFIG_SET = flags.set.join("\n");
+  for (const kv of flags.env || []) {
+    const eq = kv.indexOf("=");
+    if (eq < 1) throw new CliError(`--env needs KEY=VALUE, got ${kv}`);
+    env[kv.slice(0, eq)] = kv.slice(eq + 1);
+  }
+  return env;
+}
+
+function usage(command) {
+  const flagLines = (flags) => Object.entries(flags).map(([n, f]) =>
+    `  --${(n + (f.bool ? "" : " <value>")).padEnd(24)} ${f.help}${f.env ? ` (${f.env})` : ""}`);
+  if (!command) {
+    return [
+      "Usage: node tools/fb.js <command> [action] [flags]",
+      "",
+      "Commands:",
+      ...Object.entries(COMMANDS).map(([n, c]) =>
+        `  ${n.padEnd(10)} ${c.help}; actions: ${Object.keys(c.actions).join(", ")} (default ${c.default})`),
+      "",
+      "Flags for every command:",
+      ...flagLines(GLOBAL_FLAGS),
+      "",
+      "Run `node tools/fb.js <command> --help` for the command's actions and flags."
+    ].join("\n");
+  }
+  const cmd = COMMANDS[command];
+  const lines = [`Usage: node tools/fb.js ${command} [action] [flags]`, "", cmd.help + ".", "", "Actions:"];
+  for (const [n, a] of Object.entries(cmd.actions)) {
+    lines.push(`  ${(n + (n === cmd.default ? " *" : "")).padEnd(14)} ${a.help} [${a.steps.join(", ")}]`);
+  }
+  // actions sharing a flag set are listed together
+  const groups = new Map();
+  for (const [n, a] of Object.entries(cmd.actions)) {
+    if (a.flags && Object.keys(a.flags).length) groups.set(a.flags, [...(groups.get(a.flags) || []), n]);
+  }
+  for (const [flags, names] of groups) lines.push("", `Flags for ${names.join(", ")}:`, ...flagLines(flags));
+  lines.push("", "Flags for every command:", ...flagLines(GLOBAL_FLAGS));
+  return lines.join("\n");
+}
+
+/** Output files of `spec` written at or after startedMs. */
+function writtenOutputs(spec, workdir, startedMs) {
+  const out = [];
+  for (const f of spec.outputs || []) {
+    const full = path.join(workdir, f);
+    if (!fs.existsSync(full)) continue;
+    const st = fs.statSync(full);
+    if (st.mtimeMs >= startedMs - 1000) out.push({ file: f, bytes: st.size });
+  }
+  return out;
+}
+
+// last line of a step's stderr that reads as an error: "ERROR: ..." or "<Name>Error: ..."
+const ERROR_LINE = /^(ERROR\b|[A-Za-z]*Error\b:|fb: )/;
+const STDERR_TAIL_LINES = 50;
+
+/**
+ * Run one script, passing its output through as it runs. Resolves with
+ * { exitCode, signal, error }, error being the script's last error line (or the spawn error).
+ */
+function runStep(script, { cwd, env, stdout, stderr }) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [script], { cwd, env, stdio: ["inherit", "pipe", "pipe"] });
+    let tail = [];
+    let partial = "";
+    child.stdout.on("data", (d) => stdout.write(d));
+    child.stderr.on("data", (d) => {
+      stderr.write(d);
+      const lines = (partial + d.toString("utf8")).split(/\r?\n/);
+      partial = lines.pop();
+      tail = tail.concat(lines).slice(-STDERR_TAIL_LINES);
+    });
+    let spawnError = null;
+    child.on("error", (e) => { spawnError = e; });
+    child.on("close", (code, signal) => {
+      const lines = partial ? [...tail, partial] : tail;
+      const errorLine = lines.map(l => l.trim()).filter(l => ERROR_LINE.test(l)).pop();
+      resolve({
+        exitCode: spawnError ? 1 : (code ?? 1),
+        signal: signal || null,
+        error: spawnError ? spawnError.message : (code !== 0 ? errorLine || null : null)
+      });
+    });
+  });
+}
+
+/**
+ * Run the parsed command. Resolves with the summary printed by --json.
+ * opts.env is what the steps get on top of baseEnv (default envFor(parsed)).
+ */
+async function run(parsed, { baseEnv = process.env, env = envFor(parsed), log = console.error, stdout = process.stdout, stderr = process.stderr } = {}) {
+  const { command, action, flags } = parsed;
+  const spec = COMMANDS[command].actions[action];
+  const workdir = path.resolve(flags.workdir || process.cwd());
+  if (!fs.existsSync(workdir)) throw new CliError(`--workdir does not exist: ${workdir}`);
+  const json = flags.json === true;
+  // a bad setting fails here, before any script runs
+  try { loadConfig({ root: workdir, env: { ...baseEnv, ...env } }); }
+  catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    throw new CliError(e.message);
+  }
+
+  const summary = { command, action, workdir, mode: flags.execute ? "execute" : "dry-run", ok: true, exitCode: 0, steps: [] };
+  for (const [i, step] of spec.steps.entries()) {
+    if (!json) log(`\n▶ ${command} ${action}: ${step}`);
+    const startedMs = Date.now();
+    const res = await runStep(path.join(REPO_DIR, step), {
+      cwd: workdir,
+      env: { ...baseEnv, ...env },
+      // with --json, stdout is reserved for the summary
+      stdout: json ? stderr : stdout,
+      stderr
+    });
+    summary.steps.push({
+      script: step,
+      env,
+      exitCode: res.exitCode,
+      durationMs: Date.now() - startedMs,
+      outputs: writtenOutputs(spec, workdir, startedMs),
+      ...(res.error ? { error: res.error } : {}),
+      ...(res.signal ? { signal: res.signal } : {})
+    });
+    if (res.exitCode !== 0) {
+      summary.ok = false;
+      summary.exitCode = res.exitCode;
+      summary.failedStep = step;
+      summary.error = res.error || (res.signal ? `killed by ${res.signal}` : `exit code ${res.exitCode}`);
+      summary.skippedSteps = spec.steps.slice(i + 1);
+      if (!json) {
+        log(`\n✖ ${command} ${action}: ${step} failed (exit ${res.exitCode}): ${summary.error}`);
+        if (summary.skippedSteps.length) log(`  not run: ${summary.skippedSteps.join(", ")}`);
+      }
+      break;
+    }
+  }
+  return summary;
+}
+
+/** Entry point for tools/fb.js. Resolves with the process exit code. */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.flags.help || !parsed.command) {
+      (parsed.flags.help ? stdout : stderr).write(usage(parsed.command) + "\n");
+      return parsed.flags.help ? 0 : 2;
+    }
+    const summary = await run(parsed, { log: (m) => stderr.write(m + "\n"), stdout, stderr });
+    if (parsed.flags.json) stdout.write(JSON.stringify(summary, null, 2) + "\n");
+    return summary.exitCode;
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    // parseArgs may be what threw, before there are flags to look at
+    if (parsed ? parsed.flags.json : argv.includes("--json")) stdout.write(JSON.stringify({ ok: false, error: e.message }) + "\n");
+    stderr.write(`fb: ${e.message}\nRun \`node tools/fb.js --help\` for usage.\n`);
+    return 2;
+  }
+}
+
+/**
+ * Entry point for the wrappers under the old script names: `command action` in the current
+ * directory, with env (default process.env) winning over what the action sets. Sets
+ * process.exitCode; resolves with the summary.
+ */
+async function runAsScript(command, action, { env = process.env } = {}) {
+  const parsed = { command, action, flags: {} };
+  try {
+    // no step banners: the script's own output is all a direct run ever printed
+    const summary = await run(parsed, { baseEnv: { ...envFor(parsed), ...env }, env: {}, log: () => {} });
+    process.exitCode = summary.exitCode;
+    return summary;
+  } catch (e) {
+    console.error("ERROR:", e instanceof CliError ? e.message : (e && e.stack ? e.stack : String(e)));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  GLOBAL_FLAGS,
+  CliError,
+  parseArgs,
+  envFor,
+  usage,
+  run,
+  main,
+  runAsScript
+};
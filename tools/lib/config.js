@@ -0,0 +1,390 @@
+"use strict";
+
+/**
+ * Policy configuration: one schema for every setting the planners, analyses and reports
+ * share, read from fb_config.json in the workspace root (or FB_CONFIG):
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "vaults": { "destination": "94797", "consolidation": ["94828", "94797"], "gasTreasury": "900" },
+ *     "gas": { "minGasBalance": { "ETH": "0.0005" } },
+ *     "thresholds": { "minUsdPerTx": 0.01, "stablecoinMinUsd": 0.25, "materialWalletUsd": 1 }
+ *   }
+ *
+ * Each key takes the first of, highest first:
+ *   cli      FB_CONFIG_SET, one "key=value" per line (tools/fb.js --set)
+ *   env      the key's env var (MIN_USD_PER_TX, DEST_VAULT_ID, ...)
+ *   file     fb_config.json
+ *   legacy   policy.json, execute/gas_policy.json, execute/min_rules.json, under their old
+ *            key names (gasReserveMin and minGasBalance both feed gas.minGasBalance)
+ *   default  SCHEMA below
+ * Per-asset maps merge entry by entry across those layers, so fb_config.json can change
+ * one asset's reserve without restating the defaults; each entry keeps its own source.
+ *
+ * A value of the wrong type, or an unknown key in fb_config.json, fails with ConfigError
+ * naming where it came from and the key, e.g.
+ *   fb_config.json: thresholds.minUsdPerTx must be a number >= 0 (got "abc")
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { isAmount, normalizeAmount } = require("./amount");
+
+const CONFIG_FILE = "fb_config.json";
+const SCHEMA_VERSION = 1;
+const GAS_POLICY = "execute/gas_policy.json";
+const POLICY = "policy.json";
+const MIN_RULES = "execute/min_rules.json";
+
+class ConfigError extends Error {
+  constructor(where, message) {
+    super(`${where}: ${message}`);
+    this.name = "ConfigError";
+    this.where = where;
+  }
+}
+
+const show = (v) => JSON.stringify(v);
+const splitList = (s) => String(s).split(",").map(x => x.trim()).filter(Boolean);
+
+function usd(v, key) {
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  if (typeof n !== "number" || !Number.isFinite(n) || n < 0) throw new Error(`${key} must be a number >= 0 (got ${show(v)})`);
+  return n;
+}
+
+// type -> { parse(value, key) from JSON, fromString(text, key) from env / --set, map? }
+// map types hold one value per assetId and are merged entry by entry.
+const TYPES = {
+  vaultId: {
+    parse: (v, key) => {
+      if ((typeof v !== "string" && typeof v !== "number") || /[\s,]/.test(String(v))) throw new Error(`${key} must be a vault id (got ${show(v)})`);
+      return String(v);
+    },
+    fromString: (s) => s.trim()
+  },
+  vaultIds: {
+    parse: (v, key) => {
+      if (!Array.isArray(v)) throw new Error(`${key} must be a list of vault ids (got ${show(v)})`);
+      return v.map((x, i) => TYPES.vaultId.parse(x, `${key}[${i}]`));
+    },
+    fromString: splitList
+  },
+  symbols: {
+    parse: (v, key) => {
+      if (!Array.isArray(v) || v.some(x => typeof x !== "string" || !x.trim())) throw new Error(`${key} must be a list of asset ids (got ${show(v)})`);
+      return v.map(x => x.trim().toUpperCase());
+    },
+    fromString: (s) => splitList(s).map(x => x.toUpperCase())
+  },
+  assetIds: {
+    parse: (v, key) => {
+      if (!Array.isArray(v) || v.some(x => typeof x !== "string" || !x.trim())) throw new Error(`${key} must be a list of asset ids (got ${show(v)})`);
+      return v.map(x => x.trim());
+    },
+    fromString: splitList
+  },
+  usd: { parse: usd, fromString: (s) => s },
+  usdOrNull: { parse: (v, key) => (v === null ? null : usd(v, key)), fromString: (s) => (s.trim() === "" ? null : s) },
+  bool: {
+    parse: (v, key) => {
+      if (typeof v === "boolean") return v;
+      if (v === "1" || v === "true") return true;
+      if (v === "0" || v === "false") return false;
+      throw new Error(`${key} must be true or false (got ${show(v)})`);
+    },
+    fromString: (s) => s.trim()
+  },
+  amountMap: {
+    map: true,
+    entry: (v, key) => {
+      if ((typeof v !== "string" && typeof v !== "number") || !isAmount(v) || String(v).trim().startsWith("-")) {
+        throw new Error(`${key} must be a decimal amount >= 0 (got ${show(v)})`);
+      }
+      return normalizeAmount(v);
+    }
+  },
+  usdMap: { map: true, entry: usd },
+  numberMap: { map: true, entry: usd }
+};
+
+/**
+ * key -> { type, default, env?, legacy?: [[file, key]] (later wins), help }
+ * Keys are dotted paths into fb_config.json.
+ */
+const SCHEMA = {
+  "vaults.destination": {
+    type: "vaultId", default: "", env: "DEST_VAULT_ID",
+    legacy: [[GAS_POLICY, "destinationVaultId"]],
+    help: "consolidation vault; the default route of every plan"
+  },
+  "vaults.consolidation": {
+    type: "vaultIds", default: ["94828", "94797"], env: "CONSOLIDATION_VAULTS",
+    help: "vaults the reports count as consolidated; never planned as sources, never hidden and left out of wallet totals"
+  },
+  "vaults.skip": {
+    type: "vaultIds", default: [], env: "SKIP_VAULTS",
+    legacy: [[GAS_POLICY, "skipVaultIds"]],
+    help: "vaults never planned as sources"
+  },
+  "vaults.gasTreasury": {
+    type: "vaultId", default: "", env: "GAS_TREASURY_VAULT_ID",
+    legacy: [[GAS_POLICY, "gasTreasuryVaultId"]],
+    help: "vault gas top-ups come from"
+  },
+  "gas.minGasBalance": {
+    type: "amountMap",
+    default: { ETH: "0.0005", MATIC: "0.2", MATIC_POLYGON: "0.2", BNB: "0.002", BNB_BSC: "0.002", SOL: "0.01", FTM: "0.5", TRX: "5", XLM: "1", ALGO: "0.001" },
+    legacy: [[POLICY, "gasReserveMin"], [GAS_POLICY, "minGasBalance"]],
+    help: "gas each wallet keeps per gas asset so its tokens can still move"
+  },
+  "reserves.leaveOne": {
+    type: "amountMap", default: { DOT: "1", XRP: "1", XLM: "1" },
+    help: "existential deposit / account reserve left in each wallet (reserveRule leave_1)"
+  },
+  "reserves.retainMinByAsset": {
+    type: "amountMap", default: {},
+    legacy: [[GAS_POLICY, "retainMinByAsset"]],
+    help: "amount left in each wallet per asset; replaces leaveOne for that asset"
+  },
+  "plan.minTxAmountByAsset": {
+    type: "amountMap", default: {},
+    legacy: [[GAS_POLICY, "minTxAmountByAsset"]],
+    help: "smallest transfer planned per asset, in asset units"
+  },
+  "plan.singleAssetWalletMoveAnyway": {
+    type: "bool", default: false,
+    legacy: [[GAS_POLICY, "singleAssetWalletMoveAnyway"]],
+    help: "move plan: sweep single-asset wallets even below the USD floors"
+  },
+  "thresholds.minUsdPerTx": {
+    type: "usd", default: 0.01, env: "MIN_USD_PER_TX",
+    legacy: [[GAS_POLICY, "MIN_USD_PER_TX"], [GAS_POLICY, "minUsdPerTxNonStable"]],
+    help: "smallest non-stablecoin transfer worth sending, USD"
+  },
+  "thresholds.stablecoinMinUsd": {
+    type: "usd", default: 0.25, env: "STABLECOIN_MIN_USD",
+    legacy: [[GAS_POLICY, "STABLECOIN_MIN_USD"], [GAS_POLICY, "minUsdPerTxStable"]],
+    help: "smallest stablecoin transfer worth sending, USD"
+  },
+  "thresholds.materialWalletUsd": {
+    type: "usd", default: 1, env: "MATERIAL_WALLET_USD",
+    legacy: [[GAS_POLICY, "materialWalletUsd"]],
+    help: "wallet total at which a wallet counts as material, USD"
+  },
+  "reEval.materialWalletUsd": {
+    type: "usd", default: 0.01, env: "MATERIAL_WALLET_USD",
+    help: "re_eval.js: wallet total at which a wallet counts as material (its own default), USD"
+  },
+  "fees.estimatedFeeUsdByGasAsset": {
+    type: "usdMap", default: {},
+    legacy: [[GAS_POLICY, "estimatedFeeUsdByGasAsset"]],
+    help: "last-resort fee per transfer, USD per fee asset"
+  },
+  "assets.stablecoinSymbols": {
+    type: "symbols", default: ["USDC", "USDT", "TUSD", "BUSD", "DAI"], env: "STABLECOIN_SYMBOLS",
+    legacy: [[GAS_POLICY, "stablecoinAssetPrefixes"]],
+    help: "token symbols the asset registry treats as stablecoins"
+  },
+  "assets.allowUnsyncedRegistry": {
+    type: "bool", default: false, env: "ALLOW_UNSYNCED_REGISTRY",
+    help: "planners: plan assets the unsynced asset registry does not know, as needing no gas"
+  },
+  "minRules.minUsdPerTx": {
+    type: "usd", default: 0.25, env: "MIN_USD_PER_TX",
+    help: "generate_min_by_asset.js: minUsdDefault it records (its own default, not thresholds.minUsdPerTx)"
+  },
+  "minRules.defaultMinUsd": {
+    type: "usd", default: 0.25,
+    legacy: [[MIN_RULES, "DEFAULT_MIN_USD"]],
+    help: "generate_min_by_asset.js: USD floor per transfer"
+  },
+  "minRules.selfGasMinUsd": {
+    type: "usdOrNull", default: null,
+    legacy: [[MIN_RULES, "SELF_GAS_MIN_USD"]],
+    help: "USD floor for minRules.selfGasCheap assets (null = defaultMinUsd)"
+  },
+  "minRules.expensiveSelfGasMinUsd": {
+    type: "usdOrNull", default: null,
+    legacy: [[MIN_RULES, "EXPENSIVE_SELF_GAS_MIN_USD"]],
+    help: "USD floor for minRules.expensiveSelfGas assets (null = defaultMinUsd)"
+  },
+  "minRules.selfGasCheap": {
+    type: "assetIds", default: [],
+    legacy: [[MIN_RULES, "SELF_GAS_CHEAP"]],
+    help: "assets that pay cheap fees in themselves"
+  },
+  "minRules.expensiveSelfGas": {
+    type: "assetIds", default: [],
+    legacy: [[MIN_RULES, "EXPENSIVE_SELF_GAS"]],
+    help: "assets that pay expensive fees in themselves"
+  },
+  "minRules.selfGasWithMinimum": {
+    type: "numberMap", default: {},
+    legacy: [[MIN_RULES, "SELF_GAS_WITH_MINIMUM"]],
+    help: "fixed minimum per asset, in asset units"
+  },
+  "minRules.forceMinUsd": {
+    type: "usdMap", default: {},
+    legacy: [[MIN_RULES, "FORCE_MIN_USD"]],
+    help: "fixed USD minimum per asset"
+  }
+};
+
+function readJsonFile(file, label) {
+  if (!fs.existsSync(file)) return null;
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { throw new ConfigError(label, `bad JSON: ${e.message}`); }
+}
+
+const getPath = (obj, dotted) => dotted.split(".").reduce((o, k) => (o && typeof o === "object" ? o[k] : undefined), obj);
+
+/** fb_config.json object -> { key -> value }, rejecting keys the schema does not know. */
+function flattenConfig(obj, label) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new ConfigError(label, "must be a JSON object");
+  const out = {};
+  const walk = (node, prefix) => {
+    for (const [k, v] of Object.entries(node)) {
+      const key = prefix ? `${prefix}.${k}` : k;
+      if (key === "schemaVersion") {
+        if (v !== SCHEMA_VERSION) throw new ConfigError(label, `schemaVersion ${show(v)} is not supported (expected ${SCHEMA_VERSION})`);
+        continue;
+      }
+      if (SCHEMA[key]) { out[key] = v; continue; }
+      const isSection = Object.keys(SCHEMA).some(s => s.startsWith(key + "."));
+      if (!isSection) throw new ConfigError(label, `unknown key ${key}${suggest(key)}`);
+      if (!v || typeof v !== "object" || Array.isArray(v)) throw new ConfigError(label, `${key} must be an object`);
+      walk(v, key);
+    }
+  };
+  walk(obj, "");
+  return out;
+}
+
+function suggest(key) {
+  const section = key.split(".")[0];
+  const known = Object.keys(SCHEMA).filter(k => k.startsWith(section + "."));
+  return known.length ? ` (known in ${section}: ${known.map(k => k.slice(section.length + 1)).join(", ")})` : "";
+}
+
+/** FB_CONFIG_SET text -> [{ key, entry?, text }]. */
+function parseSets(text) {
+  const out = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const eq = line.indexOf("=");
+    const name = eq === -1 ? line.trim() : line.slice(0, eq).trim();
+    if (eq === -1) throw new ConfigError("--set", `expected key=value (got ${show(line)})`);
+    if (SCHEMA[name]) { out.push({ key: name, text: line.slice(eq + 1) }); continue; }
+    // gas.minGasBalance.ETH=0.001 sets one entry of a map
+    const mapKey = Object.keys(SCHEMA).find(k => TYPES[SCHEMA[k].type].map && name.startsWith(k + "."));
+    if (!mapKey) throw new ConfigError("--set", `unknown key ${name}${suggest(name)}`);
+    out.push({ key: mapKey, entry: name.slice(mapKey.length + 1), text: line.slice(eq + 1) });
+  }
+  return out;
+}
+
+/**
+ * opts: root (default cwd), env (default process.env), file (default FB_CONFIG or
+ * <root>/fb_config.json). Returns { file, get(key), explain(), keys }.
+ */
+function loadConfig(opts = {}) {
+  const root = opts.root || process.cwd();
+  const env = opts.env || process.env;
+  const file = opts.file || (env.FB_CONFIG ? path.resolve(root, env.FB_CONFIG) : path.join(root, CONFIG_FILE));
+  const fileLabel = path.relative(root, file) || file;
+
+  // layers, lowest first: [{ source, values: { key -> raw value } }]
+  const layers = [];
+  const legacyFiles = {};
+  for (const spec of Object.values(SCHEMA)) {
+    for (const [f] of spec.legacy || []) if (!(f in legacyFiles)) legacyFiles[f] = readJsonFile(path.join(root, f), f);
+  }
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    for (const [f, oldKey] of spec.legacy || []) {
+      const v = getPath(legacyFiles[f], oldKey);
+      if (v !== undefined) layers.push({ key, source: `${f} ${oldKey}`, where: `${f}`, name: oldKey, value: v });
+    }
+  }
+  const fileObj = readJsonFile(file, fileLabel);
+  if (fileObj) {
+    for (const [key, v] of Object.entries(flattenConfig(fileObj, fileLabel))) {
+      layers.push({ key, source: fileLabel, where: fileLabel, name: key, value: v });
+    }
+  }
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const text = spec.env ? env[spec.env] : undefined;
+    if (text !== undefined && text !== "") {
+      layers.push({ key, source: `env ${spec.env}`, where: `env ${spec.env}`, name: key, value: TYPES[spec.type].fromString(text) });
+    }
+  }
+  for (const s of parseSets(env.FB_CONFIG_SET)) {
+    const type = TYPES[SCHEMA[s.key].type];
+    let value;
+    if (s.entry !== undefined) value = { [s.entry]: s.text.trim() };
+    else if (type.map) {
+      try { value = JSON.parse(s.text); }
+      catch { throw new ConfigError("--set", `${s.key} must be a JSON object (got ${show(s.text)})`); }
+    } else value = type.fromString(s.text);
+    layers.push({ key: s.key, source: "--set", where: "--set", name: s.entry !== undefined ? `${s.key}.${s.entry}` : s.key, value });
+  }
+
+  // key -> { value, source } (maps: value is an object, sources per entry)
+  const resolved = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const type = TYPES[spec.type];
+    resolved[key] = type.map
+      ? { value: { ...spec.default }, sources: Object.fromEntries(Object.keys(spec.default).map(k => [k, "default"])) }
+      : { value: spec.default, source: "default" };
+  }
+  for (const l of layers) {
+    const spec = SCHEMA[l.key];
+    const type = TYPES[spec.type];
+    const r = resolved[l.key];
+    try {
+      if (type.map) {
+        if (!l.value || typeof l.value !== "object" || Array.isArray(l.value)) throw new Error(`${l.name} must be an object of assetId -> value (got ${show(l.value)})`);
+        for (const [assetId, v] of Object.entries(l.value)) {
+          const entryName = l.name.endsWith(`.${assetId}`) ? l.name : `${l.name}.${assetId}`;
+          r.value[assetId] = type.entry(v, entryName);
+          r.sources[assetId] = l.source;
+        }
+      } else {
+        r.value = type.parse(l.value, l.name);
+        r.source = l.source;
+      }
+    } catch (e) {
+      if (e instanceof ConfigError) throw e;
+      throw new ConfigError(l.where, e.message);
+    }
+  }
+
+  function get(key) {
+    if (!SCHEMA[key]) throw new Error(`config: unknown key ${key}`);
+    const v = resolved[key].value;
+    return Array.isArray(v) ? [...v] : v && typeof v === "object" ? { ...v } : v;
+  }
+
+  /** [{ key, value, source, help }], one line per map entry. */
+  function explain() {
+    const out = [];
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+      const r = resolved[key];
+      if (!TYPES[spec.type].map) { out.push({ key, value: r.value, source: r.source, help: spec.help }); continue; }
+      const entries = Object.keys(r.value).sort();
+      if (!entries.length) out.push({ key, value: {}, source: "default", help: spec.help });
+      for (const assetId of entries) out.push({ key: `${key}.${assetId}`, value: r.value[assetId], source: r.sources[assetId], help: spec.help });
+    }
+    return out;
+  }
+
+  return { file: fileObj ? file : null, get, explain, keys: Object.keys(SCHEMA) };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  SCHEMA,
+  ConfigError,
+  loadConfig
+};
@@ -0,0 +1,252 @@
+"use strict";
+
+/**
+ * RFC 4180 CSV reading and writing shared by every script.
+ *
+ * - quoted fields, doubled quotes, commas and newlines inside quotes
+ * - CRLF or LF line endings, a leading UTF-8 BOM, blank lines skipped
+ * - columns are looked up by header name; a missing column or a row whose field
+ *   count differs from the header throws CsvError with the file and line number
+ *
+ * Reading:
+ *   const t = readCsvSync("inventory/inventory.csv", { required: ["vaultId", "assetId"] });
+ *   const I = t.idx("vaultId");  for (const r of t.rows) r[I] ...   or t.get(r, "vaultId")
+ *
+ *   for await (const rec of readCsv("inventory/inventory.csv")) rec.vaultId ...
+ *
+ * Writing:
+ *   writeCsvSync(file, ["a", "b"], rows)           rows are arrays or objects
+ *   const w = createCsvWriter(file, header); w.write(row); await w.end();
+ */
+
+const fs = require("fs");
+
+class CsvError extends Error {
+  constructor(message, { file, line } = {}) {
+    const where = file ? `${file}${line ? `:${line}` : ""}: ` : (line ? `line ${line}: ` : "");
+    super(where + message);
+    this.name = "CsvError";
+    this.file = file || null;
+    this.line = line || null;
+  }
+}
+
+/**
+ * Incremental parser. push(text) returns the records completed so far as
+ * { fields, line } (line = where the record starts); end() flushes the last one.
+ * Chunks may split anywhere, including inside a quoted field or a CRLF.
+ */
+function createCsvParser({ file } = {}) {
+  let field = "";
+  let fields = [];
+  let touched = false;       // current record has any content (so it is not a blank line)
+  let inQuotes = false;
+  let quoteInQuotes = false; // saw " inside quotes: either "" or the closing quote
+  let closed = false;        // current field had a closing quote; only , or EOL may follow
+  let skipLF = false;        // previous char was an unquoted CR
+  let line = 1;
+  let recordLine = 1;
+  let started = false;
+
+  function finishRecord(out) {
+    if (touched) {
+      fields.push(field);
+      out.push({ fields, line: recordLine });
+    }
+    fields = [];
+    field = "";
+    touched = false;
+    closed = false;
+  }
+
+  function push(text) {
+    const out = [];
+    let s = String(text);
+    if (!started && s.length) {
+      started = true;
+      if (s.charCodeAt(0) === 0xfeff) s = s.slice(1);
+    }
+    for (let i = 0; i < s.length; i++) {
+      const c = s[i];
+      if (skipLF) {
+        skipLF = false;
+        if (c === "\n") continue;
+      }
+      if (quoteInQuotes) {
+        quoteInQuotes = false;
+        if (c === '"') { field += '"'; continue; }
+        inQuotes = false;
+        closed = true;
+      }
+      if (inQuotes) {
+        if (c === '"') quoteInQuotes = true;
+        else {
+          if (c === "\n") line++;
+          field += c;
+        }
+        continue;
+      }
+      if (c === ",") {
+        fields.push(field);
+        field = "";
+        touched = true;
+        closed = false;
+      } else if (c === "\n" || c === "\r") {
+        finishRecord(out);
+        line++;
+        recordLine = line;
+        if (c === "\r") skipLF = true;
+      } else if (closed) {
+        throw new CsvError(`text after closing quote in field ${fields.length + 1}`, { file, line });
+      } else if (c === '"') {
+        if (field !== "") throw new CsvError(`unexpected quote in field ${fields.length + 1}`, { file, line });
+        inQuotes = true;
+        touched = true;
+      } else {
+        field += c;
+        touched = true;
+      }
+    }
+    return out;
+  }
+
+  function end() {
+    if (inQuotes && !quoteInQuotes) throw new CsvError("unterminated quoted field", { file, line: recordLine });
+    inQuotes = quoteInQuotes = false;
+    const out = [];
+    finishRecord(out);
+    return out;
+  }
+
+  return { push, end };
+}
+
+/** Parsed CSV with header lookups. rows are arrays of strings in header order. */
+class CsvTable {
+  constructor(header, rows, { file } = {}) {
+    this.header = header;
+    this.rows = rows;
+    this.file = file || null;
+    this.index = new Map(header.map((h, i) => [h, i]));
+  }
+  has(name) { return this.index.has(name); }
+  /** Column index; throws CsvError when the column is missing. */
+  idx(name) {
+    const i = this.index.get(name);
+    if (i === undefined) throw new CsvError(`missing column ${name} (have: ${this.header.join(", ")})`, { file: this.file });
+    return i;
+  }
+  /** Column index or -1. */
+  find(...names) {
+    for (const n of names) if (this.index.has(n)) return this.index.get(n);
+    return -1;
+  }
+  get(row, name) { return row[this.idx(name)]; }
+  record(row) { return Object.fromEntries(this.header.map((h, i) => [h, row[i]])); }
+  records() { return this.rows.map(r => this.record(r)); }
+}
+
+function checkHeader(header, { file, required }) {
+  const seen = new Set();
+  for (const h of header) {
+    if (seen.has(h)) throw new CsvError(`duplicate column ${h}`, { file, line: 1 });
+    seen.add(h);
+  }
+  for (const r of required || []) {
+    if (!seen.has(r)) throw new CsvError(`missing column ${r} (have: ${header.join(", ")})`, { file, line: 1 });
+  }
+}
+
+function checkWidth(rec, width, file) {
+  if (rec.fields.length !== width) {
+    throw new CsvError(`expected ${width} fields, got ${rec.fields.length}`, { file, line: rec.line });
+  }
+}
+
+/** parseCsv(text, { file, required }) -> CsvTable */
+function parseCsv(text, { file, required } = {}) {
+  const p = createCsvParser({ file });
+  const recs = p.push(text).concat(p.end());
+  if (!recs.length) throw new CsvError("empty file (no header row)", { file });
+  const header = recs[0].fields.map(h => h.trim());
+  checkHeader(header, { file, required });
+  const rows = [];
+  for (let i = 1; i < recs.length; i++) {
+    checkWidth(recs[i], header.length, file);
+    rows.push(recs[i].fields);
+  }
+  return new CsvTable(header, rows, { file });
+}
+
+function readCsvSync(file, opts = {}) {
+  return parseCsv(fs.readFileSync(file, "utf8"), { ...opts, file });
+}
+
+/**
+ * Stream a CSV file as objects keyed by header name. opts.onHeader(header) is
+ * called once before the first record.
+ */
+async function* readCsv(file, { required, onHeader } = {}) {
+  const p = createCsvParser({ file });
+  let header = null;
+  const emit = function* (recs) {
+    for (const rec of recs) {
+      if (!header) {
+        header = rec.fields.map(h => h.trim());
+        checkHeader(header, { file, required });
+        if (onHeader) onHeader(header);
+        continue;
+      }
+      checkWidth(rec, header.length, file);
+      const o = {};
+      for (let i = 0; i < header.length; i++) o[header[i]] = rec.fields[i];
+      yield o;
+    }
+  };
+  for await (const chunk of fs.createReadStream(file, { encoding: "utf8" })) yield* emit(p.push(chunk));
+  yield* emit(p.end());
+  if (!header) throw new CsvError("empty file (no header row)", { file });
+}
+
+function csvEscape(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvEscape).join(",");
+}
+
+function rowValues(header, row) {
+  return Array.isArray(row) ? row : header.map(h => row[h]);
+}
+
+function writeCsvSync(file, header, rows) {
+  const lines = [csvLine(header)];
+  for (const r of rows) lines.push(csvLine(rowValues(header, r)));
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+}
+
+/** Streaming writer; end() resolves once the file is flushed. */
+function createCsvWriter(file, header) {
+  const ws = fs.createWriteStream(file, { encoding: "utf8" });
+  ws.write(csvLine(header) + "\n");
+  return {
+    write(row) { ws.write(csvLine(rowValues(header, row)) + "\n"); },
+    end() { return new Promise((resolve, reject) => { ws.on("error", reject); ws.end(resolve); }); }
+  };
+}
+
+module.exports = {
+  CsvError,
+  CsvTable,
+  createCsvParser,
+  parseCsv,
+  readCsvSync,
+  readCsv,
+  csvEscape,
+  csvLine,
+  writeCsvSync,
+  createCsvWriter
+};
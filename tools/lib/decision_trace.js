@@ -0,0 +1,108 @@
+"use strict";
+
+/**
+ * Decision trace: why each (vault, asset) a planner looked at was or was not planned.
+ *
+ * fb_build_plan.js writes plan/decision_trace.jsonl and fb_build_move_plan.js writes
+ * move_plan/decision_trace.jsonl, one line per (source vault, asset) with a positive
+ * balance, skipped vaults included:
+ *
+ *   { "planner": "move", "asOfIso": "...", "vaultId": "1001", "vaultName": "A", "assetId": "USDC",
+ *     "available": "12.5", "outcome": "SKIPPED", "reason": "BELOW_MIN_USD", "amount": "12.5",
+ *     "checks": [
+ *       { "rule": "skip_list", "result": "pass", "note": "not in vaults.skip or vaults.consolidation, not a destination" },
+ *       { "rule": "usd_min", "result": "fail", "usdValue": 0.12, "minUsd": 0.25, "stable": true,
+ *         "note": "$0.12 < $0.25 (thresholds.stablecoinMinUsd)" }
+ *     ] }
+ *
+ * checks are the rules the planner evaluated, in order, with the inputs and thresholds it
+ * used; evaluation stops where the planner stopped. result is one of:
+ *   pass / fail   a condition (fail on the last check is the reason)
+ *   waived        failed, but plan.singleAssetWalletMoveAnyway let the row through
+ *   flagged       plan: fails a rule applied after planning (usd_min, fee_vs_value); the
+ *                 row is planned and the note names who drops it
+ *   applied/none  a reserve that was / was not taken off the balance; none also marks a
+ *                 value rule with nothing to compare (no floor, fee unknown in USD)
+ * outcome is PLANNED, NEEDS_GAS (waiting on a top-up; the plan planner keeps these rows
+ * for FUEL_THEN_SWEEP=1) or SKIPPED.
+ * fb_explain_decisions.js (tools/fb.js report why) queries the files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TRACE_FILES = {
+  plan: path.join("plan", "decision_trace.jsonl"),
+  move: path.join("move_plan", "decision_trace.jsonl")
+};
+
+const OUTCOMES = ["PLANNED", "NEEDS_GAS", "SKIPPED"];
+
+/**
+ * Collects one entry per (vault, asset) for planner "plan" or "move". begin() starts an
+ * entry and returns { entry, check(rule, result, details), decide(outcome, reason, extra) }.
+ */
+function createTrace(planner) {
+  const asOfIso = new Date().toISOString();
+  const entries = [];
+
+  function begin({ vaultId, vaultName = "", assetId, available }) {
+    const entry = {
+      planner, asOfIso, vaultId: String(vaultId), vaultName, assetId, available: String(available),
+      outcome: "", reason: "", amount: "", checks: []
+    };
+    entries.push(entry);
+    return {
+      entry,
+      check(rule, result, details = {}) { entry.checks.push({ rule, result, ...details }); },
+      decide(outcome, reason = "", extra = {}) { Object.assign(entry, { outcome, reason }, extra); }
+    };
+  }
+
+  function write(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, entries.map(e => JSON.stringify(e) + "\n").join(""));
+  }
+
+  return { planner, entries, begin, write };
+}
+
+/** Entries of a decision_trace.jsonl file ([] when it does not exist). */
+function readTrace(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split(/\r?\n/).filter(l => l.trim()).map((l, i) => {
+    try { return JSON.parse(l); }
+    catch (e) { throw new Error(`Bad JSON in ${file} line ${i + 1}: ${e.message}`); }
+  });
+}
+
+/** filter: { vaultId, assetId, outcome, reason }; assetId, outcome and reason ignore case. */
+function filterTrace(entries, filter = {}) {
+  const eq = (a, b) => String(a).toUpperCase() === String(b).toUpperCase();
+  return entries.filter(e =>
+    (!filter.vaultId || String(e.vaultId) === String(filter.vaultId)) &&
+    (!filter.assetId || eq(e.assetId, filter.assetId)) &&
+    (!filter.outcome || eq(e.outcome, filter.outcome)) &&
+    (!filter.reason || eq(e.reason, filter.reason))
+  );
+}
+
+/** Entry -> printable lines: the decision, then one line per check. */
+function formatEntry(e) {
+  const head = `[${e.planner}] vault ${e.vaultId}${e.vaultName ? ` (${e.vaultName})` : ""} ${e.assetId} available=${e.available}` +
+    ` -> ${e.outcome}${e.reason && e.reason !== e.outcome ? ` ${e.reason}` : ""}${e.outcome === "SKIPPED" ? "" : ` amount=${e.amount}`}` +
+    (e.destination || e.destinationVaultId ? ` to ${e.destination || e.destinationVaultId} (route ${e.route})` : "");
+  const width = Math.max(0, ...e.checks.map(c => c.rule.length));
+  const lines = [head];
+  for (const c of e.checks) lines.push(`  ${c.rule.padEnd(width)}  ${c.result.padEnd(7)}  ${c.note || ""}`.trimEnd());
+  return lines;
+}
+
+module.exports = {
+  TRACE_FILES,
+  OUTCOMES,
+  createTrace,
+  readTrace,
+  filterTrace,
+  formatEntry
+};
@@ -0,0 +1,206 @@
+"use strict";
+
+/**
+ * Approved transfer destinations: the only places an executor will send funds outside
+ * the workspace's own vaults.
+ *
+ * execute/approved_destinations.json (optional):
+ *
+ *   {
+ *     "destinations": {
+ *       "kraken":     { "type": "EXCHANGE_ACCOUNT", "id": "3f2c...", "assets": ["BTC", "ETH", "USDC"] },
+ *       "otc-desk":   { "type": "EXTERNAL_WALLET", "id": "9a1e..." },
+ *       "ops-wallet": { "type": "INTERNAL_WALLET", "id": "77b0..." },
+ *       "xrp-buyer":  { "type": "ONE_TIME_ADDRESS", "address": "rPEPPER7kfTD9w2To4CQk6UCfuHM9c6GDY",
+ *                       "tag": "104711", "assets": ["XRP"] }
+ *     },
+ *     "vaultIds": ["94797", "94828"]
+ *   }
+ *
+ * A plan row names its destination in "destination" (a key above); rows without one go to
+ * the vault in destinationVaultId as before. Rows may also spell the destination out
+ * (destinationType, destinationId, destinationAddress, destinationTag): every field given
+ * must agree with the approved entry, and a row with no name must match exactly one entry.
+ * So a typo in a plan is rejected instead of sent.
+ *
+ * Per entry:
+ *   type     EXTERNAL_WALLET | INTERNAL_WALLET | EXCHANGE_ACCOUNT (with "id", the Fireblocks
+ *            wallet / exchange account id) or ONE_TIME_ADDRESS (with "address", and "tag" for
+ *            the memo / destination tag)
+ *   assets   asset ids this destination may receive; omitted = any
+ * XRP and XLM transfers to a one-time address need a tag.
+ *
+ * "vaultIds", when present, is the list of vaults that may receive; otherwise any vault
+ * account is a valid destination.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DESTINATIONS_FILE = "approved_destinations.json";
+const WALLET_TYPES = ["EXTERNAL_WALLET", "INTERNAL_WALLET", "EXCHANGE_ACCOUNT"];
+const TYPES = ["VAULT_ACCOUNT", ...WALLET_TYPES, "ONE_TIME_ADDRESS"];
+const TAG_CHAINS = new Set(["XRP", "XLM"]);
+const NAME_RE = /^[A-Za-z][A-Za-z0-9_.-]*$/;
+/** Plan row fields that say where a transfer goes. */
+const DESTINATION_FIELDS = ["destinationVaultId", "destination", "destinationType", "destinationId", "destinationAddress", "destinationTag"];
+
+/** Thrown when a row's destination is not approved; code says why. */
+class DestinationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "DestinationError";
+    this.code = code;
+  }
+}
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+
+const inlineOf = (row) => ({
+  type: str(row.destinationType).toUpperCase(),
+  id: str(row.destinationId),
+  address: str(row.destinationAddress),
+  tag: str(row.destinationTag)
+});
+const isSpelledOut = (inline) => (inline.type && inline.type !== "VAULT_ACCOUNT") || Boolean(inline.address);
+
+function compileEntry(name, e, file) {
+  const where = `${file} destinations.${name}`;
+  if (!NAME_RE.test(name)) throw new Error(`${where}: name must start with a letter and use only letters, digits, "_", "." or "-"`);
+  const type = str(e.type).toUpperCase();
+  if (!TYPES.includes(type) || type === "VAULT_ACCOUNT") {
+    throw new Error(`${where}: type must be one of ${[...WALLET_TYPES, "ONE_TIME_ADDRESS"].join(", ")}`);
+  }
+  const entry = { name, type, id: "", address: "", tag: "", assets: null };
+  if (type === "ONE_TIME_ADDRESS") {
+    entry.address = str(e.address);
+    entry.tag = str(e.tag);
+    if (!entry.address) throw new Error(`${where}: address is required`);
+  } else {
+    entry.id = str(e.id);
+    if (!entry.id) throw new Error(`${where}: id is required`);
+  }
+  if (e.assets !== undefined) {
+    if (!Array.isArray(e.assets) || !e.assets.length) throw new Error(`${where}: assets must be a non-empty list`);
+    entry.assets = new Set(e.assets.map(String));
+  }
+  return entry;
+}
+
+/**
+ * Load the approved destinations for execDir (default ./execute).
+ *
+ * opts.registry (asset registry) tells which assets live on a tag chain; without it the
+ * assetId itself is checked.
+ *
+ * Returns { file, entries, vaultIds, resolve(row), keyOf(row), has(name) }:
+ *   resolve(row) -> { key, type, label, destination } where destination is the Fireblocks
+ *                   transaction "destination" body; throws DestinationError otherwise
+ *   keyOf(row)   the third part of the row id: destination name (a spelled-out destination
+ *                takes the name of the entry it matches), else destinationVaultId
+ */
+function loadDestinations(opts = {}) {
+  const execDir = opts.execDir || path.join(process.cwd(), "execute");
+  const file = path.join(execDir, DESTINATIONS_FILE);
+  let doc = {};
+  if (fs.existsSync(file)) {
+    try { doc = JSON.parse(fs.readFileSync(file, "utf8")); }
+    catch (e) { throw new Error(`Bad JSON in ${file}: ${e.message}`); }
+  }
+  const entries = new Map();
+  for (const [name, e] of Object.entries(doc.destinations || {})) entries.set(name, compileEntry(name, e || {}, file));
+  const vaultIds = Array.isArray(doc.vaultIds) ? new Set(doc.vaultIds.map(String)) : null;
+  const registry = opts.registry;
+
+  const chainOf = (assetId) => {
+    const e = registry ? registry.get(assetId) : null;
+    return e ? (e.nativeAsset || e.blockchain || assetId) : assetId;
+  };
+
+  function keyOf(row) {
+    const name = str(row.destination);
+    if (name) return name;
+    const inline = inlineOf(row);
+    if (!isSpelledOut(inline)) return str(row.destinationVaultId);
+    // spelled-out destination: keyed by the entry it matches, else by what it says
+    try { return resolve(row).key; }
+    catch (e) {
+      if (!(e instanceof DestinationError)) throw e;
+      return `${inline.type || "?"}:${inline.address || inline.id}${inline.tag ? `:${inline.tag}` : ""}`;
+    }
+  }
+
+  function resolveVault(row) {
+    const id = str(row.destinationVaultId);
+    if (!id) throw new DestinationError("NO_DESTINATION", "row has neither destination nor destinationVaultId");
+    if (vaultIds && !vaultIds.has(id)) throw new DestinationError("VAULT_NOT_APPROVED", `vault ${id} is not in vaultIds of ${file}`);
+    return { key: id, type: "VAULT_ACCOUNT", label: `vault ${id}`, destination: { type: "VAULT_ACCOUNT", id } };
+  }
+
+  function resolve(row) {
+    const name = str(row.destination);
+    const inline = inlineOf(row);
+    if (!name && !isSpelledOut(inline)) return resolveVault(row);
+
+    let entry;
+    if (name) {
+      entry = entries.get(name);
+      if (!entry) throw new DestinationError("UNKNOWN_DESTINATION", `"${name}" is not in ${file}`);
+    } else {
+      const found = [...entries.values()].filter(e =>
+        (!inline.type || e.type === inline.type) &&
+        (!inline.id || e.id === inline.id) &&
+        (!inline.address || e.address === inline.address) &&
+        (!inline.tag || e.tag === inline.tag));
+      if (found.length !== 1) {
+        const what = [inline.type, inline.id, inline.address, inline.tag && `tag ${inline.tag}`].filter(Boolean).join(" ");
+        throw new DestinationError("UNKNOWN_DESTINATION", `${what || "destination"} ${found.length ? "matches several entries" : "matches no entry"} in ${file}`);
+      }
+      entry = found[0];
+    }
+    for (const k of ["type", "id", "address", "tag"]) {
+      if (inline[k] && inline[k] !== entry[k]) {
+        throw new DestinationError("DESTINATION_MISMATCH", `${entry.name}: row ${k} "${inline[k]}" differs from approved "${entry[k]}"`);
+      }
+    }
+
+    const assetId = str(row.assetId);
+    if (entry.assets && !entry.assets.has(assetId)) {
+      throw new DestinationError("ASSET_NOT_APPROVED", `${entry.name} is not approved for ${assetId}`);
+    }
+    if (entry.type === "ONE_TIME_ADDRESS" && !entry.tag && TAG_CHAINS.has(chainOf(assetId))) {
+      throw new DestinationError("TAG_REQUIRED", `${entry.name}: ${assetId} to a one-time address needs a tag`);
+    }
+
+    const destination = entry.type === "ONE_TIME_ADDRESS"
+      ? { type: entry.type, oneTimeAddress: entry.tag ? { address: entry.address, tag: entry.tag } : { address: entry.address } }
+      : { type: entry.type, id: entry.id };
+    return { key: entry.name, type: entry.type, label: `${entry.name} (${entry.type})`, destination };
+  }
+
+  return {
+    file: fs.existsSync(file) ? file : null,
+    entries: [...entries.values()].map(e => ({ name: e.name, type: e.type })),
+    vaultIds: vaultIds ? [...vaultIds] : null,
+    resolve,
+    keyOf,
+    has: (name) => entries.has(name)
+  };
+}
+
+/** One-line summary for script output. */
+function describeDestinations(d) {
+  const vaults = d.vaultIds ? `vaults ${d.vaultIds.join(",")}` : "any vault";
+  return d.entries.length
+    ? `${d.entries.length} approved (${d.entries.map(e => `${e.name}:${e.type}`).join(", ")}) + ${vaults}`
+    : `vault accounts only (${vaults})`;
+}
+
+module.exports = {
+  DESTINATIONS_FILE,
+  TYPES,
+  DESTINATION_FIELDS,
+  DestinationError,
+  loadDestinations,
+  describeDestinations
+};
@@ -0,0 +1,312 @@
+"use strict";
+
+/**
+ * Transfer execution engine behind execute_ready.js, fb_execute_move_plan.js and
+ * fb_execute_plan_all.js. Each script only names its input; ADAPTERS turn the rows into
+ * transfers:
+ *   ready  analysis/remaining_rows_v2.csv  READY_TO_EXECUTE rows, largest estUSD first
+ *   move   move_plan/move_plan.csv         every row (the move plan only holds eligible rows)
+ *   plan   plan/plan.jsonl                 every row, in file order
+ *
+ * Everything else is shared:
+ *   rowId         <sourceVaultId>|<assetId>|<destinationVaultId or approved destination name>,
+ *                 plus @<rowKind> for an item that sets rowKind (fuel-then-sweep's gas_sweep),
+ *                 so such a transfer never shares a row id with a plan row
+ *   ledger        execute/completed_transfers.txt, one rowId per live submission. A row in
+ *                 it, or journaled SUBMIT_OK by any executor and not since failed on chain
+ *                 (tx_status.json), is never sent again, whichever input lists it.
+ *   journal       execute/journal_<RUN_ID>.jsonl, one object per line:
+ *                   { ts, event, executor, runId, rowId, phase?, ... }
+ *                 ATTEMPT      every API call, retries included (method, uri, status, ...)
+ *                 DRYRUN       body
+ *                 SUBMIT_OK    txId, idempotencyKey, ledger, body
+ *                 SUBMIT_FAIL  idempotencyKey, status, code, attempts, error, body
+ *                 DEST_REJECTED code, error
+ *                 TX_FINAL     txId, status, subStatus (fuel-then-sweep waits)
+ *   externalTxId  consolidate_<rowId>, then consolidate_<rowId>#2, ... for a resend
+ *   failures      never go in the ledger; Fireblocks error 1402 also goes to
+ *                 execute/failed_1402.txt and the row is not tried again
+ *   skips         SKIP_SOURCE_VAULTS, tokens the planner found without gas (gasReady
+ *                 false), source == destination, non-positive amounts, destinations
+ *                 approved_destinations.json does not allow (journaled DEST_REJECTED)
+ *
+ * The ledgers each executor kept before (completed_all.txt, completed_move_plan.txt,
+ * completed_ready.txt) are read as part of it, and merged into completed_transfers.txt by
+ * the first live run.
+ *
+ * Env: EXECUTE=1 (live), BATCH (transfers per run; default per adapter, max 500), RUN_ID,
+ * SKIP_SOURCE_VAULTS="a,b".
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { clientFromEnv, describeError } = require("./fb_client");
+const tracker = require("./tx_tracker");
+const { readCsvSync } = require("./csv");
+const { amountOr, isPositiveAmount } = require("./amount");
+const { loadAssetRegistry } = require("./asset_registry");
+const { loadDestinations, describeDestinations, DestinationError, DESTINATION_FIELDS } = require("./destinations");
+
+const FAILED_1402 = "failed_1402.txt";
+
+const bool = (v) => v === true || String(v).toLowerCase() === "true";
+
+/** CSV record -> transfer item with the destination columns the file has. */
+function csvItem(r, sourceVaultId) {
+  const item = {
+    sourceVaultId: String(sourceVaultId ?? ""),
+    assetId: r.assetId,
+    amount: r.amount,
+    requiresGas: bool(r.requiresGas),
+    gasReady: r.gasReady === undefined || r.gasReady === "" ? true : bool(r.gasReady)
+  };
+  for (const k of DESTINATION_FIELDS) if (r[k] !== undefined) item[k] = r[k];
+  return item;
+}
+
+/** name -> { input, batch (default BATCH), hint (how to make the input), read(file) -> items } */
+const ADAPTERS = {
+  ready: {
+    input: path.join("analysis", "remaining_rows_v2.csv"),
+    batch: 50,
+    hint: "Run fireblocks_analysis_v2.js first.",
+    read(file) {
+      const required = ["sourceVaultId", "assetId", "amount", "destinationVaultId", "requiresGas", "gasReady", "reason", "estUSD"];
+      const items = readCsvSync(file, { required }).records()
+        .filter(r => r.reason === "READY_TO_EXECUTE")
+        .map(r => ({ ...csvItem(r, r.sourceVaultId), estUSD: Number(r.estUSD) || 0 }));
+      return items.sort((a, b) => b.estUSD - a.estUSD);
+    }
+  },
+  move: {
+    input: path.join("move_plan", "move_plan.csv"),
+    batch: 20,
+    hint: "Run fb_build_move_plan.js first.",
+    read(file) {
+      const required = ["vaultId", "assetId", "amount", "destinationVaultId"];
+      return readCsvSync(file, { required }).records().map(r => csvItem(r, r.vaultId));
+    }
+  },
+  plan: {
+    input: path.join("plan", "plan.jsonl"),
+    batch: 20,
+    hint: "Run fb_build_plan.js first.",
+    read(file) {
+      return fs.readFileSync(file, "utf8").split(/\r?\n/).filter(l => l.trim()).map((l, i) => {
+        try { return JSON.parse(l); }
+        catch (e) { throw new Error(`Bad JSON in ${file} line ${i + 1}: ${e.message}`); }
+      });
+    }
+  }
+};
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * One executor run: journal, ledger, destinations and the Fireblocks client.
+ * opts: executor (journal name and RUN_ID prefix), defaultBatch, root (default cwd), env.
+ */
+function createEngine({ executor, defaultBatch = 20, root = process.cwd(), env = process.env }) {
+  const execDir = path.join(root, "execute");
+  fs.mkdirSync(execDir, { recursive: true });
+
+  const execute = env.EXECUTE === "1";
+  const batch = Math.max(1, Math.min(500, Number(env.BATCH || defaultBatch) || defaultBatch));
+  const runId = env.RUN_ID || `${executor}_${Date.now()}_${crypto.randomUUID()}`;
+  const journalFile = path.join(execDir, `journal_${runId}.jsonl`);
+  const ledgerFile = path.join(execDir, tracker.LEDGER);
+  const failed1402File = path.join(execDir, FAILED_1402);
+  const skipSourceVaults = new Set(String(env.SKIP_SOURCE_VAULTS || "").split(",").map(s => s.trim()).filter(Boolean));
+
+  // live runs merge the old per-executor ledgers; dry runs leave the files alone
+  const migrated = execute ? tracker.migrateLegacyLedgers(execDir) : [];
+  const approved = loadDestinations({ execDir, registry: loadAssetRegistry({ execDir }) });
+
+  function journal(event, fields = {}) {
+    fs.appendFileSync(journalFile, JSON.stringify({ ts: new Date().toISOString(), event, executor, runId, ...fields }) + "\n");
+  }
+
+  // Every API attempt (including retries after 429/5xx) goes into the journal.
+  const fb = clientFromEnv({
+    onAttempt: (a) => {
+      const { context, ...rest } = a;
+      journal("ATTEMPT", { rowId: context?.rowId ?? null, ...rest });
+    }
+  }, env);
+
+  // Done: the ledger, plus SUBMIT_OK in any journal (every executor, old line shapes too)
+  // unless fb_track_transactions.js has since seen that transaction fail.
+  const done = new Set(tracker.readLedgerRows(execDir));
+  const submitted = new Map(); // rowId -> SUBMIT_OK lines, for the externalTxId attempt number
+  const failedOnChain = tracker.failedRows(tracker.loadStatusStore(execDir));
+  for (const f of fs.readdirSync(execDir).filter(f => /^journal_.*\.jsonl$/.test(f))) {
+    for (const line of fs.readFileSync(path.join(execDir, f), "utf8").split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      let j;
+      try { j = JSON.parse(line); } catch { continue; }
+      const rowId = j.rowId || j.rid;
+      if ((j.event !== "SUBMIT_OK" && j.action !== "SUBMIT_OK") || !tracker.isRowId(rowId)) continue;
+      submitted.set(rowId, (submitted.get(rowId) || 0) + 1);
+      if (!failedOnChain.has(rowId)) done.add(rowId);
+    }
+  }
+  const failed1402 = new Set(readLines(failed1402File));
+  const failedNow = new Set(); // rows seen failing in this run; taken back out of the ledger by finish()
+
+  const rowIdOf = (item) => `${item.sourceVaultId}|${item.assetId}|${approved.keyOf(item)}${item.rowKind ? `@${item.rowKind}` : ""}`;
+
+  /**
+   * Why a row is not sent (counted as skipped_<reason>), or null.
+   * opts.gasFunded: a top-up confirmed this run funded the row's gas, so gasReady false does not hold it.
+   */
+  function skipReason(item, { gasFunded = false } = {}) {
+    if (!item.assetId || item.sourceVaultId == null || item.sourceVaultId === "" || !approved.keyOf(item)) return "invalid";
+    if (!item.destination && String(item.sourceVaultId) === String(item.destinationVaultId)) return "invalid";
+    if (skipSourceVaults.has(String(item.sourceVaultId))) return "source_vault";
+    // Done or failed wins over needs_gas: a row the fuel run sent stays gasReady: false in the plan.
+    const rowId = rowIdOf(item);
+    if (done.has(rowId)) return "already_done";
+    if (failed1402.has(rowId)) return "failed_1402";
+    // Tokens the planner found without gas wait for FUEL_THEN_SWEEP=1.
+    if (!gasFunded && bool(item.requiresGas) && item.gasReady !== undefined && !bool(item.gasReady)) return "needs_gas";
+    const amount = amountOr(item.amount, null);
+    if (amount === null || !isPositiveAmount(amount)) return "invalid_amount";
+    return null;
+  }
+
+  /**
+   * POST one transfer (or journal it in a dry run). Returns { ok, rowId, txId, rejected }.
+   * opts: phase (journaled; "fuel" notes a gas top-up), extraBody (merged into the body).
+   */
+  async function submit(item, amount, { phase, extraBody } = {}) {
+    const rowId = rowIdOf(item);
+    const tag = phase ? { phase } : {};
+
+    let destination;
+    try {
+      destination = approved.resolve(item).destination;
+    } catch (e) {
+      if (!(e instanceof DestinationError)) throw e;
+      journal("DEST_REJECTED", { rowId, ...tag, code: e.code, error: e.message });
+      console.log(`DEST_REJECTED: ${rowId} :: ${e.code} ${e.message}`);
+      return { ok: false, rowId, txId: null, rejected: true };
+    }
+
+    const body = {
+      operation: "TRANSFER",
+      assetId: item.assetId,
+      source: { type: "VAULT_ACCOUNT", id: String(item.sourceVaultId) },
+      destination,
+      amount: String(amount),
+      externalTxId: tracker.externalTxIdFor(rowId, (submitted.get(rowId) || 0) + 1),
+      note: `${phase === "fuel" ? "Gas top-up" : "Consolidation"} ${rowId}`,
+      ...extraBody
+    };
+
+    if (!execute) {
+      journal("DRYRUN", { rowId, ...tag, body });
+      return { ok: true, rowId, txId: null };
+    }
+
+    const idempotencyKey = crypto.randomUUID();
+    try {
+      const resp = await fb.post("/v1/transactions", body, { idempotencyKey, context: { rowId } });
+      const txId = resp?.id || resp?.txId || null;
+      journal("SUBMIT_OK", { rowId, ...tag, txId, idempotencyKey, ledger: tracker.LEDGER, body });
+      fs.appendFileSync(ledgerFile, rowId + "\n");
+      done.add(rowId);
+      submitted.set(rowId, (submitted.get(rowId) || 0) + 1);
+      return { ok: true, rowId, txId };
+    } catch (e) {
+      journal("SUBMIT_FAIL", {
+        rowId, ...tag, idempotencyKey, status: e.status ?? null, code: e.code ?? null, attempts: e.attempts ?? 1, error: describeError(e), body
+      });
+      console.log(`SUBMIT_FAIL: ${rowId} :: ${describeError(e).slice(0, 240)}`);
+      if (e.code === 1402) {
+        failed1402.add(rowId);
+        fs.appendFileSync(failed1402File, rowId + "\n");
+      }
+      return { ok: false, rowId, txId: null };
+    }
+  }
+
+  function printHeader(input) {
+    console.log(`Mode: ${execute ? "EXECUTE (live)" : "DRY RUN"}`);
+    console.log(`Executor: ${executor}`);
+    console.log(`Input: ${input}`);
+    console.log(`Batch size: ${batch}`);
+    console.log(`Journal: ${journalFile}`);
+    console.log(`Completed ledger: ${ledgerFile}`);
+    if (migrated.length) console.log(`Merged into ${tracker.LEDGER}: ${migrated.join(", ")} (kept as *.bak_<timestamp>)`);
+    console.log(`Skip source vaults: ${skipSourceVaults.size ? [...skipSourceVaults].join(",") : "(none)"}`);
+    console.log(`Approved destinations: ${describeDestinations(approved)}`);
+    console.log(`Already completed loaded: ${done.size}\n`);
+  }
+
+  /**
+   * Submit up to BATCH of items (failures count toward the batch) and print the counts.
+   * Returns { attempted, ok, failed, skipped: { reason -> n } }.
+   */
+  async function runBatch(items) {
+    let attempted = 0, ok = 0, failed = 0;
+    const skipped = { source_vault: 0, invalid: 0, invalid_amount: 0, needs_gas: 0, unapproved_destination: 0, already_done: 0, failed_1402: 0 };
+    for (const item of items) {
+      if (attempted >= batch) break;
+      const why = skipReason(item);
+      if (why) { skipped[why]++; continue; }
+      const res = await submit(item, amountOr(item.amount), {});
+      if (res.rejected) { skipped.unapproved_destination++; continue; }
+      attempted++;
+      if (!res.ok) { failed++; continue; }
+      ok++;
+      if (execute) console.log(`SUBMIT_OK ${ok}/${batch}: ${res.rowId} txId=${res.txId || "?"}`);
+      else console.log(`DRYRUN ${attempted}/${batch}: ${res.rowId} amount=${amountOr(item.amount)}`);
+    }
+
+    console.log("\n✅ Batch complete");
+    console.log(`attempted_this_batch=${attempted}`);
+    console.log(`ok_this_batch=${ok}`);
+    console.log(`failed_this_batch=${failed}`);
+    for (const [k, n] of Object.entries(skipped)) console.log(`skipped_${k}=${n}`);
+    console.log(`api_retries_used=${fb.retryStats().retriesUsed}`);
+    console.log(`\nRe-run the same command to submit the next batch of ${batch} (completed rows are skipped).`);
+    return { attempted, ok, failed, skipped };
+  }
+
+  /** Take rows that failed during this run back out of the ledger. */
+  function finish() {
+    const removed = tracker.removeFromLedger(ledgerFile, failedNow);
+    if (removed) console.log(`Removed ${removed} failed row(s) from ${tracker.LEDGER}`);
+  }
+
+  return {
+    executor, execute, batch, runId, execDir, journalFile, ledgerFile, fb, approved,
+    done, failed1402, failedNow, skipSourceVaults,
+    rowIdOf, skipReason, journal, submit, printHeader, runBatch, finish
+  };
+}
+
+/** Run one adapter's input through the engine: the whole of execute_ready.js / fb_execute_move_plan.js. */
+async function runAdapter(name, { root = process.cwd(), env = process.env } = {}) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown executor input: ${name}`);
+  const input = path.join(root, adapter.input);
+  if (!fs.existsSync(input)) throw new Error(`Missing ${input}. ${adapter.hint}`);
+  const engine = createEngine({ executor: name, defaultBatch: adapter.batch, root, env });
+  const items = adapter.read(input);
+  engine.printHeader(input);
+  await engine.runBatch(items);
+  engine.finish();
+}
+
+module.exports = {
+  ADAPTERS,
+  FAILED_1402,
+  createEngine,
+  runAdapter
+};
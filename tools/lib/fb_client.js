@@ -0,0 +1,295 @@
+"use strict";
+
+/**
+ * Shared Fireblocks API client.
+ *
+ * Every script that talks to Fireblocks goes through this module so JWT signing,
+ * base URL handling, JSON parsing and error reporting behave the same everywhere.
+ *
+ * Env (read by clientFromEnv):
+ *   FIREBLOCKS_API_KEY       required
+ *   FIREBLOCKS_PRIVATE_KEY   required, path to the RSA private key (PEM)
+ *   FIREBLOCKS_BASE_URL      optional, default https://api.fireblocks.io
+ *   FB_MAX_RETRIES           retries per request after the first attempt (default 5)
+ *   FB_RETRY_BASE_MS         first backoff step (default 500)
+ *   FB_RETRY_MAX_MS          cap for a single wait, including Retry-After (default 60000)
+ *   FB_RETRY_BUDGET          total retries allowed across the whole run (default 100)
+ *
+ * Retries: 429, 5xx and network errors are retried with exponential backoff and full
+ * jitter, or after Retry-After when the server sends it. A POST keeps the same
+ * Idempotency-Key on every attempt, so a retried transfer is never created twice.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const DEFAULT_BASE_URL = "https://api.fireblocks.io";
+
+// Fireblocks rejects tokens whose exp is more than 30s after iat.
+const JWT_TTL_SECONDS = 25;
+
+const DEFAULT_RETRY = { maxRetries: 5, baseDelayMs: 500, maxDelayMs: 60000, budget: 100 };
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Non-2xx response from the Fireblocks API.
+ * - status: HTTP status code
+ * - code:   Fireblocks error code from the JSON body (e.g. 1402), or null
+ * - body:   parsed JSON body when the response was JSON, otherwise the raw text
+ */
+class FireblocksApiError extends Error {
+  constructor({ method, uri, status, code, body, text, retryAfterMs }) {
+    super(`HTTP ${status}: ${String(text || "").slice(0, 2000)}`);
+    this.name = "FireblocksApiError";
+    this.method = method;
+    this.uri = uri;
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs ?? null;
+    this.attempts = 1;
+  }
+}
+
+function base64url(bufOrStr) {
+  const b = Buffer.isBuffer(bufOrStr) ? bufOrStr : Buffer.from(bufOrStr);
+  return b.toString("base64").replace(/=/g, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function sha256Hex(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+function signJwt({ apiKey, privateKeyPem, uri, bodyStr }) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    uri,
+    nonce: crypto.randomUUID(),
+    iat: now,
+    exp: now + JWT_TTL_SECONDS,
+    sub: apiKey,
+    bodyHash: sha256Hex(bodyStr || "")
+  };
+  const header = { alg: "RS256", typ: "JWT" };
+  const data = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const sig = crypto.createSign("RSA-SHA256").update(data).end().sign(privateKeyPem);
+  return `${data}.${base64url(sig)}`;
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. */
+function parseRetryAfter(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function isRetryable(e) {
+  if (e instanceof FireblocksApiError) return RETRYABLE_STATUS.has(e.status);
+  // fetch() rejects with a TypeError for connection resets, DNS failures, etc.
+  return e instanceof TypeError;
+}
+
+function backoffDelayMs(retryIndex, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** retryIndex);
+  return Math.round(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function withQuery(uri, query) {
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v === undefined || v === null || v === "") continue;
+    qs.set(k, String(v));
+  }
+  const s = qs.toString();
+  if (!s) return uri;
+  return uri + (uri.includes("?") ? "&" : "?") + s;
+}
+
+/**
+ * createClient({ apiKey, privateKeyPem, baseUrl, retry, onAttempt }) -> client
+ *
+ * client.request(method, uri, bodyObj, { idempotencyKey, context }) resolves with the parsed
+ * JSON body ({} for an empty body) or rejects with FireblocksApiError once retries
+ * are used up. POSTs always carry an Idempotency-Key; one is generated when the
+ * caller does not pass one, and it is reused for every retry of that request.
+ *
+ * onAttempt(info) is called after every attempt with
+ *   { method, uri, attempt, ok, status, code, error, willRetry, delayMs, idempotencyKey, context }
+ * so callers can journal retries; context is whatever the caller passed in opts.
+ */
+function createClient({ apiKey, privateKeyPem, baseUrl, retry, onAttempt }) {
+  if (!apiKey) throw new Error("Missing FIREBLOCKS_API_KEY");
+  if (!privateKeyPem) throw new Error("Missing FIREBLOCKS_PRIVATE_KEY");
+  const base = String(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const retryCfg = { ...DEFAULT_RETRY, ...(retry || {}) };
+  let retriesUsed = 0;
+
+  async function sendOnce(method, uri, bodyStr, idempotencyKey) {
+    const headers = {
+      "X-API-Key": apiKey,
+      "Authorization": `Bearer ${signJwt({ apiKey, privateKeyPem, uri, bodyStr })}`,
+      "Content-Type": "application/json"
+    };
+    if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+    const res = await fetch(`${base}${uri}`, { method, headers, body: bodyStr || undefined });
+    const text = await res.text();
+    const body = parseBody(text);
+
+    if (!res.ok) {
+      const code = body && typeof body === "object" && body.code != null ? Number(body.code) : null;
+      const retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+      throw new FireblocksApiError({ method, uri, status: res.status, code, body, text, retryAfterMs });
+    }
+    return { body: body === null ? {} : body, headers: res.headers, status: res.status };
+  }
+
+  async function send(method, uri, bodyObj, opts = {}) {
+    const bodyStr = bodyObj === undefined || bodyObj === null ? "" : JSON.stringify(bodyObj);
+    const idempotencyKey = method === "POST" ? (opts.idempotencyKey || crypto.randomUUID()) : null;
+    const context = opts.context || null;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const out = await sendOnce(method, uri, bodyStr, idempotencyKey);
+        if (onAttempt) {
+          onAttempt({
+            method, uri, attempt, ok: true,
+            status: out.status, code: null, error: null,
+            willRetry: false, delayMs: 0, idempotencyKey, context
+          });
+        }
+        return out;
+      } catch (e) {
+        const canRetry = isRetryable(e)
+          && attempt <= retryCfg.maxRetries
+          && retriesUsed < retryCfg.budget;
+        const delayMs = canRetry
+          ? Math.min(retryCfg.maxDelayMs, e.retryAfterMs ?? backoffDelayMs(attempt - 1, retryCfg))
+          : 0;
+        if (onAttempt) {
+          onAttempt({
+            method, uri, attempt, ok: false,
+            status: e.status ?? null, code: e.code ?? null, error: describeError(e),
+            willRetry: canRetry, delayMs, idempotencyKey, context
+          });
+        }
+        if (!canRetry) {
+          if (e instanceof FireblocksApiError) e.attempts = attempt;
+          throw e;
+        }
+        retriesUsed++;
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  async function request(method, uri, bodyObj, opts) {
+    return (await send(method, uri, bodyObj, opts)).body;
+  }
+
+  /**
+   * Cursor pagination (e.g. /v1/vault/accounts_paged): yields one page at a time as
+   * { page, items, after } and follows paging.after until it is empty.
+   */
+  async function* pages(uri, query, { itemsKey, limit = 200, after } = {}) {
+    let cursor = after || undefined;
+    let page = 0;
+    while (true) {
+      page++;
+      const json = await request("GET", withQuery(uri, { ...query, limit, after: cursor }));
+      const items = Array.isArray(json?.[itemsKey]) ? json[itemsKey] : [];
+      const next = json?.paging?.after || null;
+      yield { page, items, after: next };
+      if (!next) break;
+      cursor = next;
+    }
+  }
+
+  /**
+   * Header pagination (e.g. /v1/transactions): the body is an array and the next
+   * page URL comes back in the `next-page` response header.
+   */
+  async function* headerPages(uri, query) {
+    let next = withQuery(uri, query);
+    let page = 0;
+    while (next) {
+      page++;
+      const { body, headers } = await send("GET", next);
+      yield { page, items: Array.isArray(body) ? body : [] };
+      const link = headers.get("next-page");
+      next = link ? link.replace(/^https?:\/\/[^/]+/, "") : null;
+    }
+  }
+
+  return {
+    baseUrl: base,
+    retryStats: () => ({ retriesUsed, budget: retryCfg.budget }),
+    request,
+    get: (uri, query) => request("GET", withQuery(uri, query)),
+    post: (uri, bodyObj, opts) => request("POST", uri, bodyObj, opts),
+    pages,
+    headerPages
+  };
+}
+
+function retryFromEnv(env) {
+  const pick = (name, fallback) => {
+    const n = Number(env[name]);
+    return env[name] !== undefined && env[name] !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    maxRetries: pick("FB_MAX_RETRIES", DEFAULT_RETRY.maxRetries),
+    baseDelayMs: pick("FB_RETRY_BASE_MS", DEFAULT_RETRY.baseDelayMs),
+    maxDelayMs: pick("FB_RETRY_MAX_MS", DEFAULT_RETRY.maxDelayMs),
+    budget: pick("FB_RETRY_BUDGET", DEFAULT_RETRY.budget)
+  };
+}
+
+/**
+ * Client configured from FIREBLOCKS_* / FB_RETRY_* env vars (throws with the usual
+ * messages when credentials are missing). opts.onAttempt is passed through.
+ */
+function clientFromEnv(opts = {}, env = process.env) {
+  const apiKey = env.FIREBLOCKS_API_KEY;
+  const pkPath = env.FIREBLOCKS_PRIVATE_KEY;
+  if (!apiKey) throw new Error("Missing FIREBLOCKS_API_KEY");
+  if (!pkPath) throw new Error("Missing FIREBLOCKS_PRIVATE_KEY");
+  if (!fs.existsSync(pkPath)) throw new Error("Private key file not found: " + pkPath);
+  return createClient({
+    apiKey,
+    privateKeyPem: fs.readFileSync(pkPath, "utf8"),
+    baseUrl: env.FIREBLOCKS_BASE_URL || DEFAULT_BASE_URL,
+    retry: retryFromEnv(env),
+    onAttempt: opts.onAttempt
+  });
+}
+
+/** One-line description of any error for console output and journals. */
+function describeError(e) {
+  if (e instanceof FireblocksApiError) return e.message;
+  return String(e && e.message ? e.message : e);
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  FireblocksApiError,
+  base64url,
+  sha256Hex,
+  signJwt,
+  withQuery,
+  parseRetryAfter,
+  isRetryable,
+  createClient,
+  clientFromEnv,
+  describeError
+};
@@ -0,0 +1,190 @@
+"use strict";
+
+/**
+ * Network fee per transfer, from the live estimate snapshot with the static tables as fallback.
+ *
+ * fb_estimate_fees.js writes execute/fee_snapshot.json (plus a dated copy in
+ * execute/fee_history/) from POST /v1/transactions/estimate_fee:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "asOfIso": "2024-05-01T12:00:00.000Z",
+ *     "byAssetId": {
+ *       "USDC": { "feeAssetId": "ETH", "networkFee": { "LOW": "0.0003", "MEDIUM": "0.0004", "HIGH": "0.0007" },
+ *                 "sourceVaultId": "1001", "destinationVaultId": "94828", "amount": "125.5" }
+ *     },
+ *     "errors": { "XYZ": "HTTP 400 ..." }
+ *   }
+ *
+ * feeNative(assetId) looks up, in order:
+ *   1. estimate            the snapshot entry at FEE_LEVEL (default MEDIUM)
+ *   2. gas_fee_native      execute/gas_fee_native.json  { "ETH": 0.0005 }  the entry for the
+ *                          transferred asset, else (tokens only) "_tokenFees"[fee asset], else
+ *                          the one for its fee asset; amounts in the fee asset, other keys
+ *                          starting with "_" are notes
+ * and feeUsd() additionally falls back to
+ *   3. fees.estimatedFeeUsdByGasAsset in fb_config.json (config.js)  { "ETH": 1.5 }
+ * A table named by GAS_FEE_FILE (tools/fb.js --fee-file), e.g. the observed fees from
+ * fb_fee_history.js, replaces gas_fee_native.json and is read before the estimate: the
+ * snapshot then only covers the assets the table has no figure for. Its source is its file name.
+ * A snapshot older than FEE_MAX_AGE_HOURS (default 24) is ignored with a warning;
+ * FEE_ESTIMATES=0 ignores it altogether.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { amountOr, amountToNumber } = require("./amount");
+const { loadConfig } = require("./config");
+
+const SCHEMA_VERSION = 1;
+const FEE_SNAPSHOT_FILE = "fee_snapshot.json";
+const FEE_HISTORY_DIR = "fee_history";
+const FEE_LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+function feeLevelFromEnv(env = process.env) {
+  const level = String(env.FEE_LEVEL || "MEDIUM").toUpperCase();
+  if (!FEE_LEVELS.includes(level)) throw new Error(`FEE_LEVEL must be LOW, MEDIUM or HIGH (got ${env.FEE_LEVEL})`);
+  return level;
+}
+
+function maxAgeHoursFromEnv(env = process.env) {
+  const n = Number(env.FEE_MAX_AGE_HOURS || "24");
+  return Number.isFinite(n) && n > 0 ? n : 24;
+}
+
+/** Static per-fee-asset table: GAS_FEE_FILE (relative to the working directory) or execDir/gas_fee_native.json. */
+function gasFeeFileFromEnv(execDir, env = process.env) {
+  return env.GAS_FEE_FILE ? path.resolve(env.GAS_FEE_FILE) : path.join(execDir, "gas_fee_native.json");
+}
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { throw new Error(`Bad JSON in ${file}: ${e.message}`); }
+}
+
+/** estimate_fee response -> { LOW, MEDIUM, HIGH } networkFee strings (missing levels omitted). */
+function networkFeesFromEstimate(resp) {
+  const out = {};
+  for (const level of FEE_LEVELS) {
+    const fee = amountOr(resp?.[level.toLowerCase()]?.networkFee, null);
+    if (fee !== null) out[level] = fee;
+  }
+  return out;
+}
+
+/** Write the snapshot and a dated copy; returns { file, historyFile }. */
+function writeFeeSnapshot(execDir, snap) {
+  const doc = { schemaVersion: SCHEMA_VERSION, asOfIso: snap.asOfIso, byAssetId: snap.byAssetId || {}, errors: snap.errors || {} };
+  const file = path.join(execDir, FEE_SNAPSHOT_FILE);
+  const historyDir = path.join(execDir, FEE_HISTORY_DIR);
+  const historyFile = path.join(historyDir, `fee_snapshot_${doc.asOfIso.replace(/[:.]/g, "-")}.json`);
+  fs.mkdirSync(historyDir, { recursive: true });
+  const text = JSON.stringify(doc, null, 2);
+  fs.writeFileSync(historyFile, text);
+  fs.writeFileSync(file + ".tmp", text);
+  fs.renameSync(file + ".tmp", file);
+  return { file, historyFile };
+}
+
+/** { snapshot, ageHours, stale } or null when there is no snapshot. */
+function loadFeeSnapshot(execDir, { maxAgeHours = maxAgeHoursFromEnv() } = {}) {
+  const file = path.join(execDir, FEE_SNAPSHOT_FILE);
+  const snap = readJson(file, null);
+  if (!snap) return null;
+  if (snap.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`${file}: unsupported schemaVersion ${snap.schemaVersion} (this tool reads ${SCHEMA_VERSION})`);
+  }
+  const ageHours = (Date.now() - Date.parse(snap.asOfIso)) / 3600000;
+  return { snapshot: snap, ageHours, stale: !(ageHours <= maxAgeHours) };
+}
+
+/**
+ * Fee lookups for one run.
+ *
+ * opts:
+ *   execDir      default ./execute
+ *   level        LOW | MEDIUM | HIGH (default FEE_LEVEL)
+ *   registry     asset registry, to find the fee asset when the snapshot has no entry
+ *   maxAgeHours  ignore older snapshots (default FEE_MAX_AGE_HOURS)
+ *   estimates    false to use the static tables only (default: FEE_ESTIMATES != "0")
+ *   gasFeeFile   native-fee table read before the estimates (default GAS_FEE_FILE; without
+ *                either, gas_fee_native.json is read after them)
+ */
+function createFeeModel(opts = {}) {
+  const execDir = opts.execDir || path.join(process.cwd(), "execute");
+  const level = opts.level || feeLevelFromEnv();
+  const useEstimates = opts.estimates ?? process.env.FEE_ESTIMATES !== "0";
+  const loaded = useEstimates ? loadFeeSnapshot(execDir, { maxAgeHours: opts.maxAgeHours ?? maxAgeHoursFromEnv() }) : null;
+  const usable = loaded && !loaded.stale ? loaded.snapshot : null;
+  if (loaded?.stale) {
+    console.warn(`WARN: ${FEE_SNAPSHOT_FILE} is ${loaded.ageHours.toFixed(1)}h old; using static fee tables (re-run tools/fb_estimate_fees.js)`);
+  }
+  const byAsset = usable?.byAssetId || {};
+  const gasFeeFile = opts.gasFeeFile || gasFeeFileFromEnv(execDir);
+  const tableFirst = !!(opts.gasFeeFile || process.env.GAS_FEE_FILE);
+  const gasFeeSource = path.basename(gasFeeFile, ".json");
+  const gasFeeNative = readJson(gasFeeFile, {});
+  const feeUsdByGas = loadConfig({ root: path.dirname(execDir) }).get("fees.estimatedFeeUsdByGasAsset");
+
+  const feeAssetOf = (assetId, gasAssetId) =>
+    byAsset[assetId]?.feeAssetId || gasAssetId || opts.registry?.gasAssetFor(assetId) || assetId;
+
+  /** { feeAssetId, native: amount string | null, source } for one transfer of assetId. */
+  function feeNative(assetId, gasAssetId) {
+    const feeAssetId = feeAssetOf(assetId, gasAssetId);
+    const est = byAsset[assetId]?.networkFee?.[level];
+    const estimate = est !== undefined ? { feeAssetId, native: amountOr(est), source: "estimate" } : null;
+    if (estimate && !tableFirst) return estimate;
+    const tokenFee = feeAssetId !== assetId ? gasFeeNative._tokenFees?.[feeAssetId] : undefined;
+    for (const n of [gasFeeNative[assetId], tokenFee, gasFeeNative[feeAssetId]]) {
+      if (typeof n === "number" && Number.isFinite(n) && n >= 0) return { feeAssetId, native: amountOr(n), source: gasFeeSource };
+    }
+    return estimate || { feeAssetId, native: null, source: "none" };
+  }
+
+  /** feeNative plus usd (null when neither a native fee with a price nor a USD table entry exists). */
+  function feeUsd(assetId, priceOf, gasAssetId) {
+    const f = feeNative(assetId, gasAssetId);
+    const px = priceOf(f.feeAssetId);
+    if (f.native !== null && typeof px === "number" && Number.isFinite(px)) return { ...f, usd: amountToNumber(f.native) * px };
+    const usd = Number(feeUsdByGas[f.feeAssetId]);
+    if (feeUsdByGas[f.feeAssetId] !== undefined && Number.isFinite(usd)) return { ...f, source: "estimatedFeeUsdByGasAsset", usd };
+    return { ...f, usd: null };
+  }
+
+  return {
+    level,
+    asOfIso: usable?.asOfIso || null,
+    stale: !!loaded?.stale,
+    gasFeeFile,
+    tableFirst,
+    estimated: Object.keys(byAsset).length,
+    feeNative,
+    feeUsd
+  };
+}
+
+/** One-line summary for script output. */
+function describeFees(model) {
+  const estimates = `estimates as of ${model.asOfIso} (${model.estimated} assets, level ${model.level})`;
+  if (model.asOfIso && model.tableFirst) return `${path.basename(model.gasFeeFile)} first; ${estimates} for the rest`;
+  return model.asOfIso
+    ? `${estimates}; static tables for the rest`
+    : `static tables only (${path.basename(model.gasFeeFile)}${model.stale ? "; estimate snapshot too old" : ""})`;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FEE_SNAPSHOT_FILE,
+  FEE_HISTORY_DIR,
+  FEE_LEVELS,
+  feeLevelFromEnv,
+  gasFeeFileFromEnv,
+  networkFeesFromEstimate,
+  writeFeeSnapshot,
+  loadFeeSnapshot,
+  createFeeModel,
+  describeFees
+};
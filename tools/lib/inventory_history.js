@@ -0,0 +1,157 @@
+"use strict";
+
+/**
+ * Inventory snapshot history and the diff between two snapshots.
+ *
+ * Every completed refresh copies inventory/inventory.csv and inventory/vaults.json to
+ *
+ *   inventory/history/inventory_<asOf>.csv
+ *   inventory/history/vaults_<asOf>.json
+ *
+ * where asOf is when the scan started (ISO time with ":" and "." as "-", e.g.
+ * 2024-05-01T12-00-00-000Z). Nothing is pruned.
+ *
+ * diffInventories(before, after) compares the two per (vaultId, assetId) on "total"
+ * (falling back to "available" for files without it) and returns the rows that
+ * APPEARED, DISAPPEARED or CHANGED.
+ *
+ * attributeChanges(diff, transfers, feesPaid) then explains each change with the
+ * journaled transfers submitted between the two snapshots: a vault's expected change is
+ * what it received minus what it sent. A change is CONSOLIDATION when it equals that,
+ * or falls short of it by no more than the network fees the vault paid in the asset (so
+ * the ETH a vault spent on gas for a USDC transfer counts, with no ETH transfer of its
+ * own); anything else (a deposit, a transfer made outside these tools, a failed transfer that
+ * still shows as submitted) is UNEXPLAINED, with the residual.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { readCsvSync } = require("./csv");
+const { amountOr, addAmounts, subAmount, cmpAmount, isZeroAmount } = require("./amount");
+
+const HISTORY_DIR = path.join("inventory", "history");
+const SNAPSHOT_RE = /^inventory_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.csv$/;
+
+const stampOf = (iso) => String(iso).replace(/[:.]/g, "-");
+const isoOfStamp = (stamp) => stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+
+/** Copy the current inventory files into the history. Returns { csvFile, vaultsFile }. */
+function saveSnapshot(root, asOfIso) {
+  const dir = path.join(root, HISTORY_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = stampOf(asOfIso);
+  const csvFile = path.join(dir, `inventory_${stamp}.csv`);
+  const vaultsFile = path.join(dir, `vaults_${stamp}.json`);
+  fs.copyFileSync(path.join(root, "inventory", "inventory.csv"), csvFile);
+  const vaults = path.join(root, "inventory", "vaults.json");
+  if (fs.existsSync(vaults)) fs.copyFileSync(vaults, vaultsFile);
+  return { csvFile, vaultsFile };
+}
+
+/** Snapshots in the history, oldest first: [{ file, asOfIso }]. */
+function listSnapshots(root) {
+  const dir = path.join(root, HISTORY_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(f => SNAPSHOT_RE.exec(f))
+    .filter(Boolean)
+    .map(m => ({ file: path.join(dir, m[0]), asOfIso: isoOfStamp(m[1]) }))
+    .sort((a, b) => a.asOfIso.localeCompare(b.asOfIso));
+}
+
+/** inventory CSV -> Map "vaultId|assetId" -> { vaultId, vaultName, assetId, balance } */
+function loadBalances(file) {
+  const csv = readCsvSync(file, { required: ["vaultId", "assetId"] });
+  const col = csv.has("total") ? "total" : "available";
+  const out = new Map();
+  for (const r of csv.records()) {
+    if (!r.vaultId || !r.assetId) continue;
+    const k = `${r.vaultId}|${r.assetId}`;
+    const prev = out.get(k);
+    const balance = amountOr(r[col]);
+    out.set(k, { vaultId: String(r.vaultId), vaultName: r.vaultName || "", assetId: r.assetId, balance: prev ? addAmounts(prev.balance, balance) : balance });
+  }
+  return out;
+}
+
+/** [{ vaultId, vaultName, assetId, change, before, after, delta }] for rows that differ. */
+function diffInventories(before, after) {
+  const out = [];
+  for (const k of new Set([...before.keys(), ...after.keys()])) {
+    const b = before.get(k);
+    const a = after.get(k);
+    const was = b ? b.balance : "0";
+    const now = a ? a.balance : "0";
+    if (b && a && cmpAmount(was, now) === 0) continue;
+    // a zero balance row coming or going is not a change
+    if ((!b || !a) && isZeroAmount(b ? was : now)) continue;
+    const ref = a || b;
+    out.push({
+      vaultId: ref.vaultId,
+      vaultName: ref.vaultName,
+      assetId: ref.assetId,
+      change: !b ? "APPEARED" : !a ? "DISAPPEARED" : "CHANGED",
+      before: b ? was : "",
+      after: a ? now : "",
+      delta: subAmount(now, was)
+    });
+  }
+  return out.sort((x, y) => (Number(x.vaultId) - Number(y.vaultId)) || x.vaultId.localeCompare(y.vaultId) || x.assetId.localeCompare(y.assetId));
+}
+
+/**
+ * diff       diffInventories() rows
+ * transfers  [{ txId, sourceVaultId, destinationVaultId, assetId, amount, received }] submitted in
+ *            the window; received (default amount) is what the destination vault got
+ * feesPaid   Map "vaultId|feeAssetId" -> network fees paid in the window
+ * Adds transfersIn, transfersOut, feesPaid, expected, residual, attribution and txIds to each row.
+ */
+function attributeChanges(diff, transfers, feesPaid = new Map()) {
+  const byKey = new Map();
+  const touch = (k) => {
+    if (!byKey.has(k)) byKey.set(k, { in: "0", out: "0", txIds: [] });
+    return byKey.get(k);
+  };
+  for (const t of transfers) {
+    const amount = amountOr(t.amount, null);
+    if (amount === null) continue;
+    const src = touch(`${t.sourceVaultId}|${t.assetId}`);
+    src.out = addAmounts(src.out, amount);
+    src.txIds.push(t.txId);
+    if (t.destinationVaultId) {
+      const dst = touch(`${t.destinationVaultId}|${t.assetId}`);
+      dst.in = addAmounts(dst.in, amountOr(t.received, amount));
+      dst.txIds.push(t.txId);
+    }
+  }
+
+  return diff.map(d => {
+    const k = `${d.vaultId}|${d.assetId}`;
+    const t = byKey.get(k) || { in: "0", out: "0", txIds: [] };
+    const fees = feesPaid.get(k) || "0";
+    const expected = subAmount(t.in, t.out);
+    const residual = subAmount(d.delta, expected);
+    // short of expected by at most the fees paid: the fees explain it
+    const explained = (t.txIds.length > 0 || cmpAmount(fees, "0") > 0) && cmpAmount(residual, "0") <= 0 && cmpAmount(subAmount("0", residual), fees) <= 0;
+    return {
+      ...d,
+      transfersIn: t.in,
+      transfersOut: t.out,
+      feesPaid: fees,
+      expected,
+      residual,
+      attribution: explained ? "CONSOLIDATION" : "UNEXPLAINED",
+      txIds: t.txIds.join("|")
+    };
+  });
+}
+
+module.exports = {
+  HISTORY_DIR,
+  saveSnapshot,
+  listSnapshots,
+  loadBalances,
+  diffInventories,
+  attributeChanges
+};
@@ -0,0 +1,303 @@
+"use strict";
+
+/**
+ * Consolidation plan from inventory balances: one transfer per (source vault, asset).
+ *
+ * Each row moves the asset's available balance minus a reserve to a destination vault
+ * (routing.js picks it per asset, chain, source vault or value band; the rule is recorded
+ * in "route"; a route to an approved external destination fills "destination" instead of
+ * destinationVaultId):
+ *   leave_1      1 unit stays in DOT / XRP / XLM wallets (existential deposit / reserve),
+ *                unless retainMinByAsset says otherwise
+ *   retain_min   retainMinByAsset[asset] stays
+ *   gas_reserve  the wallet holds tokens that pay fees in this asset: minGasBalance stays
+ *                (at least one fee per token), so the tokens can still be moved
+ *   fee          the asset pays its own network fee: one fee stays (fees.js estimate)
+ * Rules that apply together add up; reserveRule lists them joined by "+" ("none" if none).
+ * The amount is truncated to the asset's decimals. Rows whose amount is not positive or
+ * is below minTxAmountByAsset are returned as skipped, with a reason.
+ *
+ * Tokens carry requiresGas / gasAssetId from the asset registry; gasReady means the
+ * wallet's available gas covers minGasBalance and one fee. Rows are ordered by source
+ * vault, tokens before the wallet's base assets.
+ *
+ * Vaults in skipVaultIds or consolidationVaultIds, and every destination vault, are never
+ * sources.
+ *
+ * With a trace (decision_trace.js), every (vault, asset) gets an entry listing the skip
+ * list, each reserve rule, reserve_all, chain_min, usd_min, fee_vs_value and gas_ready with
+ * the values used. The plan keeps rows below the USD minimum or worth less than their fee
+ * (the checks say "flagged": fireblocks_analysis_v2.js and fb_build_move_plan.js apply
+ * those rules; all three take them from transfer_rules.js), and tokens without gas, decided NEEDS_GAS, for FUEL_THEN_SWEEP=1.
+ *
+ * Policy (planPolicyFromFiles) comes from config.js (fb_config.json, legacy policy files,
+ * env overrides):
+ *   { destinationVaultId, skipVaultIds, consolidationVaultIds, minGasBalance, leaveOne, retainMinByAsset, minTxAmountByAsset }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { amountOr, addAmounts, subAmount, cmpAmount, maxAmount, roundAmount, isPositiveAmount, amountToNumber } = require("./amount");
+const { loadConfig } = require("./config");
+const { minAmountFor, isBelowMin, feeVsValue } = require("./transfer_rules");
+
+const PLAN_COLUMNS = [
+  "sourceVaultId", "sourceVaultName", "assetId", "amount", "destinationVaultId", "destination", "route", "usdValue",
+  "requiresGas", "gasAssetId", "gasReady", "available", "reserveRule", "reserveAmount"
+];
+const SKIPPED_COLUMNS = ["sourceVaultId", "sourceVaultName", "assetId", "available", "reserveRule", "reserveAmount", "amount", "reason"];
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return {};
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { throw new Error(`Bad JSON in ${file}: ${e.message}`); }
+}
+
+/**
+ * Planner policy for the workspace at root (config.js; tokenGasMap from execute/gas_policy.json,
+ * minByAsset from execute/min_by_asset.json, for the trace's usd_min check).
+ */
+function planPolicyFromFiles(root = process.cwd(), env = process.env) {
+  const config = loadConfig({ root, env });
+  return {
+    destinationVaultId: config.get("vaults.destination"),
+    skipVaultIds: config.get("vaults.skip"),
+    consolidationVaultIds: config.get("vaults.consolidation"),
+    minGasBalance: config.get("gas.minGasBalance"),
+    leaveOne: config.get("reserves.leaveOne"),
+    retainMinByAsset: config.get("reserves.retainMinByAsset"),
+    minTxAmountByAsset: config.get("plan.minTxAmountByAsset"),
+    minUsdPerTx: config.get("thresholds.minUsdPerTx"),
+    stablecoinMinUsd: config.get("thresholds.stablecoinMinUsd"),
+    minByAsset: readJson(path.join(root, "execute", "min_by_asset.json")).minByAsset || {},
+    allowUnsyncedRegistry: config.get("assets.allowUnsyncedRegistry"),
+    tokenGasMap: readJson(path.join(root, "execute", "gas_policy.json")).tokenGasMap
+  };
+}
+
+/**
+ * balances  [{ vaultId, vaultName, assetId, available }]
+ * registry  loadAssetRegistry() result (gas assets, decimals)
+ * fees      createFeeModel() result, or null to reserve no fees
+ * policy    planPolicyFromFiles() shape
+ * router    routing.js loadRouter() result; without one everything goes to policy.destinationVaultId
+ * priceOf   assetId -> USD price or null, for usdValue and value-band routes
+ * trace     decision_trace.js createTrace("plan") result, or null; gets one entry per
+ *           (vault, asset) with a positive balance, skipped vaults included
+ * Returns { rows, skipped } in PLAN_COLUMNS / SKIPPED_COLUMNS shape.
+ */
+function buildPlan({ balances, registry, fees = null, policy, router = null, priceOf = () => null, trace = null }) {
+  const dest = String(policy.destinationVaultId || "");
+  if (!router && !dest) throw new Error("buildPlan: destinationVaultId is required");
+  const route = router ? router.route : () => ({ destinationVaultId: dest, destination: "", route: "default" });
+  // skip, consolidation and destination vaults are never swept
+  const skipList = new Set((policy.skipVaultIds || []).map(String));
+  const consolidation = new Set((policy.consolidationVaultIds || []).map(String));
+  const destVaults = new Set(router ? router.destinations() : [dest]);
+  const skipWhy = vaultId =>
+    skipList.has(vaultId) ? ["SKIP_VAULT", "in vaults.skip"]
+      : consolidation.has(vaultId) ? ["CONSOLIDATION_VAULT", "in vaults.consolidation"]
+        : destVaults.has(vaultId) ? ["DESTINATION_VAULT", "a destination vault"] : null;
+  const feeInfo = (assetId, gasAssetId) => (fees ? fees.feeNative(assetId, gasAssetId) : { native: null, source: "none" });
+  const feeOf = (assetId, gasAssetId) => feeInfo(assetId, gasAssetId).native || "0";
+  const usdText = (n) => `$${Number(n).toFixed(2)}`;
+
+  // Rules applied after planning, traced so a row's entry shows what will hold it back.
+  function traceLaterRules(t, { assetId, amount, px, usdValue, gasAssetId }) {
+    // fireblocks_analysis_v2.js BELOW_MIN
+    const floor = minAmountFor(assetId, {
+      price: typeof px === "number" ? px : null, minByAsset: policy.minByAsset || {}, isStable: registry.isStable,
+      minUsdPerTx: policy.minUsdPerTx ?? 0, stablecoinMinUsd: policy.stablecoinMinUsd ?? 0
+    });
+    const basisText = floor.basis === "min_by_asset" ? "execute/min_by_asset.json"
+      : registry.isStable(assetId) ? "thresholds.stablecoinMinUsd, in units"
+        : `thresholds.minUsdPerTx ${usdText(policy.minUsdPerTx ?? 0)} at $${px}`;
+    if (floor.minAmount === null) {
+      t.check("usd_min", "none", { note: "no price and no execute/min_by_asset.json entry, so no floor" });
+    } else {
+      const ok = !isBelowMin(amount, floor);
+      const minAmount = Number(floor.minAmount.toPrecision(6));
+      t.check("usd_min", ok ? "pass" : "flagged", {
+        amount, minAmount, basis: basisText,
+        note: `${amount} ${ok ? ">=" : "<"} ${minAmount} (${basisText})` +
+          (ok ? "" : "; planned anyway: fireblocks_analysis_v2.js marks it BELOW_MIN and execute_ready.js does not send it")
+      });
+    }
+    // fb_build_move_plan.js FEE_GT_VALUE
+    const fee = fees ? fees.feeUsd(assetId, priceOf, gasAssetId || assetId) : null;
+    const feeCheck = feeVsValue(fee?.usd, usdValue);
+    if (feeCheck === "unknown") {
+      t.check("fee_vs_value", "none", { feeSource: fee?.source || "none", note: "fee or value unknown in USD" });
+    } else {
+      const ok = feeCheck === "pass";
+      t.check("fee_vs_value", ok ? "pass" : "flagged", {
+        feeUsd: fee.usd, feeSource: fee.source, usdValue,
+        note: `fee ${usdText(fee.usd)} ${ok ? "<=" : ">"} value ${usdText(usdValue)} (fee source ${fee.source})` +
+          (ok ? "" : `; planned anyway: the plan applies no fee rule${gasAssetId ? ", fb_build_move_plan.js skips the token as FEE_GT_VALUE" : ""}`)
+      });
+    }
+  }
+
+  // vaultId -> { name, assets: Map assetId -> available }
+  const wallets = new Map();
+  for (const b of balances) {
+    const vaultId = String(b.vaultId || "");
+    if (!vaultId || !b.assetId) continue;
+    const available = amountOr(b.available);
+    if (!isPositiveAmount(available)) continue;
+    if (!wallets.has(vaultId)) wallets.set(vaultId, { name: b.vaultName || "", assets: new Map() });
+    const w = wallets.get(vaultId);
+    w.assets.set(b.assetId, addAmounts(w.assets.get(b.assetId) || "0", available));
+  }
+
+  const rows = [];
+  const skipped = [];
+  const vaultIds = [...wallets.keys()].sort((a, b) => (Number(a) - Number(b)) || a.localeCompare(b));
+  for (const vaultId of vaultIds) {
+    const w = wallets.get(vaultId);
+
+    const why = skipWhy(vaultId);
+    if (why) {
+      for (const [assetId, available] of trace ? w.assets : []) {
+        const t = trace.begin({ vaultId, vaultName: w.name, assetId, available });
+        t.check("skip_list", "fail", { note: why[1] });
+        t.decide("SKIPPED", why[0]);
+      }
+      continue;
+    }
+
+    // gas each asset must keep for the wallet's tokens
+    const gasNeeded = new Map();
+    const gasTokens = new Map();
+    for (const assetId of w.assets.keys()) {
+      const gas = registry.gasAssetFor(assetId);
+      if (!gas) continue;
+      gasNeeded.set(gas, addAmounts(gasNeeded.get(gas) || "0", feeOf(assetId, gas)));
+      gasTokens.set(gas, [...(gasTokens.get(gas) || []), assetId]);
+    }
+
+    const walletRows = [];
+    for (const [assetId, available] of w.assets) {
+      const t = trace ? trace.begin({ vaultId, vaultName: w.name, assetId, available }) : null;
+      t?.check("skip_list", "pass", { note: "not in vaults.skip or vaults.consolidation, not a destination" });
+      const gasAssetId = registry.gasAssetFor(assetId);
+      const requiresGas = Boolean(gasAssetId);
+
+      const rules = [];
+      let reserve = "0";
+      const retain = policy.retainMinByAsset?.[assetId];
+      if (retain !== undefined) {
+        rules.push("retain_min"); reserve = addAmounts(reserve, amountOr(retain));
+        t?.check("retain_min", "applied", { retain: amountOr(retain), note: `keep ${amountOr(retain)} (reserves.retainMinByAsset)` });
+      } else if (policy.leaveOne?.[assetId] !== undefined) {
+        rules.push("leave_1"); reserve = addAmounts(reserve, amountOr(policy.leaveOne[assetId]));
+        t?.check("leave_1", "applied", { retain: amountOr(policy.leaveOne[assetId]), note: `keep ${amountOr(policy.leaveOne[assetId])} (reserves.leaveOne)` });
+      } else {
+        t?.check("retain_min", "none", { note: "no reserves.retainMinByAsset or reserves.leaveOne entry" });
+      }
+      if (gasNeeded.has(assetId)) {
+        rules.push("gas_reserve");
+        const minGas = amountOr(policy.minGasBalance?.[assetId] ?? 0);
+        const gasReserve = maxAmount(minGas, gasNeeded.get(assetId));
+        reserve = addAmounts(reserve, gasReserve);
+        t?.check("gas_reserve", "applied", {
+          minGasBalance: minGas, tokenFees: gasNeeded.get(assetId), tokens: gasTokens.get(assetId), reserve: gasReserve,
+          note: `keep ${gasReserve} for ${gasTokens.get(assetId).join(", ")} (max of gas.minGasBalance ${minGas}, token fees ${gasNeeded.get(assetId)})`
+        });
+      }
+      if (!requiresGas) {
+        const f = feeInfo(assetId, assetId);
+        const fee = f.native || "0";
+        if (isPositiveAmount(fee)) {
+          rules.push("fee"); reserve = addAmounts(reserve, fee);
+          t?.check("fee", "applied", { fee, feeSource: f.source, note: `keep one network fee ${fee} (${f.source})` });
+        } else {
+          t?.check("fee", "none", { feeSource: f.source, note: "no fee known for this asset" });
+        }
+      }
+
+      let amount = maxAmount("0", subAmount(available, reserve));
+      const decimals = registry.decimalsOf(assetId);
+      if (decimals !== undefined) amount = roundAmount(amount, decimals);
+
+      let gasReady = true;
+      let gasCheck = null;
+      if (requiresGas) {
+        const gasAvail = w.assets.get(gasAssetId) || "0";
+        const need = maxAmount(amountOr(policy.minGasBalance?.[gasAssetId] ?? 0), feeOf(assetId, gasAssetId));
+        gasReady = isPositiveAmount(gasAvail) && cmpAmount(gasAvail, need) >= 0;
+        gasCheck = {
+          gasAssetId, gasAvailable: gasAvail, gasNeeded: need,
+          note: `${gasAssetId} ${gasAvail} ${gasReady ? ">=" : "<"} ${need} (gas.minGasBalance or one fee)` +
+            (gasReady ? "" : "; kept in the plan for FUEL_THEN_SWEEP=1, normal batches skip it")
+        };
+      }
+
+      const px = priceOf(assetId);
+      const usdValue = typeof px === "number" && Number.isFinite(px) ? amountToNumber(amount) * px : null;
+      const routed = route({ vaultId, vaultName: w.name, assetId, usd: usdValue });
+
+      const row = {
+        sourceVaultId: vaultId,
+        sourceVaultName: w.name,
+        assetId,
+        amount,
+        destinationVaultId: routed.destinationVaultId,
+        destination: routed.destination || "",
+        route: routed.route,
+        usdValue: usdValue === null ? "" : usdValue,
+        requiresGas,
+        gasAssetId: gasAssetId || "",
+        gasReady,
+        available,
+        reserveRule: rules.length ? rules.join("+") : "none",
+        reserveAmount: reserve
+      };
+
+      const minTx = amountOr(policy.minTxAmountByAsset?.[assetId] ?? 0);
+      const left = { available, reserve, amount, decimals: decimals ?? null };
+      let reason = "";
+      if (!isPositiveAmount(amount)) {
+        reason = "RESERVE_ALL";
+        t?.check("reserve_all", "fail", { ...left, note: `reserve ${reserve} takes all of ${available}` });
+      } else {
+        t?.check("reserve_all", "pass", { ...left, note: `${available} - ${reserve} = ${amount}` });
+        if (cmpAmount(amount, minTx) < 0) {
+          reason = "BELOW_CHAIN_MIN_TX";
+          t?.check("chain_min", "fail", { amount, minTx, note: `${amount} < ${minTx} (plan.minTxAmountByAsset)` });
+        } else {
+          t?.check("chain_min", "pass", { amount, minTx, note: isPositiveAmount(minTx) ? `${amount} >= ${minTx} (plan.minTxAmountByAsset)` : "no plan.minTxAmountByAsset entry" });
+          if (t) traceLaterRules(t, { assetId, amount, px, usdValue, gasAssetId });
+          if (gasCheck) t?.check("gas_ready", gasReady ? "pass" : "fail", gasCheck);
+        }
+      }
+      if (t) {
+        const to = reason ? {} : { destinationVaultId: routed.destinationVaultId, destination: routed.destination || "", route: routed.route };
+        const outcome = reason ? "SKIPPED" : gasReady ? "PLANNED" : "NEEDS_GAS";
+        t.decide(outcome, reason || (gasReady ? "" : "NEEDS_GAS"), { amount, usdValue: row.usdValue, ...to });
+      }
+
+      if (reason) skipped.push({ ...row, reason });
+      else walletRows.push(row);
+    }
+    walletRows.sort((a, b) => (Number(b.requiresGas) - Number(a.requiresGas)) || a.assetId.localeCompare(b.assetId));
+    rows.push(...walletRows);
+  }
+  return { rows, skipped };
+}
+
+/** plan.jsonl line for a plan row (what fb_execute_plan_all.js reads). */
+function planJsonLine(row) {
+  const o = {};
+  for (const k of PLAN_COLUMNS) o[k] = row[k];
+  return JSON.stringify(o);
+}
+
+module.exports = {
+  PLAN_COLUMNS,
+  SKIPPED_COLUMNS,
+  planPolicyFromFiles,
+  buildPlan,
+  planJsonLine
+};
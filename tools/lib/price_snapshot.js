@@ -0,0 +1,169 @@
+"use strict";
+
+/**
+ * Versioned price snapshot stored in execute/last_prices_usd.json.
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "asOfIso": "2024-05-01T12:00:00.000Z",
+ *     "pricesUsdByAssetId": { "ETH": 3000, "USDC": 1 },
+ *     "sourceByAssetId":    { "ETH": "provider", "USDC": "stable_fallback" },
+ *     "missingAssetIds":    ["FOO"],
+ *     "inputHash":          "sha256:..."   // pricing inputs the snapshot was built from, or null
+ *   }
+ *
+ * Sources are the pricing.js chain names (override, basis, provider, cache, stable_fallback)
+ * plus "legacy" for prices carried over from an old file. Older layouts are still read:
+ *   - a flat { assetId: price } map (fb_update_prices.js before the schema)
+ *   - { asOfIso, pricesUsdByAssetId, missingAssetIds } without schemaVersion
+ *   - { asOf, source, prices: { coingeckoId: price } } (re_eval.js), mapped back to assetIds
+ *     through asset_to_coingecko.json next to the file
+ * loadPriceSnapshot rewrites such a file in the current schema, keeping the original as
+ * <file>.bak_<timestamp>.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_VERSION = 1;
+
+function emptySnapshot(asOfIso = null) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    asOfIso,
+    pricesUsdByAssetId: {},
+    sourceByAssetId: {},
+    missingAssetIds: [],
+    inputHash: null
+  };
+}
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function isCurrent(j) {
+  return j && typeof j === "object" && j.schemaVersion !== undefined;
+}
+
+/** Validate a parsed schemaVersion 1 document and return it with defaults filled in. */
+function checkSnapshot(j, file) {
+  if (j.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`${file || "price snapshot"}: unsupported schemaVersion ${j.schemaVersion} (this tool reads ${SCHEMA_VERSION})`);
+  }
+  if (!j.pricesUsdByAssetId || typeof j.pricesUsdByAssetId !== "object") {
+    throw new Error(`${file || "price snapshot"}: pricesUsdByAssetId missing`);
+  }
+  return {
+    ...emptySnapshot(j.asOfIso || null),
+    ...j,
+    sourceByAssetId: j.sourceByAssetId || {},
+    missingAssetIds: j.missingAssetIds || []
+  };
+}
+
+/** Convert any older layout to a schemaVersion 1 snapshot. */
+function fromLegacy(j, { file, asOfIso } = {}) {
+  const snap = emptySnapshot(asOfIso || null);
+  const put = (assetId, price) => {
+    const p = positive(price);
+    if (p === null) return;
+    snap.pricesUsdByAssetId[assetId] = p;
+    snap.sourceByAssetId[assetId] = "legacy";
+  };
+
+  if (j.pricesUsdByAssetId && typeof j.pricesUsdByAssetId === "object") {
+    snap.asOfIso = j.asOfIso || snap.asOfIso;
+    for (const [a, p] of Object.entries(j.pricesUsdByAssetId)) put(a, p);
+    snap.missingAssetIds = Array.isArray(j.missingAssetIds) ? j.missingAssetIds.slice() : [];
+  } else if (j.prices && typeof j.prices === "object" && j.asOf) {
+    snap.asOfIso = j.asOf;
+    const mapFile = file ? path.join(path.dirname(file), "asset_to_coingecko.json") : null;
+    const assetToCg = mapFile && fs.existsSync(mapFile) ? JSON.parse(fs.readFileSync(mapFile, "utf8")) : {};
+    for (const [assetId, cgId] of Object.entries(assetToCg)) {
+      if (cgId && j.prices[cgId] !== undefined) put(assetId, j.prices[cgId]);
+    }
+  } else {
+    for (const [a, p] of Object.entries(j)) {
+      if (typeof p === "number" || typeof p === "string") put(a, p);
+    }
+  }
+  return snap;
+}
+
+/**
+ * Parse a snapshot document (any layout) without touching disk.
+ * Returns { snapshot, legacy } where legacy says the input was not schemaVersion 1.
+ */
+function parsePriceSnapshot(j, opts = {}) {
+  if (!j || typeof j !== "object" || Array.isArray(j)) throw new Error(`${opts.file || "price snapshot"}: expected a JSON object`);
+  if (isCurrent(j)) return { snapshot: checkSnapshot(j, opts.file), legacy: false };
+  return { snapshot: fromLegacy(j, opts), legacy: true };
+}
+
+function writePriceSnapshot(file, snap) {
+  const out = checkSnapshot({ ...snap, schemaVersion: SCHEMA_VERSION }, file);
+  out.missingAssetIds = [...new Set(out.missingAssetIds)].sort();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + ".tmp", JSON.stringify(out, null, 2));
+  fs.renameSync(file + ".tmp", file);
+  return out;
+}
+
+/**
+ * Read a snapshot file. A missing file gives null. Older layouts are migrated on disk
+ * (backup kept) unless opts.migrate is false.
+ */
+function loadPriceSnapshot(file, { migrate = true } = {}) {
+  if (!fs.existsSync(file)) return null;
+  let j;
+  try { j = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { throw new Error(`Bad JSON in ${file}: ${e.message}`); }
+
+  const { snapshot, legacy } = parsePriceSnapshot(j, { file, asOfIso: fs.statSync(file).mtime.toISOString() });
+  if (legacy && migrate) {
+    const backup = `${file}.bak_${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    fs.copyFileSync(file, backup);
+    writePriceSnapshot(file, snapshot);
+    console.log(`Migrated ${path.basename(file)} to price snapshot schemaVersion ${SCHEMA_VERSION} (backup: ${path.basename(backup)})`);
+  }
+  return snapshot;
+}
+
+/** Snapshot from a pricing.js resolvePrices() result. */
+function snapshotFromPricing(pr, { asOfIso = new Date().toISOString() } = {}) {
+  const snap = emptySnapshot(asOfIso);
+  for (const [a, p] of Object.entries(pr.provenance)) {
+    if (p.usd === null) continue;
+    snap.pricesUsdByAssetId[a] = p.usd;
+    snap.sourceByAssetId[a] = p.source;
+  }
+  snap.missingAssetIds = pr.missing.slice();
+  snap.inputHash = pr.inputHash || null;
+  return snap;
+}
+
+/** Set prices (all from one source) in the snapshot file, creating it if needed. */
+function mergeIntoPriceSnapshot(file, prices, source) {
+  const ids = Object.keys(prices);
+  if (!ids.length) return null;
+  const snap = loadPriceSnapshot(file) || emptySnapshot();
+  for (const a of ids) {
+    snap.pricesUsdByAssetId[a] = prices[a];
+    snap.sourceByAssetId[a] = source;
+  }
+  snap.missingAssetIds = snap.missingAssetIds.filter(a => prices[a] === undefined);
+  snap.asOfIso = new Date().toISOString();
+  return writePriceSnapshot(file, snap);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  emptySnapshot,
+  parsePriceSnapshot,
+  loadPriceSnapshot,
+  writePriceSnapshot,
+  snapshotFromPricing,
+  mergeIntoPriceSnapshot
+};
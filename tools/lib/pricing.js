@@ -0,0 +1,297 @@
+"use strict";
+
+/**
+ * USD price resolution shared by every analysis.
+ *
+ * Each asset is priced by the first source that has a positive price for it:
+ *
+ *   1. override         execute/price_overrides_usd.json   { "ASSETID": 1.23 }
+ *   2. basis            execute/asset_price_basis.json     { "USDC_POLYGON": "USDC" }  price of another asset
+ *                                                          { "USDC": { "priceUsd": 1 } } fixed price
+ *   3. provider         CoinGecko /simple/price via execute/asset_to_coingecko.json
+ *   4. cache            execute/last_prices_usd.json       (provider prices from earlier runs;
+ *                                                          see price_snapshot.js for the format)
+ *   5. stable_fallback  $1 for assets the asset registry classifies as stablecoins (not in STRICT mode)
+ *
+ * Anything left is "unknown" and has no price. A basis symbol is itself priced by
+ * override, provider or cache (never by another basis entry or the stable fallback).
+ *
+ * Env (read by pricingOptionsFromEnv):
+ *   STRICT_PRICING=1                        no stable fallback; unknown stays unknown
+ *   PRICE_SOURCE=coingecko|cache|offline    cache/offline skip the provider (default coingecko)
+ *   OFFLINE=1, USE_LIVE_PRICES=0            older spellings of PRICE_SOURCE=offline
+ *   STABLECOIN_SYMBOLS="USDC,USDT,TUSD,BUSD,DAI" stablecoin symbols (see asset_registry.js)
+ *
+ * Usage:
+ *   const pr = await resolvePrices(assetIds, pricingOptionsFromEnv());
+ *   pr.priceOf("ETH")      -> number | null
+ *   pr.provenance["ETH"]   -> { source: "provider", usd: 3000, ref: "coingecko:ethereum" }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+const crypto = require("crypto");
+
+const { loadPriceSnapshot, mergeIntoPriceSnapshot } = require("./price_snapshot");
+const { loadAssetRegistry, stableSymbolsFromEnv } = require("./asset_registry");
+
+const SOURCES = ["override", "basis", "provider", "cache", "stable_fallback"];
+
+const OVERRIDES_FILE = "price_overrides_usd.json";
+const BASIS_FILE = "asset_price_basis.json";
+const COINGECKO_MAP_FILE = "asset_to_coingecko.json";
+const CACHE_FILE = "last_prices_usd.json";
+
+const COINGECKO_CHUNK = 150;
+
+function pricingOptionsFromEnv(env = process.env) {
+  const source = String(env.PRICE_SOURCE || "coingecko").toLowerCase();
+  if (!["coingecko", "cache", "offline"].includes(source)) {
+    throw new Error(`PRICE_SOURCE must be coingecko, cache or offline (got ${env.PRICE_SOURCE})`);
+  }
+  const offline = source !== "coingecko" || env.OFFLINE === "1" || env.USE_LIVE_PRICES === "0";
+  return {
+    strict: env.STRICT_PRICING === "1",
+    provider: offline ? null : "coingecko",
+    stableSymbols: stableSymbolsFromEnv(env)
+  };
+}
+
+function readJson(p, fallback) {
+  try {
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    throw new Error(`Bad JSON in ${p}: ${e.message}`);
+  }
+  return fallback;
+}
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Snapshot entries that only restate an input or a fallback are not reused as cache.
+const NOT_CACHEABLE = new Set(["override", "basis", "stable_fallback"]);
+
+/** Cached prices as assetId -> number, from the price snapshot. */
+function readPriceCache(file) {
+  const snap = loadPriceSnapshot(file);
+  const out = {};
+  if (!snap) return out;
+  for (const [k, v] of Object.entries(snap.pricesUsdByAssetId)) {
+    const n = positive(v);
+    if (n !== null && !NOT_CACHEABLE.has(snap.sourceByAssetId[k])) out[k] = n;
+  }
+  return out;
+}
+
+/** Record provider prices in the snapshot so later offline runs can use them. */
+function updatePriceCache(file, prices) {
+  mergeIntoPriceSnapshot(file, prices, "provider");
+}
+
+function loadPricingInputs(execDir) {
+  return {
+    overrides: readJson(path.join(execDir, OVERRIDES_FILE), {}) || {},
+    basis: readJson(path.join(execDir, BASIS_FILE), {}) || {},
+    assetToCg: readJson(path.join(execDir, COINGECKO_MAP_FILE), {}) || {},
+    cache: readPriceCache(path.join(execDir, CACHE_FILE))
+  };
+}
+
+function httpGetJson(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, { headers: { "User-Agent": "fireblocks-pricing/1.0", "Accept": "application/json" } }, (res) => {
+      let data = "";
+      res.on("data", (c) => (data += c));
+      res.on("end", () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new Error(`CoinGecko HTTP ${res.statusCode}: ${data.slice(0, 300)}`));
+        }
+        try { resolve(JSON.parse(data)); }
+        catch (e) { reject(new Error(`CoinGecko bad JSON: ${e.message}`)); }
+      });
+    }).on("error", reject);
+  });
+}
+
+/** CoinGecko id -> USD for the given ids. */
+async function fetchCoingecko(cgIds) {
+  const ids = [...new Set(cgIds)].filter(Boolean);
+  const out = {};
+  for (let i = 0; i < ids.length; i += COINGECKO_CHUNK) {
+    const chunk = ids.slice(i, i + COINGECKO_CHUNK);
+    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${encodeURIComponent(chunk.join(","))}&vs_currencies=usd`;
+    const json = await httpGetJson(url);
+    for (const [id, obj] of Object.entries(json || {})) {
+      const p = positive(obj?.usd);
+      if (p !== null) out[id] = p;
+    }
+  }
+  return out;
+}
+
+/** Normalise a basis entry to { priceUsd } or { symbol }. */
+function basisEntry(b) {
+  if (b === null || b === undefined || b === "") return null;
+  if (typeof b === "number") return positive(b) !== null ? { priceUsd: b } : null;
+  if (typeof b === "string") return { symbol: b };
+  if (typeof b === "object") {
+    if (positive(b.priceUsd) !== null) return { priceUsd: Number(b.priceUsd), method: b.method };
+    const symbol = b.symbol || b.basis;
+    if (symbol) return { symbol: String(symbol) };
+  }
+  return null;
+}
+
+/**
+ * Price assetIds through the precedence chain.
+ *
+ * opts:
+ *   execDir       where the price files live (default ./execute)
+ *   strict        skip the stable fallback
+ *   provider      "coingecko" or null to stay offline
+ *   stableSymbols stablecoin symbols (default assets.stablecoinSymbols of the workspace execDir sits in)
+ *   registry      asset registry for stablecoin classification (default: loaded from execDir)
+ *   updateCache   write provider prices back to last_prices_usd.json
+ *
+ * Returns { prices, provenance, missing, provider: { name, ok, error, fetched }, strict, inputHash, priceOf }.
+ * inputHash covers the asset list, the input files and the options (not provider responses).
+ * A provider failure is not fatal: it is reported in provider.error and the chain moves on.
+ */
+async function resolvePrices(assetIds, opts = {}) {
+  const execDir = opts.execDir || path.join(process.cwd(), "execute");
+  const strict = !!opts.strict;
+  const providerName = opts.provider === undefined ? "coingecko" : opts.provider;
+  const stableSymbols = opts.stableSymbols || stableSymbolsFromEnv(process.env, path.dirname(execDir));
+  const registry = opts.registry || loadAssetRegistry({ execDir, stableSymbols });
+  const { overrides, basis, assetToCg, cache } = loadPricingInputs(execDir);
+
+  const assets = [...new Set([...assetIds].filter(Boolean))].sort();
+  const stable = assets.filter(a => registry.isStable(a));
+  const inputHash = "sha256:" + crypto.createHash("sha256")
+    .update(JSON.stringify({ assets, overrides, basis, assetToCg, strict, provider: providerName, stable }))
+    .digest("hex");
+  const override = (a) => positive(overrides[a]);
+
+  // Which CoinGecko ids the chain could use: assets not settled by override / fixed basis,
+  // and the symbols that basis entries point at.
+  const wantCg = new Set();
+  for (const a of assets) {
+    if (override(a) !== null) continue;
+    const b = basisEntry(basis[a]);
+    if (b?.priceUsd) continue;
+    if (b?.symbol) {
+      if (override(b.symbol) === null && assetToCg[b.symbol]) wantCg.add(assetToCg[b.symbol]);
+    } else if (assetToCg[a]) {
+      wantCg.add(assetToCg[a]);
+    }
+  }
+
+  const provider = { name: providerName, ok: true, error: null, fetched: 0 };
+  let cgPrices = {};
+  if (providerName && wantCg.size) {
+    try {
+      cgPrices = await fetchCoingecko([...wantCg]);
+      provider.fetched = Object.keys(cgPrices).length;
+    } catch (e) {
+      provider.ok = false;
+      provider.error = String(e?.message || e);
+    }
+  }
+
+  const fromProvider = (a) => {
+    const cg = assetToCg[a];
+    const p = cg ? positive(cgPrices[cg]) : null;
+    return p !== null ? { usd: p, ref: `coingecko:${cg}` } : null;
+  };
+
+  // override -> provider -> cache, used for basis symbols
+  const direct = (a) => {
+    if (override(a) !== null) return { source: "override", usd: override(a), ref: OVERRIDES_FILE };
+    const pv = fromProvider(a);
+    if (pv) return { source: "provider", ...pv };
+    if (positive(cache[a]) !== null) return { source: "cache", usd: cache[a], ref: CACHE_FILE };
+    return null;
+  };
+
+  const prices = {};
+  const provenance = {};
+  const providerPrices = {};
+  const missing = [];
+
+  for (const a of assets) {
+    let p = null;
+    const b = basisEntry(basis[a]);
+    if (override(a) !== null) {
+      p = { source: "override", usd: override(a), ref: OVERRIDES_FILE };
+    } else if (b?.priceUsd) {
+      p = { source: "basis", usd: b.priceUsd, ref: b.method || BASIS_FILE };
+    } else if (b?.symbol && direct(b.symbol)) {
+      const via = direct(b.symbol);
+      p = { source: "basis", usd: via.usd, ref: `${b.symbol} (${via.source})` };
+      if (via.source === "provider") providerPrices[b.symbol] = via.usd;
+    } else if (fromProvider(a)) {
+      p = { source: "provider", ...fromProvider(a) };
+      providerPrices[a] = p.usd;
+    } else if (positive(cache[a]) !== null) {
+      p = { source: "cache", usd: cache[a], ref: CACHE_FILE };
+    } else if (!strict && registry.isStable(a)) {
+      p = { source: "stable_fallback", usd: 1, ref: "$1.00" };
+    }
+
+    if (p) {
+      prices[a] = p.usd;
+      provenance[a] = p;
+    } else {
+      provenance[a] = { source: "unknown", usd: null, ref: "" };
+      missing.push(a);
+    }
+  }
+
+  if (opts.updateCache) updatePriceCache(path.join(execDir, CACHE_FILE), providerPrices);
+
+  return {
+    prices,
+    provenance,
+    missing,
+    provider,
+    strict,
+    inputHash,
+    priceOf: (a) => (prices[a] !== undefined ? prices[a] : null)
+  };
+}
+
+/** Count of priced assets per source, e.g. { override: 2, provider: 40, unknown: 3 }. */
+function sourceCounts(result) {
+  const out = {};
+  for (const p of Object.values(result.provenance)) out[p.source] = (out[p.source] || 0) + 1;
+  return out;
+}
+
+/** One-line description for report summaries. */
+function describePricing(result) {
+  const counts = sourceCounts(result);
+  const parts = [...SOURCES, "unknown"].filter(s => counts[s]).map(s => `${s}=${counts[s]}`);
+  const prov = !result.provider.name ? "offline" : (result.provider.ok ? result.provider.name : `${result.provider.name} failed (${result.provider.error})`);
+  return `${parts.join(" ") || "no assets"}; provider: ${prov}; strict: ${result.strict ? "yes" : "no"}`;
+}
+
+module.exports = {
+  SOURCES,
+  CACHE_FILE,
+  OVERRIDES_FILE,
+  BASIS_FILE,
+  COINGECKO_MAP_FILE,
+  stableSymbolsFromEnv,
+  pricingOptionsFromEnv,
+  loadPricingInputs,
+  readPriceCache,
+  updatePriceCache,
+  fetchCoingecko,
+  resolvePrices,
+  sourceCounts,
+  describePricing
+};
@@ -0,0 +1,139 @@
+"use strict";
+
+/**
+ * Destination routing: which vault each planned transfer goes to.
+ *
+ * execute/routing_rules.json (optional):
+ *
+ *   {
+ *     "defaultDestinationVaultId": "94797",
+ *     "rules": [
+ *       { "name": "stables-to-treasury", "match": { "stable": true }, "destinationVaultId": "94828" },
+ *       { "name": "btc-cold", "match": { "assetId": "BTC" }, "destinationVaultId": "5001" },
+ *       { "name": "polygon", "match": { "chain": ["MATIC_POLYGON"] }, "destinationVaultId": "5002" },
+ *       { "name": "segregated-1000s", "match": { "vaultIdRange": [1000, 1099] }, "destinationVaultId": "6000" },
+ *       { "name": "trust-accounts", "match": { "vaultNamePattern": "^Trust " }, "destinationVaultId": "6001" },
+ *       { "name": "large", "match": { "minUsd": 10000 }, "destinationVaultId": "5001" },
+ *       { "name": "sell-xrp", "match": { "assetId": "XRP" }, "destination": "xrp-buyer" }
+ *     ]
+ *   }
+ *
+ * Rules are tried in order and the first match wins; a transfer no rule matches goes to
+ * defaultDestinationVaultId (else the caller's default, normally vaults.destination from
+ * config.js) with route "default". Every field in "match" must hold:
+ *   assetId           id or list of ids
+ *   chain             blockchain / native asset from the asset registry, id or list
+ *   stable            true / false (asset registry classification)
+ *   vaultIds          list of source vault ids
+ *   vaultIdRange      [from, to], numeric source vault ids, inclusive
+ *   vaultNamePattern  regular expression on the source vault name (case-insensitive)
+ *   minUsd, maxUsd    value band of the transfer, minUsd <= usd < maxUsd; never matches an
+ *                     unpriced transfer
+ *
+ * A rule sends to a vault (destinationVaultId) or to an approved external destination
+ * ("destination", a name in execute/approved_destinations.json, see destinations.js).
+ *
+ * Every destination vault is also kept out of the plan as a source.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROUTING_FILE = "routing_rules.json";
+const MATCH_KEYS = new Set(["assetId", "chain", "stable", "vaultIds", "vaultIdRange", "vaultNamePattern", "minUsd", "maxUsd"]);
+
+const asList = (v) => (Array.isArray(v) ? v : [v]).map(String);
+
+function compileRule(rule, i, file, approved) {
+  const where = `${file} rules[${i}]`;
+  const name = String(rule.name || `rule_${i + 1}`);
+  const dest = String(rule.destinationVaultId || "");
+  const external = String(rule.destination || "");
+  if (!dest === !external) throw new Error(`${where} (${name}): set exactly one of destinationVaultId and destination`);
+  if (external && approved && !approved.has(external)) throw new Error(`${where} (${name}): destination "${external}" is not an approved destination`);
+  const m = rule.match || {};
+  for (const k of Object.keys(m)) if (!MATCH_KEYS.has(k)) throw new Error(`${where} (${name}): unknown match field "${k}"`);
+
+  const tests = [];
+  if (m.assetId !== undefined) { const s = new Set(asList(m.assetId)); tests.push(t => s.has(t.assetId)); }
+  if (m.chain !== undefined) { const s = new Set(asList(m.chain)); tests.push(t => s.has(t.chain)); }
+  if (m.stable !== undefined) tests.push(t => t.stable === (m.stable === true));
+  if (m.vaultIds !== undefined) { const s = new Set(asList(m.vaultIds)); tests.push(t => s.has(t.vaultId)); }
+  if (m.vaultIdRange !== undefined) {
+    const [lo, hi] = (Array.isArray(m.vaultIdRange) ? m.vaultIdRange : []).map(Number);
+    if (!Number.isFinite(lo) || !Number.isFinite(hi)) throw new Error(`${where} (${name}): vaultIdRange must be [from, to]`);
+    tests.push(t => { const n = Number(t.vaultId); return Number.isFinite(n) && n >= lo && n <= hi; });
+  }
+  if (m.vaultNamePattern !== undefined) {
+    let re;
+    try { re = new RegExp(String(m.vaultNamePattern), "i"); }
+    catch (e) { throw new Error(`${where} (${name}): bad vaultNamePattern: ${e.message}`); }
+    tests.push(t => re.test(t.vaultName || ""));
+  }
+  if (m.minUsd !== undefined) { const v = Number(m.minUsd); tests.push(t => typeof t.usd === "number" && t.usd >= v); }
+  if (m.maxUsd !== undefined) { const v = Number(m.maxUsd); tests.push(t => typeof t.usd === "number" && t.usd < v); }
+
+  return { name, destinationVaultId: dest, destination: external, matches: (t) => tests.every(fn => fn(t)) };
+}
+
+/**
+ * Load the router for execDir (default ./execute).
+ *
+ * opts:
+ *   registry                  asset registry, for chain and stable
+ *   defaultDestinationVaultId used when the rules file has none
+ *   approved                  destinations.js loadDestinations() result; rule destinations
+ *                             are checked against it
+ *
+ * router.route({ vaultId, vaultName, assetId, usd }) -> { destinationVaultId, destination, route }
+ * (destination is "" for vault routes, destinationVaultId "" for external ones)
+ */
+function loadRouter(opts = {}) {
+  const execDir = opts.execDir || path.join(process.cwd(), "execute");
+  const file = path.join(execDir, ROUTING_FILE);
+  let doc = {};
+  if (fs.existsSync(file)) {
+    try { doc = JSON.parse(fs.readFileSync(file, "utf8")); }
+    catch (e) { throw new Error(`Bad JSON in ${file}: ${e.message}`); }
+  }
+  const rules = (doc.rules || []).map((r, i) => compileRule(r, i, file, opts.approved));
+  const fallback = String(doc.defaultDestinationVaultId || opts.defaultDestinationVaultId || "");
+  if (!fallback) throw new Error(`No default destination: set defaultDestinationVaultId in ${file} or vaults.destination in fb_config.json`);
+  const registry = opts.registry;
+
+  function route(t) {
+    const e = registry ? registry.get(t.assetId) : null;
+    const subject = {
+      vaultId: String(t.vaultId),
+      vaultName: t.vaultName || "",
+      assetId: String(t.assetId),
+      chain: e ? (e.blockchain || e.nativeAsset || t.assetId) : t.assetId,
+      stable: registry ? registry.isStable(t.assetId) : false,
+      usd: typeof t.usd === "number" && Number.isFinite(t.usd) ? t.usd : null
+    };
+    for (const r of rules) if (r.matches(subject)) return { destinationVaultId: r.destinationVaultId, destination: r.destination, route: r.name };
+    return { destinationVaultId: fallback, destination: "", route: "default" };
+  }
+
+  return {
+    file: fs.existsSync(file) ? file : null,
+    rules: rules.map(r => ({ name: r.name, destinationVaultId: r.destinationVaultId, destination: r.destination })),
+    defaultDestinationVaultId: fallback,
+    route,
+    /** Every vault a transfer can be routed to. */
+    destinations: () => [...new Set([fallback, ...rules.map(r => r.destinationVaultId).filter(Boolean)])]
+  };
+}
+
+/** One-line summary for script output. */
+function describeRouting(router) {
+  return router.rules.length
+    ? `${router.rules.length} rules (${router.rules.map(r => `${r.name}→${r.destination || r.destinationVaultId}`).join(", ")}), default ${router.defaultDestinationVaultId}`
+    : `single destination ${router.defaultDestinationVaultId}`;
+}
+
+module.exports = {
+  ROUTING_FILE,
+  loadRouter,
+  describeRouting
+};
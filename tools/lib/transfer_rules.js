@@ -0,0 +1,49 @@
+"use strict";
+
+/**
+ * Value rules that more than one script applies to a planned transfer, kept in one place
+ * so the scripts and the plan's decision trace (planner.js) cannot disagree:
+ *
+ *   BELOW_MIN     fireblocks_analysis_v2.js: the amount is under the asset's floor, in units
+ *                 of the asset. The floor is, in order: execute/min_by_asset.json
+ *                 (minByAsset[assetId]); for stablecoins thresholds.stablecoinMinUsd read
+ *                 as units at $1; thresholds.minUsdPerTx at the asset's price. With no entry
+ *                 and no price there is no floor.
+ *   FEE_GT_VALUE  fb_build_move_plan.js: the network fee, in USD, is more than the
+ *                 transfer is worth.
+ */
+
+const { amountToNumber } = require("./amount");
+
+/**
+ * BELOW_MIN floor for assetId. opts: { price, minByAsset, isStable(assetId), minUsdPerTx,
+ * stablecoinMinUsd }. Returns { minAmount, basis }; minAmount is null when there is no
+ * floor. basis is the label fireblocks_analysis_v2.js writes to minBasis.
+ */
+function minAmountFor(assetId, { price = null, minByAsset = {}, isStable, minUsdPerTx, stablecoinMinUsd }) {
+  if (minByAsset[assetId] != null) return { minAmount: Number(minByAsset[assetId]), basis: "min_by_asset" };
+  if (isStable(assetId)) return { minAmount: Number(stablecoinMinUsd), basis: `stable_usd_floor_$${stablecoinMinUsd}` };
+  const px = Number(price);
+  if (price !== null && Number.isFinite(px) && px > 0) return { minAmount: Number(minUsdPerTx) / px, basis: `usd_floor_$${minUsdPerTx}` };
+  return { minAmount: null, basis: "no_price_no_floor" };
+}
+
+/** True when amount (amount string) is under the floor minAmountFor() returned. */
+function isBelowMin(amount, { minAmount }) {
+  return minAmount !== null && amountToNumber(amount) < minAmount;
+}
+
+/**
+ * FEE_GT_VALUE for one transfer, both figures in USD: "fail" when the fee is worth more
+ * than the transfer, "pass" when not, "unknown" when either figure is missing.
+ */
+function feeVsValue(feeUsd, usdValue) {
+  if (feeUsd === null || feeUsd === undefined || usdValue === null || usdValue === undefined) return "unknown";
+  return feeUsd > usdValue ? "fail" : "pass";
+}
+
+module.exports = {
+  minAmountFor,
+  isBelowMin,
+  feeVsValue
+};
@@ -0,0 +1,265 @@
+"use strict";
+
+/**
+ * Follows submitted Fireblocks transactions to a final status.
+ *
+ * The executors (tools/lib/executor.js) append a row to execute/completed_transfers.txt as
+ * soon as POST /v1/transactions returns, which only means Fireblocks accepted the request. This module finds those
+ * submissions in the journals, records what each transaction finally did in
+ * execute/tx_status.json, and tells callers which rows did not actually move funds.
+ *
+ * Status store (execute/tx_status.json):
+ *   { updatedAt, transactions: { <txId>: { rowId, ledger, journal, submittedAt, status,
+ *     subStatus, txHash, networkFee, feeCurrency, final, failed, lastCheckedAt, finalAt } } }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const FINAL_STATUSES = new Set(["COMPLETED", "FAILED", "REJECTED", "BLOCKED", "CANCELLED", "TIMEOUT"]);
+const FAILED_STATUSES = new Set(["FAILED", "REJECTED", "BLOCKED", "CANCELLED", "TIMEOUT"]);
+
+const STATUS_FILE = "tx_status.json";
+
+// The one completed ledger every executor writes, and the per-executor ledgers it replaced.
+const LEDGER = "completed_transfers.txt";
+const LEGACY_LEDGERS = ["completed_all.txt", "completed_move_plan.txt", "completed_ready.txt"];
+const EXTERNAL_ID_PREFIX = "consolidate_";
+
+const isFinalStatus = (s) => FINAL_STATUSES.has(String(s || "").toUpperCase());
+const isFailedStatus = (s) => FAILED_STATUSES.has(String(s || "").toUpperCase());
+/** A transfer row id: <sourceVaultId>|<assetId>|<destination key>[@<rowKind>], all three non-empty. */
+const isRowId = (s) => typeof s === "string" && /^[^|]+\|[^|]+\|[^|]+$/.test(s);
+
+function tsMs(ts) {
+  const n = typeof ts === "number" ? ts : Date.parse(ts);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Which completed ledger a SUBMIT_OK journal line belongs to: always LEDGER. Older lines
+ * name (or imply) a per-executor ledger, whose rows migrateLegacyLedgers() moves into LEDGER.
+ */
+function ledgerOf(j) {
+  if (j.ledger || j.event === "SUBMIT_OK" || j.action === "SUBMIT_OK") return LEDGER;
+  return null;
+}
+
+/**
+ * externalTxId for the attempt-th submission of a row (1 = first): consolidate_<rowId>,
+ * then consolidate_<rowId>#2, ... so a row resent after a failed transaction does not
+ * reuse an id Fireblocks has already seen.
+ */
+function externalTxIdFor(rowId, attempt = 1) {
+  const suffix = attempt > 1 ? `#${attempt}` : "";
+  return `${EXTERNAL_ID_PREFIX}${rowId}`.slice(0, 190 - suffix.length) + suffix;
+}
+
+/**
+ * Map an externalTxId back to the ledger and rowId it was submitted for. Besides
+ * consolidate_<rowId>[#n], the formats older executors used are recognised:
+ *   <RUN_ID>:<rowId>     execute_ready.js
+ *   <rowId>              fb_execute_move_plan.js
+ * All of them belong to LEDGER. Returns null for ids that are not ours.
+ */
+function parseExternalTxId(externalTxId) {
+  const id = String(externalTxId || "");
+  if (id.startsWith(EXTERNAL_ID_PREFIX)) {
+    const rowId = id.slice(EXTERNAL_ID_PREFIX.length).replace(/#\d+$/, "");
+    if (isRowId(rowId)) return { ledger: LEDGER, rowId };
+  }
+  const colon = id.lastIndexOf(":");
+  if (colon > 0 && isRowId(id.slice(colon + 1))) {
+    return { ledger: LEDGER, rowId: id.slice(colon + 1), runId: id.slice(0, colon) };
+  }
+  if (isRowId(id)) return { ledger: LEDGER, rowId: id };
+  return null;
+}
+
+/**
+ * Rows of LEDGER plus any per-executor ledger not migrated yet, in file order, without
+ * duplicates: what has been submitted, for callers that must not touch the files.
+ */
+function readLedgerRows(execDir) {
+  const rows = new Set();
+  for (const f of [LEDGER, ...LEGACY_LEDGERS]) {
+    const file = path.join(execDir, f);
+    if (!fs.existsSync(file)) continue;
+    for (const l of fs.readFileSync(file, "utf8").split(/\r?\n/)) if (l.trim()) rows.add(l.trim());
+  }
+  return [...rows];
+}
+
+/**
+ * Move the rows of the per-executor ledgers (LEGACY_LEDGERS) into LEDGER, keeping each
+ * old file as <name>.bak_<timestamp>, and point tx_status.json records at LEDGER.
+ * Safe to call on every run; returns the names of the ledgers migrated this time.
+ */
+function migrateLegacyLedgers(execDir) {
+  const legacy = LEGACY_LEDGERS.filter(f => fs.existsSync(path.join(execDir, f)));
+  if (!legacy.length) return [];
+  const file = path.join(execDir, LEDGER);
+  const rows = readLedgerRows(execDir);
+  fs.writeFileSync(file + ".tmp", rows.map(r => r + "\n").join(""));
+  fs.renameSync(file + ".tmp", file);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  for (const f of legacy) fs.renameSync(path.join(execDir, f), path.join(execDir, `${f}.bak_${stamp}`));
+
+  if (fs.existsSync(path.join(execDir, STATUS_FILE))) {
+    const store = loadStatusStore(execDir);
+    for (const rec of Object.values(store.transactions)) if (LEGACY_LEDGERS.includes(rec.ledger)) rec.ledger = LEDGER;
+    saveStatusStore(execDir, store);
+  }
+  return legacy;
+}
+
+/**
+ * Every SUBMIT_OK in execDir/journal_*.jsonl, oldest first:
+ *   [{ txId, rowId, ledger, journal, submittedAt, amount, gross, destinationVaultId }]
+ * amount is what was requested (null if the line does not say), gross is treatAsGrossAmount,
+ * and destinationVaultId is "" for destinations that are not vaults.
+ * Lines without a txId (e.g. an empty API response) are skipped.
+ */
+function collectSubmissions(execDir) {
+  if (!fs.existsSync(execDir)) return [];
+  const out = [];
+  const files = fs.readdirSync(execDir).filter(f => /^journal_.*\.jsonl$/.test(f)).sort();
+  for (const f of files) {
+    const txt = fs.readFileSync(path.join(execDir, f), "utf8");
+    for (const line of txt.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      let j;
+      try { j = JSON.parse(line); } catch { continue; }
+      if (j.event !== "SUBMIT_OK" && j.action !== "SUBMIT_OK") continue;
+      const txId = j.txId || j.resp?.id || "";
+      const rowId = j.rowId || j.rid || "";
+      if (!txId || !isRowId(rowId)) continue;
+      const dest = j.body?.destination;
+      out.push({
+        txId: String(txId), rowId, ledger: ledgerOf(j), journal: f, submittedAt: tsMs(j.ts),
+        amount: j.body?.amount ?? j.amount ?? null,
+        gross: j.body?.treatAsGrossAmount === true,
+        destinationVaultId: dest ? (dest.type === "VAULT_ACCOUNT" ? String(dest.id) : "") : String(j.dest ?? rowId.split("|")[2] ?? "")
+      });
+    }
+  }
+  return out.sort((a, b) => a.submittedAt - b.submittedAt);
+}
+
+function loadStatusStore(execDir) {
+  const p = path.join(execDir, STATUS_FILE);
+  if (!fs.existsSync(p)) return { updatedAt: null, transactions: {} };
+  const j = JSON.parse(fs.readFileSync(p, "utf8"));
+  return { updatedAt: j.updatedAt || null, transactions: j.transactions || {} };
+}
+
+function saveStatusStore(execDir, store) {
+  const p = path.join(execDir, STATUS_FILE);
+  store.updatedAt = new Date().toISOString();
+  fs.writeFileSync(p + ".tmp", JSON.stringify(store, null, 2));
+  fs.renameSync(p + ".tmp", p);
+}
+
+/** Add journal submissions the store does not know yet as open records. Returns how many were added. */
+function addSubmissions(store, submissions) {
+  let added = 0;
+  for (const s of submissions) {
+    if (store.transactions[s.txId]) continue;
+    store.transactions[s.txId] = {
+      rowId: s.rowId,
+      ledger: s.ledger,
+      journal: s.journal,
+      submittedAt: s.submittedAt,
+      status: "SUBMITTED",
+      final: false,
+      failed: false
+    };
+    added++;
+  }
+  return added;
+}
+
+/** Merge a GET /v1/transactions/{id} response into a store record. */
+function applyTransaction(rec, tx) {
+  const status = String(tx?.status || rec.status || "").toUpperCase();
+  rec.status = status;
+  rec.subStatus = tx?.subStatus || "";
+  rec.txHash = tx?.txHash || rec.txHash || "";
+  rec.networkFee = tx?.networkFee != null ? String(tx.networkFee) : (rec.networkFee ?? null);
+  rec.feeCurrency = tx?.feeCurrency || rec.feeCurrency || null;
+  rec.lastCheckedAt = new Date().toISOString();
+  rec.final = isFinalStatus(status);
+  rec.failed = isFailedStatus(status);
+  if (rec.final && !rec.finalAt) rec.finalAt = rec.lastCheckedAt;
+  return rec;
+}
+
+/**
+ * Rows whose most recent submission ended in a failed status, as Map rowId -> record.
+ * A row that failed and was later resubmitted counts by its newest txId only.
+ */
+function failedRows(store) {
+  const latest = new Map();
+  for (const [txId, rec] of Object.entries(store.transactions)) {
+    if (!rec.rowId) continue;
+    const prev = latest.get(rec.rowId);
+    if (!prev || (rec.submittedAt || 0) >= (prev.submittedAt || 0)) latest.set(rec.rowId, { txId, ...rec });
+  }
+  const out = new Map();
+  for (const [rowId, rec] of latest) if (rec.failed) out.set(rowId, rec);
+  return out;
+}
+
+/**
+ * Drop rows from a completed ledger file. Returns how many lines were removed.
+ */
+function removeFromLedger(file, rowIds) {
+  if (!fs.existsSync(file) || !rowIds.size) return 0;
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  const kept = lines.filter(l => !rowIds.has(l));
+  const removed = lines.length - kept.length;
+  if (removed) {
+    fs.writeFileSync(file + ".tmp", kept.map(l => l + "\n").join(""));
+    fs.renameSync(file + ".tmp", file);
+  }
+  return removed;
+}
+
+/**
+ * Poll until the transaction reaches a final status or timeoutMs passes.
+ * Resolves with the last transaction body seen.
+ */
+async function waitForFinal(fb, txId, { intervalMs = 5000, timeoutMs = 300000, onPoll } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const tx = await fb.get(`/v1/transactions/${encodeURIComponent(txId)}`);
+    if (onPoll) onPoll(tx);
+    if (isFinalStatus(tx?.status) || Date.now() + intervalMs > deadline) return tx;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  FINAL_STATUSES,
+  FAILED_STATUSES,
+  STATUS_FILE,
+  LEDGER,
+  LEGACY_LEDGERS,
+  isFinalStatus,
+  isFailedStatus,
+  isRowId,
+  ledgerOf,
+  externalTxIdFor,
+  parseExternalTxId,
+  readLedgerRows,
+  migrateLegacyLedgers,
+  collectSubmissions,
+  loadStatusStore,
+  saveStatusStore,
+  addSubmissions,
+  applyTransaction,
+  failedRows,
+  removeFromLedger,
+  waitForFinal
+};
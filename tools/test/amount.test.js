@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  AmountError, normalizeAmount, isAmount, amountOr, cmpAmount, addAmounts, subAmount,
+  sumAmounts, isPositiveAmount, minAmount, maxAmount, roundAmount, amountToNumber
+} = require("../lib/amount");
+
+test("normalizeAmount gives canonical decimal strings", () => {
+  assert.equal(normalizeAmount("0012.5000"), "12.5");
+  assert.equal(normalizeAmount("+3"), "3");
+  assert.equal(normalizeAmount("-0.000"), "0");
+  assert.equal(normalizeAmount("1e-7"), "0.0000001");
+  assert.equal(normalizeAmount("2.5E+3"), "2500");
+  assert.equal(normalizeAmount(".5"), "0.5");
+  assert.equal(normalizeAmount(42), "42");
+});
+
+test("malformed amounts throw AmountError; amountOr falls back", () => {
+  for (const bad of ["", "abc", "1,5", "1.2.3", ".", NaN, Infinity, null]) {
+    assert.throws(() => normalizeAmount(bad), AmountError, String(bad));
+    assert.equal(isAmount(bad), false);
+  }
+  assert.equal(amountOr("x"), "0");
+  assert.equal(amountOr("", null), null);
+  assert.equal(amountOr(" 7.10 "), "7.1");
+});
+
+test("arithmetic keeps every digit of 18-decimal amounts", () => {
+  assert.equal(subAmount("42", "0.000000000000000001"), "41.999999999999999999");
+  assert.equal(addAmounts("123456789.123456789", "0.000000000000000001"), "123456789.123456789000000001");
+  assert.equal(sumAmounts(["0.1", "0.2", "0.3"]), "0.6");
+  assert.equal(subAmount("1", "2.5"), "-1.5");
+});
+
+test("comparisons", () => {
+  assert.equal(cmpAmount("1.10", "1.1"), 0);
+  assert.equal(cmpAmount("0.000000000000000001", "0"), 1);
+  assert.equal(cmpAmount("-1", "0"), -1);
+  assert.equal(isPositiveAmount("0.0"), false);
+  assert.equal(isPositiveAmount("1e-18"), true);
+  assert.equal(minAmount("2", "1.50"), "1.5");
+  assert.equal(maxAmount("0", "-3"), "0");
+});
+
+test("roundAmount truncates by default and never rounds a balance up", () => {
+  assert.equal(roundAmount("1.999999", 2), "1.99");
+  assert.equal(roundAmount("-1.999", 2), "-1.99");
+  assert.equal(roundAmount("1.001", 2, "up"), "1.01");
+  assert.equal(roundAmount("1.005", 2, "half-up"), "1.01");
+  assert.equal(roundAmount("1.004", 2, "half-up"), "1");
+  assert.equal(roundAmount("1.5", 8), "1.5");
+  assert.throws(() => roundAmount("1", -1), AmountError);
+  assert.throws(() => roundAmount("1.55", 1, "sideways"), AmountError);
+});
+
+test("amountToNumber is for estimates only", () => {
+  assert.equal(amountToNumber("0.25"), 0.25);
+  assert.equal(amountToNumber("1e3"), 1000);
+});
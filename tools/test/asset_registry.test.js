@@ -0,0 +1,56 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const {
+  REGISTRY_FILE, OVERRIDES_FILE, registryFromSupportedAssets, writeRegistry, loadAssetRegistry, checkGasCoverage
+} = require("../lib/asset_registry");
+
+const SUPPORTED = [
+  { id: "ETH", type: "BASE_ASSET", nativeAsset: "ETH", decimals: 18 },
+  { id: "USDC", type: "ERC20", nativeAsset: "ETH", decimals: 6 },
+  { id: "FOO_ERC20", type: "ERC20", nativeAsset: "ETH", decimals: 18 }
+];
+
+// a workspace root with execute/ holding the synced registry and the given files
+function workspace(files = {}, { synced = true } = {}) {
+  const root = tempDir("registry-");
+  const execDir = path.join(root, "execute");
+  if (synced) writeRegistry(path.join(execDir, REGISTRY_FILE), registryFromSupportedAssets(SUPPORTED, { syncedAtIso: "2024-05-01T00:00:00.000Z" }));
+  else fs.mkdirSync(execDir);
+  for (const [name, json] of Object.entries(files)) fs.writeFileSync(path.join(root, name), JSON.stringify(json));
+  return { root, execDir };
+}
+
+test("tokens need their chain's native asset for gas; overrides win", () => {
+  const { execDir } = workspace({ [`execute/${OVERRIDES_FILE}`]: { FOO_ERC20: { gasAssetId: "" }, USDC: { decimals: 8 } } });
+  const reg = loadAssetRegistry({ execDir, stableSymbols: ["USDC"] });
+  assert.equal(reg.gasAssetFor("USDC"), "ETH");
+  assert.equal(reg.gasAssetFor("ETH"), "");
+  assert.equal(reg.gasAssetFor("FOO_ERC20"), "");
+  assert.equal(reg.decimalsOf("USDC"), 8);
+  assert.equal(reg.isStable("USDC"), true);
+  assert.equal(reg.isStable("ETH"), false);
+});
+
+test("stablecoin symbols come from the config of the workspace execDir is in", () => {
+  const { execDir } = workspace({ "fb_config.json": { assets: { stablecoinSymbols: ["FOO"] } } });
+  const reg = loadAssetRegistry({ execDir });
+  assert.deepEqual(reg.stableSymbols, ["FOO"]);
+  assert.equal(reg.isStable("FOO_ERC20"), true);
+  assert.equal(reg.isStable("USDC"), false);
+});
+
+test("checkGasCoverage names unknown assets, and refuses an unsynced registry unless allowed", () => {
+  const synced = loadAssetRegistry({ execDir: workspace().execDir, stableSymbols: [] });
+  assert.deepEqual(checkGasCoverage(synced, ["ETH", "USDC", "BAR_ERC20"]).unknown, ["BAR_ERC20"]);
+
+  const unsynced = loadAssetRegistry({ execDir: workspace({}, { synced: false }).execDir, stableSymbols: [] });
+  assert.throws(() => checkGasCoverage(unsynced, ["USDC"]), /Asset registry not synced/);
+  assert.deepEqual(checkGasCoverage(unsynced, ["USDC"], { allowUnsynced: true }).unknown, ["USDC"]);
+  assert.deepEqual(checkGasCoverage(unsynced, []).unknown, []);
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { COMMANDS, CliError, parseArgs, envFor, main } = require("../lib/cli");
+
+const REPO_DIR = path.resolve(__dirname, "..", "..");
+
+// stdout/stderr stand-ins for main()
+function sink() {
+  const out = { text: "", write: (s) => { out.text += s; return true; } };
+  return out;
+}
+
+test("every step is a script under tools/commands/", () => {
+  for (const [command, c] of Object.entries(COMMANDS)) {
+    for (const [action, a] of Object.entries(c.actions)) {
+      for (const step of a.steps) {
+        assert.match(step, /^tools\/commands\/[a-z0-9_]+\.js$/, `${command} ${action}`);
+        assert.ok(fs.existsSync(path.join(REPO_DIR, step)), step);
+      }
+    }
+  }
+});
+
+test("flags become the env vars the scripts read, and the mode is always set", () => {
+  assert.deepEqual(parseArgs(["execute", "move", "--batch", "5", "--execute"]),
+    { command: "execute", action: "move", flags: { batch: "5", execute: true } });
+  const env = envFor(parseArgs(["execute", "unhide", "--skip-vaults=1,2", "--env", "X=a=b"]));
+  assert.deepEqual(env, { ACTION: "unhide", EXECUTE: "0", REWRITE_LEDGERS: "0", SKIP_VAULTS: "1,2", SKIP_SOURCE_VAULTS: "1,2", X: "a=b" });
+  assert.equal(envFor(parseArgs(["track", "reconcile", "--execute"])).REWRITE_LEDGERS, "1");
+  assert.equal(envFor(parseArgs(["track", "--dry-run"])).KEEP_LEDGERS, "1");
+  // path flags are taken from the caller's directory, not --workdir
+  assert.equal(envFor(parseArgs(["plan", "from-csv", "--csv", "export.csv"])).FROM_CSV, path.resolve("export.csv"));
+  assert.equal(envFor(parseArgs(["analyze", "breakeven", "--fee-file", "observed.json"])).GAS_FEE_FILE, path.resolve("observed.json"));
+  assert.throws(() => envFor(parseArgs(["plan", "--dry-run", "--execute"])), CliError);
+  assert.throws(() => parseArgs(["plan", "nope"]), /Unknown plan action: nope/);
+  assert.throws(() => parseArgs(["plan", "move", "--batch", "5"]), /Unknown flag --batch for plan move/);
+});
+
+test("usage errors exit 2, with a JSON error object under --json even when the arguments do not parse", async () => {
+  const stdout = sink(), stderr = sink();
+  assert.equal(await main(["refresh", "--json", "--page-size"], { stdout, stderr }), 2);
+  assert.deepEqual(JSON.parse(stdout.text), { ok: false, error: "--page-size needs a value" });
+  assert.match(stderr.text, /^fb: --page-size needs a value/);
+
+  const plain = sink();
+  assert.equal(await main(["frobnicate"], { stdout: plain, stderr: sink() }), 2);
+  assert.equal(plain.text, "");
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const { ConfigError, loadConfig } = require("../lib/config");
+
+function workdir({ config, gasPolicy } = {}) {
+  const root = tempDir("config-");
+  if (config) fs.writeFileSync(path.join(root, "fb_config.json"), JSON.stringify(config));
+  if (gasPolicy) {
+    fs.mkdirSync(path.join(root, "execute"));
+    fs.writeFileSync(path.join(root, "execute", "gas_policy.json"), JSON.stringify(gasPolicy));
+  }
+  return root;
+}
+
+const sourceOf = (cfg, key) => cfg.explain().find(e => e.key === key).source;
+
+test("--set beats env beats fb_config.json beats legacy files beats the default", () => {
+  const root = workdir({
+    config: { vaults: { destination: "3" } },
+    gasPolicy: { destinationVaultId: "4", gasTreasuryVaultId: "40" }
+  });
+  const at = (env) => loadConfig({ root, env }).get("vaults.destination");
+  assert.equal(at({ FB_CONFIG_SET: "vaults.destination=1", DEST_VAULT_ID: "2" }), "1");
+  assert.equal(at({ DEST_VAULT_ID: "2" }), "2");
+  assert.equal(at({}), "3");
+
+  const cfg = loadConfig({ root, env: {} });
+  assert.equal(cfg.get("vaults.gasTreasury"), "40");
+  assert.equal(sourceOf(cfg, "vaults.gasTreasury"), "execute/gas_policy.json gasTreasuryVaultId");
+  assert.equal(cfg.get("thresholds.minUsdPerTx"), 0.01);
+  assert.equal(sourceOf(cfg, "thresholds.minUsdPerTx"), "default");
+});
+
+test("an empty env var does not override", () => {
+  const root = workdir({ config: { vaults: { destination: "3" } } });
+  assert.equal(loadConfig({ root, env: { DEST_VAULT_ID: "" } }).get("vaults.destination"), "3");
+});
+
+test("maps merge entry by entry across layers", () => {
+  const root = workdir({ config: { gas: { minGasBalance: { ETH: "0.002" } } } });
+  const cfg = loadConfig({ root, env: { FB_CONFIG_SET: "gas.minGasBalance.SOL=0.5" } });
+  const m = cfg.get("gas.minGasBalance");
+  assert.equal(String(m.ETH), "0.002");
+  assert.equal(String(m.SOL), "0.5");
+  assert.equal(sourceOf(cfg, "gas.minGasBalance.SOL"), "--set");
+});
+
+test("scripts that kept their own defaults read their own keys", () => {
+  const cfg = loadConfig({ root: workdir(), env: {} });
+  assert.equal(cfg.get("minRules.minUsdPerTx"), 0.25);
+  assert.equal(cfg.get("reEval.materialWalletUsd"), 0.01);
+  assert.equal(cfg.get("thresholds.minUsdPerTx"), 0.01);
+  assert.equal(cfg.get("thresholds.materialWalletUsd"), 1);
+  const env = loadConfig({ root: workdir(), env: { MIN_USD_PER_TX: "0.3", MATERIAL_WALLET_USD: "5" } });
+  assert.deepEqual(["minRules.minUsdPerTx", "thresholds.minUsdPerTx", "reEval.materialWalletUsd", "thresholds.materialWalletUsd"].map(k => env.get(k)), [0.3, 0.3, 5, 5]);
+  const own = loadConfig({ root: workdir({ config: { reEval: { materialWalletUsd: 1 } } }), env: {} });
+  assert.equal(own.get("reEval.materialWalletUsd"), 1);
+});
+
+test("unknown keys and bad values are ConfigErrors", () => {
+  assert.throws(() => loadConfig({ root: workdir({ config: { vaults: { destinaton: "1" } } }), env: {} }), ConfigError);
+  assert.throws(() => loadConfig({ root: workdir({ config: { thresholds: { minUsdPerTx: "cheap" } } }), env: {} }), ConfigError);
+  assert.throws(() => loadConfig({ root: workdir(), env: { FB_CONFIG_SET: "nope.key=1" } }), /unknown key nope.key/);
+  assert.throws(() => loadConfig({ root: workdir(), env: { FB_CONFIG_SET: "vaults.destination" } }), /expected key=value/);
+  assert.throws(() => loadConfig({ root: workdir(), env: {} }).get("vaults.nope"), /unknown key/);
+});
@@ -0,0 +1,44 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const { CsvError, createCsvParser, parseCsv, readCsv, csvLine, writeCsvSync } = require("../lib/csv");
+
+test("quoted fields, doubled quotes, embedded newlines, CRLF and a BOM", () => {
+  const t = parseCsv('﻿vaultId,name\r\n1001,"Smith, J ""Jr"""\r\n\r\n1002,"two\nlines"\r\n');
+  assert.deepEqual(t.header, ["vaultId", "name"]);
+  assert.deepEqual(t.rows, [["1001", 'Smith, J "Jr"'], ["1002", "two\nlines"]]);
+  assert.deepEqual(t.records()[0], { vaultId: "1001", name: 'Smith, J "Jr"' });
+  assert.equal(t.get(t.rows[1], "vaultId"), "1002");
+  assert.equal(t.find("vaultAccountId", "vaultId"), 0);
+});
+
+test("missing columns and ragged rows throw CsvError with the line", () => {
+  assert.throws(() => parseCsv("a,b\n1,2\n", { required: ["c"] }), CsvError);
+  assert.throws(() => parseCsv("a,a\n1,2\n"), /duplicate column a/);
+  assert.throws(() => parseCsv("a,b\n1,2\n3\n", { file: "x.csv" }), (e) => e instanceof CsvError && /expected 2 fields, got 1/.test(e.message));
+  assert.throws(() => parseCsv(""), /empty file/);
+  assert.throws(() => parseCsv("a\n1\n").idx("b"), /missing column b/);
+});
+
+test("the incremental parser handles chunks split anywhere", () => {
+  const text = 'a,b\r\n"x,""y""",2\r\n3,"4\r\n5"\r\n';
+  for (let i = 1; i < text.length; i++) {
+    const p = createCsvParser();
+    const recs = p.push(text.slice(0, i)).concat(p.push(text.slice(i)), p.end());
+    assert.deepEqual(recs.map(r => r.fields), [["a", "b"], ['x,"y"', "2"], ["3", "4\r\n5"]], `split at ${i}`);
+  }
+});
+
+test("written files read back the same", async () => {
+  const file = path.join(tempDir("csv-"), "out.csv");
+  writeCsvSync(file, ["a", "b"], [{ a: "1,2", b: 'say "hi"' }, ["line\nbreak", null]]);
+  const recs = [];
+  for await (const r of readCsv(file)) recs.push(r);
+  assert.deepEqual(recs, [{ a: "1,2", b: 'say "hi"' }, { a: "line\nbreak", b: "" }]);
+  assert.equal(csvLine(["plain", 3, undefined]), "plain,3,");
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const { DESTINATIONS_FILE, DestinationError, loadDestinations, describeDestinations } = require("../lib/destinations");
+
+const registry = {
+  get: (id) => ({ XRP: { nativeAsset: "XRP" }, USDC: { blockchain: "ETH" }, XLM_USDC_5F3T: { blockchain: "XLM" } })[id] || null
+};
+
+const approved = {
+  destinations: {
+    kraken: { type: "exchange_account", id: "3f2c", assets: ["BTC", "USDC"] },
+    "otc-desk": { type: "EXTERNAL_WALLET", id: "9a1e" },
+    "xrp-buyer": { type: "ONE_TIME_ADDRESS", address: "rPEPPER7kfTD9w2To4CQk6UCfuHM9c6GDY", tag: "104711", assets: ["XRP"] },
+    "eth-otc": { type: "ONE_TIME_ADDRESS", address: "0xabc" }
+  },
+  vaultIds: ["94797", 94828]
+};
+
+function destinationsWith(doc) {
+  const execDir = tempDir("destinations-");
+  if (doc) fs.writeFileSync(path.join(execDir, DESTINATIONS_FILE), JSON.stringify(doc));
+  return loadDestinations({ execDir, registry });
+}
+
+// assert.throws matcher for a DestinationError with the given code
+const rejected = (code) => (e) => e instanceof DestinationError && e.code === code;
+
+test("without a file any vault is a destination and nothing else is", () => {
+  const d = destinationsWith(null);
+  assert.equal(d.file, null);
+  assert.deepEqual(d.resolve({ assetId: "BTC", destinationVaultId: "1234" }),
+    { key: "1234", type: "VAULT_ACCOUNT", label: "vault 1234", destination: { type: "VAULT_ACCOUNT", id: "1234" } });
+  assert.throws(() => d.resolve({ assetId: "BTC", destination: "kraken" }), rejected("UNKNOWN_DESTINATION"));
+  assert.throws(() => d.resolve({ assetId: "BTC" }), rejected("NO_DESTINATION"));
+  assert.equal(describeDestinations(d), "vault accounts only (any vault)");
+});
+
+test("named entries resolve to the Fireblocks destination body", () => {
+  const d = destinationsWith(approved);
+  assert.deepEqual(d.resolve({ assetId: "BTC", destination: "kraken" }),
+    { key: "kraken", type: "EXCHANGE_ACCOUNT", label: "kraken (EXCHANGE_ACCOUNT)", destination: { type: "EXCHANGE_ACCOUNT", id: "3f2c" } });
+  assert.deepEqual(d.resolve({ assetId: "XRP", destination: "xrp-buyer" }).destination,
+    { type: "ONE_TIME_ADDRESS", oneTimeAddress: { address: "rPEPPER7kfTD9w2To4CQk6UCfuHM9c6GDY", tag: "104711" } });
+  assert.deepEqual(d.resolve({ assetId: "ETH", destination: "eth-otc" }).destination,
+    { type: "ONE_TIME_ADDRESS", oneTimeAddress: { address: "0xabc" } });
+  assert.ok(d.has("otc-desk"));
+  assert.deepEqual(d.vaultIds, ["94797", "94828"]);
+});
+
+test("unknown names, unlisted vaults and unapproved assets are refused", () => {
+  const d = destinationsWith(approved);
+  assert.throws(() => d.resolve({ assetId: "BTC", destination: "krakn" }), rejected("UNKNOWN_DESTINATION"));
+  assert.throws(() => d.resolve({ assetId: "BTC", destinationVaultId: "1001" }), rejected("VAULT_NOT_APPROVED"));
+  assert.throws(() => d.resolve({ assetId: "ETH", destination: "kraken" }), rejected("ASSET_NOT_APPROVED"));
+  assert.throws(() => d.resolve({ assetId: "BTC", destination: "xrp-buyer" }), rejected("ASSET_NOT_APPROVED"));
+});
+
+test("a spelled-out destination must agree with the approved entry field by field", () => {
+  const d = destinationsWith(approved);
+  assert.equal(d.resolve({ assetId: "BTC", destination: "otc-desk", destinationType: "external_wallet", destinationId: "9a1e" }).key, "otc-desk");
+  assert.throws(() => d.resolve({ assetId: "BTC", destination: "otc-desk", destinationId: "9a1f" }), rejected("DESTINATION_MISMATCH"));
+  assert.throws(() => d.resolve({ assetId: "XRP", destination: "xrp-buyer", destinationTag: "104712" }), rejected("DESTINATION_MISMATCH"));
+
+  // without a name it must match exactly one entry, which then names the row
+  const row = { assetId: "XRP", destinationType: "ONE_TIME_ADDRESS", destinationAddress: "rPEPPER7kfTD9w2To4CQk6UCfuHM9c6GDY" };
+  assert.equal(d.resolve(row).key, "xrp-buyer");
+  assert.equal(d.keyOf(row), "xrp-buyer");
+  const typo = { assetId: "XRP", destinationType: "ONE_TIME_ADDRESS", destinationAddress: "rPEPPER7kfTD9w2To4CQk6UCfuHM9c6GDZ", destinationTag: "1" };
+  assert.throws(() => d.resolve(typo), rejected("UNKNOWN_DESTINATION"));
+  assert.equal(d.keyOf(typo), "ONE_TIME_ADDRESS:rPEPPER7kfTD9w2To4CQk6UCfuHM9c6GDZ:1");
+  assert.throws(() => d.resolve({ assetId: "BTC", destinationType: "ONE_TIME_ADDRESS" }), /matches several entries/);
+  assert.equal(d.keyOf({ destinationVaultId: "94797" }), "94797");
+});
+
+test("XRP and XLM to a one-time address without a tag are refused", () => {
+  const d = destinationsWith({ destinations: { bare: { type: "ONE_TIME_ADDRESS", address: "rBARE" } } });
+  assert.throws(() => d.resolve({ assetId: "XRP", destination: "bare" }), rejected("TAG_REQUIRED"));
+  assert.throws(() => d.resolve({ assetId: "XLM_USDC_5F3T", destination: "bare" }), rejected("TAG_REQUIRED"));
+  assert.equal(d.resolve({ assetId: "USDC", destination: "bare" }).key, "bare");
+});
+
+test("malformed entries fail the load", () => {
+  assert.throws(() => destinationsWith({ destinations: { "1st": { type: "EXTERNAL_WALLET", id: "x" } } }), /name must start with a letter/);
+  assert.throws(() => destinationsWith({ destinations: { v: { type: "VAULT_ACCOUNT", id: "1" } } }), /type must be one of/);
+  assert.throws(() => destinationsWith({ destinations: { w: { type: "EXTERNAL_WALLET" } } }), /id is required/);
+  assert.throws(() => destinationsWith({ destinations: { o: { type: "ONE_TIME_ADDRESS", tag: "1" } } }), /address is required/);
+  assert.throws(() => destinationsWith({ destinations: { w: { type: "EXTERNAL_WALLET", id: "x", assets: [] } } }), /assets must be a non-empty list/);
+  const execDir = tempDir("destinations-");
+  fs.writeFileSync(path.join(execDir, DESTINATIONS_FILE), "{");
+  assert.throws(() => loadDestinations({ execDir }), /Bad JSON/);
+});
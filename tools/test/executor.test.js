@@ -0,0 +1,107 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir, startMock } = require("./helpers");
+const { FAILED_1402, createEngine } = require("../lib/executor");
+
+const USDC = { sourceVaultId: "1001", assetId: "USDC", amount: "125.5", destinationVaultId: "94828" };
+const USDT = { sourceVaultId: "1002", assetId: "USDT_ERC20", amount: "48.25", destinationVaultId: "94828", requiresGas: true, gasReady: true };
+const XRP = { sourceVaultId: "1004", assetId: "XRP", amount: "30.5", destinationVaultId: "94828" };
+
+const readJournal = (engine) =>
+  fs.readFileSync(engine.journalFile, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+const readLines = (file) => (fs.existsSync(file) ? fs.readFileSync(file, "utf8").split("\n").filter(Boolean) : []);
+
+// one engine per run, as each script invocation makes; RUN_ID keeps the journal name stable
+function engineFor(root, env, extraEnv = {}, runId = "run1") {
+  return createEngine({ executor: "test", root, env: { ...env, FB_MAX_RETRIES: "0", RUN_ID: runId, ...extraEnv } });
+}
+
+test("a dry run journals the bodies and sends nothing", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { mock, env } = await startMock();
+  const root = tempDir("executor-");
+  const engine = engineFor(root, env, { BATCH: "2" });
+  assert.equal(engine.execute, false);
+
+  const res = await engine.runBatch([USDC, USDT, XRP]);
+  assert.deepEqual([res.attempted, res.ok, res.failed], [2, 2, 0]);
+  assert.equal(mock.transactions.size, 0);
+  assert.equal(fs.existsSync(engine.ledgerFile), false);
+  const lines = readJournal(engine);
+  assert.deepEqual(lines.map(l => [l.event, l.rowId]), [["DRYRUN", "1001|USDC|94828"], ["DRYRUN", "1002|USDT_ERC20|94828"]]);
+  assert.equal(lines[0].executor, "test");
+  assert.deepEqual(lines[0].body.destination, { type: "VAULT_ACCOUNT", id: "94828" });
+  assert.equal(lines[0].body.externalTxId, "consolidate_1001|USDC|94828");
+});
+
+test("a live run submits, writes the ledger, and the next run skips what is done", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { mock, env } = await startMock();
+  const root = tempDir("executor-");
+  fs.mkdirSync(path.join(root, "execute"));
+  fs.writeFileSync(path.join(root, "execute", "completed_transfers.txt"), "1004|XRP|94828\n");
+
+  const first = engineFor(root, env, { EXECUTE: "1" });
+  const res = await first.runBatch([USDC, XRP, { ...USDC, sourceVaultId: "94828" }]);
+  assert.deepEqual([res.attempted, res.ok], [1, 1]);
+  assert.deepEqual([res.skipped.already_done, res.skipped.invalid], [1, 1]);
+  assert.equal(mock.transactions.size, 1);
+  assert.deepEqual(readLines(first.ledgerFile), ["1004|XRP|94828", "1001|USDC|94828"]);
+  const ok = readJournal(first).find(l => l.event === "SUBMIT_OK");
+  assert.equal(ok.txId, [...mock.transactions.keys()][0]);
+  assert.ok(readJournal(first).some(l => l.event === "ATTEMPT" && l.rowId === "1001|USDC|94828" && l.status === 200));
+
+  // a SUBMIT_OK in an older journal counts as done even when the ledger lost the row
+  fs.writeFileSync(first.ledgerFile, "");
+  fs.writeFileSync(path.join(root, "execute", "journal_old.jsonl"), JSON.stringify({ action: "SUBMIT_OK", rid: "1002|USDT_ERC20|94828" }) + "\n");
+  const second = engineFor(root, env, { EXECUTE: "1" }, "run2");
+  const again = await second.runBatch([USDC, USDT]);
+  assert.deepEqual([again.attempted, again.skipped.already_done], [0, 2]);
+  assert.equal(mock.transactions.size, 1);
+});
+
+test("failures stay out of the ledger; error 1402 is not tried again", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { mock, env } = await startMock({
+    faults: [
+      { method: "POST", path: "/v1/transactions", status: 400, code: 1402, message: "Insufficient funds" },
+      { method: "POST", path: "/v1/transactions", status: 400, code: 1001, message: "Bad request" }
+    ]
+  });
+  const root = tempDir("executor-");
+  const engine = engineFor(root, env, { EXECUTE: "1" });
+  const res = await engine.runBatch([USDC, USDT]);
+  assert.deepEqual([res.attempted, res.ok, res.failed], [2, 0, 2]);
+  assert.equal(fs.existsSync(engine.ledgerFile), false);
+  assert.deepEqual(readLines(path.join(engine.execDir, FAILED_1402)), ["1001|USDC|94828"]);
+  const fails = readJournal(engine).filter(l => l.event === "SUBMIT_FAIL");
+  assert.deepEqual(fails.map(l => [l.rowId, l.status, l.code]), [["1001|USDC|94828", 400, 1402], ["1002|USDT_ERC20|94828", 400, 1001]]);
+  assert.equal(fails[0].body.amount, "125.5");
+
+  // the next run leaves the 1402 row alone and sends the other under the same externalTxId
+  const next = engineFor(root, env, { EXECUTE: "1" }, "run2");
+  const retry = await next.runBatch([USDC, USDT]);
+  assert.deepEqual([retry.ok, retry.skipped.failed_1402], [1, 1]);
+  assert.deepEqual([...mock.transactions.values()].map(tx => tx.externalTxId), ["consolidate_1002|USDT_ERC20|94828"]);
+});
+
+test("rowKind gives a transfer its own row id", async () => {
+  const { env } = await startMock();
+  const root = tempDir("executor-");
+  fs.mkdirSync(path.join(root, "execute"));
+  fs.writeFileSync(path.join(root, "execute", "completed_transfers.txt"), "1001|USDC|94828\n");
+  const engine = engineFor(root, env);
+  const sweep = { ...USDC, rowKind: "gas_sweep" };
+  assert.equal(engine.rowIdOf(sweep), "1001|USDC|94828@gas_sweep");
+  assert.equal(engine.skipReason(USDC), "already_done");
+  assert.equal(engine.skipReason(sweep), null);
+  assert.equal(engine.skipReason({ ...USDT, gasReady: false }), "needs_gas");
+  assert.equal(engine.skipReason({ ...USDT, gasReady: false }, { gasFunded: true }), null);
+  // sent by a fuel run, so in the ledger while the plan still says gasReady: false
+  assert.equal(engine.skipReason({ ...USDC, requiresGas: true, gasReady: false }), "already_done");
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+
+const { tempDir } = require("./helpers");
+const { readCsvSync, writeCsvSync } = require("../lib/csv");
+
+const SCRIPT = path.join(__dirname, "..", "commands", "fb_build_gas_topup_plan.js");
+
+// ETH at $2000; one ETH transfer costs 0.0005 ETH, a USDC transfer 0.001, a USDT_ERC20 one
+// 0.002; nothing is known about fees on Polygon
+function workdir(treasuryEth) {
+  const root = tempDir("topup-");
+  for (const d of ["inventory", "move_plan", "execute"]) fs.mkdirSync(path.join(root, d));
+  writeCsvSync(path.join(root, "inventory", "inventory.csv"), ["vaultId", "assetId", "available"], [
+    ["94828", "ETH", treasuryEth], ["1001", "ETH", "0.0001"], ["1002", "ETH", "0"], ["1005", "ETH", "0"], ["1003", "MATIC_POLYGON", "0"]
+  ]);
+  writeCsvSync(path.join(root, "move_plan", "needs_gas_rows.csv"), ["vaultId", "vaultName", "assetId", "amount", "usdValue", "gasAssetId"], [
+    ["1001", "Customer 1001", "USDC", "125.5", "125.5", "ETH"],
+    ["1002", "Smith, John", "USDT_ERC20", "48.25", "48.25", "ETH"],
+    ["1005", "Customer 1005", "USDC", "0.5", "0.5", "ETH"],
+    ["1003", "Customer 1003", "USDC_POLYGON", "12", "12", "MATIC_POLYGON"]
+  ]);
+  fs.writeFileSync(path.join(root, "execute", "last_prices_usd.json"), JSON.stringify({
+    schemaVersion: 1, asOfIso: "2024-05-01T00:00:00.000Z", pricesUsdByAssetId: { ETH: 2000, MATIC_POLYGON: 0.5 }
+  }));
+  fs.writeFileSync(path.join(root, "execute", "gas_fee_native.json"), JSON.stringify({ ETH: 0.0005, USDC: 0.001, USDT_ERC20: 0.002 }));
+  return root;
+}
+
+async function plan(root) {
+  const env = { ...process.env, GAS_TREASURY_VAULT_ID: "94828", FEE_ESTIMATES: "0" };
+  delete env.GAS_FEE_FILE;
+  await execFile(process.execPath, [SCRIPT], { cwd: root, timeout: 30000, env });
+  const read = (f) => readCsvSync(path.join(root, "move_plan", f)).records();
+  return { funded: read("gas_topup_plan.csv"), skipped: read("gas_topup_skipped.csv") };
+}
+
+test("a top-up is minGasBalance plus one fee per waiting token, less the gas already there", async () => {
+  const { funded, skipped } = await plan(workdir("0.01"));
+  assert.deepEqual(funded.map(r => [r.vaultId, r.amount, r.targetGas, r.fundingCostUsd, r.sweepCostUsd, r.netUsd]), [
+    ["1001", "0.0014", "0.0015", "1", "2", "122.5"],
+    ["1002", "0.0025", "0.0025", "1", "4", "43.25"]
+  ]);
+  assert.equal(funded[0].feeBasis, "gas_fee_native");
+  // $0.50 of USDC does not pay for $3 of fees
+  assert.deepEqual(skipped.map(r => [r.vaultId, r.reason]), [["1005", "NOT_WORTH"], ["1003", "NO_FEE"]]);
+});
+
+test("a wallet with no known fee is skipped, not funded with minGasBalance alone", async () => {
+  const { skipped } = await plan(workdir("0.01"));
+  const noFee = skipped.find(r => r.vaultId === "1003");
+  assert.deepEqual([noFee.reason, noFee.amount, noFee.feeBasis, noFee.netUsd], ["NO_FEE", "", "none", ""]);
+});
+
+test("the treasury funds the best wallets first and keeps its own minimum", async () => {
+  // 0.004 ETH less its 0.0005 minimum covers 1001 (0.0014 + 0.0005 fee), not then 1002 (0.0025 + 0.0005)
+  const root = workdir("0.004");
+  const { funded, skipped } = await plan(root);
+  assert.deepEqual(funded.map(r => r.vaultId), ["1001"]);
+  assert.deepEqual(skipped.map(r => [r.vaultId, r.reason]), [["1005", "NOT_WORTH"], ["1003", "NO_FEE"], ["1002", "TREASURY_SHORT"]]);
+  const jsonl = fs.readFileSync(path.join(root, "move_plan", "gas_topup_plan.jsonl"), "utf8").trim().split("\n").map(l => JSON.parse(l));
+  assert.deepEqual(jsonl, [{ kind: "gas_topup", sourceVaultId: "94828", assetId: "ETH", destinationVaultId: "1001", amount: "0.0014", unlocks: ["USDC"] }]);
+  assert.match(fs.readFileSync(path.join(root, "move_plan", "gas_topup_summary.txt"), "utf8"), /Skipped, no fee known: 1\n/);
+});
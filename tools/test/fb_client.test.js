@@ -0,0 +1,96 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMock } = require("./helpers");
+const { FireblocksApiError } = require("../lib/fb_client");
+
+const TRANSFER = {
+  operation: "TRANSFER", assetId: "ETH", amount: "0.001",
+  source: { type: "VAULT_ACCOUNT", id: "1001" }, destination: { type: "VAULT_ACCOUNT", id: "94828" }
+};
+
+// a client on a fresh mock that records every attempt
+async function setup(faults, retry) {
+  const { mock, client } = await startMock({ faults });
+  const attempts = [];
+  return { mock, attempts, fb: client({ retry: { baseDelayMs: 10, maxDelayMs: 1000, ...retry }, onAttempt: a => attempts.push(a) }) };
+}
+
+test("429 and 5xx are retried until the call goes through", async () => {
+  const { fb, attempts } = await setup([
+    { path: "/v1/supported_assets", status: 429, times: 1 },
+    { path: "/v1/supported_assets", status: 503, times: 1 }
+  ]);
+  const assets = await fb.get("/v1/supported_assets");
+  assert.ok(Array.isArray(assets) && assets.length > 0);
+  assert.deepEqual(attempts.map(a => [a.attempt, a.status, a.ok, a.willRetry]), [
+    [1, 429, false, true],
+    [2, 503, false, true],
+    [3, 200, true, false]
+  ]);
+  assert.equal(fb.retryStats().retriesUsed, 2);
+});
+
+test("Retry-After sets the wait, capped at maxDelayMs", async () => {
+  const { fb, attempts } = await setup([
+    { path: "/v1/supported_assets", status: 429, times: 1, retryAfter: 0.02 },
+    { path: "/v1/supported_assets", status: 429, times: 1, retryAfter: 120 }
+  ], { maxDelayMs: 30 });
+  await fb.get("/v1/supported_assets");
+  assert.deepEqual(attempts.filter(a => !a.ok).map(a => a.delayMs), [20, 30]);
+});
+
+test("backoff is full jitter under an exponential ceiling", async (t) => {
+  t.mock.method(Math, "random", () => 0.5);
+  const { fb, attempts } = await setup([{ path: "/v1/supported_assets", status: 500, times: 3 }]);
+  await fb.get("/v1/supported_assets");
+  // ceilings 10, 20, 40 (baseDelayMs * 2^n), half of each
+  assert.deepEqual(attempts.filter(a => !a.ok).map(a => a.delayMs), [5, 10, 20]);
+});
+
+test("4xx errors are not retried", async () => {
+  const { fb, attempts } = await setup([{ path: "/v1/transactions", method: "POST", status: 400, code: 1402, times: 1 }]);
+  await assert.rejects(fb.post("/v1/transactions", TRANSFER), (e) => {
+    assert.ok(e instanceof FireblocksApiError);
+    assert.equal(e.status, 400);
+    assert.equal(e.code, 1402);
+    assert.equal(e.attempts, 1);
+    return true;
+  });
+  assert.equal(attempts.length, 1);
+});
+
+test("a request gives up after maxRetries", async () => {
+  const { fb, attempts } = await setup([{ path: "/v1/supported_assets", status: 502, times: 5 }], { maxRetries: 2 });
+  await assert.rejects(fb.get("/v1/supported_assets"), (e) => e.status === 502 && e.attempts === 3);
+  assert.equal(attempts.length, 3);
+  assert.equal(attempts[2].willRetry, false);
+});
+
+test("the retry budget is shared by every request of the client", async () => {
+  const { fb } = await setup([{ path: "/v1/supported_assets", status: 500, times: 4 }], { budget: 2 });
+  await assert.rejects(fb.get("/v1/supported_assets"), (e) => e.attempts === 3);
+  // budget used up: the next failure is final on its first attempt
+  await assert.rejects(fb.get("/v1/supported_assets"), (e) => e.attempts === 1);
+  assert.deepEqual(fb.retryStats(), { retriesUsed: 2, budget: 2 });
+});
+
+test("a retried POST keeps its Idempotency-Key, so a lost reply does not create a second transfer", async () => {
+  const { fb, mock, attempts } = await setup([{ path: "/v1/transactions", method: "POST", status: 500, times: 1, when: "after" }]);
+  const res = await fb.post("/v1/transactions", TRANSFER, { idempotencyKey: "idem-1" });
+  assert.equal(attempts.length, 2);
+  assert.ok(attempts.every(a => a.idempotencyKey === "idem-1"));
+  assert.equal(mock.transactions.size, 1);
+  assert.equal(res.id, [...mock.transactions.keys()][0]);
+});
+
+test("a POST without a key gets one generated and reused on retry", async () => {
+  const { fb, mock, attempts } = await setup([{ path: "/v1/transactions", method: "POST", status: 503, times: 1, when: "after" }]);
+  await fb.post("/v1/transactions", TRANSFER);
+  assert.equal(attempts.length, 2);
+  assert.ok(attempts[0].idempotencyKey);
+  assert.equal(attempts[1].idempotencyKey, attempts[0].idempotencyKey);
+  assert.equal(mock.transactions.size, 1);
+});
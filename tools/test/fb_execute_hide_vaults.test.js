@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+
+const { tempDir, startMock } = require("./helpers");
+const { writeCsvSync } = require("../lib/csv");
+
+const SCRIPT = path.join(__dirname, "..", "commands", "fb_execute_hide_vaults.js");
+const LISTS = { hide: "zero_wallets_to_hide.csv", unhide: "wallets_to_unhide.csv" };
+
+// a work dir whose hide / unhide list holds vaultIds, with an optional vault_visibility.txt
+function workdir(action, vaultIds, ledgerLines = []) {
+  const root = tempDir("hide-");
+  fs.mkdirSync(path.join(root, "analysis"));
+  writeCsvSync(path.join(root, "analysis", LISTS[action]), ["vaultId", "vaultName"], vaultIds.map(id => [id, `v${id}`]));
+  if (ledgerLines.length) {
+    fs.mkdirSync(path.join(root, "execute"));
+    fs.writeFileSync(path.join(root, "execute", "vault_visibility.txt"), ledgerLines.join("\n") + "\n");
+  }
+  return root;
+}
+
+// one live run in root against the mock; resolves with { code, stdout, stderr }
+async function run(root, env, action) {
+  const opts = { cwd: root, timeout: 30000, env: { ...process.env, ...env, FB_MAX_RETRIES: "0", EXECUTE: "1", ACTION: action, RUN_ID: `${action}1` } };
+  try {
+    return { code: 0, ...(await execFile(process.execPath, [SCRIPT], opts)) };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+const journal = (root, runId) => fs.readFileSync(path.join(root, "execute", `journal_${runId}.jsonl`), "utf8")
+  .split("\n").filter(Boolean).map(l => JSON.parse(l)).filter(l => l.event !== "ATTEMPT");
+const ledger = (root) => fs.readFileSync(path.join(root, "execute", "vault_visibility.txt"), "utf8").split("\n").filter(Boolean);
+const hidden = async (client, id) => (await client().get(`/v1/vault/accounts/${id}`)).hiddenOnUI;
+
+test("each vault is read again first: one with a balance or already hidden is not hidden", async () => {
+  // fixture: 1006 and 1007 are empty, 1001 holds ETH and USDC, 1002 is already hidden, 94828 is a consolidation vault
+  const { env, client } = await startMock();
+  const root = workdir("hide", ["1006", "1001", "1002", "94828", "1007"]);
+  const res = await run(root, env, "hide");
+  assert.equal(res.code, 0, res.stderr);
+
+  assert.deepEqual(journal(root, "hide1").map(l => [l.event, l.vaultId, l.reason]), [
+    ["HIDE_OK", "1006", undefined],
+    ["HIDE_SKIPPED", "1001", "HAS_BALANCE"],
+    ["HIDE_SKIPPED", "1002", "ALREADY_HIDDEN"],
+    ["HIDE_OK", "1007", undefined]
+  ]);
+  assert.equal(journal(root, "hide1")[0].executor, "hide_vaults");
+  assert.deepEqual(ledger(root), ["hide|1006", "hide|1002", "hide|1007"]);
+  assert.equal(await hidden(client, "1006"), true);
+  assert.equal(await hidden(client, "1001"), false);
+  assert.match(res.stdout, /skipped_vault=1\nskipped_state_changed=2/);
+});
+
+test("the last action per vault in vault_visibility.txt decides what is already done", async () => {
+  const { env, client } = await startMock();
+  // 1002 was unhidden and hidden again: unhide it; 1003 was last unhidden: nothing to do
+  const root = workdir("unhide", ["1002", "1003"], ["unhide|1002", "hide|1002", "hide|1003", "unhide|1003"]);
+  const res = await run(root, env, "unhide");
+  assert.equal(res.code, 0, res.stderr);
+  assert.deepEqual(journal(root, "unhide1").map(l => [l.event, l.vaultId]), [["UNHIDE_OK", "1002"]]);
+  assert.match(res.stdout, /skipped_already_done=1/);
+  assert.equal(ledger(root).at(-1), "unhide|1002");
+  assert.equal(await hidden(client, "1002"), false);
+
+  // listed for hiding again: the last line says unhide, so it is checked (and it holds funds)
+  writeCsvSync(path.join(root, "analysis", LISTS.hide), ["vaultId"], [["1002"]]);
+  const again = await run(root, env, "hide");
+  assert.deepEqual(journal(root, "hide1").map(l => [l.event, l.vaultId, l.reason]), [["HIDE_SKIPPED", "1002", "HAS_BALANCE"]]);
+  assert.match(again.stdout, /skipped_already_done=0/);
+});
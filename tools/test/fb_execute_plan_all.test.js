@@ -0,0 +1,98 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+
+const { tempDir, startMock } = require("./helpers");
+
+const SCRIPT = path.join(__dirname, "..", "commands", "fb_execute_plan_all.js");
+
+// two wallets waiting on ETH from the treasury (94828), each with one token for 94797
+const TOPUPS = [
+  { kind: "gas_topup", sourceVaultId: "94828", assetId: "ETH", destinationVaultId: "1001", amount: "0.01", unlocks: ["USDC"] },
+  { kind: "gas_topup", sourceVaultId: "94828", assetId: "ETH", destinationVaultId: "1002", amount: "0.01", unlocks: ["USDT_ERC20"] }
+];
+const PLAN = [
+  { sourceVaultId: "1001", assetId: "USDC", amount: "125.5", destinationVaultId: "94797", requiresGas: true, gasAssetId: "ETH", gasReady: false },
+  { sourceVaultId: "1002", assetId: "USDT_ERC20", amount: "48.25", destinationVaultId: "94797", requiresGas: true, gasAssetId: "ETH", gasReady: false }
+];
+
+function workdir() {
+  const root = tempDir("fuel-");
+  const jsonl = (rows) => rows.map(r => JSON.stringify(r) + "\n").join("");
+  fs.mkdirSync(path.join(root, "plan"));
+  fs.mkdirSync(path.join(root, "move_plan"));
+  fs.writeFileSync(path.join(root, "plan", "plan.jsonl"), jsonl(PLAN));
+  fs.writeFileSync(path.join(root, "move_plan", "gas_topup_plan.jsonl"), jsonl(TOPUPS));
+  return root;
+}
+
+// one live fuel-then-sweep run in root against the mock; resolves with { code, stdout, stderr }
+async function fuel(root, env, extraEnv = {}) {
+  const opts = {
+    cwd: root,
+    timeout: 60000,
+    env: { ...process.env, ...env, FB_MAX_RETRIES: "0", FUEL_THEN_SWEEP: "1", EXECUTE: "1", POLL_INTERVAL_MS: "200", ...extraEnv }
+  };
+  try {
+    return { code: 0, ...(await execFile(process.execPath, [SCRIPT], opts)) };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+// "<source>><destination> <asset>" per transaction the mock was sent, in order
+const sent = (mock) => [...mock.transactions.values()].map(tx => `${tx.source.id}>${tx.destination.id} ${tx.assetId}`);
+const ledger = (root) => fs.readFileSync(path.join(root, "execute", "completed_transfers.txt"), "utf8").split("\n").filter(Boolean);
+
+test("each run takes the next BATCH wallets that are not finished", async () => {
+  const { mock, env } = await startMock();
+  const root = workdir();
+
+  const first = await fuel(root, env, { BATCH: "1", SWEEP_LEFTOVER_GAS: "0" });
+  assert.equal(first.code, 0, first.stderr);
+  assert.deepEqual(sent(mock), ["94828>1001 ETH", "1001>94797 USDC"]);
+  assert.match(first.stdout, /wallets_left=1/);
+
+  const second = await fuel(root, env, { BATCH: "1", SWEEP_LEFTOVER_GAS: "0" });
+  assert.equal(second.code, 0, second.stderr);
+  assert.match(second.stdout, /1 finished earlier, 0 left for later runs/);
+  assert.deepEqual(sent(mock).slice(2), ["94828>1002 ETH", "1002>94797 USDT_ERC20"]);
+
+  // the gas sweep is part of a wallet: with it on, both wallets are open again
+  const third = await fuel(root, env, { BATCH: "2" });
+  assert.equal(third.code, 0, third.stderr);
+  assert.deepEqual(sent(mock).slice(4), ["1001>94797 ETH", "1002>94797 ETH"]);
+  assert.deepEqual(ledger(root).slice(4), ["1001|ETH|94797@gas_sweep", "1002|ETH|94797@gas_sweep"]);
+  assert.match((await fuel(root, env, { BATCH: "2" })).stdout, /0 wallet\(s\) .* \(2 finished earlier, 0 left/);
+  assert.equal(mock.transactions.size, 6);
+});
+
+test("a failed top-up holds back the wallet's token transfers", async () => {
+  const { mock, env } = await startMock({
+    faults: [{ method: "POST", path: "/v1/transactions", status: 400, code: 1001, message: "Bad request" }]
+  });
+  const root = workdir();
+  const run = await fuel(root, env, { SWEEP_LEFTOVER_GAS: "0" });
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /SUBMIT_FAIL: 94828\|ETH\|1001/);
+  assert.deepEqual(sent(mock), ["94828>1002 ETH", "1002>94797 USDT_ERC20"]);
+  assert.match(run.stdout, /topups_failed=1/);
+});
+
+test("the gas sweep is held when a token transfer of the wallet fails", async () => {
+  const { mock, env } = await startMock({ outcomes: [{ assetId: "USDC", status: "FAILED", subStatus: "INSUFFICIENT_FUNDS" }] });
+  const root = workdir();
+  const run = await fuel(root, env);
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /gas_sweep: 1001 ETH kept \(token transfers not all completed\)/);
+  assert.deepEqual(sent(mock), ["94828>1001 ETH", "94828>1002 ETH", "1001>94797 USDC", "1002>94797 USDT_ERC20", "1002>94797 ETH"]);
+  // 0.01 ETH top-up, less gas.minGasBalance (0.0005)
+  assert.equal([...mock.transactions.values()].at(-1).requestedAmount, "0.0095");
+  assert.equal(ledger(root).includes("1001|USDC|94797"), false);
+  assert.match(run.stdout, /gas_sweeps_held=1/);
+});
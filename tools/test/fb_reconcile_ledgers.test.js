@@ -0,0 +1,86 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+
+const { tempDir, startMock } = require("./helpers");
+const { readCsvSync } = require("../lib/csv");
+
+const SCRIPT = path.join(__dirname, "..", "commands", "fb_reconcile_ledgers.js");
+
+const KEPT = "1001|USDC|94828";           // in the ledger, transaction went through
+const NO_TX = "1003|USDC_POLYGON|94828";  // in the ledger, never sent
+const FAILED = "1004|XRP|94828";          // in the ledger, its only transaction failed
+const MISSING = "1002|USDT_ERC20|94828";  // sent by a run that died before the ledger append
+
+// Ledger and journal for the four rows above, and their transactions in the mock.
+async function setup(client) {
+  const fb = client();
+  const send = (rowId, amount) => {
+    const [source, assetId, dest] = rowId.split("|");
+    return fb.post("/v1/transactions", {
+      operation: "TRANSFER", assetId, amount, externalTxId: `consolidate_${rowId}`,
+      source: { type: "VAULT_ACCOUNT", id: source }, destination: { type: "VAULT_ACCOUNT", id: dest }
+    });
+  };
+  await send(KEPT, "100");
+  await send(FAILED, "1000"); // more than the vault holds: FAILED at once
+  await send(MISSING, "48.25");
+
+  const root = tempDir("reconcile-");
+  const execDir = path.join(root, "execute");
+  fs.mkdirSync(execDir);
+  fs.writeFileSync(path.join(execDir, "completed_transfers.txt"), [KEPT, NO_TX, FAILED].join("\n") + "\n");
+  fs.writeFileSync(path.join(execDir, "journal_move_1.jsonl"),
+    JSON.stringify({ ts: "2024-05-01T00:00:00.000Z", event: "ATTEMPT", executor: "move", runId: "move_1", rowId: MISSING, method: "POST" }) + "\n");
+  return root;
+}
+
+async function reconcile(root, env, extraEnv = {}) {
+  const opts = { cwd: root, timeout: 30000, env: { ...process.env, ...env, FB_MAX_RETRIES: "0", ...extraEnv } };
+  try {
+    return { code: 0, ...(await execFile(process.execPath, [SCRIPT], opts)) };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+const ledgerRows = (root) => fs.readFileSync(path.join(root, "execute", "completed_transfers.txt"), "utf8").split("\n").filter(Boolean);
+
+test("REWRITE_LEDGERS=1 drops rows without a live transaction and adds the ones the ledger missed", async () => {
+  const { env, client } = await startMock();
+  const root = await setup(client);
+
+  const report = await reconcile(root, env);
+  assert.equal(report.code, 0, report.stderr);
+  assert.match(report.stdout, /ledgers_rewritten=0 \(set REWRITE_LEDGERS=1 to apply\)/);
+  assert.deepEqual(ledgerRows(root), [KEPT, NO_TX, FAILED]);
+
+  const res = await reconcile(root, env, { REWRITE_LEDGERS: "1" });
+  assert.equal(res.code, 0, res.stderr);
+  const issues = readCsvSync(path.join(root, "analysis", "reconcile_ledgers.csv")).records();
+  assert.deepEqual(issues.map(i => [i.issue, i.rowId, i.status]), [
+    ["no_transaction", NO_TX, ""],
+    ["failed_transaction", FAILED, "FAILED"],
+    ["missing_from_ledger", MISSING, "SUBMITTED"]
+  ]);
+  assert.deepEqual(ledgerRows(root), [KEPT, MISSING]);
+  const backups = fs.readdirSync(path.join(root, "execute")).filter(f => f.startsWith("completed_transfers.txt.bak_"));
+  assert.equal(backups.length, 1);
+  assert.equal(fs.readFileSync(path.join(root, "execute", backups[0]), "utf8"), [KEPT, NO_TX, FAILED].join("\n") + "\n");
+  assert.match(res.stdout, /ledgers_rewritten=1/);
+});
+
+test("the ledger is left alone when a lookup failed", async () => {
+  const { env, client } = await startMock({ faults: [{ method: "GET", path: "/v1/transactions", status: 500, times: 1 }] });
+  const root = await setup(client);
+  const res = await reconcile(root, env, { REWRITE_LEDGERS: "1" });
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /ERROR: Error: Not rewriting ledgers: 1 lookup\(s\) failed/);
+  assert.deepEqual(ledgerRows(root), [KEPT, NO_TX, FAILED]);
+  assert.equal(fs.readdirSync(path.join(root, "execute")).some(f => f.includes(".bak_")), false);
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+
+const { tempDir, startMock } = require("./helpers");
+const { readCsvSync, writeCsvSync } = require("../lib/csv");
+
+const SCRIPT = path.join(__dirname, "..", "fb_refresh_inventory.js");
+
+// run the script in root against the mock; resolves with { code, stdout, stderr }
+async function refresh(root, env, extraEnv = {}) {
+  const opts = { cwd: root, timeout: 30000, env: { ...process.env, ...env, FB_MAX_RETRIES: "0", ...extraEnv } };
+  try {
+    return { code: 0, ...(await execFile(process.execPath, [SCRIPT], opts)) };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+const inventoryRows = (root) => readCsvSync(path.join(root, "inventory", "inventory.csv")).records();
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+test("a scan that fails mid-way leaves inventory.csv alone and resumes from the checkpoint", async () => {
+  // fixture: 9 vaults, 13 asset rows; two vaults per page, the third page fails once
+  const { env } = await startMock({ faults: [{ path: "/v1/vault/accounts_paged", status: 500, skip: 2, times: 1 }] });
+  const root = tempDir("refresh-");
+  const inv = (f) => path.join(root, "inventory", f);
+
+  const failed = await refresh(root, env, { REFRESH_PAGE_SIZE: "2" });
+  assert.equal(failed.code, 1);
+  assert.match(failed.stderr, /stopped after page 2 \(vaults=4 rows=6\); re-run to resume/);
+  assert.equal(fs.existsSync(inv("inventory.csv")), false);
+  const cp = readJson(inv("refresh_checkpoint.json"));
+  assert.deepEqual([cp.pages, cp.vaults, cp.rows, cp.done], [2, 4, 6, false]);
+  // a write the checkpoint never covered is cut off on resume
+  fs.appendFileSync(inv("inventory.csv.partial"), "1001,torn");
+
+  const resumed = await refresh(root, env, { REFRESH_PAGE_SIZE: "2" });
+  assert.equal(resumed.code, 0, resumed.stderr);
+  assert.match(resumed.stderr, /resuming scan started .* after page 2/);
+  assert.match(resumed.stdout, /Resumed after page 2/);
+  const rows = inventoryRows(root);
+  assert.equal(rows.length, 13);
+  assert.equal(new Set(rows.map(r => `${r.vaultId}|${r.assetId}`)).size, 13);
+  assert.equal(Object.keys(readJson(inv("vaults.json"))).length, 9);
+  for (const f of ["refresh_checkpoint.json", "inventory.csv.partial", "vaults.partial.jsonl"]) assert.equal(fs.existsSync(inv(f)), false, f);
+  assert.equal(fs.readdirSync(inv("history")).filter(f => f.startsWith("inventory_")).length, 1);
+});
+
+test("VAULT_IDS refreshes only those vaults and keeps every other row", async () => {
+  const { env } = await startMock();
+  const root = tempDir("refresh-");
+  assert.equal((await refresh(root, env)).code, 0);
+
+  // age the file: every balance is now off, and 1001 lost its USDC row
+  const csv = readCsvSync(path.join(root, "inventory", "inventory.csv"));
+  const stale = csv.records()
+    .filter(r => !(r.vaultId === "1001" && r.assetId === "USDC"))
+    .map(r => ({ ...r, available: "7", total: "7" }));
+  writeCsvSync(path.join(root, "inventory", "inventory.csv"), csv.header, stale);
+
+  const merged = await refresh(root, env, { VAULT_IDS: "1001,1002,9999" });
+  assert.equal(merged.code, 0, merged.stderr);
+  assert.match(merged.stdout, /Vaults not found \(rows kept\): 9999/);
+  const byKey = new Map(inventoryRows(root).map(r => [`${r.vaultId}|${r.assetId}`, r]));
+  assert.equal(byKey.size, 13);
+  assert.equal(byKey.get("1001|USDC").total, "125.5");
+  assert.equal(byKey.get("1001|ETH").total, "0.0123456789");
+  assert.equal(byKey.get("1002|USDT_ERC20").total, "48.25");
+  assert.equal(byKey.get("1003|USDC_POLYGON").total, "7");
+  assert.equal(byKey.get("94828|ETH").total, "7");
+  assert.equal(readJson(path.join(root, "inventory", "vaults.json"))["1001"].assetCount, 2);
+
+  // with ASSET_ID only that asset's rows of the vault are replaced
+  assert.equal((await refresh(root, env, { VAULT_IDS: "1003", ASSET_ID: "MATIC_POLYGON" })).code, 0);
+  const after = new Map(inventoryRows(root).map(r => [`${r.vaultId}|${r.assetId}`, r]));
+  assert.equal(after.get("1003|MATIC_POLYGON").total, "0.35");
+  assert.equal(after.get("1003|USDC_POLYGON").total, "7");
+});
+
+test("VAULT_IDS cannot be combined with name or amount filters", async () => {
+  const { env } = await startMock();
+  const root = tempDir("refresh-");
+  fs.mkdirSync(path.join(root, "inventory"));
+  fs.writeFileSync(path.join(root, "inventory", "inventory.csv"), "vaultId,assetId\n");
+  const run = await refresh(root, env, { VAULT_IDS: "1001", NAME_PREFIX: "Customer" });
+  assert.equal(run.code, 1);
+  assert.match(run.stderr, /VAULT_IDS cannot be combined/);
+});
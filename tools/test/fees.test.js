@@ -0,0 +1,126 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const {
+  FEE_SNAPSHOT_FILE, networkFeesFromEstimate, writeFeeSnapshot, loadFeeSnapshot, createFeeModel, describeFees
+} = require("../lib/fees");
+
+const registry = { gasAssetFor: (a) => ({ USDC: "ETH", USDT_ERC20: "ETH", USDC_POLYGON: "MATIC_POLYGON" })[a] || "" };
+const prices = { ETH: 3000, MATIC_POLYGON: 0.5, BTC: 60000 };
+const priceOf = (a) => prices[a] ?? null;
+
+// workspace root with execute/ and the given files (paths relative to the root)
+function workspace(files = {}, { snapshotAgeHours = null } = {}) {
+  const root = tempDir("fees-");
+  const execDir = path.join(root, "execute");
+  fs.mkdirSync(execDir);
+  for (const [name, json] of Object.entries(files)) fs.writeFileSync(path.join(root, name), JSON.stringify(json));
+  if (snapshotAgeHours !== null) {
+    writeFeeSnapshot(execDir, {
+      asOfIso: new Date(Date.now() - snapshotAgeHours * 3600000).toISOString(),
+      byAssetId: {
+        USDC: { feeAssetId: "ETH", networkFee: { LOW: "0.0002", MEDIUM: "0.0004", HIGH: "0.0009" } },
+        XRP: { feeAssetId: "XRP", networkFee: { MEDIUM: "0.00001" } }
+      }
+    });
+  }
+  return execDir;
+}
+
+const model = (execDir, opts = {}) => createFeeModel({ execDir, level: "MEDIUM", registry, estimates: true, maxAgeHours: 24, ...opts });
+
+test("a fresh estimate wins, at the chosen level", () => {
+  const execDir = workspace({ "execute/gas_fee_native.json": { USDC: 0.01, ETH: 0.002 } }, { snapshotAgeHours: 1 });
+  assert.deepEqual(model(execDir).feeNative("USDC"), { feeAssetId: "ETH", native: "0.0004", source: "estimate" });
+  assert.equal(model(execDir, { level: "HIGH" }).feeNative("USDC").native, "0.0009");
+  assert.equal(model(execDir).estimated, 2);
+});
+
+test("without an estimate the static table is read for the asset, then its fee asset", () => {
+  const execDir = workspace({ "execute/gas_fee_native.json": { _note: "native units", USDT_ERC20: 0.003, ETH: 0.002, BTC: 0.00002 } });
+  const fees = model(execDir);
+  assert.deepEqual(fees.feeNative("USDT_ERC20"), { feeAssetId: "ETH", native: "0.003", source: "gas_fee_native" });
+  assert.deepEqual(fees.feeNative("USDC"), { feeAssetId: "ETH", native: "0.002", source: "gas_fee_native" });
+  assert.deepEqual(fees.feeNative("BTC"), { feeAssetId: "BTC", native: "0.00002", source: "gas_fee_native" });
+  assert.deepEqual(fees.feeNative("SOL"), { feeAssetId: "SOL", native: null, source: "none" });
+  assert.equal(fees.asOfIso, null);
+});
+
+test("an observed table gives tokens the pooled token fee, never the fee asset's own transfers", () => {
+  const execDir = workspace({
+    "execute/gas_fee_observed.json": { _statistic: "p90", USDT_ERC20: 0.003, MATIC_POLYGON: 0.01, _tokenFees: { ETH: 0.004, MATIC_POLYGON: 0.02 } }
+  });
+  const fees = model(execDir, { gasFeeFile: path.join(execDir, "gas_fee_observed.json") });
+  assert.deepEqual(fees.feeNative("USDT_ERC20"), { feeAssetId: "ETH", native: "0.003", source: "gas_fee_observed" });
+  assert.deepEqual(fees.feeNative("USDC"), { feeAssetId: "ETH", native: "0.004", source: "gas_fee_observed" });
+  assert.equal(fees.feeNative("USDC_POLYGON").native, "0.02");
+  // native transfers: their own entry or nothing, never the token pool
+  assert.equal(fees.feeNative("MATIC_POLYGON").native, "0.01");
+  assert.deepEqual(fees.feeNative("ETH"), { feeAssetId: "ETH", native: null, source: "none" });
+});
+
+test("a table given as GAS_FEE_FILE is read before a fresh estimate, which covers the rest", () => {
+  const execDir = workspace({
+    "execute/gas_fee_native.json": { XRP: 0.5 },
+    "execute/gas_fee_observed.json": { USDC: 0.0007 }
+  }, { snapshotAgeHours: 1 });
+  const fees = model(execDir, { gasFeeFile: path.join(execDir, "gas_fee_observed.json") });
+  assert.deepEqual(fees.feeNative("USDC"), { feeAssetId: "ETH", native: "0.0007", source: "gas_fee_observed" });
+  // not in the given table: the estimate, never gas_fee_native.json
+  assert.deepEqual(fees.feeNative("XRP"), { feeAssetId: "XRP", native: "0.00001", source: "estimate" });
+  assert.match(describeFees(fees), /^gas_fee_observed\.json first; estimates as of .* for the rest$/);
+  assert.equal(model(execDir).feeNative("USDC").source, "estimate");
+});
+
+test("a stale snapshot is ignored with a warning, and estimates: false skips it", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const execDir = workspace({ "execute/gas_fee_native.json": { ETH: 0.002 } }, { snapshotAgeHours: 48 });
+  const stale = model(execDir);
+  assert.equal(stale.stale, true);
+  assert.equal(stale.feeNative("USDC").source, "gas_fee_native");
+  assert.match(warn.mock.calls[0].arguments[0], /fee_snapshot\.json is 48\.0h old/);
+
+  const fresh = workspace({}, { snapshotAgeHours: 1 });
+  assert.equal(model(fresh, { estimates: false }).feeNative("USDC").source, "none");
+});
+
+test("feeUsd prices the native fee, else falls back to fees.estimatedFeeUsdByGasAsset", () => {
+  const execDir = workspace({
+    "execute/gas_fee_native.json": { ETH: 0.002 },
+    "fb_config.json": { fees: { estimatedFeeUsdByGasAsset: { SOL: 0.01, ETH: 9 } } }
+  });
+  const fees = model(execDir);
+  const usdc = fees.feeUsd("USDC", priceOf);
+  assert.equal(usdc.source, "gas_fee_native");
+  assert.ok(Math.abs(usdc.usd - 6) < 1e-9);
+  // no price for the fee asset: the USD table
+  assert.deepEqual(fees.feeUsd("USDC", () => null), { feeAssetId: "ETH", native: "0.002", source: "estimatedFeeUsdByGasAsset", usd: 9 });
+  assert.deepEqual(fees.feeUsd("SOL", priceOf), { feeAssetId: "SOL", native: null, source: "estimatedFeeUsdByGasAsset", usd: 0.01 });
+  assert.equal(fees.feeUsd("DOT", priceOf).usd, null);
+});
+
+test("the fee asset comes from the snapshot, then the caller, then the registry", () => {
+  const execDir = workspace({}, { snapshotAgeHours: 1 });
+  const fees = model(execDir);
+  assert.equal(fees.feeNative("USDC", "MATIC_POLYGON").feeAssetId, "ETH");
+  assert.equal(fees.feeNative("USDC_POLYGON", "MATIC_POLYGON").feeAssetId, "MATIC_POLYGON");
+  assert.equal(fees.feeNative("USDT_ERC20").feeAssetId, "ETH");
+  assert.equal(fees.feeNative("DOT").feeAssetId, "DOT");
+});
+
+test("estimate responses and snapshots round-trip", () => {
+  assert.deepEqual(networkFeesFromEstimate({ low: { networkFee: "0.1" }, medium: { networkFee: 0.2 }, high: {} }), { LOW: "0.1", MEDIUM: "0.2" });
+  const execDir = workspace({}, { snapshotAgeHours: 2 });
+  const loaded = loadFeeSnapshot(execDir, { maxAgeHours: 1 });
+  assert.equal(loaded.stale, true);
+  assert.equal(loaded.snapshot.byAssetId.XRP.networkFee.MEDIUM, "0.00001");
+  assert.equal(fs.readdirSync(path.join(execDir, "fee_history")).length, 1);
+
+  fs.writeFileSync(path.join(execDir, FEE_SNAPSHOT_FILE), JSON.stringify({ schemaVersion: 2 }));
+  assert.throws(() => loadFeeSnapshot(execDir), /unsupported schemaVersion 2/);
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+
+const { tempDir } = require("./helpers");
+
+const SCRIPT = path.join(__dirname, "..", "commands", "generate_min_by_asset.js");
+
+// a plan with one asset per price source, and execute/ files for each; no CoinGecko mapping at all
+function workdir() {
+  const root = tempDir("minbyasset-");
+  const json = (f, v) => fs.writeFileSync(path.join(root, f), JSON.stringify(v));
+  fs.mkdirSync(path.join(root, "plan"));
+  fs.mkdirSync(path.join(root, "execute"));
+  fs.writeFileSync(path.join(root, "plan", "plan.jsonl"),
+    ["ETH", "MATIC_POLYGON", "BTC", "SOL", "USDC", "DOT"].map(assetId => JSON.stringify({ assetId }) + "\n").join(""));
+  json("execute/price_overrides_usd.json", { ETH: 2000 });
+  json("execute/asset_price_basis.json", { MATIC_POLYGON: { priceUsd: 0.5 } });
+  json("execute/last_prices_usd.json", { schemaVersion: 1, asOfIso: "2024-05-01T00:00:00.000Z", pricesUsdByAssetId: { BTC: 50000 } });
+  json("fb_config.json", { schemaVersion: 1, minRules: { defaultMinUsd: 1, selfGasWithMinimum: { DOT: 1.5 } } });
+  return root;
+}
+
+test("minimums come from the shared price chain: override, basis and cache", async () => {
+  const root = workdir();
+  const env = { ...process.env, PRICE_SOURCE: "offline" };
+  delete env.FB_CONFIG;
+  await execFile(process.execPath, [SCRIPT], { cwd: root, timeout: 30000, env });
+  const out = JSON.parse(fs.readFileSync(path.join(root, "execute", "min_by_asset.json"), "utf8"));
+
+  assert.equal(out.minUsdDefault, 0.25);
+  assert.deepEqual(out.minByAsset, { ETH: 0.0005, MATIC_POLYGON: 2, BTC: 0.00002, SOL: null, USDC: 1, DOT: 1.5 });
+  assert.deepEqual(out.reasonByAsset, {
+    ETH: "usd_based", MATIC_POLYGON: "usd_based", BTC: "usd_based", SOL: "no_price", USDC: "stablecoin", DOT: "self_gas_minimum"
+  });
+  assert.deepEqual(out.priceSourceByAsset, { ETH: "override", MATIC_POLYGON: "basis", BTC: "cache", SOL: "unknown" });
+  assert.match(out.pricing, /override=1 basis=1 cache=1 unknown=1; provider: offline/);
+});
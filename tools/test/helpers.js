@@ -0,0 +1,58 @@
+"use strict";
+
+/**
+ * Shared setup for the node:test files in this folder.
+ *
+ * tempDir(prefix) makes a fresh directory under the OS temp dir; every directory made
+ * this way is removed once the calling test (at top level: the test file) finishes.
+ *
+ * startMock(opts) starts tools/fb_mock_server.js on a free port with a throwaway RSA key
+ * (opts are passed to createMockServer) and closes it when the file finishes. It resolves
+ * with { mock, baseUrl, env, client(opts) }: env holds the FIREBLOCKS_* variables a
+ * script needs to reach the mock, client() a fb_client pointed at it.
+ */
+
+const test = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const { createMockServer } = require("../fb_mock_server");
+const { createClient } = require("../lib/fb_client");
+
+const dirs = [];
+
+function tempDir(prefix = "fbtest-") {
+  if (!dirs.length) test.after(() => { for (const d of dirs.splice(0)) fs.rmSync(d, { recursive: true, force: true }); });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  dirs.push(dir);
+  return dir;
+}
+
+let keys = null;
+
+async function startMock(opts = {}) {
+  if (!keys) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    keys = { publicKey, privateKeyPem: privateKey.export({ type: "pkcs8", format: "pem" }), keyFile: null };
+  }
+  // the key file lives in a temp dir, which goes when the test that made it ends
+  if (!keys.keyFile || !fs.existsSync(keys.keyFile)) {
+    keys.keyFile = path.join(tempDir("mockkey-"), "key.pem");
+    fs.writeFileSync(keys.keyFile, keys.privateKeyPem);
+  }
+  const mock = createMockServer({ publicKey: keys.publicKey, ...opts });
+  const addr = await mock.listen(0);
+  // fetch keeps connections alive; drop them so close() does not wait them out
+  test.after(() => { mock.server.closeAllConnections(); return mock.close(); });
+  const baseUrl = `http://${addr.address}:${addr.port}`;
+  return {
+    mock,
+    baseUrl,
+    env: { FIREBLOCKS_API_KEY: "test-key", FIREBLOCKS_PRIVATE_KEY: keys.keyFile, FIREBLOCKS_BASE_URL: baseUrl },
+    client: (clientOpts = {}) => createClient({ apiKey: "test-key", privateKeyPem: keys.privateKeyPem, baseUrl, ...clientOpts })
+  };
+}
+
+module.exports = { tempDir, startMock };
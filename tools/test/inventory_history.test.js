@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const { saveSnapshot, listSnapshots, loadBalances, diffInventories, attributeChanges } = require("../lib/inventory_history");
+
+// Map "vaultId|assetId" -> balance entry, as loadBalances returns it
+function balances(rows) {
+  return new Map(rows.map(([vaultId, assetId, balance]) => [`${vaultId}|${assetId}`, { vaultId, vaultName: `v${vaultId}`, assetId, balance }]));
+}
+
+test("snapshots are copied into the history and listed oldest first", () => {
+  const root = tempDir("invhist-");
+  fs.mkdirSync(path.join(root, "inventory"));
+  fs.writeFileSync(path.join(root, "inventory", "inventory.csv"), "vaultId,assetId,available,total\n1,BTC,1,1.5\n1,BTC,0,0.5\n");
+  saveSnapshot(root, "2024-05-02T08:00:00.000Z");
+  const { csvFile, vaultsFile } = saveSnapshot(root, "2024-05-01T12:00:00.000Z");
+  assert.equal(path.basename(csvFile), "inventory_2024-05-01T12-00-00-000Z.csv");
+  assert.equal(fs.existsSync(vaultsFile), false);
+  assert.deepEqual(listSnapshots(root).map(s => s.asOfIso), ["2024-05-01T12:00:00.000Z", "2024-05-02T08:00:00.000Z"]);
+  assert.equal(loadBalances(csvFile).get("1|BTC").balance, "2");
+});
+
+test("the diff keeps changed rows and ignores zero balances coming or going", () => {
+  const before = balances([["1", "BTC", "1"], ["1", "ETH", "0"], ["2", "USDC", "5"], ["3", "SOL", "2"]]);
+  const after = balances([["1", "BTC", "1"], ["2", "USDC", "3.5"], ["2", "XRP", "0"], ["4", "SOL", "2"]]);
+  assert.deepEqual(diffInventories(before, after).map(d => [d.vaultId, d.assetId, d.change, d.delta]), [
+    ["2", "USDC", "CHANGED", "-1.5"],
+    ["3", "SOL", "DISAPPEARED", "-2"],
+    ["4", "SOL", "APPEARED", "2"]
+  ]);
+});
+
+test("journaled transfers and the fees paid explain a change", () => {
+  const before = balances([["1", "USDC", "100"], ["1", "ETH", "0.01"], ["9", "USDC", "0"], ["2", "BTC", "1"]]);
+  const after = balances([["1", "USDC", "0"], ["1", "ETH", "0.009"], ["9", "USDC", "100"], ["2", "BTC", "1.5"]]);
+  const transfers = [{ txId: "tx1", sourceVaultId: "1", destinationVaultId: "9", assetId: "USDC", amount: "100" }];
+  const rows = attributeChanges(diffInventories(before, after), transfers, new Map([["1|ETH", "0.001"]]));
+  const by = Object.fromEntries(rows.map(r => [`${r.vaultId}|${r.assetId}`, r]));
+
+  assert.equal(by["1|USDC"].attribution, "CONSOLIDATION");
+  assert.equal(by["1|USDC"].txIds, "tx1");
+  assert.equal(by["9|USDC"].attribution, "CONSOLIDATION");
+  // the gas for the USDC transfer: no ETH transfer, only the fee
+  assert.deepEqual([by["1|ETH"].attribution, by["1|ETH"].feesPaid, by["1|ETH"].residual, by["1|ETH"].txIds],
+    ["CONSOLIDATION", "0.001", "-0.001", ""]);
+  // a deposit has nothing behind it
+  assert.deepEqual([by["2|BTC"].attribution, by["2|BTC"].residual], ["UNEXPLAINED", "0.5"]);
+});
+
+test("a shortfall larger than the fees paid stays unexplained", () => {
+  const before = balances([["1", "ETH", "0.01"], ["1", "BTC", "1"], ["9", "BTC", "0"]]);
+  const after = balances([["1", "ETH", "0.008"], ["1", "BTC", "0.3"], ["9", "BTC", "0.7"]]);
+  const transfers = [{ txId: "tx2", sourceVaultId: "1", destinationVaultId: "9", assetId: "BTC", amount: "0.7" }];
+  const rows = attributeChanges(diffInventories(before, after), transfers, new Map([["1|ETH", "0.001"]]));
+  const by = Object.fromEntries(rows.map(r => [`${r.vaultId}|${r.assetId}`, r]));
+  assert.deepEqual([by["1|ETH"].attribution, by["1|ETH"].residual], ["UNEXPLAINED", "-0.002"]);
+  assert.equal(by["1|BTC"].attribution, "CONSOLIDATION");
+  assert.equal(by["9|BTC"].attribution, "CONSOLIDATION");
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildPlan } = require("../lib/planner");
+const { createTrace } = require("../lib/decision_trace");
+
+const GAS = { USDC: "ETH" };
+const registry = {
+  gasAssetFor: (id) => GAS[id] || null,
+  decimalsOf: (id) => ({ ETH: 18, USDC: 6, BTC: 8 })[id],
+  isStable: (id) => id === "USDC"
+};
+
+const balances = [
+  { vaultId: "1001", assetId: "BTC", available: "0.5" },
+  { vaultId: "1002", assetId: "BTC", available: "0.25" },
+  { vaultId: "94828", assetId: "BTC", available: "3" },
+  { vaultId: "94797", assetId: "BTC", available: "10" },
+  { vaultId: "2001", assetId: "USDC", available: "100" },
+  { vaultId: "2001", assetId: "ETH", available: "0.001" }
+];
+
+const policy = {
+  destinationVaultId: "94797",
+  skipVaultIds: ["1002"],
+  consolidationVaultIds: ["94828"]
+};
+
+test("skip, consolidation and destination vaults are never sources", () => {
+  const trace = createTrace("plan");
+  const { rows, skipped } = buildPlan({ balances, registry, policy, trace });
+
+  assert.deepEqual([...new Set(rows.map(r => r.sourceVaultId))].sort(), ["1001", "2001"]);
+  assert.equal(skipped.length, 0);
+  const reasonOf = (vaultId) => trace.entries.find(e => e.vaultId === vaultId);
+  assert.deepEqual(
+    ["1002", "94828", "94797"].map(v => [reasonOf(v).outcome, reasonOf(v).reason]),
+    [["SKIPPED", "SKIP_VAULT"], ["SKIPPED", "CONSOLIDATION_VAULT"], ["SKIPPED", "DESTINATION_VAULT"]]
+  );
+});
+
+test("a vault in more than one list is reported by the first that applies", () => {
+  const trace = createTrace("plan");
+  buildPlan({ balances, registry, policy: { ...policy, skipVaultIds: ["94828"] }, trace });
+  assert.equal(trace.entries.find(e => e.vaultId === "94828").reason, "SKIP_VAULT");
+});
+
+test("router destinations are skipped as sources too", () => {
+  const router = {
+    route: (t) => ({ destinationVaultId: t.assetId === "USDC" ? "1001" : "94797", destination: "", route: "r" }),
+    destinations: () => ["94797", "1001"]
+  };
+  const { rows } = buildPlan({ balances, registry, policy, router });
+  assert.deepEqual([...new Set(rows.map(r => r.sourceVaultId))], ["2001"]);
+  assert.equal(rows.find(r => r.assetId === "USDC").destinationVaultId, "1001");
+});
+
+test("a token without enough gas is planned but decided NEEDS_GAS", () => {
+  const trace = createTrace("plan");
+  const { rows } = buildPlan({
+    balances, registry, trace,
+    policy: { ...policy, minGasBalance: { ETH: "0.01" } }
+  });
+  const usdc = rows.find(r => r.assetId === "USDC");
+  assert.equal(usdc.requiresGas, true);
+  assert.equal(usdc.gasReady, false);
+  const e = trace.entries.find(x => x.vaultId === "2001" && x.assetId === "USDC");
+  assert.equal(e.outcome, "NEEDS_GAS");
+  assert.equal(e.checks.find(c => c.rule === "gas_ready").result, "fail");
+});
+
+test("without a router, a destination is required", () => {
+  assert.throws(() => buildPlan({ balances, registry, policy: { skipVaultIds: [] } }), /destinationVaultId is required/);
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const {
+  SCHEMA_VERSION, parsePriceSnapshot, loadPriceSnapshot, writePriceSnapshot, snapshotFromPricing, mergeIntoPriceSnapshot
+} = require("../lib/price_snapshot");
+
+function priceFile(json, extra = {}) {
+  const execDir = tempDir("prices-");
+  const file = path.join(execDir, "last_prices_usd.json");
+  fs.writeFileSync(file, JSON.stringify(json));
+  for (const [name, j] of Object.entries(extra)) fs.writeFileSync(path.join(execDir, name), JSON.stringify(j));
+  return file;
+}
+
+const backups = (file) => fs.readdirSync(path.dirname(file)).filter(f => f.startsWith(`${path.basename(file)}.bak_`));
+
+test("a flat price map is migrated on disk with a backup", (t) => {
+  t.mock.method(console, "log", () => {});
+  const file = priceFile({ ETH: 3000, USDC: "1", BAD: 0 });
+  const snap = loadPriceSnapshot(file);
+  assert.deepEqual(snap.pricesUsdByAssetId, { ETH: 3000, USDC: 1 });
+  assert.deepEqual(snap.sourceByAssetId, { ETH: "legacy", USDC: "legacy" });
+  assert.ok(snap.asOfIso);
+
+  const onDisk = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(onDisk.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(onDisk.pricesUsdByAssetId, { ETH: 3000, USDC: 1 });
+  const [backup] = backups(file);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(path.dirname(file), backup), "utf8")), { ETH: 3000, USDC: "1", BAD: 0 });
+});
+
+test("the unversioned snapshot layout keeps its date and missing list", () => {
+  const { snapshot, legacy } = parsePriceSnapshot({ asOfIso: "2024-04-01T00:00:00Z", pricesUsdByAssetId: { BTC: 60000 }, missingAssetIds: ["FOO"] });
+  assert.equal(legacy, true);
+  assert.equal(snapshot.asOfIso, "2024-04-01T00:00:00Z");
+  assert.deepEqual(snapshot.missingAssetIds, ["FOO"]);
+  assert.equal(snapshot.sourceByAssetId.BTC, "legacy");
+});
+
+test("re_eval.js prices keyed by CoinGecko id map back through asset_to_coingecko.json", (t) => {
+  t.mock.method(console, "log", () => {});
+  const file = priceFile(
+    { asOf: "2024-03-01T00:00:00Z", source: "coingecko", prices: { ethereum: 3000, "usd-coin": 1 } },
+    { "asset_to_coingecko.json": { ETH: "ethereum", USDC: "usd-coin", USDC_POLYGON: "usd-coin", BTC: "bitcoin" } }
+  );
+  const snap = loadPriceSnapshot(file);
+  assert.equal(snap.asOfIso, "2024-03-01T00:00:00Z");
+  assert.deepEqual(snap.pricesUsdByAssetId, { ETH: 3000, USDC: 1, USDC_POLYGON: 1 });
+});
+
+test("a current snapshot is read as is, and migrate: false leaves old files alone", (t) => {
+  const current = { schemaVersion: 1, asOfIso: "2024-05-01T00:00:00Z", pricesUsdByAssetId: { ETH: 3000 }, sourceByAssetId: { ETH: "provider" } };
+  const file = priceFile(current);
+  const before = fs.readFileSync(file, "utf8");
+  assert.deepEqual(loadPriceSnapshot(file).pricesUsdByAssetId, { ETH: 3000 });
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+
+  const log = t.mock.method(console, "log", () => {});
+  const old = priceFile({ ETH: 3000 });
+  loadPriceSnapshot(old, { migrate: false });
+  assert.deepEqual(JSON.parse(fs.readFileSync(old, "utf8")), { ETH: 3000 });
+  assert.equal(backups(old).length, 0);
+  assert.equal(log.mock.callCount(), 0);
+});
+
+test("unknown schema versions and bad documents are refused", () => {
+  assert.throws(() => parsePriceSnapshot({ schemaVersion: 2, pricesUsdByAssetId: {} }), /unsupported schemaVersion 2/);
+  assert.throws(() => parsePriceSnapshot({ schemaVersion: 1 }), /pricesUsdByAssetId missing/);
+  assert.throws(() => parsePriceSnapshot([1, 2]), /expected a JSON object/);
+  assert.equal(loadPriceSnapshot(path.join(tempDir("prices-"), "none.json")), null);
+});
+
+test("snapshotFromPricing keeps each price's source, and merges replace only the given assets", () => {
+  const snap = snapshotFromPricing({
+    provenance: { ETH: { source: "provider", usd: 3000 }, FOO: { source: "unknown", usd: null } },
+    missing: ["FOO"],
+    inputHash: "sha256:abc"
+  }, { asOfIso: "2024-05-01T00:00:00Z" });
+  assert.deepEqual(snap.pricesUsdByAssetId, { ETH: 3000 });
+  assert.deepEqual(snap.missingAssetIds, ["FOO"]);
+
+  const file = path.join(tempDir("prices-"), "last_prices_usd.json");
+  writePriceSnapshot(file, snap);
+  mergeIntoPriceSnapshot(file, { FOO: 2, BTC: 60000 }, "provider");
+  const merged = loadPriceSnapshot(file);
+  assert.deepEqual(merged.pricesUsdByAssetId, { ETH: 3000, FOO: 2, BTC: 60000 });
+  assert.deepEqual(merged.missingAssetIds, []);
+  assert.equal(merged.inputHash, "sha256:abc");
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+const { EventEmitter } = require("events");
+
+const { tempDir } = require("./helpers");
+const { resolvePrices, pricingOptionsFromEnv, sourceCounts, CACHE_FILE } = require("../lib/pricing");
+
+const registry = { isStable: (a) => a.startsWith("USDC") || a.startsWith("USDT") };
+
+function workspace(files) {
+  const execDir = tempDir("pricing-");
+  for (const [name, json] of Object.entries(files)) fs.writeFileSync(path.join(execDir, name), JSON.stringify(json));
+  return execDir;
+}
+
+// CoinGecko stand-in: answers /simple/price from cgPrices (id -> usd), or with statusCode
+function fakeCoingecko(t, cgPrices, statusCode = 200) {
+  const calls = [];
+  t.mock.method(https, "get", (url, opts, cb) => {
+    calls.push(url);
+    const ids = decodeURIComponent(new URL(url).searchParams.get("ids")).split(",");
+    const body = {};
+    for (const id of ids) if (cgPrices[id] !== undefined) body[id] = { usd: cgPrices[id] };
+    const res = new EventEmitter();
+    res.statusCode = statusCode;
+    process.nextTick(() => {
+      cb(res);
+      res.emit("data", JSON.stringify(body));
+      res.emit("end");
+    });
+    return new EventEmitter();
+  });
+  return calls;
+}
+
+const files = {
+  "price_overrides_usd.json": { ETH: 3100 },
+  "asset_price_basis.json": { USDC_POLYGON: "USDC", DOT: { priceUsd: 7, method: "manual" } },
+  "asset_to_coingecko.json": { ETH: "ethereum", BTC: "bitcoin", USDC: "usd-coin", SOL: "solana" },
+  [CACHE_FILE]: { schemaVersion: 1, asOfIso: "2024-05-01T00:00:00.000Z", pricesUsdByAssetId: { SOL: 150, BTC: 1 }, sourceByAssetId: { SOL: "provider", BTC: "provider" } }
+};
+
+test("each asset takes the first source in override, basis, provider, cache, stable order", async (t) => {
+  fakeCoingecko(t, { ethereum: 2900, bitcoin: 60000, "usd-coin": 0.999 });
+  const pr = await resolvePrices(["ETH", "USDC_POLYGON", "DOT", "BTC", "SOL", "USDT_ERC20", "FOO"], {
+    execDir: workspace(files), registry, provider: "coingecko"
+  });
+  const got = Object.fromEntries(Object.entries(pr.provenance).map(([a, p]) => [a, [p.source, p.usd]]));
+  assert.deepEqual(got, {
+    BTC: ["provider", 60000],
+    DOT: ["basis", 7],
+    ETH: ["override", 3100],
+    FOO: ["unknown", null],
+    SOL: ["cache", 150],
+    USDC_POLYGON: ["basis", 0.999],
+    USDT_ERC20: ["stable_fallback", 1]
+  });
+  assert.equal(pr.provenance.USDC_POLYGON.ref, "USDC (provider)");
+  assert.deepEqual(pr.missing, ["FOO"]);
+  assert.equal(pr.priceOf("FOO"), null);
+  assert.deepEqual(sourceCounts(pr), { provider: 1, basis: 2, override: 1, unknown: 1, cache: 1, stable_fallback: 1 });
+});
+
+test("the provider is only asked for ids the chain can use", async (t) => {
+  const calls = fakeCoingecko(t, {});
+  await resolvePrices(["ETH", "USDC_POLYGON", "DOT", "BTC"], { execDir: workspace(files), registry, provider: "coingecko" });
+  assert.equal(calls.length, 1);
+  const ids = decodeURIComponent(new URL(calls[0]).searchParams.get("ids")).split(",").sort();
+  assert.deepEqual(ids, ["bitcoin", "usd-coin"]);
+});
+
+test("offline and failed providers fall through to the cache", async (t) => {
+  const offline = await resolvePrices(["BTC", "SOL"], { execDir: workspace(files), registry, provider: null });
+  assert.deepEqual(offline.prices, { BTC: 1, SOL: 150 });
+  assert.equal(offline.provider.name, null);
+
+  fakeCoingecko(t, {}, 429);
+  const failed = await resolvePrices(["BTC"], { execDir: workspace(files), registry, provider: "coingecko" });
+  assert.equal(failed.provider.ok, false);
+  assert.match(failed.provider.error, /CoinGecko HTTP 429/);
+  assert.equal(failed.provenance.BTC.source, "cache");
+});
+
+test("strict mode has no stable fallback", async () => {
+  const pr = await resolvePrices(["USDT_ERC20"], { execDir: workspace({}), registry, provider: null, strict: true });
+  assert.deepEqual(pr.missing, ["USDT_ERC20"]);
+});
+
+test("updateCache records provider prices only", async (t) => {
+  fakeCoingecko(t, { bitcoin: 61000, "usd-coin": 1 });
+  const execDir = workspace(files);
+  await resolvePrices(["ETH", "BTC", "USDC_POLYGON"], { execDir, registry, provider: "coingecko", updateCache: true });
+  const snap = JSON.parse(fs.readFileSync(path.join(execDir, CACHE_FILE), "utf8"));
+  assert.equal(snap.pricesUsdByAssetId.BTC, 61000);
+  assert.equal(snap.pricesUsdByAssetId.USDC, 1);
+  assert.equal(snap.sourceByAssetId.USDC, "provider");
+  assert.equal(snap.pricesUsdByAssetId.ETH, undefined);
+  assert.equal(snap.pricesUsdByAssetId.SOL, 150);
+});
+
+test("cached entries that restate an override, basis or fallback are not reused", async () => {
+  const execDir = workspace({
+    [CACHE_FILE]: { schemaVersion: 1, pricesUsdByAssetId: { ETH: 3100, USDT_ERC20: 1 }, sourceByAssetId: { ETH: "override", USDT_ERC20: "stable_fallback" } }
+  });
+  const pr = await resolvePrices(["ETH", "USDT_ERC20"], { execDir, registry, provider: null });
+  assert.equal(pr.provenance.ETH.source, "unknown");
+  assert.equal(pr.provenance.USDT_ERC20.source, "stable_fallback");
+});
+
+test("pricingOptionsFromEnv reads PRICE_SOURCE and the older offline switches", () => {
+  assert.equal(pricingOptionsFromEnv({}).provider, "coingecko");
+  assert.equal(pricingOptionsFromEnv({ PRICE_SOURCE: "cache" }).provider, null);
+  assert.equal(pricingOptionsFromEnv({ OFFLINE: "1" }).provider, null);
+  assert.equal(pricingOptionsFromEnv({ USE_LIVE_PRICES: "0" }).provider, null);
+  assert.equal(pricingOptionsFromEnv({ STRICT_PRICING: "1" }).strict, true);
+  assert.throws(() => pricingOptionsFromEnv({ PRICE_SOURCE: "binance" }), /PRICE_SOURCE must be/);
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const { ROUTING_FILE, loadRouter } = require("../lib/routing");
+
+const registry = {
+  get: (id) => ({ USDC: { blockchain: "ETH" }, USDC_POLYGON: { blockchain: "MATIC_POLYGON" }, BTC: { blockchain: "BTC" } })[id] || null,
+  isStable: (id) => id.startsWith("USDC")
+};
+
+function routerWith(rules, opts = {}) {
+  const execDir = tempDir("routing-");
+  if (rules) fs.writeFileSync(path.join(execDir, ROUTING_FILE), JSON.stringify({ rules }));
+  return loadRouter({ execDir, registry, defaultDestinationVaultId: "94797", ...opts });
+}
+
+test("without a rules file every transfer goes to the default vault", () => {
+  const router = routerWith(null);
+  assert.equal(router.file, null);
+  assert.deepEqual(router.route({ vaultId: "1001", assetId: "BTC" }), { destinationVaultId: "94797", destination: "", route: "default" });
+  assert.deepEqual(router.destinations(), ["94797"]);
+});
+
+test("no default destination is an error", () => {
+  assert.throws(() => routerWith(null, { defaultDestinationVaultId: "" }), /No default destination/);
+});
+
+test("the first matching rule wins", () => {
+  const router = routerWith([
+    { name: "stables", match: { stable: true }, destinationVaultId: "500" },
+    { name: "usdc", match: { assetId: "USDC" }, destinationVaultId: "501" }
+  ]);
+  assert.equal(router.route({ vaultId: "1001", assetId: "USDC" }).route, "stables");
+  assert.equal(router.route({ vaultId: "1001", assetId: "BTC" }).route, "default");
+  assert.deepEqual(router.destinations(), ["94797", "500", "501"]);
+});
+
+test("match fields", () => {
+  const router = routerWith([
+    { name: "polygon", match: { chain: ["MATIC_POLYGON"] }, destinationVaultId: "502" },
+    { name: "range", match: { vaultIdRange: [2000, 2099] }, destinationVaultId: "503" },
+    { name: "trust", match: { vaultNamePattern: "^trust " }, destinationVaultId: "504" },
+    { name: "listed", match: { vaultIds: ["3001"] }, destinationVaultId: "505" },
+    { name: "band", match: { minUsd: 100, maxUsd: 1000 }, destinationVaultId: "506" }
+  ]);
+  const r = (t) => router.route({ assetId: "BTC", ...t }).route;
+  assert.equal(r({ vaultId: "1", assetId: "USDC_POLYGON" }), "polygon");
+  assert.equal(r({ vaultId: "2000" }), "range");
+  assert.equal(r({ vaultId: "2100" }), "default");
+  assert.equal(r({ vaultId: "7", vaultName: "Trust Smith" }), "trust");
+  assert.equal(r({ vaultId: "3001" }), "listed");
+  assert.equal(r({ vaultId: "7", usd: 100 }), "band");
+  assert.equal(r({ vaultId: "7", usd: 1000 }), "default", "maxUsd is exclusive");
+  assert.equal(r({ vaultId: "7" }), "default", "an unpriced transfer never matches a value band");
+});
+
+test("every match field must hold", () => {
+  const router = routerWith([{ name: "usdc-range", match: { assetId: "USDC", vaultIdRange: [1, 10] }, destinationVaultId: "507" }]);
+  assert.equal(router.route({ vaultId: "5", assetId: "USDC" }).route, "usdc-range");
+  assert.equal(router.route({ vaultId: "50", assetId: "USDC" }).route, "default");
+  assert.equal(router.route({ vaultId: "5", assetId: "BTC" }).route, "default");
+});
+
+test("external destinations must be approved", () => {
+  const approved = { has: (name) => name === "xrp-buyer" };
+  const router = routerWith([{ name: "sell", match: { assetId: "XRP" }, destination: "xrp-buyer" }], { approved });
+  assert.deepEqual(router.route({ vaultId: "1", assetId: "XRP" }), { destinationVaultId: "", destination: "xrp-buyer", route: "sell" });
+  assert.deepEqual(router.destinations(), ["94797"]);
+  assert.throws(() => routerWith([{ match: { assetId: "XRP" }, destination: "nobody" }], { approved }), /not an approved destination/);
+});
+
+test("bad rules are rejected", () => {
+  assert.throws(() => routerWith([{ match: { color: "red" }, destinationVaultId: "1" }]), /unknown match field "color"/);
+  assert.throws(() => routerWith([{ match: {} }]), /exactly one of destinationVaultId and destination/);
+  assert.throws(() => routerWith([{ match: { vaultIdRange: [1] }, destinationVaultId: "1" }]), /vaultIdRange must be/);
+  assert.throws(() => routerWith([{ match: { vaultNamePattern: "(" }, destinationVaultId: "1" }]), /bad vaultNamePattern/);
+});
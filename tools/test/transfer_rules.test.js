@@ -0,0 +1,38 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { minAmountFor, isBelowMin, feeVsValue } = require("../lib/transfer_rules");
+
+const opts = {
+  minByAsset: { DOT: "0.5" },
+  isStable: (id) => id === "USDC",
+  minUsdPerTx: 0.25,
+  stablecoinMinUsd: 0.01
+};
+
+test("the BELOW_MIN floor: min_by_asset.json, then the stablecoin floor, then minUsdPerTx at the price", () => {
+  assert.deepEqual(minAmountFor("DOT", { ...opts, price: 5 }), { minAmount: 0.5, basis: "min_by_asset" });
+  assert.deepEqual(minAmountFor("USDC", { ...opts, price: 1 }), { minAmount: 0.01, basis: "stable_usd_floor_$0.01" });
+  assert.deepEqual(minAmountFor("ETH", { ...opts, price: 2500 }), { minAmount: 0.0001, basis: "usd_floor_$0.25" });
+  for (const price of [null, 0, "abc"]) {
+    assert.deepEqual(minAmountFor("ETH", { ...opts, price }), { minAmount: null, basis: "no_price_no_floor" });
+  }
+});
+
+test("an amount is below the floor only when there is one", () => {
+  const floor = minAmountFor("ETH", { ...opts, price: 2500 });
+  assert.equal(isBelowMin("0.00009", floor), true);
+  assert.equal(isBelowMin("0.0001", floor), false);
+  assert.equal(isBelowMin("0.000000001", minAmountFor("ETH", opts)), false);
+});
+
+test("a fee worth more than the transfer fails; a missing figure is unknown", () => {
+  assert.equal(feeVsValue(0.5, 0.4), "fail");
+  assert.equal(feeVsValue(0.4, 0.4), "pass");
+  assert.equal(feeVsValue(0, 0), "pass");
+  assert.equal(feeVsValue(null, 10), "unknown");
+  assert.equal(feeVsValue(undefined, 10), "unknown");
+  assert.equal(feeVsValue(0.1, null), "unknown");
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tempDir } = require("./helpers");
+const {
+  LEDGER, isRowId, externalTxIdFor, parseExternalTxId, collectSubmissions, applyTransaction, failedRows, removeFromLedger
+} = require("../lib/tx_tracker");
+
+test("isRowId accepts only <source>|<asset>|<destination>", () => {
+  assert.equal(isRowId("1001|USDC|94797"), true);
+  assert.equal(isRowId("1001|XRP|ext:xrp-buyer"), true);
+  assert.equal(isRowId("hide|1001"), false);
+  assert.equal(isRowId("1001||94797"), false);
+  assert.equal(isRowId("1001|USDC|94797|x"), false);
+  assert.equal(isRowId(undefined), false);
+});
+
+test("externalTxIdFor numbers resubmissions", () => {
+  assert.equal(externalTxIdFor("1001|USDC|94797"), "consolidate_1001|USDC|94797");
+  assert.equal(externalTxIdFor("1001|USDC|94797", 2), "consolidate_1001|USDC|94797#2");
+  const long = `1001|USDC|${"x".repeat(300)}`;
+  assert.equal(externalTxIdFor(long, 3).length, 190);
+  assert.ok(externalTxIdFor(long, 3).endsWith("#3"));
+});
+
+test("parseExternalTxId reads the current and older formats", () => {
+  assert.deepEqual(parseExternalTxId("consolidate_1001|USDC|94797"), { ledger: LEDGER, rowId: "1001|USDC|94797" });
+  assert.deepEqual(parseExternalTxId("consolidate_1001|USDC|94797#4"), { ledger: LEDGER, rowId: "1001|USDC|94797" });
+  assert.deepEqual(parseExternalTxId("run-7:1001|BTC|94797"), { ledger: LEDGER, rowId: "1001|BTC|94797", runId: "run-7" });
+  assert.deepEqual(parseExternalTxId("1001|BTC|94797"), { ledger: LEDGER, rowId: "1001|BTC|94797" });
+});
+
+test("parseExternalTxId returns null for ids that are not ours", () => {
+  for (const id of ["", null, "consolidate_", "consolidate_hide|1001", "payout-123", "run:hide|1001", "a|b"]) {
+    assert.equal(parseExternalTxId(id), null, String(id));
+  }
+});
+
+test("collectSubmissions keeps SUBMIT_OK lines with a txId and a row id", () => {
+  const execDir = tempDir("tracker-");
+  const lines = [
+    { ts: "2024-05-01T10:00:01Z", event: "SUBMIT_OK", rowId: "1001|USDC|94797", txId: "t2", body: { amount: "5", destination: { type: "VAULT_ACCOUNT", id: "94797" } } },
+    { ts: "2024-05-01T10:00:00Z", action: "SUBMIT_OK", rid: "1002|BTC|94797", resp: { id: "t1" }, amount: "0.1" },
+    { ts: "2024-05-01T10:00:02Z", event: "SUBMIT_OK", action: "hide", vaultId: "1003", txId: "t3" },
+    { ts: "2024-05-01T10:00:03Z", event: "SUBMIT_OK", rowId: "1004|ETH|94797" },
+    { ts: "2024-05-01T10:00:04Z", event: "ATTEMPT", rowId: "1005|ETH|94797", txId: "t5" }
+  ];
+  fs.writeFileSync(path.join(execDir, "journal_test.jsonl"), lines.map(l => JSON.stringify(l)).join("\n") + "\nnot json\n");
+
+  const subs = collectSubmissions(execDir);
+  assert.deepEqual(subs.map(s => [s.txId, s.rowId, s.amount, s.destinationVaultId]), [
+    ["t1", "1002|BTC|94797", "0.1", "94797"],
+    ["t2", "1001|USDC|94797", "5", "94797"]
+  ]);
+  assert.ok(subs.every(s => s.ledger === LEDGER && s.journal === "journal_test.jsonl"));
+});
+
+test("applyTransaction marks final and failed statuses", () => {
+  const rec = applyTransaction({}, { status: "confirming" });
+  assert.equal(rec.status, "CONFIRMING");
+  assert.equal(rec.final, false);
+  applyTransaction(rec, { status: "REJECTED", subStatus: "REJECTED_BY_USER", networkFee: 0.001 });
+  assert.equal(rec.final, true);
+  assert.equal(rec.failed, true);
+  assert.equal(rec.networkFee, "0.001");
+  assert.ok(rec.finalAt);
+});
+
+test("failedRows counts a row by its newest submission only", () => {
+  const store = { transactions: {
+    a: { rowId: "1001|BTC|94797", submittedAt: 1, failed: true },
+    b: { rowId: "1001|BTC|94797", submittedAt: 2, failed: false },
+    c: { rowId: "1002|BTC|94797", submittedAt: 1, failed: true }
+  } };
+  assert.deepEqual([...failedRows(store).keys()], ["1002|BTC|94797"]);
+});
+
+test("removeFromLedger drops only the given rows", () => {
+  const file = path.join(tempDir("tracker-"), LEDGER);
+  fs.writeFileSync(file, "1001|BTC|94797\n1002|BTC|94797\n");
+  assert.equal(removeFromLedger(file, new Set(["1002|BTC|94797", "9999|BTC|94797"])), 1);
+  assert.equal(fs.readFileSync(file, "utf8"), "1001|BTC|94797\n");
+});